@@ -0,0 +1,90 @@
+/**
+ * Admin Router - Token-protected REST API for inspecting and fixing live lobbies
+ * Reads go to the LobbyManager (after actions.refresh() brings it up to date); anything that players
+ * must hear about goes through the actions supplied by server.js, which own the socket broadcasts and timers
+ */
+
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Reject requests without `Authorization: Bearer <ADMIN_TOKEN>`
+ */
+function requireToken(token) {
+    const expected = Buffer.from(token);
+    return (req, res, next) => {
+        const header = req.get('authorization') || '';
+        const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+        if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+            return res.status(401).json({ success: false, message: 'Invalid admin token' });
+        }
+        next();
+    };
+}
+
+/**
+ * Turn a { success, message } result into an HTTP response
+ */
+function reply(res, result) {
+    if (result.success) {
+        return res.json(result);
+    }
+    const status = result.message === 'Lobby not found' || result.message === 'Player not found' ? 404 : 409;
+    return res.status(status).json(result);
+}
+
+/**
+ * Run an async route and answer 503 if it throws (e.g. the shared store is unreachable)
+ */
+const route = (handler) => async (req, res) => {
+    try {
+        await handler(req, res);
+    } catch (err) {
+        console.error('Admin request failed:', err);
+        res.status(503).json({ success: false, message: 'Temporarily unavailable' });
+    }
+};
+
+/**
+ * Build the /admin/api router
+ * Without a token the API stays switched off rather than open
+ */
+export function createAdminRouter({ token, lobbyManager, actions }) {
+    const router = express.Router();
+
+    if (!token) {
+        router.use((req, res) => res.status(503).json({ success: false, message: 'Admin API is disabled (set ADMIN_TOKEN)' }));
+        return router;
+    }
+
+    router.use(requireToken(token));
+
+    router.get('/lobbies', route(async (req, res) => {
+        await actions.refresh();
+        res.json({ success: true, lobbies: lobbyManager.listLobbies() });
+    }));
+
+    router.get('/lobbies/:code', route(async (req, res) => {
+        await actions.refresh(req.params.code);
+        reply(res, lobbyManager.inspectLobby(req.params.code, req.query.includeTargets === 'true'));
+    }));
+
+    router.get('/lobbies/:code/history', route(async (req, res) => {
+        await actions.refresh(req.params.code);
+        reply(res, lobbyManager.getHistory(req.params.code, req.query.includeTargets === 'true'));
+    }));
+
+    router.post('/lobbies/:code/end', route(async (req, res) => {
+        reply(res, await actions.endGame(req.params.code));
+    }));
+
+    router.delete('/lobbies/:code', route(async (req, res) => {
+        reply(res, await actions.deleteLobby(req.params.code));
+    }));
+
+    router.delete('/lobbies/:code/players/:playerId', route(async (req, res) => {
+        reply(res, await actions.kickPlayer(req.params.code, req.params.playerId));
+    }));
+
+    return router;
+}
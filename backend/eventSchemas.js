@@ -0,0 +1,194 @@
+/**
+ * Event Schemas - The payload every client event must carry, player name rules and per-socket rate limits
+ */
+
+import { MAX_CUSTOM_MISSIONS, MAX_MISSION_LENGTH } from './missionDecks.js';
+import { isPushServiceEndpoint, httpPushAllowed } from './pushNotifier.js';
+
+export const NAME_MAX_LENGTH = 20;
+const NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} '.\-_]*$/u; // letters, digits and a little punctuation
+
+const MAX_ID_LENGTH = 64;
+const MAX_URL_LENGTH = 1024;
+const MAX_WORD_LENGTH = 30;
+const MAX_UPLOAD_LENGTH = MAX_CUSTOM_MISSIONS * (MAX_MISSION_LENGTH + 8); // room for JSON quoting
+const MAX_PHOTO_UPLOAD_BYTES = 512 * 1024; // the app shrinks photos before sending; the server shrinks them again
+const PROFILE_KEY_PATTERN = /^[A-Za-z0-9_-]{32,64}$/; // the random device key the app keeps stats under
+
+/**
+ * Check a player name and return it tidied up (trimmed, inner whitespace collapsed)
+ */
+export function validatePlayerName(name) {
+    if (typeof name !== 'string') {
+        return { success: false, message: 'Name is required' };
+    }
+
+    const tidy = name.trim().replace(/\s+/g, ' ');
+    if (!tidy) {
+        return { success: false, message: 'Name is required' };
+    }
+
+    if (tidy.length > NAME_MAX_LENGTH) {
+        return { success: false, message: `Name can be at most ${NAME_MAX_LENGTH} characters long` };
+    }
+
+    if (!NAME_PATTERN.test(tidy)) {
+        return { success: false, message: 'Name may only use letters, numbers, spaces and . \' - _' };
+    }
+
+    return { success: true, value: tidy };
+}
+
+// Field rules: each returns { success, value } or { success: false, message }
+const lobbyCode = (value) => typeof value === 'string' && /^\d{4}$/.test(value)
+    ? { success: true, value }
+    : { success: false, message: 'Lobby code must be 4 digits' };
+
+const text = (maxLength) => (value) => typeof value === 'string' && value.trim() && value.length <= maxLength
+    ? { success: true, value: value.trim() }
+    : { success: false, message: `must be text of at most ${maxLength} characters` };
+
+const oneOf = (...options) => (value) => options.includes(value)
+    ? { success: true, value }
+    : { success: false, message: `must be one of: ${options.join(', ')}` };
+
+const wholeNumber = (value) => Number.isSafeInteger(value) && value >= 0
+    ? { success: true, value }
+    : { success: false, message: 'must be a whole number' };
+
+// The field may be left out (it then comes through as null)
+const optional = (rule) => (value) => value === undefined || value === null
+    ? { success: true, value: null }
+    : rule(value);
+
+// A browser PushSubscription as produced by its toJSON(); only the parts needed to send are kept.
+// The server will send requests to its endpoint, so only known push services get through
+const pushSubscription = (value) => {
+    const valid = value && typeof value === 'object'
+        && typeof value.endpoint === 'string' && value.endpoint.length <= MAX_URL_LENGTH && URL.canParse(value.endpoint)
+        && value.keys && typeof value.keys === 'object'
+        && typeof value.keys.p256dh === 'string' && value.keys.p256dh.length <= 2 * MAX_ID_LENGTH
+        && typeof value.keys.auth === 'string' && value.keys.auth.length <= MAX_ID_LENGTH;
+    if (!valid) {
+        return { success: false, message: 'must be a push subscription' };
+    }
+    if (!isPushServiceEndpoint(value.endpoint, { allowHttp: httpPushAllowed() })) {
+        return { success: false, message: 'must be from a known push service' };
+    }
+    return { success: true, value: { endpoint: value.endpoint, keys: { p256dh: value.keys.p256dh, auth: value.keys.auth } } };
+};
+
+// Raw image bytes (socket.io hands binary data over as a Buffer); photoStore.js decodes and shrinks them
+const imageUpload = (value) => Buffer.isBuffer(value) && value.length > 0 && value.length <= MAX_PHOTO_UPLOAD_BYTES
+    ? { success: true, value }
+    : { success: false, message: `must be an image of at most ${MAX_PHOTO_UPLOAD_BYTES / 1024} kB` };
+
+const profileKey = (value) => typeof value === 'string' && PROFILE_KEY_PATTERN.test(value)
+    ? { success: true, value }
+    : { success: false, message: 'must be a profile key' };
+
+const plainObject = (value) => value && typeof value === 'object' && !Array.isArray(value)
+    ? { success: true, value }
+    : { success: false, message: 'must be an object' };
+
+const EVENT_SCHEMAS = {
+    'rejoin': { sessionToken: text(MAX_ID_LENGTH), lastSeq: optional(wholeNumber) },
+    'sync': { code: lobbyCode, lastSeq: optional(wholeNumber) },
+    'create-lobby': { playerName: validatePlayerName, profileKey: optional(profileKey) },
+    'join-lobby': { code: lobbyCode, playerName: validatePlayerName, profileKey: optional(profileKey) },
+    'check-lobby': { code: lobbyCode },
+    'update-settings': { code: lobbyCode, settings: plainObject },
+    'upload-missions': { code: lobbyCode, text: text(MAX_UPLOAD_LENGTH) },
+    'choose-team': { code: lobbyCode, team: text(MAX_ID_LENGTH) },
+    'balance-teams': { code: lobbyCode },
+    'start-game': { code: lobbyCode },
+    'rematch': { code: lobbyCode },
+    'initiate-kill': { code: lobbyCode },
+    'claim-kill': { code: lobbyCode, word: text(MAX_WORD_LENGTH) },
+    'confirm-death': { code: lobbyCode },
+    'cancel-kill': { code: lobbyCode },
+    'rule-dispute': { code: lobbyCode, disputeId: text(MAX_ID_LENGTH), ruling: oneOf('confirm', 'deny') },
+    'cancel-kill-killer': { code: lobbyCode },
+    'kick-player': { code: lobbyCode, playerId: text(MAX_ID_LENGTH) },
+    'transfer-host': { code: lobbyCode, playerId: text(MAX_ID_LENGTH) },
+    'drop-player': { code: lobbyCode, playerId: text(MAX_ID_LENGTH) },
+    'push-subscribe': { code: lobbyCode, subscription: pushSubscription },
+    'set-photo': { code: lobbyCode, photo: optional(imageUpload) },
+    'get-leaderboard': {},
+    'get-profile': { profileKey },
+    'leave-lobby': {}
+};
+
+// Events that name a lobby the socket does not belong to (yet); every other code must be the socket's own
+export const JOIN_EVENTS = ['join-lobby', 'check-lobby'];
+
+/**
+ * Check an incoming event against its schema
+ * Unknown events and unknown fields are rejected; the returned payload holds the tidied values
+ */
+export function validateEvent(event, payload) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) {
+        return { success: false, message: `Unknown event: ${event}` };
+    }
+
+    const data = payload ?? {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return { success: false, message: 'Invalid payload' };
+    }
+
+    for (const key of Object.keys(data)) {
+        if (!(key in schema)) {
+            return { success: false, message: `Unexpected field: ${key}`, field: key };
+        }
+    }
+
+    const clean = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const result = rule(data[field]);
+        if (!result.success) {
+            // Rules written for a single value (like names) already say what is wrong
+            const message = result.message.startsWith('must') ? `${field} ${result.message}` : result.message;
+            return { success: false, message, field };
+        }
+        clean[field] = result.value;
+    }
+
+    return { success: true, payload: clean };
+}
+
+// Events per socket within the window; kill attempts get a tighter budget so deadlines can't be spammed
+const RATE_LIMITS = {
+    default: { max: 20, windowMs: 10000 },
+    'create-lobby': { max: 3, windowMs: 60000 },
+    'join-lobby': { max: 5, windowMs: 60000 },
+    'check-lobby': { max: 10, windowMs: 60000 },
+    'initiate-kill': { max: 3, windowMs: 30000 },
+    'claim-kill': { max: 5, windowMs: 30000 },
+    'upload-missions': { max: 5, windowMs: 60000 },
+    'set-photo': { max: 5, windowMs: 60000 },
+    'get-leaderboard': { max: 10, windowMs: 60000 },
+    'get-profile': { max: 10, windowMs: 60000 }
+};
+
+/**
+ * Per-socket sliding-window limiter: call it with an event name, it says whether the event may go through
+ */
+export function createRateLimiter(limits = RATE_LIMITS) {
+    const seen = new Map(); // bucket -> timestamps within the window
+
+    return (event, now = Date.now()) => {
+        const bucket = event in limits ? event : 'default';
+        const { max, windowMs } = limits[bucket];
+        const recent = (seen.get(bucket) || []).filter(at => now - at < windowMs);
+
+        if (recent.length >= max) {
+            seen.set(bucket, recent);
+            return { allowed: false, retryAfter: recent[0] + windowMs - now };
+        }
+
+        recent.push(now);
+        seen.set(bucket, recent);
+        return { allowed: true };
+    };
+}
@@ -0,0 +1,123 @@
+/**
+ * Game Settings - Per-lobby rules chosen by the host before the game starts
+ */
+
+import { MISSION_DECKS, MAX_CUSTOM_MISSIONS, MAX_MISSION_LENGTH } from './missionDecks.js';
+import { TEAM_COUNTS } from './teams.js';
+
+export const DEFAULT_SETTINGS = {
+    killConfirmSeconds: 15,
+    timeoutAction: 'confirm', // what happens when the victim doesn't answer: 'confirm' | 'cancel'
+    minPlayers: 3,
+    maxPlayers: 20,
+    teamCount: 0, // 0 = free for all, otherwise the number of rival teams
+    gameDurationMinutes: 0, // 0 = no time limit, otherwise sudden death when the clock runs out
+    heatMinutes: 0, // 0 = off, otherwise players must make a kill this often
+    heatPenalty: 'expose', // 'expose' (can no longer deny kills, hunter is told) | 'eliminate'
+    disconnectGraceSeconds: 120, // a player disconnected this long is eliminated (removed before the game)
+    allowDeny: true,
+    maxDenials: 3, // denials each player may use per game
+    disputeJudge: 'host', // who rules on a denied kill: 'host' | 'dead' (majority vote of eliminated players)
+    verificationMode: 'confirm', // 'confirm' (victim confirms) | 'word' (killer enters the victim's secret word)
+    wrongWordPenalty: 'cooldown', // 'cooldown' | 'expose' (victim also learns who is hunting them)
+    wrongWordCooldownSeconds: 60, // applies with either penalty
+    missionDeck: 'none', // 'none' | a bundled deck id | 'custom'
+    missionOnKill: 'fresh', // after a kill the killer draws a 'fresh' mission or 'inherit's the victim's
+    customMissions: []
+};
+
+const LIMITS = {
+    killConfirmSeconds: { min: 5, max: 120 },
+    minPlayers: { min: 3, max: 20 },
+    maxPlayers: { min: 3, max: 20 },
+    wrongWordCooldownSeconds: { min: 10, max: 600 },
+    maxDenials: { min: 1, max: 20 },
+    disconnectGraceSeconds: { min: 30, max: 1800 },
+    gameDurationMinutes: { min: 0, max: 240 },
+    heatMinutes: { min: 0, max: 120 }
+};
+
+const TIMEOUT_ACTIONS = ['confirm', 'cancel'];
+const VERIFICATION_MODES = ['confirm', 'word'];
+const WRONG_WORD_PENALTIES = ['cooldown', 'expose'];
+const MISSION_ON_KILL = ['fresh', 'inherit'];
+const DISPUTE_JUDGES = ['host', 'dead'];
+const HEAT_PENALTIES = ['expose', 'eliminate'];
+
+/**
+ * Merge updates into the current settings and validate the result
+ * Unknown keys are rejected so typos don't silently do nothing
+ */
+export function validateSettings(current, updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        return { success: false, message: 'Invalid settings' };
+    }
+
+    for (const key of Object.keys(updates)) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            return { success: false, message: `Unknown setting: ${key}` };
+        }
+    }
+
+    const settings = { ...current, ...updates };
+
+    for (const [key, { min, max }] of Object.entries(LIMITS)) {
+        const value = settings[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { success: false, message: `${key} must be a whole number between ${min} and ${max}` };
+        }
+    }
+
+    if (settings.minPlayers > settings.maxPlayers) {
+        return { success: false, message: 'Minimum players cannot exceed maximum players' };
+    }
+
+    if (!TEAM_COUNTS.includes(settings.teamCount)) {
+        return { success: false, message: `teamCount must be one of: ${TEAM_COUNTS.join(', ')}` };
+    }
+
+    if (!TIMEOUT_ACTIONS.includes(settings.timeoutAction)) {
+        return { success: false, message: `timeoutAction must be one of: ${TIMEOUT_ACTIONS.join(', ')}` };
+    }
+
+    if (!VERIFICATION_MODES.includes(settings.verificationMode)) {
+        return { success: false, message: `verificationMode must be one of: ${VERIFICATION_MODES.join(', ')}` };
+    }
+
+    if (!WRONG_WORD_PENALTIES.includes(settings.wrongWordPenalty)) {
+        return { success: false, message: `wrongWordPenalty must be one of: ${WRONG_WORD_PENALTIES.join(', ')}` };
+    }
+
+    const decks = ['none', 'custom', ...Object.keys(MISSION_DECKS)];
+    if (!decks.includes(settings.missionDeck)) {
+        return { success: false, message: `missionDeck must be one of: ${decks.join(', ')}` };
+    }
+
+    if (!MISSION_ON_KILL.includes(settings.missionOnKill)) {
+        return { success: false, message: `missionOnKill must be one of: ${MISSION_ON_KILL.join(', ')}` };
+    }
+
+    const custom = settings.customMissions;
+    if (!Array.isArray(custom) || custom.length > MAX_CUSTOM_MISSIONS
+        || custom.some(m => typeof m !== 'string' || !m.trim() || m.length > MAX_MISSION_LENGTH)) {
+        return { success: false, message: 'customMissions must be a list of short missions' };
+    }
+
+    if (settings.missionDeck === 'custom' && custom.length === 0) {
+        return { success: false, message: 'Upload a custom deck before selecting it' };
+    }
+
+    if (!DISPUTE_JUDGES.includes(settings.disputeJudge)) {
+        return { success: false, message: `disputeJudge must be one of: ${DISPUTE_JUDGES.join(', ')}` };
+    }
+
+    if (!HEAT_PENALTIES.includes(settings.heatPenalty)) {
+        return { success: false, message: `heatPenalty must be one of: ${HEAT_PENALTIES.join(', ')}` };
+    }
+
+    if (typeof settings.allowDeny !== 'boolean') {
+        return { success: false, message: 'allowDeny must be true or false' };
+    }
+
+    return { success: true, settings };
+}
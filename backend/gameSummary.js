@@ -0,0 +1,111 @@
+/**
+ * Game Summary - Builds the end-of-game recap from a lobby's event history
+ */
+
+const FEED_EVENTS = ['kill_confirmed', 'kill_auto_confirmed', 'kill_denied', 'dispute_ruled', 'player_left', 'player_dropped', 'player_exposed', 'player_burnt_out', 'sudden_death'];
+
+/**
+ * Format a duration for award captions ("42s", "3m 05s")
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+/**
+ * Replay the history and compute feed, kill counts and awards
+ */
+export function buildGameSummary(history) {
+    const start = history.find(e => e.type === 'game_started');
+    if (!start) {
+        return null;
+    }
+
+    const end = history.find(e => e.type === 'game_ended');
+    const kills = new Map(start.chain.map(name => [name, 0]));
+    const denials = new Map();
+    const targetSince = new Map(start.chain.map(name => [name, start.at]));
+    const diedAt = new Map();
+    let fastestKill = null;
+
+    for (const event of history) {
+        if (event.type === 'kill_confirmed' || event.type === 'kill_auto_confirmed') {
+            kills.set(event.killer, (kills.get(event.killer) || 0) + 1);
+            diedAt.set(event.victim, event.at);
+
+            const took = event.at - (targetSince.get(event.killer) ?? start.at);
+            if (!fastestKill || took < fastestKill.took) {
+                fastestKill = { name: event.killer, victim: event.victim, took };
+            }
+            targetSince.set(event.killer, event.at);
+        } else if (event.type === 'kill_denied') {
+            denials.set(event.victim, (denials.get(event.victim) || 0) + 1);
+        } else if (['player_left', 'player_dropped', 'player_burnt_out'].includes(event.type)) {
+            diedAt.set(event.player, event.at);
+            if (event.hunter) {
+                targetSince.set(event.hunter, event.at);
+            }
+        }
+    }
+
+    const awards = [];
+
+    const killCounts = Array.from(kills, ([name, count]) => ({ name, kills: count }))
+        .sort((a, b) => b.kills - a.kills);
+    if (killCounts.length > 0 && killCounts[0].kills > 0) {
+        awards.push({
+            title: 'Deadliest Assassin',
+            name: killCounts[0].name,
+            detail: `${killCounts[0].kills} kill${killCounts[0].kills === 1 ? '' : 's'}`
+        });
+    }
+
+    if (fastestKill) {
+        awards.push({
+            title: 'Fastest Kill',
+            name: fastestKill.name,
+            detail: `${fastestKill.victim} in ${formatDuration(fastestKill.took)}`
+        });
+    }
+
+    // The winner has a card of their own; this one goes to whoever held out longest among the fallen
+    let lastToFall = null;
+    for (const [name, at] of diedAt) {
+        if (!lastToFall || at > lastToFall.at) {
+            lastToFall = { name, at };
+        }
+    }
+    if (lastToFall) {
+        awards.push({
+            title: 'Last to Fall',
+            name: lastToFall.name,
+            detail: `lasted ${formatDuration(lastToFall.at - start.at)}`
+        });
+    }
+
+    let mostDenied = null;
+    for (const [name, count] of denials) {
+        if (!mostDenied || count > mostDenied.count) {
+            mostDenied = { name, count };
+        }
+    }
+    if (mostDenied) {
+        awards.push({
+            title: 'Most Denied Kills',
+            name: mostDenied.name,
+            detail: `${mostDenied.count} denial${mostDenied.count === 1 ? '' : 's'}`
+        });
+    }
+
+    return {
+        winner: end ? end.winner : null,
+        startedAt: start.at,
+        endedAt: end ? end.at : null,
+        chain: start.chain,
+        feed: history.filter(e => FEED_EVENTS.includes(e.type)),
+        killCounts,
+        awards
+    };
+}
@@ -0,0 +1,33 @@
+/**
+ * Kill Words - Secret words handed to each player in word verification mode
+ * Short, unambiguous and easy to say out loud at a noisy party
+ */
+
+export const KILL_WORDS = [
+    'anchor', 'badger', 'banjo', 'beacon', 'biscuit', 'blizzard', 'bonfire', 'cactus',
+    'canyon', 'carousel', 'cello', 'cobra', 'comet', 'coral', 'cricket', 'crystal',
+    'dagger', 'dolphin', 'dragon', 'ember', 'falcon', 'feather', 'fjord', 'gadget',
+    'galaxy', 'garlic', 'geyser', 'glacier', 'goblin', 'harbor', 'hazel', 'hermit',
+    'igloo', 'ivory', 'jackal', 'jasmine', 'jigsaw', 'kettle', 'kiwi', 'lagoon',
+    'lantern', 'lemur', 'lilac', 'lobster', 'magnet', 'mango', 'marble', 'meadow',
+    'meteor', 'mirage', 'monsoon', 'nectar', 'noodle', 'nutmeg', 'oasis', 'octopus',
+    'orchid', 'otter', 'paddle', 'panther', 'papaya', 'pebble', 'pepper', 'phantom',
+    'pickle', 'pilgrim', 'pirate', 'plum', 'pretzel', 'puzzle', 'quartz', 'quill',
+    'raven', 'riddle', 'rocket', 'saffron', 'sapphire', 'scarecrow', 'sherbet', 'sphinx',
+    'spruce', 'squid', 'tango', 'thistle', 'thunder', 'toffee', 'tornado', 'trumpet',
+    'tulip', 'tundra', 'umbrella', 'velvet', 'violin', 'volcano', 'waffle', 'walrus',
+    'willow', 'wizard', 'yodel', 'zeppelin'
+];
+
+/**
+ * Pick `count` distinct words at random
+ */
+export function pickKillWords(count) {
+    const pool = [...KILL_WORDS];
+    const words = [];
+    for (let i = 0; i < count && pool.length > 0; i++) {
+        const index = Math.floor(Math.random() * pool.length);
+        words.push(pool.splice(index, 1)[0]);
+    }
+    return words;
+}
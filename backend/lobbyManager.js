@@ -3,11 +3,27 @@
  * Supports session-based reconnection
  */
 
+import { randomBytes, randomInt } from 'crypto';
+import { DEFAULT_SETTINGS, validateSettings } from './gameSettings.js';
+import { buildGameSummary } from './gameSummary.js';
+import { pickKillWords } from './killWords.js';
+import { MISSION_DECKS, parseMissionDeck } from './missionDecks.js';
+import { activeTeams, teamName } from './teams.js';
+import { metrics } from './metrics.js';
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // a session token is good for a day, rejoining issues a fresh one
+const OUTBOX_SIZE = 30; // private events kept per player for replay after a reconnect
+const DISPUTE_RULING_MS = 5 * 60 * 1000; // a dispute nobody rules on in time upholds the denial
+const TARGET_FIELDS = ['chain', 'hunter', 'teams']; // history fields that give away who hunts whom (teams: who is a rival)
+// Kill events that name a hunter and a victim who may still be alive, so give away who hunts whom too
+const UNRESOLVED_KILL_EVENTS = ['kill_initiated', 'kill_claim_failed', 'kill_expired', 'kill_denied', 'kill_cancelled', 'dispute_opened', 'dispute_ruled'];
+
 export class LobbyManager {
     constructor(maxLobbies = 100) {
         this.lobbies = new Map();
         this.playerToLobby = new Map();
         this.sessionToPlayer = new Map(); // sessionId -> { lobbyCode, playerId, playerName }
+        this.sessionTokens = new Map(); // token -> { sessionId, lobbyCode, expiresAt, lobbyGone }
         this.maxLobbies = maxLobbies;
         this.maxPlayersPerLobby = 20;
     }
@@ -19,7 +35,7 @@ export class LobbyManager {
         let code;
         let attempts = 0;
         do {
-            code = String(Math.floor(1000 + Math.random() * 9000));
+            code = String(randomInt(1000, 10000));
             attempts++;
             if (attempts > 100) {
                 return null;
@@ -30,20 +46,71 @@ export class LobbyManager {
 
     /**
      * Generate a unique session ID
+     * The session ID is the player's stable identity inside the server and is never sent to clients
      */
     generateSessionId() {
-        return Math.random().toString(36).substring(2) + Date.now().toString(36);
+        return randomBytes(16).toString('hex');
+    }
+
+    /**
+     * Issue the secret token a client uses to rejoin as this player
+     */
+    issueSessionToken(sessionId, lobbyCode) {
+        this.pruneSessionTokens();
+        const token = randomBytes(32).toString('base64url');
+        this.sessionTokens.set(token, { sessionId, lobbyCode, expiresAt: Date.now() + SESSION_TTL_MS, lobbyGone: false });
+        return token;
+    }
+
+    /**
+     * Forget every token of a player (they left, were kicked or dropped from the lobby), or all but the one to keep
+     */
+    revokeSessionTokens(sessionId, keep = null) {
+        for (const [token, entry] of this.sessionTokens) {
+            if (entry.sessionId === sessionId && token !== keep) {
+                this.sessionTokens.delete(token);
+            }
+        }
+    }
+
+    /**
+     * Mark a deleted lobby's tokens so a late rejoin is told the lobby is gone
+     * The marked tokens are pruned once they expire
+     */
+    endLobbySessions(code) {
+        for (const entry of this.sessionTokens.values()) {
+            if (entry.lobbyCode === code) {
+                entry.lobbyGone = true;
+            }
+        }
+        for (const [sessionId, sessionData] of this.sessionToPlayer) {
+            if (sessionData.lobbyCode === code) {
+                this.sessionToPlayer.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Drop expired tokens
+     */
+    pruneSessionTokens(now = Date.now()) {
+        for (const [token, entry] of this.sessionTokens) {
+            if (entry.expiresAt <= now) {
+                this.sessionTokens.delete(token);
+            }
+        }
     }
 
     /**
      * Create a new lobby
+     * With a shared store the code is reserved across all instances beforehand and passed in
      */
-    createLobby(socketId, hostName) {
+    createLobby(socketId, hostName, reservedCode = null, profileId = null) {
         if (this.lobbies.size >= this.maxLobbies) {
             return { success: false, message: 'Maximum number of lobbies reached' };
         }
 
-        const code = this.generateCode();
+        const code = reservedCode || this.generateCode();
         if (!code) {
             return { success: false, message: 'Could not generate lobby code' };
         }
@@ -58,13 +125,23 @@ export class LobbyManager {
                 id: socketId,
                 sessionId,
                 name: hostName,
+                team: null,
+                profileId, // set when the player keeps stats, see profileStore.js
                 alive: true,
                 connected: true
             }]]),
             phase: 'waiting',
+            settings: { ...DEFAULT_SETTINGS, maxPlayers: Math.min(DEFAULT_SETTINGS.maxPlayers, this.maxPlayersPerLobby) },
             targets: new Map(),
             pendingKills: new Map(),
-            killTimeouts: new Map() // victimId -> timeoutObject
+            killDeadlines: new Map(), // victimSessionId -> auto-confirm timestamp
+            disputes: [], // denied kills awaiting a ruling, see openDispute()
+            history: [], // events of the current (or last) game, see recordEvent()
+            eventSeq: 0, // numbers every private event, see recordPrivateEvent()
+            replayFloor: 0, // events up to this number can no longer be replayed
+            outbox: {}, // sessionId -> { floor, events } - the private events each player was sent
+            profileResults: [], // stats of the current (or last) game for players with a profile, see takeProfileResults()
+            lastActivityAt: Date.now() // see touchLobby() and sweepStaleLobbies()
         };
 
         this.lobbies.set(code, lobby);
@@ -74,26 +151,46 @@ export class LobbyManager {
         return {
             success: true,
             code,
-            sessionId,
-            players: this.getPlayersArray(lobby)
+            sessionToken: this.issueSessionToken(sessionId, code),
+            players: this.getPlayersArray(lobby),
+            settings: lobby.settings
         };
     }
 
     /**
-     * Join an existing lobby
+     * Whether a lobby can be joined right now, and if not why (also asked by join links before they ask for a name)
      */
-    joinLobby(code, socketId, playerName) {
+    getJoinStatus(code) {
         const lobby = this.lobbies.get(code);
         if (!lobby) {
-            return { success: false, message: 'Lobby not found' };
+            return { joinable: false, reason: 'lobby_gone', message: 'Lobby not found' };
         }
 
         if (lobby.phase !== 'waiting') {
-            return { success: false, message: 'Game already in progress' };
+            return { joinable: false, reason: 'in_progress', message: 'Game already in progress' };
+        }
+
+        if (lobby.players.size >= lobby.settings.maxPlayers) {
+            return { joinable: false, reason: 'full', message: 'Lobby is full' };
+        }
+
+        return { joinable: true };
+    }
+
+    /**
+     * Join an existing lobby
+     */
+    joinLobby(code, socketId, playerName, profileId = null) {
+        const status = this.getJoinStatus(code);
+        if (!status.joinable) {
+            return { success: false, reason: status.reason, message: status.message };
         }
 
-        if (lobby.players.size >= this.maxPlayersPerLobby) {
-            return { success: false, message: 'Lobby is full' };
+        // Targets are shown by name, so names must tell players apart
+        const lobby = this.lobbies.get(code);
+        const lowerName = playerName.toLowerCase();
+        if (Array.from(lobby.players.values()).some(p => p.name.toLowerCase() === lowerName)) {
+            return { success: false, reason: 'name_taken', message: 'That name is already taken in this lobby' };
         }
 
         const sessionId = this.generateSessionId();
@@ -102,6 +199,8 @@ export class LobbyManager {
             id: socketId,
             sessionId,
             name: playerName,
+            team: this.smallestTeam(lobby),
+            profileId,
             alive: true,
             connected: true
         });
@@ -110,24 +209,45 @@ export class LobbyManager {
 
         return {
             success: true,
-            sessionId,
-            players: this.getPlayersArray(lobby)
+            sessionToken: this.issueSessionToken(sessionId, code),
+            players: this.getPlayersArray(lobby),
+            settings: lobby.settings
         };
     }
 
     /**
-     * Rejoin using session ID
+     * Rejoin using a session token
+     * A successful rejoin hands out a new token; the one used stays valid until the new one is used,
+     * so a client whose reply got lost (or that rejoined twice at once) can still get back in
+     * Failures carry a reason: 'session_invalid' | 'session_expired' | 'lobby_gone'
      */
-    rejoinLobby(sessionId, newSocketId) {
-        const sessionData = this.sessionToPlayer.get(sessionId);
-        if (!sessionData) {
-            return { success: false, message: 'Session not found' };
+    rejoinLobby(sessionToken, newSocketId, lastSeq = null) {
+        const entry = this.sessionTokens.get(sessionToken);
+        if (!entry) {
+            metrics.rejoins.inc({ result: 'session_invalid' });
+            return { success: false, reason: 'session_invalid', message: 'Session not found' };
+        }
+
+        if (entry.lobbyGone) {
+            this.sessionTokens.delete(sessionToken);
+            metrics.rejoins.inc({ result: 'lobby_gone' });
+            return { success: false, reason: 'lobby_gone', message: 'Lobby no longer exists' };
         }
 
-        const lobby = this.lobbies.get(sessionData.lobbyCode);
+        if (entry.expiresAt <= Date.now()) {
+            this.sessionTokens.delete(sessionToken);
+            metrics.rejoins.inc({ result: 'session_expired' });
+            return { success: false, reason: 'session_expired', message: 'Your session has expired' };
+        }
+
+        const { sessionId } = entry;
+        const sessionData = this.sessionToPlayer.get(sessionId);
+        const lobby = sessionData ? this.lobbies.get(sessionData.lobbyCode) : null;
         if (!lobby) {
+            this.sessionTokens.delete(sessionToken);
             this.sessionToPlayer.delete(sessionId);
-            return { success: false, message: 'Lobby no longer exists' };
+            metrics.rejoins.inc({ result: 'lobby_gone' });
+            return { success: false, reason: 'lobby_gone', message: 'Lobby no longer exists' };
         }
 
         // Find the player by session ID
@@ -143,19 +263,24 @@ export class LobbyManager {
 
         if (!player) {
             this.sessionToPlayer.delete(sessionId);
-            return { success: false, message: 'Player not found in lobby' };
+            this.revokeSessionTokens(sessionId);
+            metrics.rejoins.inc({ result: 'session_invalid' });
+            return { success: false, reason: 'session_invalid', message: 'Player not found in lobby' };
         }
 
         // Update socket ID
         lobby.players.delete(oldSocketId);
         player.id = newSocketId;
         player.connected = true;
+        player.dropDeadline = null;
         lobby.players.set(newSocketId, player);
 
         // Update mappings
         this.playerToLobby.delete(oldSocketId);
         this.playerToLobby.set(newSocketId, sessionData.lobbyCode);
         this.sessionToPlayer.set(sessionId, { ...sessionData, socketId: newSocketId });
+        this.revokeSessionTokens(sessionId, sessionToken);
+        metrics.rejoins.inc({ result: 'success' });
 
         // Update host ID if this was the host
         if (lobby.hostSessionId === sessionId) {
@@ -189,29 +314,289 @@ export class LobbyManager {
             }
         }
 
+        if (lobby.phase === 'playing') {
+            this.recordEvent(lobby, 'player_reconnected', { player: player.name });
+        }
+
+        return {
+            success: true,
+            code: sessionData.lobbyCode,
+            sessionId,
+            sessionToken: this.issueSessionToken(sessionId, sessionData.lobbyCode),
+            ...this.getPlayerSnapshot(lobby, newSocketId, lastSeq)
+        };
+    }
+
+    /**
+     * Bring a connected player up to date without rejoining (their token stays as it is)
+     */
+    syncPlayer(code, socketId, lastSeq = null) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || !lobby.players.has(socketId)) {
+            return { success: false, message: 'Player not found' };
+        }
+        return { success: true, code, ...this.getPlayerSnapshot(lobby, socketId, lastSeq) };
+    }
+
+    /**
+     * Everything a client needs to show a player's screen, plus the private events sent after lastSeq
+     */
+    getPlayerSnapshot(lobby, socketId, lastSeq) {
+        const player = lobby.players.get(socketId);
+        const sessionId = player.sessionId;
+
         // Get current target name if in game
         let targetName = null;
+        let targetPhoto = null;
+        let targetExposed = false;
         if (lobby.phase === 'playing' && player.alive) {
-            const targetId = lobby.targets.get(newSocketId);
+            const targetId = lobby.targets.get(socketId);
             if (targetId) {
                 const targetPlayer = lobby.players.get(targetId);
                 targetName = targetPlayer ? targetPlayer.name : null;
+                targetPhoto = targetPlayer ? targetPlayer.photo || null : null;
+                targetExposed = targetPlayer ? !!targetPlayer.exposed : false;
             }
         }
 
         return {
-            success: true,
-            code: sessionData.lobbyCode,
             phase: lobby.phase,
             players: this.getPlayersArray(lobby),
             isHost: lobby.hostSessionId === sessionId,
             isAlive: player.alive,
             target: targetName,
+            targetPhoto,
+            killWord: lobby.phase === 'playing' ? player.killWord || null : null,
+            mission: targetName ? player.mission : null,
             aliveCount: this.getAliveCount(lobby),
-            allPlayers: this.getAllPlayersWithStatus(lobby)
+            allPlayers: this.getAllPlayersWithStatus(lobby),
+            settings: lobby.settings,
+            summary: lobby.phase === 'ended' ? buildGameSummary(lobby.history) : null,
+            killFeed: this.getKillFeed(lobby, !player.alive),
+            spectator: player.alive ? null : this.getSpectatorView(lobby.code),
+            disputes: this.getDisputeBoard(lobby, socketId),
+            endsAt: lobby.phase === 'playing' ? lobby.endsAt || null : null,
+            suddenDeath: lobby.phase === 'playing' && !!lobby.suddenDeath,
+            suddenDeathChain: this.getSuddenDeathChain(lobby.code),
+            heatDeadline: player.alive ? player.heatDeadline || null : null,
+            exposed: !!player.exposed,
+            targetExposed,
+            killDisputed: lobby.disputes.some(d => d.killerSessionId === sessionId),
+            ...this.getPendingKillState(lobby, socketId),
+            seq: lobby.eventSeq,
+            missed: this.getMissedEvents(lobby, sessionId, lastSeq)
         };
     }
 
+    /**
+     * Where a player stands on pending kills: as the victim (with the deadline and denials left) and as the killer
+     */
+    getPendingKillState(lobby, socketId) {
+        const player = lobby.players.get(socketId);
+        if (lobby.phase !== 'playing' || !player.alive) {
+            return { pendingKill: null, awaitingKill: null };
+        }
+
+        const deadline = lobby.killDeadlines.get(player.sessionId);
+        const pendingKill = lobby.pendingKills.has(socketId) && deadline ? {
+            deadline,
+            denialsLeft: this.getDenialsLeft(lobby, player)
+        } : null;
+
+        const victimId = Array.from(lobby.pendingKills).find(([, killerId]) => killerId === socketId)?.[0];
+        const victim = victimId ? lobby.players.get(victimId) : null;
+        const awaitingKill = victim && lobby.killDeadlines.has(victim.sessionId)
+            ? { deadline: lobby.killDeadlines.get(victim.sessionId) }
+            : null;
+
+        return { pendingKill, awaitingKill };
+    }
+
+    getDenialsLeft(lobby, victim) {
+        return lobby.settings.allowDeny && !victim.exposed ? lobby.settings.maxDenials - (victim.denialsUsed || 0) : 0;
+    }
+
+    /**
+     * Keep a private event sent to a player so it can be replayed if their connection missed it
+     * Returns the event's sequence number, or null if the player is not in the lobby
+     */
+    recordPrivateEvent(code, socketId, event, payload) {
+        const lobby = this.lobbies.get(code);
+        const player = lobby ? lobby.players.get(socketId) : null;
+        if (!player) {
+            return null;
+        }
+
+        const seq = ++lobby.eventSeq;
+        const box = lobby.outbox[player.sessionId] || { floor: lobby.replayFloor, events: [] };
+        box.events.push({ seq, event, payload });
+        if (box.events.length > OUTBOX_SIZE) {
+            box.floor = box.events.shift().seq;
+        }
+        lobby.outbox[player.sessionId] = box;
+        return seq;
+    }
+
+    /**
+     * The private events a player was sent after lastSeq, oldest first
+     * Returns null when they cannot all be replayed (unknown position, trimmed or from an earlier round)
+     */
+    getMissedEvents(lobby, sessionId, lastSeq) {
+        if (lastSeq === null || lastSeq > lobby.eventSeq) {
+            return null;
+        }
+
+        const box = lobby.outbox[sessionId] || { floor: lobby.replayFloor, events: [] };
+        if (lastSeq < Math.max(box.floor, lobby.replayFloor)) {
+            return null;
+        }
+        return box.events.filter(entry => entry.seq > lastSeq);
+    }
+
+    /**
+     * Forget the private events of the last round: they must not be replayed into a new one
+     */
+    resetOutbox(lobby) {
+        lobby.outbox = {};
+        lobby.replayFloor = lobby.eventSeq;
+    }
+
+    /**
+     * Update lobby rules (host only, before the game starts)
+     */
+    updateSettings(code, requesterId, updates) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, message: 'Only the host can change the rules' };
+        }
+
+        if (lobby.phase !== 'waiting') {
+            return { success: false, message: 'Rules can only be changed before the game starts' };
+        }
+
+        const result = validateSettings(lobby.settings, updates);
+        if (!result.success) {
+            return result;
+        }
+
+        if (result.settings.maxPlayers > this.maxPlayersPerLobby) {
+            return { success: false, message: `Lobbies are limited to ${this.maxPlayersPerLobby} players` };
+        }
+
+        if (result.settings.maxPlayers < lobby.players.size) {
+            return { success: false, message: 'More players have already joined than that maximum' };
+        }
+
+        const teamsChanged = result.settings.teamCount !== lobby.settings.teamCount;
+        lobby.settings = result.settings;
+        if (teamsChanged) {
+            this.assignBalancedTeams(lobby);
+        }
+        return { success: true, settings: lobby.settings, players: this.getPlayersArray(lobby) };
+    }
+
+    /**
+     * Pick a team in the lobby (team mode, before the game starts)
+     */
+    chooseTeam(code, socketId, teamId) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
+
+        if (lobby.phase !== 'waiting') {
+            return { success: false, message: 'Teams can only be changed before the game starts' };
+        }
+
+        const player = lobby.players.get(socketId);
+        if (!player) {
+            return { success: false, message: 'You are not in this lobby' };
+        }
+
+        if (!activeTeams(lobby.settings.teamCount).some(t => t.id === teamId)) {
+            return { success: false, message: 'That team is not in play' };
+        }
+
+        player.team = teamId;
+        return { success: true, players: this.getPlayersArray(lobby) };
+    }
+
+    /**
+     * Shuffle everyone into evenly sized teams (host only, before the game starts)
+     */
+    balanceTeams(code, requesterId) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, message: 'Only the host can balance teams' };
+        }
+
+        if (lobby.phase !== 'waiting') {
+            return { success: false, message: 'Teams can only be changed before the game starts' };
+        }
+
+        if (lobby.settings.teamCount === 0) {
+            return { success: false, message: 'This lobby is not playing in teams' };
+        }
+
+        this.assignBalancedTeams(lobby);
+        return { success: true, players: this.getPlayersArray(lobby) };
+    }
+
+    /**
+     * Deal players round-robin into the active teams (or clear teams for free for all)
+     */
+    assignBalancedTeams(lobby) {
+        const teams = activeTeams(lobby.settings.teamCount);
+        const players = this.shuffleArray(Array.from(lobby.players.values()));
+        players.forEach((player, i) => {
+            player.team = teams.length > 0 ? teams[i % teams.length].id : null;
+        });
+    }
+
+    /**
+     * The active team with the fewest members (null in free for all)
+     */
+    smallestTeam(lobby) {
+        const teams = activeTeams(lobby.settings.teamCount);
+        if (teams.length === 0) {
+            return null;
+        }
+
+        const sizes = teams.map(team => ({
+            id: team.id,
+            size: Array.from(lobby.players.values()).filter(p => p.team === team.id).length
+        }));
+        sizes.sort((a, b) => a.size - b.size);
+        return sizes[0].id;
+    }
+
+    /**
+     * Upload a custom mission deck (JSON or plain text) and select it (host only, before start)
+     */
+    uploadMissions(code, requesterId, text) {
+        const parsed = parseMissionDeck(text);
+        if (!parsed.success) {
+            return parsed;
+        }
+        return this.updateSettings(code, requesterId, { missionDeck: 'custom', customMissions: parsed.missions });
+    }
+
+    /**
+     * Get the rules of a lobby
+     */
+    getSettings(code) {
+        const lobby = this.lobbies.get(code);
+        return lobby ? lobby.settings : null;
+    }
+
     /**
      * Start the game - creates a Hamiltonian cycle for targets
      */
@@ -225,43 +610,250 @@ export class LobbyManager {
             return { success: false, message: 'Only the host can start the game' };
         }
 
-        if (lobby.players.size < 3) {
-            return { success: false, message: 'Need at least 3 players to start' };
+        if (lobby.players.size < lobby.settings.minPlayers) {
+            return { success: false, message: `Need at least ${lobby.settings.minPlayers} players to start` };
         }
 
         if (lobby.phase !== 'waiting') {
             return { success: false, message: 'Game already started' };
         }
 
-        // Create Hamiltonian cycle
-        const playerIds = Array.from(lobby.players.keys());
-        this.shuffleArray(playerIds);
+        const teamMode = lobby.settings.teamCount > 0;
+        if (teamMode) {
+            const teamIds = activeTeams(lobby.settings.teamCount).map(t => t.id);
+            for (const player of lobby.players.values()) {
+                if (!teamIds.includes(player.team)) {
+                    player.team = this.smallestTeam(lobby);
+                }
+            }
+            if (new Set(Array.from(lobby.players.values(), p => p.team)).size < 2) {
+                return { success: false, message: 'Need players on at least two teams to start' };
+            }
+        }
 
-        for (let i = 0; i < playerIds.length; i++) {
-            const killerId = playerIds[i];
-            const targetId = playerIds[(i + 1) % playerIds.length];
-            lobby.targets.set(killerId, targetId);
+        // Create Hamiltonian cycle (team mode: a ring where everyone hunts the next rival)
+        const playerIds = teamMode ? this.buildTeamRing(lobby) : this.buildTargetCycle(lobby);
+
+        if (teamMode) {
+            lobby.ring = playerIds.map(id => lobby.players.get(id).sessionId);
+            this.assignTeamTargets(lobby);
+        } else {
+            for (let i = 0; i < playerIds.length; i++) {
+                const killerId = playerIds[i];
+                const targetId = playerIds[(i + 1) % playerIds.length];
+                lobby.targets.set(killerId, targetId);
+            }
+        }
+
+        // Remember this round's pairs so a rematch can avoid repeating them
+        lobby.previousPairs = Array.from(lobby.targets, ([killerId, targetId]) => [
+            lobby.players.get(killerId).sessionId,
+            lobby.players.get(targetId).sessionId
+        ]);
+
+        // Mission cards: every contract comes with a condition
+        lobby.missionPile = [];
+        for (const player of lobby.players.values()) {
+            player.mission = this.drawMission(lobby);
+            player.denialsUsed = 0;
+            player.kills = 0;
+            player.diedAt = null;
+            player.exposed = false;
+            player.killWord = null; // a rematch may switch word mode off
+            player.claimCooldownUntil = 0;
+            player.heatDeadline = this.nextHeatDeadline(lobby);
+        }
+        lobby.disputes = [];
+        lobby.endsAt = lobby.settings.gameDurationMinutes > 0
+            ? Date.now() + lobby.settings.gameDurationMinutes * 60000
+            : null;
+        lobby.suddenDeath = false;
+
+        // Word mode: everyone gets a secret word their hunter must learn
+        if (lobby.settings.verificationMode === 'word') {
+            const words = pickKillWords(lobby.players.size);
+            Array.from(lobby.players.values()).forEach((player, i) => {
+                player.killWord = words[i];
+            });
         }
 
         lobby.phase = 'playing';
+        lobby.history = [];
+        lobby.profileResults = [];
+        this.resetOutbox(lobby);
+        this.recordEvent(lobby, 'game_started', {
+            chain: playerIds.map(id => lobby.players.get(id).name),
+            teams: teamMode ? Object.fromEntries(playerIds.map(id => {
+                const player = lobby.players.get(id);
+                return [player.name, player.team];
+            })) : null
+        });
+        metrics.gamesStarted.inc();
 
         const assignments = [];
         for (const [playerId, targetId] of lobby.targets) {
             const targetPlayer = lobby.players.get(targetId);
             assignments.push({
                 playerId,
-                target: targetPlayer.name
+                target: targetPlayer.name,
+                targetPhoto: targetPlayer.photo || null,
+                killWord: lobby.players.get(playerId).killWord || null,
+                mission: lobby.players.get(playerId).mission,
+                heatDeadline: lobby.players.get(playerId).heatDeadline
             });
         }
 
         return {
             success: true,
+            endsAt: lobby.endsAt,
             assignments,
+            seq: lobby.eventSeq, // private events of this round are numbered from here
             aliveCount: lobby.players.size,
             allPlayers: this.getAllPlayersWithStatus(lobby)
         };
     }
 
+    /**
+     * Shuffle players into a cycle order, preferring orders that
+     * repeat as few of last round's killer->target pairs as possible
+     */
+    buildTargetCycle(lobby) {
+        const playerIds = Array.from(lobby.players.keys());
+        const previous = new Set((lobby.previousPairs || []).map(([killer, target]) => `${killer}>${target}`));
+
+        const countRepeats = (order) => order.filter((id, i) => {
+            const targetId = order[(i + 1) % order.length];
+            return previous.has(`${lobby.players.get(id).sessionId}>${lobby.players.get(targetId).sessionId}`);
+        }).length;
+
+        let best = this.shuffleArray([...playerIds]);
+        let bestRepeats = countRepeats(best);
+
+        for (let attempt = 0; attempt < 50 && bestRepeats > 0; attempt++) {
+            const candidate = this.shuffleArray([...playerIds]);
+            const repeats = countRepeats(candidate);
+            if (repeats < bestRepeats) {
+                best = candidate;
+                bestRepeats = repeats;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * When a player has to make their next kill by (null if heat phases are off)
+     */
+    nextHeatDeadline(lobby) {
+        return lobby.settings.heatMinutes > 0 ? Date.now() + lobby.settings.heatMinutes * 60000 : null;
+    }
+
+    /**
+     * Team mode: interleave the teams so neighbours in the ring are rivals wherever possible
+     */
+    buildTeamRing(lobby) {
+        const byTeam = activeTeams(lobby.settings.teamCount).map(team => this.shuffleArray(
+            Array.from(lobby.players.values()).filter(p => p.team === team.id).map(p => p.id)
+        ));
+
+        const ring = [];
+        let lastTeam = null;
+        while (byTeam.some(members => members.length > 0)) {
+            // Largest team first, but never the same team twice in a row if avoidable
+            byTeam.sort((a, b) => b.length - a.length);
+            const next = byTeam.find(members => members.length > 0 && lobby.players.get(members[0]).team !== lastTeam)
+                || byTeam[0];
+            const playerId = next.shift();
+            lastTeam = lobby.players.get(playerId).team;
+            ring.push(playerId);
+        }
+        return ring;
+    }
+
+    /**
+     * Team mode: every living player hunts the next living rival after them in the ring
+     * Returns the players whose target changed; excludeId is a player on their way out
+     */
+    assignTeamTargets(lobby, excludeId = null) {
+        const before = new Map(lobby.targets);
+        const ring = lobby.ring
+            .map(sessionId => this.findSocketIdBySession(lobby, sessionId))
+            .filter(id => id && id !== excludeId && lobby.players.get(id).alive);
+
+        lobby.targets.clear();
+        ring.forEach((playerId, i) => {
+            const team = lobby.players.get(playerId).team;
+            for (let step = 1; step < ring.length; step++) {
+                const candidateId = ring[(i + step) % ring.length];
+                if (lobby.players.get(candidateId).team !== team) {
+                    lobby.targets.set(playerId, candidateId);
+                    break;
+                }
+            }
+        });
+
+        return Array.from(lobby.targets)
+            .filter(([playerId, targetId]) => before.get(playerId) !== targetId)
+            .map(([playerId, targetId]) => ({ playerId, ...this.describeTarget(lobby, targetId) }));
+    }
+
+    /**
+     * Reset an ended game back to the waiting room with the same code and sessions (host only)
+     * Players who are offline get the usual grace period to come back; anyone can still leave before the start
+     */
+    rematch(code, requesterId) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, message: 'Only the host can start a rematch' };
+        }
+
+        if (lobby.phase !== 'ended') {
+            return { success: false, message: 'The game is not over yet' };
+        }
+
+        // Everyone is back in, including players who are offline right now (a locked phone): they get
+        // the waiting room's grace period to come back, like anyone who disconnects before a game
+        for (const player of lobby.players.values()) {
+            player.alive = true;
+            player.dropDeadline = player.connected ? null : Date.now() + lobby.settings.disconnectGraceSeconds * 1000;
+        }
+
+        lobby.phase = 'waiting';
+        lobby.targets.clear();
+        lobby.pendingKills.clear();
+        lobby.killDeadlines.clear();
+        lobby.disputes = [];
+        this.resetOutbox(lobby);
+
+        return {
+            success: true,
+            players: this.getPlayersArray(lobby),
+            settings: lobby.settings
+        };
+    }
+
+    /**
+     * Draw the next mission from the lobby's deck, reshuffling when it runs out
+     * Returns null when missions are turned off
+     */
+    drawMission(lobby) {
+        const { missionDeck, customMissions } = lobby.settings;
+        if (missionDeck === 'none') {
+            return null;
+        }
+
+        if (!lobby.missionPile || lobby.missionPile.length === 0) {
+            const missions = missionDeck === 'custom' ? customMissions : MISSION_DECKS[missionDeck].missions;
+            lobby.missionPile = this.shuffleArray([...missions]);
+        }
+
+        return lobby.missionPile.pop() || null;
+    }
+
     /**
      * Initiate a kill (killer claims to have killed their target)
      */
@@ -286,7 +878,23 @@ export class LobbyManager {
             return { success: false, message: 'Target is no longer alive' };
         }
 
+        if (lobby.settings.verificationMode === 'word') {
+            return { success: false, message: "This lobby uses secret words - enter your target's word to claim the kill" };
+        }
+
+        if (lobby.disputes.some(d => d.killerSessionId === killer.sessionId)) {
+            return { success: false, message: 'Your last kill is under dispute - wait for the ruling' };
+        }
+
+        // Asking again must not restart the victim's clock
+        if (lobby.pendingKills.has(victimId)) {
+            return { success: false, message: 'Kill already pending' };
+        }
+
+        const deadline = Date.now() + lobby.settings.killConfirmSeconds * 1000;
         lobby.pendingKills.set(victimId, killerId);
+        lobby.killDeadlines.set(victim.sessionId, deadline);
+        this.recordEvent(lobby, 'kill_initiated', { killer: killer.name, victim: victim.name });
 
         // Timeout logic is handled by server.js to ensure broadcast
 
@@ -295,22 +903,87 @@ export class LobbyManager {
             victimId,
             victimSessionId: victim.sessionId,
             victimName: victim.name,
-            deadline: Date.now() + 15000
+            deadline,
+            denialsLeft: this.getDenialsLeft(lobby, victim)
         };
     }
 
     /**
-     * Confirm a kill (victim confirms they were killed, or auto-timeout)
+     * Claim a kill with the victim's secret word (word verification mode)
+     * A correct word confirms immediately; a wrong one puts the killer on cooldown, plus the lobby's penalty
      */
-    confirmKill(code, victimId, isAuto = false) {
+    claimKill(code, killerId, word) {
         const lobby = this.lobbies.get(code);
         if (!lobby || lobby.phase !== 'playing') {
             return { success: false, message: 'Game not in progress' };
         }
 
-        const killerId = lobby.pendingKills.get(victimId);
-        if (!killerId) {
-            return { success: false, message: 'No pending kill to confirm' };
+        if (lobby.settings.verificationMode !== 'word') {
+            return { success: false, message: 'This lobby does not use secret words' };
+        }
+
+        const killer = lobby.players.get(killerId);
+        if (!killer || !killer.alive) {
+            return { success: false, message: 'You are not alive' };
+        }
+
+        const now = Date.now();
+        if (killer.claimCooldownUntil > now) {
+            return {
+                success: false,
+                message: `Too soon - you can try again in ${Math.ceil((killer.claimCooldownUntil - now) / 1000)}s`,
+                cooldownUntil: killer.claimCooldownUntil
+            };
+        }
+
+        const victimId = lobby.targets.get(killerId);
+        const victim = victimId ? lobby.players.get(victimId) : null;
+        if (!victim || !victim.alive) {
+            return { success: false, message: 'No target assigned' };
+        }
+
+        const guess = typeof word === 'string' ? word.trim().toLowerCase() : '';
+        if (guess !== victim.killWord) {
+            this.recordEvent(lobby, 'kill_claim_failed', { killer: killer.name, victim: victim.name });
+
+            // Every wrong word costs the cooldown, so words can't be guessed in a burst; exposing the hunter comes on top
+            killer.claimCooldownUntil = now + lobby.settings.wrongWordCooldownSeconds * 1000;
+            const wait = `you must wait ${lobby.settings.wrongWordCooldownSeconds}s before trying again`;
+            if (lobby.settings.wrongWordPenalty === 'expose') {
+                return {
+                    success: false,
+                    message: `Wrong word - your target now knows you are hunting them, and ${wait}`,
+                    wrongWord: true,
+                    cooldownUntil: killer.claimCooldownUntil,
+                    exposed: { victimId, hunter: killer.name }
+                };
+            }
+
+            return {
+                success: false,
+                message: `Wrong word - ${wait}`,
+                wrongWord: true,
+                cooldownUntil: killer.claimCooldownUntil
+            };
+        }
+
+        // Correct word: goes through the normal confirmation path, no timeout needed
+        lobby.pendingKills.set(victimId, killerId);
+        return this.confirmKill(code, victimId, false);
+    }
+
+    /**
+     * Confirm a kill (victim confirms they were killed, or auto-timeout)
+     */
+    confirmKill(code, victimId, isAuto = false) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing') {
+            return { success: false, message: 'Game not in progress' };
+        }
+
+        const killerId = lobby.pendingKills.get(victimId);
+        if (!killerId) {
+            return { success: false, message: 'No pending kill to confirm' };
         }
 
         const victim = lobby.players.get(victimId);
@@ -321,36 +994,68 @@ export class LobbyManager {
         }
 
         victim.alive = false;
-        lobby.pendingKills.delete(victimId);
-
-        lobby.pendingKills.delete(victimId);
-
-
-        const victimsTarget = lobby.targets.get(victimId);
-        lobby.targets.set(killerId, victimsTarget);
-        lobby.targets.delete(victimId);
+        victim.diedAt = Date.now();
+        killer.kills = (killer.kills || 0) + 1;
+        this.clearPendingKill(lobby, victimId);
+        this.dropDisputes(lobby, victim.sessionId);
+
+        // A kill the victim had claimed themselves dies with them
+        const cancelledKills = []; // { victimSessionId, notifyId } - notifyId is the victim of the voided kill
+        for (const [pendingVictimId, pendingKillerId] of lobby.pendingKills) {
+            if (pendingKillerId === victimId) {
+                cancelledKills.push({ victimSessionId: lobby.players.get(pendingVictimId).sessionId, notifyId: pendingVictimId });
+                this.clearPendingKill(lobby, pendingVictimId);
+            }
+        }
+        this.recordEvent(lobby, isAuto ? 'kill_auto_confirmed' : 'kill_confirmed', {
+            killer: killer.name,
+            victim: victim.name
+        });
+        metrics.kills.inc({ outcome: isAuto ? 'auto_confirmed' : 'confirmed' });
 
-        const alivePlayers = Array.from(lobby.players.values()).filter(p => p.alive);
-        const aliveCount = alivePlayers.length;
+        // Teammates further along the ring may have been hunting the victim too
+        let retargets = [];
+        if (lobby.settings.teamCount > 0) {
+            retargets = this.assignTeamTargets(lobby).filter(r => r.playerId !== killerId);
+        } else {
+            const victimsTarget = lobby.targets.get(victimId);
+            lobby.targets.set(killerId, victimsTarget);
+            lobby.targets.delete(victimId);
+        }
 
-        const isGameOver = aliveCount === 1;
-        let winner = null;
+        const { aliveCount, isGameOver, winner } = this.checkGameOver(lobby);
         let newTargetName = null;
+        let newTargetPhoto = null;
+        let newTargetExposed = false;
 
-        if (isGameOver) {
-            lobby.phase = 'ended';
-            winner = alivePlayers[0].name;
-        } else {
+        // A kill buys the killer time and lifts any exposure
+        const coverRestoredFor = killer.exposed && !isGameOver ? this.getHunterIds(lobby, killerId) : [];
+        killer.heatDeadline = this.nextHeatDeadline(lobby);
+        killer.exposed = false;
+
+        if (!isGameOver) {
             const newTargetId = lobby.targets.get(killerId);
             const newTarget = lobby.players.get(newTargetId);
             newTargetName = newTarget ? newTarget.name : null;
+            newTargetPhoto = newTarget ? newTarget.photo || null : null;
+            newTargetExposed = newTarget ? !!newTarget.exposed : false;
+            killer.mission = lobby.settings.missionOnKill === 'inherit' ? victim.mission : this.drawMission(lobby);
         }
 
         return {
             success: true,
             killerId,
             victimId, // Socket ID
+            killerName: killer.name,
+            victimName: victim.name,
             newTarget: newTargetName,
+            newTargetPhoto,
+            newMission: isGameOver ? null : killer.mission,
+            heatDeadline: isGameOver ? null : killer.heatDeadline,
+            newTargetExposed,
+            coverRestoredFor,
+            cancelledKills,
+            retargets: isGameOver ? [] : retargets,
             aliveCount,
             isGameOver,
             winner,
@@ -365,20 +1070,38 @@ export class LobbyManager {
         const lobby = this.lobbies.get(code);
         if (!lobby) return { success: false, message: 'Lobby not found' };
 
-        // Find player by session
-        let victimSocketId = null;
-        for (const [id, p] of lobby.players) {
-            if (p.sessionId === victimSessionId) {
-                victimSocketId = id;
-                break;
-            }
+        const victimSocketId = this.findSocketIdBySession(lobby, victimSessionId);
+        if (!victimSocketId) {
+            return { success: false, message: 'Victim session not found in lobby' };
         }
 
+        return this.confirmKill(code, victimSocketId, isAuto);
+    }
+
+    /**
+     * Cancel a pending kill using Session ID (auto-cancel on timeout)
+     */
+    cancelKillBySession(code, victimSessionId) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) return { success: false, message: 'Lobby not found' };
+
+        const victimSocketId = this.findSocketIdBySession(lobby, victimSessionId);
         if (!victimSocketId) {
             return { success: false, message: 'Victim session not found in lobby' };
         }
 
-        return this.confirmKill(code, victimSocketId, isAuto);
+        const killerId = lobby.pendingKills.get(victimSocketId);
+        if (!killerId) {
+            return { success: false, message: 'No pending kill to cancel' };
+        }
+
+        this.clearPendingKill(lobby, victimSocketId);
+        this.recordEvent(lobby, 'kill_expired', {
+            killer: lobby.players.get(killerId).name,
+            victim: lobby.players.get(victimSocketId).name
+        });
+        metrics.kills.inc({ outcome: 'auto_cancelled' });
+        return { success: true, killerId, victimId: victimSocketId };
     }
 
     /**
@@ -395,12 +1118,237 @@ export class LobbyManager {
             return { success: false, message: 'No pending kill to cancel' };
         }
 
-        lobby.pendingKills.delete(victimId);
+        if (!lobby.settings.allowDeny) {
+            return { success: false, message: 'Denying kills is disabled in this lobby' };
+        }
+
+        const killer = lobby.players.get(killerId);
+        const victim = lobby.players.get(victimId);
+        if (victim.exposed) {
+            return { success: false, message: 'You are exposed and can no longer deny kills' };
+        }
+
+        if ((victim.denialsUsed || 0) >= lobby.settings.maxDenials) {
+            return { success: false, message: `You have used all ${lobby.settings.maxDenials} of your denials this game` };
+        }
+
+        victim.denialsUsed = (victim.denialsUsed || 0) + 1;
+        this.clearPendingKill(lobby, victimId);
+        this.recordEvent(lobby, 'kill_denied', {
+            killer: killer.name,
+            victim: victim.name
+        });
+        metrics.kills.inc({ outcome: 'denied' });
 
         // Clear timeout logic handled in server.js now
 
+        const dispute = this.openDispute(lobby, killer, victim);
+        return { success: true, killerId, disputed: dispute !== null };
+    }
+
+    /**
+     * Turn a denied kill into a dispute for the judges to rule on
+     * Returns null when nobody is able to judge it, in which case the denial simply stands
+     */
+    openDispute(lobby, killer, victim) {
+        const dispute = {
+            id: this.generateSessionId(),
+            killerSessionId: killer.sessionId,
+            victimSessionId: victim.sessionId,
+            killer: killer.name,
+            victim: victim.name,
+            at: Date.now(),
+            deadline: Date.now() + DISPUTE_RULING_MS,
+            votes: {} // judge sessionId -> 'confirm' | 'deny'
+        };
+
+        if (this.getDisputeJudges(lobby, dispute).length === 0) {
+            return null;
+        }
+
+        lobby.disputes.push(dispute);
+        this.recordEvent(lobby, 'dispute_opened', { killer: killer.name, victim: victim.name });
+        return dispute;
+    }
+
+    /**
+     * Socket IDs of everyone who may rule on a dispute
+     * The host judges alone unless they are one of the parties; otherwise the connected dead players vote
+     */
+    getDisputeJudges(lobby, dispute) {
+        const host = lobby.players.get(lobby.hostId);
+        const hostIsParty = host && [dispute.killerSessionId, dispute.victimSessionId].includes(host.sessionId);
+        if (lobby.settings.disputeJudge === 'host' && host && !hostIsParty) {
+            return [host.id];
+        }
+
+        return Array.from(lobby.players.values())
+            .filter(p => !p.alive && p.connected)
+            .map(p => p.id);
+    }
+
+    /**
+     * Rule on a dispute: 'confirm' forces the kill through, 'deny' upholds the denial
+     * The host's ruling is final; dead players need a majority and a tie upholds the denial
+     */
+    ruleDispute(code, judgeId, disputeId, ruling) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing') {
+            return { success: false, message: 'Game not in progress' };
+        }
+
+        if (ruling !== 'confirm' && ruling !== 'deny') {
+            return { success: false, message: 'Invalid ruling' };
+        }
+
+        const dispute = lobby.disputes.find(d => d.id === disputeId);
+        if (!dispute) {
+            return { success: false, message: 'Dispute not found' };
+        }
+
+        const judges = this.getDisputeJudges(lobby, dispute);
+        if (!judges.includes(judgeId)) {
+            return { success: false, message: 'You cannot rule on this dispute' };
+        }
+
+        dispute.votes[lobby.players.get(judgeId).sessionId] = ruling;
+
+        const { confirmVotes, denyVotes } = this.countDisputeVotes(lobby, dispute, judges);
+        const majority = Math.floor(judges.length / 2) + 1;
+        let outcome = null;
+        if (confirmVotes >= majority) {
+            outcome = 'confirm';
+        } else if (denyVotes > judges.length - majority) {
+            outcome = 'deny';
+        }
+
+        if (!outcome) {
+            return { success: true, resolved: false };
+        }
+
+        const byHost = lobby.settings.disputeJudge === 'host' && judges.length === 1 && judges[0] === lobby.hostId;
+        return this.settleDispute(lobby, dispute, outcome, byHost ? 'host' : 'vote');
+    }
+
+    /**
+     * Uphold the denial of a dispute nobody ruled on before its deadline
+     */
+    expireDispute(code, disputeId) {
+        const lobby = this.lobbies.get(code);
+        const dispute = lobby && lobby.phase === 'playing' ? lobby.disputes.find(d => d.id === disputeId) : null;
+        if (!dispute) {
+            return { success: false, message: 'Dispute not found' };
+        }
+
+        return this.settleDispute(lobby, dispute, 'deny', 'timeout');
+    }
+
+    /**
+     * Uphold the denial of every dispute nobody is left to rule on (judges died, left or went offline,
+     * or hosting passed to one of the parties)
+     */
+    settleUnjudgedDisputes(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing') {
+            return [];
+        }
+
+        return lobby.disputes
+            .filter(dispute => this.getDisputeJudges(lobby, dispute).length === 0)
+            .map(dispute => this.settleDispute(lobby, dispute, 'deny', 'no_judges'));
+    }
+
+    /**
+     * Close a dispute with a ruling; by is 'host', 'vote', 'timeout' or 'no_judges'
+     */
+    settleDispute(lobby, dispute, outcome, by) {
+        lobby.disputes = lobby.disputes.filter(d => d !== dispute);
+        this.recordEvent(lobby, 'dispute_ruled', {
+            killer: dispute.killer,
+            victim: dispute.victim,
+            ruling: outcome,
+            by
+        });
+
+        const killerId = this.findSocketIdBySession(lobby, dispute.killerSessionId);
+        const victimId = this.findSocketIdBySession(lobby, dispute.victimSessionId);
+
+        if (outcome === 'deny') {
+            return { success: true, resolved: true, ruling: outcome, disputeId: dispute.id, killerId, victimId, victimName: dispute.victim };
+        }
+
+        // Another hunter (a teammate of the killer) may have claimed the victim meanwhile: that kill is void
+        const overtaken = [];
+        const otherKillerId = lobby.pendingKills.get(victimId);
+        if (otherKillerId) {
+            overtaken.push({ victimSessionId: dispute.victimSessionId, notifyId: otherKillerId });
+            this.clearPendingKill(lobby, victimId);
+            this.recordEvent(lobby, 'kill_cancelled', { killer: lobby.players.get(otherKillerId).name, victim: dispute.victim });
+        }
+
+        // Overturned: the kill goes through the normal confirmation path
+        lobby.pendingKills.set(victimId, killerId);
+        const result = this.confirmKill(lobby.code, victimId, false);
+        return { ...result, cancelledKills: [...overtaken, ...result.cancelledKills], resolved: true, ruling: outcome, disputeId: dispute.id };
+    }
+
+    /**
+     * Count the votes cast by the current judges (votes of judges who left no longer count)
+     */
+    countDisputeVotes(lobby, dispute, judges) {
+        const votes = judges.map(id => dispute.votes[lobby.players.get(id).sessionId]);
+        return {
+            confirmVotes: votes.filter(v => v === 'confirm').length,
+            denyVotes: votes.filter(v => v === 'deny').length
+        };
+    }
+
+    /**
+     * Drop disputes a player is party to (they died or left, so there is nothing left to rule on)
+     */
+    dropDisputes(lobby, sessionId) {
+        lobby.disputes = lobby.disputes.filter(d => d.killerSessionId !== sessionId && d.victimSessionId !== sessionId);
+    }
+
+    /**
+     * Open disputes a player may rule on, with the votes so far
+     */
+    getDisputeBoard(lobby, socketId) {
+        const player = lobby.players.get(socketId);
+        if (!player || lobby.phase !== 'playing') {
+            return [];
+        }
+
+        const board = [];
+        for (const dispute of lobby.disputes) {
+            const judges = this.getDisputeJudges(lobby, dispute);
+            if (!judges.includes(socketId)) continue;
+
+            board.push({
+                id: dispute.id,
+                killer: dispute.killer,
+                victim: dispute.victim,
+                at: dispute.at,
+                judges: judges.length,
+                ...this.countDisputeVotes(lobby, dispute, judges),
+                myVote: dispute.votes[player.sessionId] || null
+            });
+        }
+        return board;
+    }
+
+    /**
+     * Dispute boards for every connected player of a lobby (judges change as players die or leave)
+     */
+    getDisputeBoards(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return [];
+        }
 
-        return { success: true, killerId };
+        return Array.from(lobby.players.values())
+            .filter(p => p.connected)
+            .map(p => ({ playerId: p.id, disputes: this.getDisputeBoard(lobby, p.id) }));
     }
 
     /**
@@ -425,89 +1373,1071 @@ export class LobbyManager {
             return { success: false, message: 'No pending kill to cancel' };
         }
 
-        lobby.pendingKills.delete(victimId);
+        this.clearPendingKill(lobby, victimId);
+        this.recordEvent(lobby, 'kill_cancelled', {
+            killer: lobby.players.get(killerId).name,
+            victim: lobby.players.get(victimId).name
+        });
         return { success: true, victimId };
     }
 
     /**
-     * Handle player disconnect - mark as disconnected but don't remove
+     * Leave a lobby voluntarily (any phase)
      */
-    handleDisconnect(socketId) {
+    leaveLobby(socketId) {
         const code = this.playerToLobby.get(socketId);
-        if (!code) return null;
+        const lobby = code ? this.lobbies.get(code) : null;
+        if (!lobby || !lobby.players.has(socketId)) {
+            return { success: false, message: 'You are not in a lobby' };
+        }
+
+        return { success: true, ...this.removePlayer(lobby, socketId) };
+    }
 
+    /**
+     * Kick a player from the lobby (host only, or an admin when requesterId is null)
+     */
+    kickPlayer(code, requesterId, playerId) {
         const lobby = this.lobbies.get(code);
-        if (!lobby) return null;
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
 
-        const player = lobby.players.get(socketId);
-        if (!player) return null;
+        if (requesterId && lobby.hostId !== requesterId) {
+            return { success: false, message: 'Only the host can kick players' };
+        }
 
-        // During waiting phase, just remove them
-        if (lobby.phase === 'waiting') {
-            this.playerToLobby.delete(socketId);
-            this.sessionToPlayer.delete(player.sessionId);
-            lobby.players.delete(socketId);
+        if (playerId === requesterId) {
+            return { success: false, message: 'You cannot kick yourself' };
+        }
 
-            if (socketId === lobby.hostId) {
-                // If host leaves during waiting, delete lobby
-                this.lobbies.delete(code);
-                return { code, players: [], lobbyDeleted: true };
-            }
+        if (!lobby.players.has(playerId)) {
+            return { success: false, message: 'Player not found' };
+        }
 
-            if (lobby.players.size === 0) {
-                this.lobbies.delete(code);
-                return { code, players: [], lobbyDeleted: true };
-            }
+        return { success: true, kickedId: playerId, ...this.removePlayer(lobby, playerId) };
+    }
 
-            return {
-                code,
-                players: this.getPlayersArray(lobby)
-            };
+    /**
+     * Hand the host role to another player (host only)
+     */
+    transferHost(code, requesterId, playerId) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
         }
 
-        // During game, just mark as disconnected (they can rejoin)
-        player.connected = false;
+        if (lobby.hostId !== requesterId) {
+            return { success: false, message: 'Only the host can transfer hosting' };
+        }
+
+        const newHost = lobby.players.get(playerId);
+        if (!newHost) {
+            return { success: false, message: 'Player not found' };
+        }
+
+        lobby.hostId = newHost.id;
+        lobby.hostSessionId = newHost.sessionId;
 
         return {
-            code,
+            success: true,
             players: this.getPlayersArray(lobby),
             allPlayers: this.getAllPlayersWithStatus(lobby)
         };
     }
 
     /**
-     * Get lobby count
+     * Remove a player from a lobby in any phase
+     * Relinks the target cycle, clears pending kills involving them and passes on hosting
      */
-    getLobbyCount() {
-        return this.lobbies.size;
-    }
+    removePlayer(lobby, socketId) {
+        const code = lobby.code;
+        const player = lobby.players.get(socketId);
+        let cancelledKills = [];
+        const wasPlaying = lobby.phase === 'playing';
+        let retargets = [];
 
-    /**
-     * Get alive count for a lobby
-     */
-    getAliveCount(lobby) {
-        return Array.from(lobby.players.values()).filter(p => p.alive).length;
+        if (lobby.phase === 'playing') {
+            ({ cancelledKills, retargets } = this.takeOutOfPlay(lobby, socketId));
+
+            this.recordEvent(lobby, 'player_left', {
+                player: player.name,
+                hunter: retargets.length > 0 ? lobby.players.get(retargets[0].playerId).name : null
+            });
+
+            // Walking out of a game counts as losing it
+            if (player.alive) {
+                player.diedAt = Date.now();
+            }
+            this.addProfileResult(lobby, player, false);
+        }
+
+        lobby.targets.delete(socketId);
+        lobby.players.delete(socketId);
+        this.playerToLobby.delete(socketId);
+        this.sessionToPlayer.delete(player.sessionId);
+        this.revokeSessionTokens(player.sessionId);
+
+        if (lobby.players.size === 0) {
+            this.deleteLobby(code);
+            return { code, players: [], lobbyDeleted: true, cancelledKills: [], photoId: player.photo || null };
+        }
+
+        let hostChanged = false;
+        if (lobby.hostSessionId === player.sessionId) {
+            const remaining = Array.from(lobby.players.values());
+            const newHost = remaining.find(p => p.connected) || remaining[0];
+            lobby.hostId = newHost.id;
+            lobby.hostSessionId = newHost.sessionId;
+            hostChanged = true;
+        }
+
+        const { aliveCount, isGameOver, winner } = this.checkGameOver(lobby);
+
+        return {
+            code,
+            phase: lobby.phase,
+            players: this.getPlayersArray(lobby),
+            allPlayers: this.getAllPlayersWithStatus(lobby),
+            hostChanged,
+            cancelledKills,
+            retargets: isGameOver ? [] : retargets,
+            leftPlayer: wasPlaying && player.alive ? player.name : null,
+            photoId: player.photo || null, // theirs to delete, they can't come back
+            aliveCount,
+            isGameOver,
+            winner
+        };
     }
 
     /**
-     * Get Session ID provided socket ID
+     * Take a player out of a running game: void pending kills and disputes involving them
+     * and, if they were alive, hand their target to their hunter
      */
-    getSessionId(socketId) {
-        const code = this.playerToLobby.get(socketId);
-        if (!code) return null;
-        const lobby = this.lobbies.get(code);
-        if (!lobby) return null;
+    takeOutOfPlay(lobby, socketId) {
         const player = lobby.players.get(socketId);
-        return player ? player.sessionId : null;
+        const cancelledKills = []; // { victimSessionId, notifyId } - notifyId is the other party
+
+        // Pending kill where they are the victim
+        const killerId = lobby.pendingKills.get(socketId);
+        if (killerId) {
+            cancelledKills.push({ victimSessionId: player.sessionId, notifyId: killerId });
+            this.clearPendingKill(lobby, socketId);
+        }
+
+        // Pending kill where they are the killer
+        for (const [victimId, kId] of lobby.pendingKills) {
+            if (kId === socketId) {
+                cancelledKills.push({ victimSessionId: lobby.players.get(victimId).sessionId, notifyId: victimId });
+                this.clearPendingKill(lobby, victimId);
+            }
+        }
+
+        this.dropDisputes(lobby, player.sessionId);
+
+        // Whoever was hunting them inherits their target
+        const retargets = [];
+        if (player.alive && lobby.settings.teamCount > 0) {
+            retargets.push(...this.assignTeamTargets(lobby, socketId));
+        } else if (player.alive) {
+            const retarget = this.relinkTarget(lobby, socketId);
+            if (retarget) {
+                retargets.push(retarget);
+            }
+        }
+        return { cancelledKills, retargets };
     }
 
     /**
-     * Helper: Convert players Map to array (for lobby display)
+     * End a running game once at most one player (or, in team mode, one team) is left alive
      */
-    getPlayersArray(lobby) {
-        return Array.from(lobby.players.values()).map(p => ({
+    checkGameOver(lobby) {
+        const alive = Array.from(lobby.players.values()).filter(p => p.alive);
+        const aliveCount = alive.length;
+        const teamMode = lobby.settings.teamCount > 0;
+        const isOver = teamMode ? new Set(alive.map(p => p.team)).size <= 1 : aliveCount <= 1;
+        if (lobby.phase !== 'playing' || !isOver) {
+            return { aliveCount, isGameOver: false, winner: null };
+        }
+
+        lobby.phase = 'ended';
+        const survivor = alive[0];
+        if (teamMode && survivor) {
+            const winner = teamName(survivor.team);
+            this.recordGameEnd(lobby, 'winner', { winner, team: survivor.team });
+            return { aliveCount, isGameOver: true, winner };
+        }
+
+        const winner = survivor ? survivor.name : null;
+        this.recordGameEnd(lobby, survivor ? 'winner' : 'no_survivors', { winner });
+        return { aliveCount, isGameOver: true, winner };
+    }
+
+    /**
+     * Close the game in the history and count it, with how long it ran
+     * Players with a profile get their result noted; a game stopped by an admin counts for nobody
+     */
+    recordGameEnd(lobby, reason, data) {
+        const start = lobby.history.findLast(e => e.type === 'game_started');
+        this.recordEvent(lobby, 'game_ended', data);
+        metrics.gamesFinished.inc({ reason });
+        if (start) {
+            metrics.gameDuration.observe({}, (Date.now() - start.at) / 1000);
+        }
+
+        if (reason === 'forced') {
+            lobby.profileResults = [];
+            return;
+        }
+        for (const player of lobby.players.values()) {
+            const won = data.team ? player.team === data.team : reason === 'winner' && player.alive;
+            this.addProfileResult(lobby, player, won);
+        }
+    }
+
+    /**
+     * Helper: Note how a game went for a player with a profile
+     */
+    addProfileResult(lobby, player, won) {
+        const start = lobby.history.findLast(e => e.type === 'game_started');
+        if (!player.profileId || !start) {
+            return;
+        }
+
+        lobby.profileResults.push({
+            profileId: player.profileId,
+            name: player.name,
+            won,
+            kills: player.kills || 0,
+            died: !player.alive,
+            denials: player.denialsUsed || 0,
+            survivedMs: (player.diedAt || Date.now()) - start.at
+        });
+    }
+
+    /**
+     * Hand over the profile results of a finished game, once, for the server to add to the profile store
+     */
+    takeProfileResults(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'ended') {
+            return [];
+        }
+
+        const results = lobby.profileResults;
+        lobby.profileResults = [];
+        return results;
+    }
+
+    /**
+     * Eliminate a player who has been disconnected for too long (grace timer or host)
+     * They stay in the lobby and can come back as a spectator; before the game they are removed instead
+     */
+    dropDisconnected(code, sessionId, requesterId = null) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || !['waiting', 'playing'].includes(lobby.phase)) {
+            return { success: false, message: 'Game not in progress' };
+        }
+
+        if (requesterId && lobby.hostId !== requesterId) {
+            return { success: false, message: 'Only the host can drop players' };
+        }
+
+        const socketId = this.findSocketIdBySession(lobby, sessionId);
+        const player = socketId ? lobby.players.get(socketId) : null;
+        if (!player) {
+            return { success: false, message: 'Player not found' };
+        }
+
+        if (player.connected || !player.alive) {
+            return { success: false, message: 'Only disconnected players who are still alive can be dropped' };
+        }
+
+        player.dropDeadline = null;
+        if (lobby.phase === 'waiting') {
+            return { success: true, ...this.removePlayer(lobby, socketId), sessionId, dropped: true };
+        }
+        return { ...this.eliminateFromPlay(lobby, socketId, 'player_dropped'), sessionId, dropped: true };
+    }
+
+    /**
+     * Eliminate a living player without a kill (dropped or burnt out by the heat)
+     * The result has the same shape as removePlayer() so it can be broadcast the same way
+     */
+    eliminateFromPlay(lobby, socketId, eventType) {
+        const player = lobby.players.get(socketId);
+        const { cancelledKills, retargets } = this.takeOutOfPlay(lobby, socketId);
+        player.alive = false;
+        player.diedAt = Date.now();
+        player.heatDeadline = null;
+        this.recordEvent(lobby, eventType, {
+            player: player.name,
+            hunter: retargets.length > 0 ? lobby.players.get(retargets[0].playerId).name : null
+        });
+
+        const { aliveCount, isGameOver, winner } = this.checkGameOver(lobby);
+
+        return {
+            success: true,
+            code: lobby.code,
+            playerId: socketId,
+            phase: lobby.phase,
+            players: this.getPlayersArray(lobby),
+            allPlayers: this.getAllPlayersWithStatus(lobby),
+            cancelledKills,
+            retargets: isGameOver ? [] : retargets,
+            leftPlayer: player.name,
+            aliveCount,
+            isGameOver,
+            winner
+        };
+    }
+
+    /**
+     * Heat phase: punish everyone whose kill deadline has passed
+     * 'expose' takes away their right to deny and tells their hunter; 'eliminate' takes them out
+     */
+    applyHeat(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing') {
+            return null;
+        }
+
+        const now = Date.now();
+        const exposed = []; // { playerId, hunterIds }
+        const eliminated = []; // eliminateFromPlay() results
+        for (const player of Array.from(lobby.players.values())) {
+            if (lobby.phase !== 'playing') break;
+            if (!player.alive || !player.heatDeadline || player.heatDeadline > now) continue;
+
+            if (lobby.settings.heatPenalty === 'eliminate') {
+                eliminated.push({ ...this.eliminateFromPlay(lobby, player.id, 'player_burnt_out'), burntOut: true });
+                continue;
+            }
+
+            player.exposed = true;
+            player.heatDeadline = null;
+            this.recordEvent(lobby, 'player_exposed', { player: player.name });
+            exposed.push({
+                playerId: player.id,
+                name: player.name,
+                hunterIds: this.getHunterIds(lobby, player.id)
+            });
+        }
+
+        return { exposed, eliminated };
+    }
+
+    /**
+     * Everyone currently hunting a player (more than one in team mode)
+     */
+    getHunterIds(lobby, playerId) {
+        return Array.from(lobby.targets)
+            .filter(([, targetId]) => targetId === playerId)
+            .map(([hunterId]) => hunterId);
+    }
+
+    /**
+     * When the next heat check is due for a lobby (null if nobody is on the clock)
+     */
+    getNextHeatDeadline(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing') {
+            return null;
+        }
+
+        const deadlines = Array.from(lobby.players.values())
+            .filter(p => p.alive && p.heatDeadline)
+            .map(p => p.heatDeadline);
+        return deadlines.length > 0 ? Math.min(...deadlines) : null;
+    }
+
+    /**
+     * The game clock ran out: every remaining assignment is revealed to everyone
+     */
+    startSuddenDeath(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing' || lobby.suddenDeath) {
+            return { success: false, message: 'Game not in progress' };
+        }
+
+        lobby.suddenDeath = true;
+        this.recordEvent(lobby, 'sudden_death');
+        return { success: true, chain: this.getChain(lobby) };
+    }
+
+    /**
+     * The public chain during sudden death (null before the clock runs out)
+     */
+    getSuddenDeathChain(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing' || !lobby.suddenDeath) {
+            return null;
+        }
+        return this.getChain(lobby);
+    }
+
+    /**
+     * Host shortcut: drop a disconnected player now instead of waiting out the grace period
+     */
+    dropPlayer(code, requesterId, playerId) {
+        const lobby = this.lobbies.get(code);
+        const player = lobby ? lobby.players.get(playerId) : null;
+        if (!player) {
+            return { success: false, message: 'Player not found' };
+        }
+        return this.dropDisconnected(code, player.sessionId, requesterId);
+    }
+
+    /**
+     * Take a player out of the target cycle: their hunter inherits their target
+     * Returns the hunter and their new target name, or null if nobody was hunting them
+     */
+    relinkTarget(lobby, socketId) {
+        const targetId = lobby.targets.get(socketId);
+        lobby.targets.delete(socketId);
+
+        for (const [hunterId, huntedId] of lobby.targets) {
+            if (huntedId === socketId) {
+                if (!targetId || targetId === hunterId) {
+                    lobby.targets.delete(hunterId);
+                    return null;
+                }
+                lobby.targets.set(hunterId, targetId);
+                return { playerId: hunterId, ...this.describeTarget(lobby, targetId) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Handle player disconnect - mark as disconnected but don't remove
+     */
+    handleDisconnect(socketId) {
+        const code = this.playerToLobby.get(socketId);
+        if (!code) return null;
+
+        const lobby = this.lobbies.get(code);
+        if (!lobby) return null;
+
+        const player = lobby.players.get(socketId);
+        if (!player) return null;
+
+        // Just mark as disconnected: they can rejoin before the grace period runs out, after which
+        // they are dropped (taken out of the waiting room, or eliminated from a running game)
+        player.connected = false;
+        if (lobby.phase === 'waiting' || (lobby.phase === 'playing' && player.alive)) {
+            player.dropDeadline = Date.now() + lobby.settings.disconnectGraceSeconds * 1000;
+        }
+
+        return {
+            code,
+            sessionId: player.sessionId,
+            dropDeadline: player.dropDeadline || null,
+            players: this.getPlayersArray(lobby),
+            allPlayers: this.getAllPlayersWithStatus(lobby)
+        };
+    }
+
+    /**
+     * Append an entry to the lobby's event history
+     */
+    recordEvent(lobby, type, data = {}) {
+        lobby.history.push({ type, at: Date.now(), ...data });
+    }
+
+    /**
+     * Get the end-of-game recap (kill feed, original chain, kill counts, awards)
+     */
+    getGameSummary(code) {
+        const lobby = this.lobbies.get(code);
+        return lobby ? buildGameSummary(lobby.history) : null;
+    }
+
+    /**
+     * Eliminations so far; killers are only revealed to the dead
+     */
+    getKillFeed(lobby, revealKillers) {
+        return lobby.history
+            .filter(e => ['kill_confirmed', 'kill_auto_confirmed', 'player_left', 'player_dropped', 'player_burnt_out'].includes(e.type))
+            .map(e => {
+                if (e.type === 'player_left') {
+                    return { victim: e.player, at: e.at, left: true };
+                }
+                if (e.type === 'player_dropped') {
+                    return { victim: e.player, at: e.at, left: true, dropped: true };
+                }
+                if (e.type === 'player_burnt_out') {
+                    return { victim: e.player, at: e.at, left: true, burntOut: true };
+                }
+                return revealKillers ? { victim: e.victim, killer: e.killer, at: e.at } : { victim: e.victim, at: e.at };
+            });
+    }
+
+    /**
+     * Everything spectators may see: the live chain, pending kills and the game clock
+     * Never send this to living players
+     */
+    getSpectatorView(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing') {
+            return null;
+        }
+
+        const pendingKills = Array.from(lobby.pendingKills, ([victimId, killerId]) => {
+            const victim = lobby.players.get(victimId);
+            return {
+                killer: lobby.players.get(killerId).name,
+                victim: victim.name,
+                deadline: lobby.killDeadlines.get(victim.sessionId)
+            };
+        });
+
+        const start = lobby.history.findLast(e => e.type === 'game_started');
+
+        return {
+            chain: this.getChain(lobby),
+            pendingKills,
+            aliveCount: this.getAliveCount(lobby),
+            startedAt: start ? start.at : null
+        };
+    }
+
+    /**
+     * Every living hunter and their target, in cycle order
+     */
+    getChain(lobby) {
+        const link = (hunterId, targetId) => ({
+            hunter: lobby.players.get(hunterId).name,
+            target: lobby.players.get(targetId).name
+        });
+
+        const chain = [];
+        if (lobby.settings.teamCount > 0) {
+            // Team targets don't form a single cycle, list them in ring order
+            for (const [hunterId, targetId] of lobby.targets) {
+                chain.push(link(hunterId, targetId));
+            }
+        } else {
+            // Walk the cycle starting from any living player
+            const startId = lobby.targets.keys().next().value;
+            let currentId = startId;
+            while (currentId && chain.length < lobby.targets.size) {
+                const targetId = lobby.targets.get(currentId);
+                chain.push(link(currentId, targetId));
+                currentId = targetId;
+                if (currentId === startId) break;
+            }
+        }
+        return chain;
+    }
+
+    /**
+     * Drop a pending kill together with its auto-confirm deadline
+     */
+    clearPendingKill(lobby, victimId) {
+        const victim = lobby.players.get(victimId);
+        if (victim) {
+            lobby.killDeadlines.delete(victim.sessionId);
+        }
+        lobby.pendingKills.delete(victimId);
+    }
+
+    /**
+     * List every pending kill with its deadline (used to restart timers after a restore)
+     * Pass a code to list a single lobby's
+     */
+    getPendingKills(onlyCode = null) {
+        const pending = [];
+        for (const [code, lobby] of this.lobbies) {
+            if (onlyCode && code !== onlyCode) continue;
+            for (const [victimSessionId, deadline] of lobby.killDeadlines) {
+                pending.push({ code, victimSessionId, deadline });
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * List every open dispute with its ruling deadline (used to restart timers after a restore)
+     * Pass a code to list a single lobby's
+     */
+    getPendingDisputes(onlyCode = null) {
+        const pending = [];
+        for (const [code, lobby] of this.lobbies) {
+            if (onlyCode && code !== onlyCode) continue;
+            for (const dispute of lobby.disputes) {
+                pending.push({ code, disputeId: dispute.id, deadline: dispute.deadline });
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * List running game clocks (used to restart round timers after a restore)
+     */
+    getRunningClocks() {
+        return Array.from(this.lobbies.values())
+            .filter(lobby => lobby.phase === 'playing')
+            .map(lobby => ({ code: lobby.code, endsAt: lobby.suddenDeath ? null : lobby.endsAt || null }));
+    }
+
+    /**
+     * List every disconnected player's drop deadline (used to restart timers after a restore)
+     * Pass a code to list a single lobby's
+     */
+    getPendingDrops(onlyCode = null) {
+        const pending = [];
+        for (const [code, lobby] of this.lobbies) {
+            if (onlyCode && code !== onlyCode) continue;
+            for (const player of lobby.players.values()) {
+                if (player.dropDeadline) {
+                    pending.push({ code, sessionId: player.sessionId, deadline: player.dropDeadline });
+                }
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * Serialize all lobbies and sessions into a plain JSON-safe snapshot
+     */
+    serialize() {
+        return {
+            version: 1,
+            savedAt: Date.now(),
+            lobbies: Array.from(this.lobbies.values()).map(lobby => this.serializeLobby(lobby)),
+            sessions: Array.from(this.sessionToPlayer.entries()),
+            sessionTokens: Array.from(this.sessionTokens.entries())
+        };
+    }
+
+    /**
+     * A lobby as plain JSON-safe data
+     */
+    serializeLobby(lobby) {
+        return {
+            ...lobby,
+            players: Array.from(lobby.players.values()),
+            targets: Array.from(lobby.targets.entries()),
+            pendingKills: Array.from(lobby.pendingKills.entries()),
+            killDeadlines: Array.from(lobby.killDeadlines.entries())
+        };
+    }
+
+    /**
+     * Rebuild a lobby from serializeLobby() data (older data gets defaults for newer fields)
+     */
+    reviveLobby(data) {
+        return {
+            ...data,
+            settings: { ...DEFAULT_SETTINGS, ...data.settings },
+            history: data.history || [],
+            players: new Map(data.players.map(p => [p.id, { ...p }])),
+            targets: new Map(data.targets),
+            pendingKills: new Map(data.pendingKills),
+            killDeadlines: new Map(data.killDeadlines),
+            disputes: (data.disputes || []).map(d => ({ deadline: d.at + DISPUTE_RULING_MS, ...d })),
+            eventSeq: data.eventSeq || 0,
+            replayFloor: data.replayFloor ?? data.eventSeq ?? 0,
+            outbox: data.outbox || {},
+            profileResults: data.profileResults || [],
+            lastActivityAt: data.lastActivityAt || Date.now()
+        };
+    }
+
+    /**
+     * One lobby with its sessions and tokens, as stored per lobby by a shared store
+     * Returns null once the lobby is gone
+     */
+    exportLobby(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return null;
+        }
+
+        return {
+            lobby: this.serializeLobby(lobby),
+            sessions: Array.from(this.sessionToPlayer.entries()).filter(([, session]) => session.lobbyCode === code),
+            sessionTokens: Array.from(this.sessionTokens.entries())
+                .filter(([, entry]) => entry.lobbyCode === code && !entry.lobbyGone)
+        };
+    }
+
+    /**
+     * Replace the local copy of a lobby with a record from exportLobby() (written by any instance)
+     * Unlike restore(), players keep their connection state: their sockets may live on another instance
+     */
+    importLobby(record) {
+        const code = record.lobby.code;
+        for (const [socketId, lobbyCode] of this.playerToLobby) {
+            if (lobbyCode === code) this.playerToLobby.delete(socketId);
+        }
+        for (const [sessionId, session] of this.sessionToPlayer) {
+            if (session.lobbyCode === code) this.sessionToPlayer.delete(sessionId);
+        }
+        for (const [token, entry] of this.sessionTokens) {
+            if (entry.lobbyCode === code) this.sessionTokens.delete(token);
+        }
+
+        const lobby = this.reviveLobby(record.lobby);
+        this.lobbies.set(code, lobby);
+        for (const socketId of lobby.players.keys()) {
+            this.playerToLobby.set(socketId, code);
+        }
+        record.sessions.forEach(([sessionId, session]) => this.sessionToPlayer.set(sessionId, session));
+        record.sessionTokens.forEach(([token, entry]) => this.sessionTokens.set(token, entry));
+    }
+
+    /**
+     * Restore state from a snapshot created by serialize()
+     * Every player starts out disconnected until they send `rejoin`
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== 1) {
+            return 0;
+        }
+
+        this.lobbies.clear();
+        this.playerToLobby.clear();
+        this.sessionToPlayer.clear();
+        this.sessionTokens.clear();
+
+        for (const data of snapshot.lobbies) {
+            const lobby = this.reviveLobby(data);
+            this.lobbies.set(lobby.code, lobby);
+            for (const [socketId, player] of lobby.players) {
+                player.connected = false;
+                this.playerToLobby.set(socketId, lobby.code);
+                // Everyone gets a fresh grace period to reconnect after the restart
+                if ((lobby.phase === 'waiting' || (lobby.phase === 'playing' && player.alive)) && !player.dropDeadline) {
+                    player.dropDeadline = Date.now() + lobby.settings.disconnectGraceSeconds * 1000;
+                }
+            }
+        }
+
+        for (const [sessionId, sessionData] of snapshot.sessions) {
+            if (this.lobbies.has(sessionData.lobbyCode)) {
+                this.sessionToPlayer.set(sessionId, sessionData);
+            }
+        }
+
+        if (snapshot.sessionTokens) {
+            this.sessionTokens = new Map(snapshot.sessionTokens);
+            this.pruneSessionTokens();
+        } else {
+            // Older snapshots handed the session ID itself to clients, so accept it once as a token
+            for (const [sessionId, sessionData] of this.sessionToPlayer) {
+                this.sessionTokens.set(sessionId, {
+                    sessionId, lobbyCode: sessionData.lobbyCode, expiresAt: Date.now() + SESSION_TTL_MS, lobbyGone: false
+                });
+            }
+        }
+
+        return this.lobbies.size;
+    }
+
+    /**
+     * Admin: one line per lobby
+     */
+    listLobbies() {
+        return Array.from(this.lobbies.values()).map(lobby => {
+            const players = Array.from(lobby.players.values());
+            const host = lobby.players.get(lobby.hostId);
+            return {
+                code: lobby.code,
+                phase: lobby.phase,
+                host: host ? host.name : null,
+                playerCount: players.length,
+                connectedCount: players.filter(p => p.connected).length,
+                aliveCount: lobby.phase === 'playing' ? this.getAliveCount(lobby) : null,
+                lastActivityAt: lobby.lastActivityAt || null
+            };
+        });
+    }
+
+    /**
+     * Admin: everything about one lobby; assignments and pending kills only when asked for explicitly
+     */
+    inspectLobby(code, includeTargets = false) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
+
+        const nameOf = (socketId) => lobby.players.get(socketId)?.name ?? null;
+        return {
+            success: true,
+            lobby: {
+                code: lobby.code,
+                phase: lobby.phase,
+                settings: lobby.settings,
+                lastActivityAt: lobby.lastActivityAt || null,
+                players: Array.from(lobby.players.values()).map(p => ({
+                    id: p.id,
+                    name: p.name,
+                    team: p.team,
+                    isHost: p.id === lobby.hostId,
+                    alive: p.alive,
+                    connected: p.connected,
+                    dropDeadline: p.dropDeadline || null
+                })),
+                pendingKillCount: lobby.pendingKills.size,
+                pendingKills: includeTargets
+                    ? Array.from(lobby.pendingKills, ([victimId, killerId]) => ({ killer: nameOf(killerId), victim: nameOf(victimId) }))
+                    : undefined,
+                openDisputes: lobby.disputes.length,
+                targets: includeTargets
+                    ? Array.from(lobby.targets, ([hunterId, targetId]) => ({ hunter: nameOf(hunterId), target: nameOf(targetId) }))
+                    : undefined
+            }
+        };
+    }
+
+    /**
+     * Admin: the raw event log of the current (or last) game; like inspectLobby(), assignments and the
+     * names in unresolved kills only when asked for
+     */
+    getHistory(code, includeTargets = false) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return { success: false, message: 'Lobby not found' };
+        }
+
+        const hidden = (event, field) => TARGET_FIELDS.includes(field)
+            || (UNRESOLVED_KILL_EVENTS.includes(event.type) && (field === 'killer' || field === 'victim'));
+        const history = includeTargets
+            ? lobby.history
+            : lobby.history.map(event => Object.fromEntries(Object.entries(event).filter(([field]) => !hidden(event, field))));
+        return { success: true, history };
+    }
+
+    /**
+     * Admin: stop a running game without a winner
+     * Pending kills and disputes are dropped; the lobby can rematch as usual
+     */
+    forceEndGame(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby || lobby.phase !== 'playing') {
+            return { success: false, message: 'Game not in progress' };
+        }
+
+        const victimSessionIds = Array.from(lobby.killDeadlines.keys());
+        lobby.pendingKills.clear();
+        lobby.killDeadlines.clear();
+        lobby.disputes = [];
+        for (const player of lobby.players.values()) {
+            player.dropDeadline = null;
+            player.heatDeadline = null;
+        }
+
+        lobby.phase = 'ended';
+        this.recordGameEnd(lobby, 'forced', { winner: null, forced: true });
+
+        return {
+            success: true,
+            victimSessionIds,
+            sessionIds: Array.from(lobby.players.values()).map(p => p.sessionId),
+            aliveCount: this.getAliveCount(lobby),
+            allPlayers: this.getAllPlayersWithStatus(lobby)
+        };
+    }
+
+    /**
+     * Note that a lobby is still in use (any client event from one of its players)
+     */
+    touchLobby(socketId) {
+        const lobby = this.lobbies.get(this.playerToLobby.get(socketId));
+        if (lobby) {
+            lobby.lastActivityAt = Date.now();
+        }
+    }
+
+    /**
+     * Delete a lobby with everything pointing at it
+     * Returns what the server needs to clean up: timers keyed by session, and player photos
+     */
+    deleteLobby(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return null;
+        }
+
+        const players = Array.from(lobby.players.values());
+        for (const player of players) {
+            this.playerToLobby.delete(player.id);
+        }
+        this.lobbies.delete(code);
+        this.endLobbySessions(code);
+
+        return {
+            code,
+            phase: lobby.phase,
+            sessionIds: players.map(p => p.sessionId),
+            victimSessionIds: Array.from(lobby.killDeadlines.keys()),
+            disputeIds: lobby.disputes.map(d => d.id),
+            photoIds: players.map(p => p.photo).filter(Boolean)
+        };
+    }
+
+    /**
+     * Delete every lobby that has been idle longer than its phase allows
+     * ttls are in minutes per phase (waiting, playing, ended) plus 'abandoned' for lobbies nobody is connected to
+     * Pass codes to only consider those lobbies
+     */
+    sweepStaleLobbies(ttls, now = Date.now(), codes = Array.from(this.lobbies.keys())) {
+        const phaseTtls = { waiting: ttls.waiting, playing: ttls.playing, ended: ttls.ended };
+        const lobbies = codes.map(code => this.lobbies.get(code)).filter(Boolean);
+        const stale = lobbies.filter(lobby => {
+            const idleMinutes = (now - (lobby.lastActivityAt || 0)) / 60000;
+            const nobodyHere = Array.from(lobby.players.values()).every(p => !p.connected);
+            return idleMinutes >= phaseTtls[lobby.phase] || (nobodyHere && idleMinutes >= ttls.abandoned);
+        });
+
+        return stale.map(lobby => this.deleteLobby(lobby.code));
+    }
+
+    /**
+     * Count lobbies in each phase (for metrics)
+     */
+    countLobbiesByPhase() {
+        const counts = { waiting: 0, playing: 0, ended: 0 };
+        for (const lobby of this.lobbies.values()) {
+            counts[lobby.phase]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Whether this instance knows a lobby
+     */
+    hasLobby(code) {
+        return this.lobbies.has(code);
+    }
+
+    /**
+     * Get lobby count
+     */
+    getLobbyCount() {
+        return this.lobbies.size;
+    }
+
+    /**
+     * Get alive count for a lobby
+     */
+    getAliveCount(lobby) {
+        return Array.from(lobby.players.values()).filter(p => p.alive).length;
+    }
+
+    /**
+     * Find a player's current socket ID by session ID
+     */
+    findSocketIdBySession(lobby, sessionId) {
+        for (const [id, p] of lobby.players) {
+            if (p.sessionId === sessionId) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the code of the lobby a socket belongs to
+     */
+    getLobbyCode(socketId) {
+        return this.playerToLobby.get(socketId) || null;
+    }
+
+    /**
+     * Get Session ID provided socket ID
+     */
+    getSessionId(socketId) {
+        const code = this.playerToLobby.get(socketId);
+        if (!code) return null;
+        const lobby = this.lobbies.get(code);
+        if (!lobby) return null;
+        const player = lobby.players.get(socketId);
+        return player ? player.sessionId : null;
+    }
+
+    /**
+     * Remember where to push notifications for a player (a browser PushSubscription); never sent to other players
+     */
+    setPushSubscription(code, socketId, subscription) {
+        const lobby = this.lobbies.get(code);
+        const player = lobby ? lobby.players.get(socketId) : null;
+        if (!player) {
+            return { success: false, message: 'Player not found' };
+        }
+
+        player.pushSubscription = subscription;
+        return { success: true };
+    }
+
+    getPushSubscription(code, socketId) {
+        const player = this.lobbies.get(code)?.players.get(socketId);
+        return player ? player.pushSubscription || null : null;
+    }
+
+    /**
+     * Every push subscription in a lobby (for news that concerns everyone, like the end of the game)
+     */
+    getPushSubscriptions(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) {
+            return [];
+        }
+        return Array.from(lobby.players.values(), p => p.pushSubscription).filter(Boolean);
+    }
+
+    /**
+     * Drop a subscription the push service no longer accepts
+     */
+    forgetPushSubscription(code, endpoint) {
+        const lobby = this.lobbies.get(code);
+        for (const player of lobby ? lobby.players.values() : []) {
+            if (player.pushSubscription && player.pushSubscription.endpoint === endpoint) {
+                player.pushSubscription = null;
+            }
+        }
+    }
+
+    /**
+     * Set (or with null, clear) a player's photo, by id in the photo store; only before the game starts,
+     * so nobody can swap faces mid-hunt. Returns the photo it replaced so the server can delete it
+     */
+    setPhoto(code, socketId, photoId) {
+        const lobby = this.lobbies.get(code);
+        const player = lobby ? lobby.players.get(socketId) : null;
+        if (!player) {
+            return { success: false, message: 'Player not found' };
+        }
+        if (lobby.phase !== 'waiting') {
+            return { success: false, message: 'Photos can only be changed before the game starts' };
+        }
+
+        const replaced = player.photo || null;
+        player.photo = photoId;
+        return { success: true, replaced, players: this.getPlayersArray(lobby) };
+    }
+
+    /**
+     * Helper: A target as told to their hunter
+     */
+    describeTarget(lobby, targetId) {
+        const target = lobby.players.get(targetId);
+        return { target: target.name, targetPhoto: target.photo || null };
+    }
+
+    /**
+     * Helper: Convert players Map to array (for lobby display)
+     */
+    getPlayersArray(lobby) {
+        return Array.from(lobby.players.values()).map(p => ({
             id: p.id,
             name: p.name,
+            team: p.team || null,
+            photo: p.photo || null,
             isHost: p.sessionId === lobby.hostSessionId
         }));
     }
@@ -517,9 +2447,13 @@ export class LobbyManager {
      */
     getAllPlayersWithStatus(lobby) {
         return Array.from(lobby.players.values()).map(p => ({
+            id: p.id,
             name: p.name,
+            team: p.team || null,
+            photo: p.photo || null,
             alive: p.alive,
-            connected: p.connected
+            connected: p.connected,
+            dropDeadline: p.dropDeadline || null
         }));
     }
 
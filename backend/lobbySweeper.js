@@ -0,0 +1,27 @@
+/**
+ * Lobby Sweeper - How long a lobby may sit idle in each phase before it is deleted
+ */
+
+// Minutes since the lobby last saw a client event
+export const DEFAULT_LOBBY_TTLS = {
+    waiting: 60,
+    playing: 360,
+    ended: 30,
+    abandoned: 15 // any phase, once nobody is connected
+};
+
+export const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Read TTL overrides such as LOBBY_TTL_ENDED_MINUTES=10 from the environment
+ */
+export function loadLobbyTtls(env = process.env) {
+    const ttls = { ...DEFAULT_LOBBY_TTLS };
+    for (const phase of Object.keys(ttls)) {
+        const value = Number(env[`LOBBY_TTL_${phase.toUpperCase()}_MINUTES`]);
+        if (Number.isFinite(value) && value > 0) {
+            ttls[phase] = value;
+        }
+    }
+    return ttls;
+}
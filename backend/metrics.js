@@ -0,0 +1,125 @@
+/**
+ * Metrics - In-process counters, gauges and histograms rendered in the Prometheus text format
+ * Scrape GET /metrics; nothing is pushed anywhere
+ */
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+};
+
+/**
+ * Monotonic count, optionally split by labels
+ */
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map(); // label string -> value
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const [labels, value] of this.values) {
+            lines.push(`${this.name}${labels} ${value}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Point-in-time value, read from a callback at scrape time
+ * The callback returns a number or a list of { labels, value }
+ */
+class Gauge {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.collect = () => [];
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+        const samples = this.collect();
+        for (const { labels = {}, value } of typeof samples === 'number' ? [{ value: samples }] : samples) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets, with sum and count
+ */
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.series = new Map(); // label string -> { labels, counts, sum, count }
+    }
+
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start timing; call the returned function when done to observe the elapsed seconds
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+export const metrics = {
+    lobbies: new Gauge('assassin_lobbies', 'Lobbies by phase'),
+    connectedSockets: new Gauge('assassin_connected_sockets', 'Connected sockets'),
+    gamesStarted: new Counter('assassin_games_started_total', 'Games started'),
+    gamesFinished: new Counter('assassin_games_finished_total', 'Games finished, by how they ended'),
+    gameDuration: new Histogram('assassin_game_duration_seconds', 'Length of finished games',
+        [300, 600, 1200, 1800, 3600, 7200, 14400]),
+    kills: new Counter('assassin_kills_total', 'Kill attempts by outcome'),
+    rejoins: new Counter('assassin_rejoins_total', 'Rejoin attempts by result'),
+    eventLatency: new Histogram('assassin_event_handler_seconds', 'Time spent in socket event handlers',
+        [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25])
+};
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+    return Object.values(metrics).flatMap(metric => metric.render()).join('\n') + '\n';
+}
@@ -0,0 +1,109 @@
+/**
+ * Mission Decks - Conditions attached to each contract ("get your target to hold a spoon")
+ * Bundled decks plus parsing for host-uploaded custom decks
+ */
+
+export const MISSION_DECKS = {
+    classic: {
+        name: 'Classic Handoff',
+        missions: [
+            'Get your target to hold a spoon',
+            'Get your target to take a napkin from you',
+            'Get your target to hold your drink',
+            'Get your target to take a bottle cap from you',
+            'Get your target to hold a pen',
+            'Get your target to take a coin from you',
+            'Get your target to hold your phone',
+            'Get your target to take a crisp from your hand',
+            'Get your target to hold a playing card',
+            'Get your target to take a sticky note from you',
+            'Get your target to hold a lemon slice',
+            'Get your target to take a straw from you'
+        ]
+    },
+    locations: {
+        name: 'Around the House',
+        missions: [
+            'In the kitchen',
+            'On the balcony or outside',
+            'Next to the fridge',
+            'In a doorway',
+            'While your target is sitting down',
+            'Near the snacks',
+            'In the hallway',
+            'Within sight of the host',
+            'While music is playing',
+            'Next to a window'
+        ]
+    },
+    sneaky: {
+        name: 'Sneaky Moves',
+        missions: [
+            'Get your target to say the word "banana"',
+            'Get your target to high-five you',
+            'Get your target to tell you the time',
+            'Get your target to take a selfie with you',
+            'Get your target to sing a line of any song',
+            'Get your target to compliment your outfit',
+            'Get your target to spell their name for you',
+            'Get your target to shake your hand',
+            'Get your target to toast with you',
+            'Get your target to recommend you a film'
+        ]
+    }
+};
+
+export const MAX_CUSTOM_MISSIONS = 200;
+export const MAX_MISSION_LENGTH = 140;
+
+/**
+ * List bundled decks for the lobby UI
+ */
+export function listMissionDecks() {
+    return Object.entries(MISSION_DECKS).map(([id, deck]) => ({
+        id,
+        name: deck.name,
+        count: deck.missions.length
+    }));
+}
+
+/**
+ * Parse an uploaded deck: a JSON array of strings, JSON { missions: [...] }, or one mission per line
+ */
+export function parseMissionDeck(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return { success: false, message: 'The mission deck is empty' };
+    }
+
+    let missions;
+    const text = input.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(text);
+            missions = Array.isArray(parsed) ? parsed : parsed.missions;
+        } catch (err) {
+            return { success: false, message: 'The mission deck is not valid JSON' };
+        }
+        if (!Array.isArray(missions) || missions.some(m => typeof m !== 'string')) {
+            return { success: false, message: 'A JSON deck must be a list of missions' };
+        }
+    } else {
+        missions = text.split(/\r?\n/);
+    }
+
+    missions = missions.map(m => m.trim()).filter(m => m.length > 0);
+
+    if (missions.length === 0) {
+        return { success: false, message: 'The mission deck is empty' };
+    }
+
+    if (missions.length > MAX_CUSTOM_MISSIONS) {
+        return { success: false, message: `A deck can hold at most ${MAX_CUSTOM_MISSIONS} missions` };
+    }
+
+    if (missions.some(m => m.length > MAX_MISSION_LENGTH)) {
+        return { success: false, message: `Missions can be at most ${MAX_MISSION_LENGTH} characters long` };
+    }
+
+    return { success: true, missions };
+}
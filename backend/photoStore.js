@@ -0,0 +1,99 @@
+/**
+ * Photo Store - Player selfies, so a target can be recognised by face
+ * Uploads are normalised with sharp: turned upright, cropped square, shrunk to PHOTO_SIZE and re-encoded as JPEG,
+ * which also drops EXIF data such as where the photo was taken.
+ * Kept in process memory, or as files under PHOTO_DIR (which several instances then have to share)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import sharp from 'sharp';
+
+export const PHOTO_SIZE = 256; // pixels per side
+const PHOTO_QUALITY = 80;
+const MAX_INPUT_PIXELS = 50_000_000; // a phone camera, not a decompression bomb
+
+const newPhotoId = () => randomBytes(16).toString('hex');
+
+// Ids end up in URLs and file names, so only ever accept the ones we hand out
+export const isPhotoId = (id) => /^[0-9a-f]{32}$/.test(id);
+
+/**
+ * Turn an upload into the stored JPEG; rejects anything that is not a readable image
+ */
+export function normalizePhoto(upload) {
+    return sharp(upload, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover', position: 'attention' })
+        .jpeg({ quality: PHOTO_QUALITY, mozjpeg: true })
+        .toBuffer();
+}
+
+/**
+ * Keeps photos in process memory (gone after a restart; players then show their initial again)
+ */
+export class MemoryPhotoStore {
+    constructor() {
+        this.photos = new Map(); // photoId -> JPEG buffer
+    }
+
+    async save(photo) {
+        const id = newPhotoId();
+        this.photos.set(id, photo);
+        return id;
+    }
+
+    async load(id) {
+        return this.photos.get(id) || null;
+    }
+
+    async remove(ids) {
+        ids.forEach(id => this.photos.delete(id));
+    }
+}
+
+/**
+ * Writes each photo to <dir>/<photoId>.jpg
+ */
+export class DiskPhotoStore {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    fileFor(id) {
+        return path.join(this.dir, `${id}.jpg`);
+    }
+
+    async save(photo) {
+        const id = newPhotoId();
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(this.fileFor(id), photo);
+        return id;
+    }
+
+    async load(id) {
+        if (!isPhotoId(id)) {
+            return null;
+        }
+        try {
+            return await fs.readFile(this.fileFor(id));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    async remove(ids) {
+        await Promise.all(ids.filter(isPhotoId).map(id => fs.rm(this.fileFor(id), { force: true })));
+    }
+}
+
+/**
+ * Create the store configured via environment variables
+ */
+export function createPhotoStore(env = process.env) {
+    return env.PHOTO_DIR ? new DiskPhotoStore(env.PHOTO_DIR) : new MemoryPhotoStore();
+}
@@ -0,0 +1,198 @@
+/**
+ * Profile Store - Statistics that follow a player from game to game, for the leaderboard and personal stats
+ * There are no accounts: the app makes up a random device key and sends it along when joining,
+ * the store only ever sees its hash (the profile id), so a leaked store can't be used to play as someone.
+ * Kept in process memory, in a JSON file (PROFILE_FILE) or, with a shared state store, in its Redis
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+
+const DEFAULT_PROFILE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'profiles.json');
+export const LEADERBOARD_SIZE = 20;
+
+const COUNTERS = ['gamesPlayed', 'wins', 'kills', 'deaths', 'denials', 'survivedMs'];
+
+export const profileIdFor = (profileKey) => createHash('sha256').update(profileKey).digest('hex');
+
+/**
+ * What one finished game adds to a profile
+ * A result is { profileId, name, won, kills, died, denials, survivedMs }, see LobbyManager.recordGameEnd()
+ */
+const countsFor = (result) => ({
+    gamesPlayed: 1,
+    wins: result.won ? 1 : 0,
+    kills: result.kills,
+    deaths: result.died ? 1 : 0,
+    denials: result.denials,
+    survivedMs: result.survivedMs
+});
+
+/**
+ * Stored totals as shown to players (without the profile id)
+ */
+const toStats = (profile) => ({
+    name: profile.name,
+    gamesPlayed: profile.gamesPlayed,
+    wins: profile.wins,
+    kills: profile.kills,
+    deaths: profile.deaths,
+    denials: profile.denials,
+    averageSurvivalMs: profile.gamesPlayed > 0 ? Math.round(profile.survivedMs / profile.gamesPlayed) : 0,
+    lastPlayedAt: profile.lastPlayedAt
+});
+
+// Most wins first, then most kills, then whoever needed fewer games for it
+const byRank = (a, b) => b.wins - a.wins || b.kills - a.kills || a.gamesPlayed - b.gamesPlayed;
+
+/**
+ * Keeps profiles in process memory (gone after a restart)
+ */
+export class MemoryProfileStore {
+    constructor() {
+        this.profiles = new Map(); // profileId -> totals
+    }
+
+    async recordGame(results) {
+        const now = Date.now();
+        for (const result of results) {
+            const profile = this.profiles.get(result.profileId) || Object.fromEntries(COUNTERS.map(c => [c, 0]));
+            for (const [counter, amount] of Object.entries(countsFor(result))) {
+                profile[counter] += amount;
+            }
+            profile.name = result.name;
+            profile.lastPlayedAt = now;
+            this.profiles.set(result.profileId, profile);
+        }
+    }
+
+    async getProfile(profileId) {
+        const profile = this.profiles.get(profileId);
+        return profile ? toStats(profile) : null;
+    }
+
+    async getLeaderboard(limit = LEADERBOARD_SIZE) {
+        return Array.from(this.profiles.values()).sort(byRank).slice(0, limit).map(toStats);
+    }
+}
+
+/**
+ * Keeps profiles in memory and writes them all as JSON to a file on local disk after every game
+ */
+export class FileProfileStore extends MemoryProfileStore {
+    constructor(filePath = DEFAULT_PROFILE_FILE) {
+        super();
+        this.filePath = filePath;
+        this.loaded = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        this.loaded ??= fs.readFile(this.filePath, 'utf8')
+            .then(raw => { this.profiles = new Map(Object.entries(JSON.parse(raw))); })
+            .catch(err => {
+                if (err.code !== 'ENOENT') {
+                    console.error(`Could not read profile file ${this.filePath}:`, err.message);
+                }
+            });
+        return this.loaded;
+    }
+
+    /**
+     * Writes are queued and go through a temp file + rename, like FileStateStore
+     */
+    async recordGame(results) {
+        await this.load();
+        await super.recordGame(results);
+        const snapshot = JSON.stringify(Object.fromEntries(this.profiles));
+        const write = async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tmpPath, snapshot);
+            await fs.rename(tmpPath, this.filePath);
+        };
+        this.pendingWrite = this.pendingWrite.then(write, write);
+        return this.pendingWrite;
+    }
+
+    async getProfile(profileId) {
+        await this.load();
+        return super.getProfile(profileId);
+    }
+
+    async getLeaderboard(limit = LEADERBOARD_SIZE) {
+        await this.load();
+        return super.getLeaderboard(limit);
+    }
+}
+
+// Leaderboard score: wins first, kills break ties (nobody gets a million kills)
+const RANK_SCALE = 1_000_000;
+
+/**
+ * Keeps one hash per profile in Redis, next to the lobbies of a shared state store,
+ * plus a sorted set ranking them so the leaderboard doesn't need to read every profile
+ */
+export class RedisProfileStore {
+    constructor(client, prefix = 'assassin') {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    key(...parts) {
+        return [this.prefix, ...parts].join(':');
+    }
+
+    async recordGame(results) {
+        const write = this.client.multi();
+        const now = String(Date.now());
+        for (const result of results) {
+            const key = this.key('profile', result.profileId);
+            const counts = countsFor(result);
+            for (const [counter, amount] of Object.entries(counts)) {
+                write.hIncrBy(key, counter, amount);
+            }
+            write.hSet(key, { name: result.name, lastPlayedAt: now });
+            write.zIncrBy(this.key('leaderboard'), counts.wins * RANK_SCALE + counts.kills, result.profileId);
+        }
+        await write.exec();
+    }
+
+    async getProfile(profileId) {
+        const raw = await this.client.hGetAll(this.key('profile', profileId));
+        return raw && raw.name ? toStats(this.parse(raw)) : null;
+    }
+
+    async getLeaderboard(limit = LEADERBOARD_SIZE) {
+        const ids = await this.client.zRange(this.key('leaderboard'), 0, limit - 1, { REV: true });
+        if (ids.length === 0) {
+            return [];
+        }
+        const read = this.client.multi();
+        ids.forEach(id => read.hGetAll(this.key('profile', id)));
+        const profiles = await read.exec();
+        return profiles.filter(raw => raw && raw.name).map(raw => this.parse(raw)).sort(byRank).map(toStats);
+    }
+
+    parse(raw) {
+        const profile = { name: raw.name, lastPlayedAt: Number(raw.lastPlayedAt) || null };
+        COUNTERS.forEach(counter => { profile[counter] = Number(raw[counter]) || 0; });
+        return profile;
+    }
+}
+
+/**
+ * Create the store configured via environment variables
+ * With a shared state store profiles go into the same Redis, otherwise they follow STATE_STORE
+ */
+export function createProfileStore(env = process.env, stateStore = null) {
+    if (stateStore && stateStore.shared) {
+        return new RedisProfileStore(stateStore.client, stateStore.prefix);
+    }
+    if (env.STATE_STORE === 'memory') {
+        return new MemoryProfileStore();
+    }
+    return new FileProfileStore(env.PROFILE_FILE || DEFAULT_PROFILE_FILE);
+}
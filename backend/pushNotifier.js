@@ -0,0 +1,97 @@
+/**
+ * Push Notifier - Web Push messages for players whose app is in the background (shown by the frontend's sw.js)
+ * Switched on by VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (make a pair with `npx web-push generate-vapid-keys`),
+ * optionally VAPID_SUBJECT. Requests are encrypted and signed by web-push but sent with fetch, so with
+ * PUSH_ALLOW_HTTP=true (for tests and development only) a plain-http push service on this machine,
+ * such as tools/pushStandIn.js, can stand in for the real ones
+ */
+
+import webpush from 'web-push';
+
+const SEND_TIMEOUT_MS = 5000;
+
+// The push services browsers subscribe with: FCM (Chrome, Edge, Opera), Mozilla autopush (Firefox), Apple (Safari)
+// and WNS (older Edge). Endpoints come from clients, so any other host would let them point our requests anywhere
+const PUSH_SERVICE_HOSTS = [
+    /^fcm\.googleapis\.com$/,
+    /^updates\.push\.services\.mozilla\.com$/,
+    /^([a-z0-9-]+\.)*push\.apple\.com$/,
+    /^([a-z0-9-]+\.)*notify\.windows\.com$/
+];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether the local plain-http stand-in is allowed (PUSH_ALLOW_HTTP=true)
+ */
+export const httpPushAllowed = (env = process.env) => env.PUSH_ALLOW_HTTP === 'true';
+
+/**
+ * Whether an endpoint belongs to a known push service (or, with allowHttp, to a stand-in on this machine)
+ */
+export function isPushServiceEndpoint(endpoint, { allowHttp = false } = {}) {
+    if (!URL.canParse(endpoint)) {
+        return false;
+    }
+    const url = new URL(endpoint);
+    if (url.protocol === 'https:') {
+        return url.port === '' && PUSH_SERVICE_HOSTS.some(host => host.test(url.hostname));
+    }
+    return allowHttp && url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname);
+}
+
+/**
+ * Sends to the push service behind each subscription; without keys every send is a no-op
+ */
+export class PushNotifier {
+    constructor(vapidDetails = null, { allowHttp = false } = {}) {
+        this.vapidDetails = vapidDetails;
+        this.enabled = Boolean(vapidDetails);
+        this.publicKey = vapidDetails ? vapidDetails.publicKey : null;
+        this.allowHttp = allowHttp;
+    }
+
+    /**
+     * Whether we are willing to send to a subscription's endpoint
+     */
+    accepts(subscription) {
+        return isPushServiceEndpoint(subscription.endpoint, { allowHttp: this.allowHttp });
+    }
+
+    /**
+     * Send one message to one subscription
+     * ttl is how long the push service may hold it (seconds), topic lets a newer message replace an undelivered one.
+     * Resolves to { delivered, gone }; gone means the subscription has expired or was revoked and should be forgotten
+     */
+    async send(subscription, message, { ttl = 600, urgency = 'normal', topic } = {}) {
+        if (!this.enabled || !subscription) {
+            return { delivered: false, gone: false };
+        }
+
+        const { endpoint, method, headers, body } = webpush.generateRequestDetails(subscription, JSON.stringify(message), {
+            vapidDetails: this.vapidDetails,
+            TTL: Math.max(0, Math.round(ttl)),
+            urgency,
+            topic
+        });
+
+        const response = await fetch(endpoint, { method, headers, body, signal: AbortSignal.timeout(SEND_TIMEOUT_MS) });
+        return {
+            delivered: response.ok,
+            gone: response.status === 404 || response.status === 410
+        };
+    }
+}
+
+/**
+ * Build the notifier from the environment
+ */
+export function createPushNotifier(env = process.env) {
+    if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+        return new PushNotifier();
+    }
+    return new PushNotifier({
+        subject: env.VAPID_SUBJECT || 'mailto:admin@localhost',
+        publicKey: env.VAPID_PUBLIC_KEY,
+        privateKey: env.VAPID_PRIVATE_KEY
+    }, { allowHttp: httpPushAllowed(env) });
+}
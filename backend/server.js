@@ -1,8 +1,20 @@
 import express from 'express';
 import { createServer } from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import { LobbyManager } from './lobbyManager.js';
+import { createStateStore } from './stateStore.js';
+import { listMissionDecks } from './missionDecks.js';
+import { TEAMS } from './teams.js';
+import { validateEvent, createRateLimiter, JOIN_EVENTS } from './eventSchemas.js';
+import { loadLobbyTtls, SWEEP_INTERVAL_MS } from './lobbySweeper.js';
+import { createAdminRouter } from './adminRouter.js';
+import { metrics, renderMetrics } from './metrics.js';
+import { createPushNotifier } from './pushNotifier.js';
+import { createPhotoStore, normalizePhoto, isPhotoId } from './photoStore.js';
+import { createProfileStore, profileIdFor } from './profileStore.js';
 
 const app = express();
 const server = createServer(app);
@@ -18,16 +30,192 @@ app.use(express.json());
 
 const lobbyManager = new LobbyManager(100);
 const killTimeouts = new Map(); // victimSessionId -> timeout
+const dropTimeouts = new Map(); // sessionId -> timeout for disconnected players
+const disputeTimeouts = new Map(); // disputeId -> timeout for the ruling deadline
+const clockTimeouts = new Map(); // lobbyCode -> timeout for the end of the game clock
+const heatTimeouts = new Map(); // lobbyCode -> timeout for the next heat deadline
+const stateStore = createStateStore();
+const pushNotifier = createPushNotifier();
+const photoStore = createPhotoStore();
+const profileStore = createProfileStore(process.env, stateStore);
+let persistTimer = null;
+
+// With a shared store several instances serve the same lobbies, and room broadcasts reach all of them
+if (stateStore.shared) {
+  await stateStore.connect();
+  io.adapter(await stateStore.createAdapter());
+}
+
+// Snapshot the lobby state shortly after a change (batches bursts of events; local stores only)
+const persistState = () => {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    stateStore.save(lobbyManager.serialize()).catch(err => {
+      console.error('Failed to persist state:', err);
+    });
+  }, 500);
+};
+
+// Private events that also become a system notification, for phones with the app in the background
+// (the service worker skips them while the app is on screen); null means no notification
+const PUSH_NOTIFICATIONS = {
+  'kill-pending': ({ deadline }) => ({
+    message: { type: 'kill-pending', deadline }, ttl: (deadline - Date.now()) / 1000, urgency: 'high'
+  }),
+  'you-died': () => ({ message: { type: 'you-died' }, urgency: 'high' }),
+  'target-changed': () => ({ message: { type: 'new-target' } }),
+  'kill-confirmed': ({ isGameOver }) => isGameOver ? null : { message: { type: 'new-target' } }
+};
+
+// Push a notification without holding up the event; a subscription the push service has dropped is forgotten
+const pushNotification = (code, subscription, { message, ...options }) => {
+  pushNotifier.send(subscription, { ...message, code }, { topic: message.type, ...options })
+    .then(({ gone }) => gone && withLobby(code, () => lobbyManager.forgetPushSubscription(code, subscription.endpoint)))
+    .catch(err => console.error('Push notification failed:', err.message));
+};
+
+const notifyPlayer = (code, playerId, notification) => {
+  const subscription = pushNotifier.enabled ? lobbyManager.getPushSubscription(code, playerId) : null;
+  if (subscription && notification) {
+    pushNotification(code, subscription, notification);
+  }
+};
+
+// Send one player an event meant only for them, numbered and kept by the lobby
+// so a client whose connection dropped can have it replayed when it rejoins
+const sendPrivate = (code, playerId, event, payload = {}) => {
+  const seq = lobbyManager.recordPrivateEvent(code, playerId, event, payload);
+  io.to(playerId).emit(event, { ...payload, seq });
+  if (PUSH_NOTIFICATIONS[event]) {
+    notifyPlayer(code, playerId, PUSH_NOTIFICATIONS[event](payload));
+  }
+};
+
+// Send everyone the recap of a finished game, and a notification to those who aren't looking.
+// Players who keep stats get the game added to their profile
+const announceGameOver = (code) => {
+  const summary = lobbyManager.getGameSummary(code);
+  io.to(code).emit('game-summary', summary);
+  const results = lobbyManager.takeProfileResults(code);
+  if (results.length > 0) {
+    profileStore.recordGame(results).catch(err => console.error('Could not save player stats:', err.message));
+  }
+  if (!pushNotifier.enabled) return;
+  lobbyManager.getPushSubscriptions(code).forEach(subscription => {
+    pushNotification(code, subscription, { message: { type: 'game-over', winner: summary ? summary.winner : null } });
+  });
+};
+
+// A player's whole screen, sent on rejoin and when a client asks to catch up
+const playerSnapshot = (result) => ({
+  code: result.code,
+  phase: result.phase,
+  players: result.players,
+  isHost: result.isHost,
+  isAlive: result.isAlive,
+  target: result.target,
+  targetPhoto: result.targetPhoto,
+  killWord: result.killWord,
+  mission: result.mission,
+  aliveCount: result.aliveCount,
+  allPlayers: result.allPlayers,
+  settings: result.settings,
+  missionDecks: listMissionDecks(),
+  teams: TEAMS,
+  summary: result.summary,
+  killFeed: result.killFeed,
+  spectator: result.spectator,
+  disputes: result.disputes,
+  killDisputed: result.killDisputed,
+  endsAt: result.endsAt,
+  suddenDeath: result.suddenDeath,
+  suddenDeathChain: result.suddenDeathChain,
+  heatDeadline: result.heatDeadline,
+  exposed: result.exposed,
+  targetExposed: result.targetExposed,
+  pendingKill: result.pendingKill,
+  awaitingKill: result.awaitingKill,
+  seq: result.seq,
+  missed: result.missed
+});
+
+// Eliminated players watch from a separate room so spectator-only info never reaches the living
+const spectatorRoom = (code) => `${code}:spectators`;
+
+// Living players learn who fell, spectators also learn who did it
+const broadcastKillFeed = (code, entry) => {
+  io.to(code).except(spectatorRoom(code)).emit('kill-feed', {
+    victim: entry.victim, at: entry.at, left: entry.left, dropped: entry.dropped, burntOut: entry.burntOut
+  });
+  io.to(spectatorRoom(code)).emit('kill-feed', entry);
+};
+
+// Push the live chain, pending kills and game clock to spectators
+// (during sudden death the chain is public, so everyone gets it)
+const broadcastSpectatorView = (code) => {
+  const view = lobbyManager.getSpectatorView(code);
+  if (view) {
+    io.to(spectatorRoom(code)).emit('spectator-update', view);
+  }
+  const chain = lobbyManager.getSuddenDeathChain(code);
+  if (chain) {
+    io.to(code).emit('sudden-death', { chain });
+  }
+};
+
+// Tell both parties how a dispute went when the denial stands
+const announceUpheldDenial = (code, result) => {
+  clearDisputeTimer(result.disputeId);
+  sendPrivate(code, result.killerId, 'dispute-ruled', { ruling: result.ruling, victim: result.victimName });
+  sendPrivate(code, result.victimId, 'dispute-ruled', { ruling: result.ruling });
+};
+
+// Send every player the disputes they may rule on (empty lists clear stale boards)
+// Disputes nobody is left to rule on are upheld first
+const broadcastDisputes = (code) => {
+  lobbyManager.settleUnjudgedDisputes(code).forEach(result => announceUpheldDenial(code, result));
+  lobbyManager.getDisputeBoards(code).forEach(({ playerId, disputes }) => {
+    io.to(playerId).emit('disputes-updated', { disputes });
+  });
+};
 
 // Helper to broadcast kill results
 const broadcastKillResult = (code, result) => {
   if (result.success) {
+    // The victim becomes a spectator before the feed goes out, so they get the full version
+    io.in(result.victimId).socketsJoin(spectatorRoom(code));
+    broadcastKillFeed(code, { victim: result.victimName, killer: result.killerName, at: Date.now() });
+
     // Notify the killer of their new target
-    io.to(result.killerId).emit('kill-confirmed', {
+    sendPrivate(code, result.killerId, 'kill-confirmed', {
       newTarget: result.newTarget,
+      newTargetPhoto: result.newTargetPhoto,
+      newMission: result.newMission,
+      heatDeadline: result.heatDeadline,
+      targetExposed: result.newTargetExposed,
       isGameOver: result.isGameOver
     });
 
+    // The killer was exposed; their hunters lose the advantage
+    result.coverRestoredFor.forEach(hunterId => {
+      sendPrivate(code, hunterId, 'target-exposed', { exposed: false });
+    });
+
+    // A kill the victim had pending on their own target is void, for both of them
+    result.cancelledKills.forEach(({ victimSessionId, notifyId }) => {
+      clearKillTimer(victimSessionId);
+      sendPrivate(code, notifyId, 'kill-cancelled');
+    });
+    if (result.cancelledKills.length > 0) {
+      sendPrivate(code, result.victimId, 'kill-cancelled');
+    }
+
+    // Team mode: teammates who were also hunting the victim move on
+    result.retargets.forEach(({ playerId, target, targetPhoto }) => {
+      sendPrivate(code, playerId, 'target-changed', { target, targetPhoto });
+    });
+
     // Notify all players of updated status
     io.to(code).emit('game-status', {
       phase: result.isGameOver ? 'ended' : 'playing',
@@ -39,53 +227,591 @@ const broadcastKillResult = (code, result) => {
     // Notify the dead player ONLY if game is not over
     if (!result.isGameOver) {
       // result.victimId is the Socket ID (resolved by LobbyManager)
-      io.to(result.victimId).emit('you-died', {});
+      sendPrivate(code, result.victimId, 'you-died');
+      scheduleHeat(code);
+    } else {
+      clearRoundTimers(code);
+      announceGameOver(code);
+    }
+    broadcastSpectatorView(code);
+    broadcastDisputes(code);
+  }
+};
+
+// Stop a pending kill's auto-confirm timer
+const clearKillTimer = (victimSessionId) => {
+  if (victimSessionId && killTimeouts.has(victimSessionId)) {
+    clearTimeout(killTimeouts.get(victimSessionId));
+    killTimeouts.delete(victimSessionId);
+  }
+};
+
+// Delete photos of players who are gone; a failure only leaves an orphaned photo behind
+const forgetPhotos = (photoIds) => {
+  const gone = photoIds.filter(Boolean);
+  if (gone.length > 0) {
+    photoStore.remove(gone).catch(err => console.error('Could not delete photos:', err.message));
+  }
+};
+
+// Helper to broadcast a player leaving, being kicked, dropping out of the waiting room
+// or being dropped from a game after staying disconnected
+const broadcastRemoval = (code, result) => {
+  forgetPhotos([result.photoId]);
+  if (result.lobbyDeleted) {
+    result.cancelledKills.forEach(({ victimSessionId }) => clearKillTimer(victimSessionId));
+    clearRoundTimers(code);
+    return;
+  }
+
+  // Pending kills involving the removed player are void
+  result.cancelledKills.forEach(({ victimSessionId, notifyId }) => {
+    clearKillTimer(victimSessionId);
+    sendPrivate(code, notifyId, 'kill-cancelled');
+  });
+
+  if (result.leftPlayer) {
+    broadcastKillFeed(code, {
+      victim: result.leftPlayer, at: Date.now(), left: true, dropped: result.dropped, burntOut: result.burntOut
+    });
+  }
+
+  // Their hunter inherits their target (in team mode, possibly several teammates)
+  result.retargets.forEach(({ playerId, target, targetPhoto }) => {
+    sendPrivate(code, playerId, 'target-changed', { target, targetPhoto });
+  });
+
+  io.to(code).emit('player-left', {
+    players: result.players,
+    allPlayers: result.allPlayers
+  });
+
+  if (result.phase !== 'waiting') {
+    io.to(code).emit('game-status', {
+      phase: result.phase,
+      aliveCount: result.aliveCount,
+      winner: result.winner,
+      allPlayers: result.allPlayers
+    });
+  }
+
+  if (result.isGameOver) {
+    clearRoundTimers(code);
+    announceGameOver(code);
+  }
+  broadcastSpectatorView(code);
+  broadcastDisputes(code);
+};
+
+// Tell a kicked player and take them out of the lobby's rooms
+const broadcastKick = (code, result) => {
+  io.to(result.kickedId).emit('kicked', {});
+  io.in(result.kickedId).socketsLeave([code, spectatorRoom(code)]);
+  broadcastRemoval(code, result);
+};
+
+// Resolve a pending kill once its deadline passes (auto-confirm or auto-cancel per lobby rules)
+// Every instance that has seen the kill may hold a timer for it; only the first to find it still pending acts
+const scheduleAutoConfirm = (code, victimSessionId, deadline) => {
+  const timeout = setTimeout(() => withLobby(code, () => {
+    // Clear map entry (cleanup)
+    if (killTimeouts.get(victimSessionId) === timeout) {
+      killTimeouts.delete(victimSessionId);
+    }
+
+    const stillPending = lobbyManager.getPendingKills(code)
+      .some(kill => kill.victimSessionId === victimSessionId && kill.deadline === deadline);
+    if (!stillPending) return;
+
+    const settings = lobbyManager.getSettings(code);
+    if (settings && settings.timeoutAction === 'cancel') {
+      console.log(`Auto-cancelling kill for lobby ${code}, victimSession ${victimSessionId}`);
+      const cancelResult = lobbyManager.cancelKillBySession(code, victimSessionId);
+      if (cancelResult.success) {
+        sendPrivate(code, cancelResult.killerId, 'kill-cancelled');
+        sendPrivate(code, cancelResult.victimId, 'kill-cancelled');
+        broadcastSpectatorView(code);
+      }
+    } else {
+      console.log(`Auto-confirming kill for lobby ${code}, victimSession ${victimSessionId}`);
+      const confirmResult = lobbyManager.confirmKillBySession(code, victimSessionId, true);
+      broadcastKillResult(code, confirmResult);
+    }
+  }).catch(logTimerFailure), Math.max(0, deadline - Date.now()));
+
+  killTimeouts.set(victimSessionId, timeout);
+};
+
+// Stop a dispute's ruling timer
+const clearDisputeTimer = (disputeId) => {
+  if (disputeId && disputeTimeouts.has(disputeId)) {
+    clearTimeout(disputeTimeouts.get(disputeId));
+    disputeTimeouts.delete(disputeId);
+  }
+};
+
+// Uphold a denial once its dispute has gone unruled past the deadline
+const scheduleDisputeExpiry = (code, disputeId, deadline) => {
+  clearDisputeTimer(disputeId);
+  const timeout = setTimeout(() => withLobby(code, () => {
+    if (disputeTimeouts.get(disputeId) === timeout) {
+      disputeTimeouts.delete(disputeId);
+    }
+
+    const result = lobbyManager.expireDispute(code, disputeId);
+    if (result.success) {
+      console.log(`Dispute ${disputeId} in lobby ${code} ran out of time, the denial stands`);
+      announceUpheldDenial(code, result);
+      broadcastDisputes(code);
+    }
+  }).catch(logTimerFailure), Math.max(0, deadline - Date.now()));
+
+  disputeTimeouts.set(disputeId, timeout);
+};
+
+// Make sure each of a lobby's open disputes has a ruling timer
+const armDisputeTimers = (code) => {
+  lobbyManager.getPendingDisputes(code)
+    .filter(({ disputeId }) => !disputeTimeouts.has(disputeId))
+    .forEach(({ disputeId, deadline }) => scheduleDisputeExpiry(code, disputeId, deadline));
+};
+
+// Stop a disconnected player's grace timer
+const clearDropTimer = (sessionId) => {
+  if (sessionId && dropTimeouts.has(sessionId)) {
+    clearTimeout(dropTimeouts.get(sessionId));
+    dropTimeouts.delete(sessionId);
+  }
+};
+
+// Drop a disconnected player once their grace period runs out, unless they came back
+const scheduleDrop = (code, sessionId, deadline) => {
+  clearDropTimer(sessionId);
+  const timeout = setTimeout(() => withLobby(code, () => {
+    if (dropTimeouts.get(sessionId) === timeout) {
+      dropTimeouts.delete(sessionId);
+    }
+
+    const stillPending = lobbyManager.getPendingDrops(code)
+      .some(drop => drop.sessionId === sessionId && drop.deadline === deadline);
+    if (!stillPending) return;
+
+    const result = lobbyManager.dropDisconnected(code, sessionId);
+    if (result.success) {
+      console.log(`Dropped disconnected player from lobby ${code}, session ${sessionId}`);
+      broadcastRemoval(code, result);
+    }
+  }).catch(logTimerFailure), Math.max(0, deadline - Date.now()));
+
+  dropTimeouts.set(sessionId, timeout);
+};
+
+// Stop a lobby's game clock and heat timers
+const clearRoundTimers = (code) => {
+  [clockTimeouts, heatTimeouts].forEach(timeouts => {
+    if (timeouts.has(code)) {
+      clearTimeout(timeouts.get(code));
+      timeouts.delete(code);
+    }
+  });
+};
+
+// Reveal every remaining assignment to everyone once the game clock runs out
+const scheduleSuddenDeath = (code, endsAt) => {
+  if (clockTimeouts.has(code)) {
+    clearTimeout(clockTimeouts.get(code));
+  }
+  const timeout = setTimeout(() => withLobby(code, () => {
+    if (clockTimeouts.get(code) === timeout) {
+      clockTimeouts.delete(code);
+    }
+
+    // A clock left over from an earlier round (or another instance's view of it) does nothing
+    if (!lobbyManager.getRunningClocks().some(clock => clock.code === code && clock.endsAt === endsAt)) return;
+
+    const result = lobbyManager.startSuddenDeath(code);
+    if (result.success) {
+      console.log(`Sudden death in lobby ${code}`);
+      broadcastSpectatorView(code);
+    }
+  }).catch(logTimerFailure), Math.max(0, endsAt - Date.now()));
+
+  clockTimeouts.set(code, timeout);
+};
+
+// Arm the heat timer for the earliest kill deadline in a lobby; it re-arms itself after firing
+const scheduleHeat = (code) => {
+  if (heatTimeouts.has(code)) {
+    clearTimeout(heatTimeouts.get(code));
+    heatTimeouts.delete(code);
+  }
+  const deadline = lobbyManager.getNextHeatDeadline(code);
+  if (!deadline) return;
+
+  const timeout = setTimeout(() => withLobby(code, () => {
+    if (heatTimeouts.get(code) === timeout) {
+      heatTimeouts.delete(code);
+    }
+
+    const result = lobbyManager.applyHeat(code);
+    if (!result) return;
+
+    result.exposed.forEach(({ playerId, name, hunterIds }) => {
+      console.log(`Exposed ${name} in lobby ${code}`);
+      sendPrivate(code, playerId, 'heat-exposed');
+      hunterIds.forEach(hunterId => sendPrivate(code, hunterId, 'target-exposed', { exposed: true }));
+    });
+    result.eliminated.forEach(removal => {
+      console.log(`Eliminated ${removal.leftPlayer} in lobby ${code} for going without a kill`);
+      // Like a kill victim, they watch from the spectator room from now on
+      io.in(removal.playerId).socketsJoin(spectatorRoom(code));
+      broadcastRemoval(code, removal);
+      if (!removal.isGameOver) {
+        sendPrivate(code, removal.playerId, 'you-died');
+      }
+    });
+
+    if (result.exposed.length > 0) {
+      broadcastSpectatorView(code);
     }
+    scheduleHeat(code);
+  }).catch(logTimerFailure), Math.max(0, deadline - Date.now()));
+
+  heatTimeouts.set(code, timeout);
+};
+
+const logTimerFailure = (err) => console.error('Timer failed:', err);
+
+// Make sure this instance has a timer for each of a lobby's deadlines, in case the instance
+// that armed them goes away (the timers look at the lobby again when they fire)
+const armTimers = (code) => {
+  lobbyManager.getPendingKills(code)
+    .filter(({ victimSessionId }) => !killTimeouts.has(victimSessionId))
+    .forEach(({ victimSessionId, deadline }) => scheduleAutoConfirm(code, victimSessionId, deadline));
+  lobbyManager.getPendingDrops(code)
+    .filter(({ sessionId }) => !dropTimeouts.has(sessionId))
+    .forEach(({ sessionId, deadline }) => scheduleDrop(code, sessionId, deadline));
+  armDisputeTimers(code);
+
+  const clock = lobbyManager.getRunningClocks().find(running => running.code === code);
+  if (clock && clock.endsAt && !clockTimeouts.has(code)) {
+    scheduleSuddenDeath(code, clock.endsAt);
+  }
+  if (clock && !heatTimeouts.has(code)) {
+    scheduleHeat(code);
+  }
+};
+
+// Stop the timers of a lobby that is gone
+const clearLobbyTimers = ({ code, sessionIds, victimSessionIds, disputeIds }) => {
+  victimSessionIds.forEach(clearKillTimer);
+  sessionIds.forEach(clearDropTimer);
+  disputeIds.forEach(clearDisputeTimer);
+  clearRoundTimers(code);
+};
+
+// Replace the local copy of a lobby with the shared one (dropping it if another instance deleted it)
+const pullLobby = async (code) => {
+  const record = await stateStore.loadLobby(code);
+  if (record) {
+    lobbyManager.importLobby(record);
+    return;
+  }
+  const released = lobbyManager.deleteLobby(code);
+  if (released) {
+    clearLobbyTimers(released);
+    forgetPhotos(released.photoIds);
   }
 };
 
+const pushLobby = async (code) => {
+  const record = lobbyManager.exportLobby(code);
+  await (record ? stateStore.saveLobby(code, record) : stateStore.deleteLobby(code));
+};
+
+// Run one unit of work (an event, a timer, an admin action) against a lobby and persist the result.
+// With a shared store it runs under the lobby's cluster-wide lock on freshly loaded state;
+// otherwise it runs straight away and the snapshot is saved as before
+const withLobby = async (code, work) => {
+  if (!stateStore.shared) {
+    const result = work();
+    persistState();
+    return result;
+  }
+  if (!code) {
+    return work(); // not about any lobby (e.g. a socket that never joined one)
+  }
+
+  const release = await stateStore.lock(code);
+  try {
+    await pullLobby(code);
+    const result = work();
+    await pushLobby(code);
+    armTimers(code);
+    return result;
+  } finally {
+    await release();
+  }
+};
+
+// Restore games from the last snapshot and resume their kill, grace, dispute and round timers
+// (a shared store has no snapshot: load the lobbies all instances serve and arm their timers here too)
+if (stateStore.shared) {
+  const codes = await stateStore.listLobbyCodes();
+  for (const code of codes) {
+    await withLobby(code, () => {});
+  }
+  console.log(`Loaded ${codes.length} lobbies from the shared store`);
+}
+const snapshot = stateStore.shared ? null : await stateStore.load();
+if (snapshot) {
+  const restored = lobbyManager.restore(snapshot);
+  lobbyManager.getPendingKills().forEach(({ code, victimSessionId, deadline }) => {
+    scheduleAutoConfirm(code, victimSessionId, deadline);
+  });
+  lobbyManager.getPendingDrops().forEach(({ code, sessionId, deadline }) => {
+    scheduleDrop(code, sessionId, deadline);
+  });
+  lobbyManager.getPendingDisputes().forEach(({ code, disputeId, deadline }) => {
+    scheduleDisputeExpiry(code, disputeId, deadline);
+  });
+  lobbyManager.getRunningClocks().forEach(({ code, endsAt }) => {
+    if (endsAt) {
+      scheduleSuddenDeath(code, endsAt);
+    }
+    scheduleHeat(code);
+  });
+  console.log(`Restored ${restored} lobbies from saved state`);
+}
+
+// Periodically delete lobbies left idle for too long, with their timers
+const lobbyTtls = loadLobbyTtls();
+const sweepStats = { lastSweepAt: null, reclaimed: { waiting: 0, playing: 0, ended: 0 } };
+
+// Stop a deleted lobby's timers and send its remaining players home
+const releaseLobby = (released) => {
+  const { code } = released;
+  clearLobbyTimers(released);
+  forgetPhotos(released.photoIds);
+
+  io.to(code).emit('lobby-deleted', {});
+  io.in(code).socketsLeave([code, spectatorRoom(code)]);
+};
+
+// With a shared store each lobby is checked on its latest state, under its lock
+const sweepLobbies = async () => {
+  let deleted = [];
+  if (stateStore.shared) {
+    for (const code of await stateStore.listLobbyCodes()) {
+      deleted.push(...await withLobby(code, () => lobbyManager.sweepStaleLobbies(lobbyTtls, Date.now(), [code])));
+    }
+  } else {
+    deleted = lobbyManager.sweepStaleLobbies(lobbyTtls);
+  }
+  sweepStats.lastSweepAt = Date.now();
+
+  deleted.forEach(released => {
+    releaseLobby(released);
+    sweepStats.reclaimed[released.phase]++;
+    console.log(`Swept stale ${released.phase} lobby ${released.code}`);
+  });
+
+  if (deleted.length > 0 && !stateStore.shared) {
+    persistState();
+  }
+};
+setInterval(() => {
+  sweepLobbies().catch(err => console.error('Lobby sweep failed:', err));
+}, SWEEP_INTERVAL_MS).unref();
+
+// Admin API (enabled by ADMIN_TOKEN) and the page that uses it
+app.use('/admin/api', createAdminRouter({
+  token: process.env.ADMIN_TOKEN,
+  lobbyManager,
+  actions: {
+    // Bring this instance's copy of one lobby (or all of them) up to date before reading it
+    refresh: async (code) => {
+      if (!stateStore.shared) return;
+      const codes = code ? [code] : await stateStore.listLobbyCodes();
+      for (const lobbyCode of codes) {
+        await withLobby(lobbyCode, () => {});
+      }
+    },
+    endGame: (code) => withLobby(code, () => {
+      const result = lobbyManager.forceEndGame(code);
+      if (result.success) {
+        result.victimSessionIds.forEach(clearKillTimer);
+        result.sessionIds.forEach(clearDropTimer);
+        clearRoundTimers(code);
+        io.to(code).emit('game-status', {
+          phase: 'ended',
+          aliveCount: result.aliveCount,
+          winner: null,
+          allPlayers: result.allPlayers
+        });
+        announceGameOver(code);
+        broadcastDisputes(code);
+        console.log(`Admin ended the game in lobby ${code}`);
+      }
+      return { success: result.success, message: result.message };
+    }),
+    deleteLobby: (code) => withLobby(code, () => {
+      const released = lobbyManager.deleteLobby(code);
+      if (!released) {
+        return { success: false, message: 'Lobby not found' };
+      }
+      releaseLobby(released);
+      console.log(`Admin deleted lobby ${code}`);
+      return { success: true };
+    }),
+    kickPlayer: (code, playerId) => withLobby(code, () => {
+      const result = lobbyManager.kickPlayer(code, null, playerId);
+      if (result.success) {
+        broadcastKick(code, result);
+        console.log(`Admin kicked player ${playerId} from lobby ${code}`);
+      }
+      return { success: result.success, message: result.message };
+    })
+  }
+}));
+app.use('/admin', express.static(path.join(path.dirname(fileURLToPath(import.meta.url)), 'admin')));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', lobbies: lobbyManager.getLobbyCount() });
+  res.json({
+    status: 'ok',
+    lobbies: lobbyManager.getLobbyCount(),
+    sweeper: { ttlMinutes: lobbyTtls, ...sweepStats }
+  });
+});
+
+// Prometheus scrape endpoint; gauges are read at scrape time
+metrics.lobbies.collect = () => Object.entries(lobbyManager.countLobbiesByPhase())
+  .map(([phase, value]) => ({ labels: { phase }, value }));
+metrics.connectedSockets.collect = () => io.engine.clientsCount;
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Player photos, by the unguessable id handed out in player lists and target assignments.
+// A new photo gets a new id, so a fetched one never changes
+app.get('/photos/:photoId.jpg', async (req, res) => {
+  const photo = isPhotoId(req.params.photoId) ? await photoStore.load(req.params.photoId) : null;
+  if (!photo) {
+    return res.status(404).end();
+  }
+  res.set('Cache-Control', 'private, max-age=86400, immutable');
+  res.type('image/jpeg').send(photo);
 });
 
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
 
-  // Try to rejoin with existing session
-  socket.on('rejoin', ({ sessionId }) => {
-    const result = lobbyManager.rejoinLobby(sessionId, socket.id);
+  // Clients need the server's public key to subscribe to push notifications
+  if (pushNotifier.enabled) {
+    socket.emit('push-config', { publicKey: pushNotifier.publicKey });
+  }
+
+  // Every event is rate limited, checked against its schema and, if it names a lobby,
+  // checked against the lobby this socket actually belongs to
+  const rateLimit = createRateLimiter();
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const reject = (error) => socket.emit('error', { event, ...error });
+
+    const { allowed, retryAfter } = rateLimit(event);
+    if (!allowed) {
+      return reject({ type: 'rate_limited', message: 'Slow down - too many requests', retryAfter });
+    }
+
+    const result = validateEvent(event, payload);
+    if (!result.success) {
+      return reject({ type: 'invalid_payload', message: result.message, field: result.field });
+    }
+
+    if ('code' in result.payload && !JOIN_EVENTS.includes(event)
+      && lobbyManager.getLobbyCode(socket.id) !== result.payload.code) {
+      return reject({ type: 'wrong_lobby', message: 'You are not in that lobby', field: 'code' });
+    }
+
+    packet[1] = result.payload;
+    next();
+  });
+
+  // Which lobby an event works on, so it can be locked and loaded (shared store only);
+  // a new lobby gets its code reserved across all instances up front
+  const lobbyCodeFor = async (event, payload) => {
+    if (event === 'rejoin') {
+      return stateStore.findLobbyByToken(payload.sessionToken);
+    }
+    if (event === 'create-lobby') {
+      return stateStore.claimCode(() => lobbyManager.generateCode());
+    }
+    return payload?.code || lobbyManager.getLobbyCode(socket.id);
+  };
+
+  // Register an event handler and time how long it runs
+  // Any client event may change lobby state, and keeps the lobby from being swept
+  const handle = (event, handler) => socket.on(event, async (payload) => {
+    const end = metrics.eventLatency.startTimer({ event });
+    try {
+      const code = stateStore.shared ? await lobbyCodeFor(event, payload) : null;
+      await withLobby(code, () => {
+        handler(payload, code);
+        lobbyManager.touchLobby(socket.id);
+      });
+    } catch (err) {
+      console.error(`Failed to handle ${event}:`, err);
+      socket.emit('error', { event, message: 'Something went wrong - please try again' });
+    } finally {
+      end();
+    }
+  });
+
+  // Try to rejoin with existing session (the token is rotated on every rejoin)
+  // Clients rejoin on every (re)connect; the reply is a full snapshot, plus the private events
+  // sent after lastSeq when the lobby still has all of them
+  handle('rejoin', ({ sessionToken, lastSeq }, code) => {
+    // With a shared store the token led to a lobby that another instance has since deleted
+    if (code && !lobbyManager.hasLobby(code)) {
+      metrics.rejoins.inc({ result: 'lobby_gone' });
+      socket.emit('rejoin-failed', { reason: 'lobby_gone', message: 'Lobby no longer exists' });
+      return;
+    }
+
+    const result = lobbyManager.rejoinLobby(sessionToken, socket.id, lastSeq);
     if (result.success) {
+      clearDropTimer(result.sessionId);
       socket.join(result.code);
-      socket.emit('rejoin-success', {
-        code: result.code,
-        phase: result.phase,
-        players: result.players,
-        isHost: result.isHost,
-        isAlive: result.isAlive,
-        target: result.target,
-        aliveCount: result.aliveCount,
-        allPlayers: result.allPlayers
-      });
+      if (!result.isAlive && result.phase === 'playing') {
+        socket.join(spectatorRoom(result.code));
+      }
+      socket.emit('rejoin-success', { ...playerSnapshot(result), sessionToken: result.sessionToken });
       // Notify others that player reconnected
       socket.to(result.code).emit('player-reconnected', {
         players: result.players,
         allPlayers: result.allPlayers
       });
+      broadcastDisputes(result.code);
     } else {
-      socket.emit('rejoin-failed', { message: result.message });
+      socket.emit('rejoin-failed', { reason: result.reason, message: result.message });
     }
   });
 
   // Create a new lobby
-  socket.on('create-lobby', ({ playerName }) => {
-    const result = lobbyManager.createLobby(socket.id, playerName);
+  handle('create-lobby', ({ playerName, profileKey }, reservedCode) => {
+    const profileId = profileKey ? profileIdFor(profileKey) : null;
+    const result = lobbyManager.createLobby(socket.id, playerName, reservedCode, profileId);
     if (result.success) {
       socket.join(result.code);
       socket.emit('lobby-created', {
         code: result.code,
-        sessionId: result.sessionId,
-        players: result.players
+        sessionToken: result.sessionToken,
+        players: result.players,
+        settings: result.settings,
+        missionDecks: listMissionDecks(),
+        teams: TEAMS
       });
     } else {
       socket.emit('error', { message: result.message });
@@ -93,32 +819,92 @@ io.on('connection', (socket) => {
   });
 
   // Join an existing lobby
-  socket.on('join-lobby', ({ code, playerName }) => {
-    const result = lobbyManager.joinLobby(code, socket.id, playerName);
+  handle('join-lobby', ({ code, playerName, profileKey }) => {
+    const profileId = profileKey ? profileIdFor(profileKey) : null;
+    const result = lobbyManager.joinLobby(code, socket.id, playerName, profileId);
     if (result.success) {
       socket.join(code);
       socket.emit('lobby-joined', {
         code,
-        sessionId: result.sessionId,
-        players: result.players
+        sessionToken: result.sessionToken,
+        players: result.players,
+        settings: result.settings,
+        missionDecks: listMissionDecks(),
+        teams: TEAMS
       });
       socket.to(code).emit('player-joined', { players: result.players });
+    } else {
+      socket.emit('join-failed', { code, reason: result.reason, message: result.message });
+    }
+  });
+
+  // Can this lobby still be joined? Join links ask before asking for a name
+  handle('check-lobby', ({ code }) => {
+    socket.emit('lobby-status', { code, ...lobbyManager.getJoinStatus(code) });
+  });
+
+  // Change lobby rules (host only, before start)
+  handle('update-settings', ({ code, settings }) => {
+    const result = lobbyManager.updateSettings(code, socket.id, settings);
+    if (result.success) {
+      io.to(code).emit('settings-updated', { settings: result.settings, players: result.players });
+    } else {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
+  // Upload a custom mission deck (host only, before start)
+  handle('upload-missions', ({ code, text }) => {
+    const result = lobbyManager.uploadMissions(code, socket.id, text);
+    if (result.success) {
+      io.to(code).emit('settings-updated', { settings: result.settings, players: result.players });
+    } else {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
+  // Pick a team (team mode, before start)
+  handle('choose-team', ({ code, team }) => {
+    const result = lobbyManager.chooseTeam(code, socket.id, team);
+    if (result.success) {
+      io.to(code).emit('teams-updated', { players: result.players });
+    } else {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
+  // Shuffle everyone into even teams (host only, before start)
+  handle('balance-teams', ({ code }) => {
+    const result = lobbyManager.balanceTeams(code, socket.id);
+    if (result.success) {
+      io.to(code).emit('teams-updated', { players: result.players });
     } else {
       socket.emit('error', { message: result.message });
     }
   });
 
   // Start the game (host only)
-  socket.on('start-game', ({ code }) => {
+  handle('start-game', ({ code }) => {
     const result = lobbyManager.startGame(code, socket.id);
     if (result.success) {
       // Send each player their target privately
-      result.assignments.forEach(({ playerId, target }) => {
+      result.assignments.forEach(({ playerId, target, targetPhoto, killWord, mission, heatDeadline }) => {
         io.to(playerId).emit('game-started', {
           target,
-          allPlayers: result.allPlayers
+          targetPhoto,
+          killWord,
+          mission,
+          endsAt: result.endsAt,
+          heatDeadline,
+          allPlayers: result.allPlayers,
+          seq: result.seq
         });
+        notifyPlayer(code, playerId, { message: { type: 'new-target' } });
       });
+      if (result.endsAt) {
+        scheduleSuddenDeath(code, result.endsAt);
+      }
+      scheduleHeat(code);
       io.to(code).emit('game-status', {
         phase: 'playing',
         aliveCount: result.aliveCount,
@@ -129,100 +915,268 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Play again in the same lobby (host only, after the game ended)
+  handle('rematch', ({ code }) => {
+    const result = lobbyManager.rematch(code, socket.id);
+    if (result.success) {
+      clearRoundTimers(code);
+      lobbyManager.getPendingDrops(code).forEach(({ sessionId, deadline }) => scheduleDrop(code, sessionId, deadline));
+      io.in(spectatorRoom(code)).socketsLeave(spectatorRoom(code));
+      io.to(code).emit('rematch-started', {
+        players: result.players,
+        settings: result.settings
+      });
+    } else {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
   // Initiate a kill
-  socket.on('initiate-kill', ({ code }) => {
+  handle('initiate-kill', ({ code }) => {
     const result = lobbyManager.initiateKill(code, socket.id);
     if (result.success) {
       // Notify the victim - NO killer name sent!
-      io.to(result.victimId).emit('kill-pending', { deadline: result.deadline });
-      socket.emit('kill-initiated', { victimName: result.victimName, deadline: result.deadline });
+      sendPrivate(code, result.victimId, 'kill-pending', { deadline: result.deadline, denialsLeft: result.denialsLeft });
+      sendPrivate(code, socket.id, 'kill-initiated', { victimName: result.victimName, deadline: result.deadline });
 
       // Start server-side timeout using SessionID
-      const victimSessionId = result.victimSessionId;
-      const timeout = setTimeout(() => {
-        console.log(`Auto-confirming kill for lobby ${code}, victimSession ${victimSessionId}`);
-
-        // Clear map entry (cleanup)
-        if (killTimeouts.has(victimSessionId)) {
-          killTimeouts.delete(victimSessionId);
-        }
-
-        const confirmResult = lobbyManager.confirmKillBySession(code, victimSessionId, true);
-        broadcastKillResult(code, confirmResult);
-
-      }, 15000); // 15s
-
-      killTimeouts.set(victimSessionId, timeout);
+      scheduleAutoConfirm(code, result.victimSessionId, result.deadline);
+      broadcastSpectatorView(code);
 
     } else {
       socket.emit('error', { message: result.message });
     }
   });
 
+  // Claim a kill with the target's secret word (word verification mode)
+  handle('claim-kill', ({ code, word }) => {
+    const result = lobbyManager.claimKill(code, socket.id, word);
+    if (result.success) {
+      // A pending kill from before may still have a timer running
+      clearKillTimer(lobbyManager.getSessionId(result.victimId));
+      broadcastKillResult(code, result);
+    } else if (result.wrongWord) {
+      socket.emit('kill-claim-failed', { message: result.message, cooldownUntil: result.cooldownUntil });
+      if (result.exposed) {
+        sendPrivate(code, result.exposed.victimId, 'hunter-exposed', { hunter: result.exposed.hunter });
+      }
+    } else {
+      socket.emit('error', { message: result.message, cooldownUntil: result.cooldownUntil });
+    }
+  });
+
   // Confirm being killed (victim confirms)
-  socket.on('confirm-death', ({ code }) => {
+  handle('confirm-death', ({ code }) => {
     // Clear timeout
-    const sessionId = lobbyManager.getSessionId(socket.id);
-    if (sessionId && killTimeouts.has(sessionId)) {
-      clearTimeout(killTimeouts.get(sessionId));
-      killTimeouts.delete(sessionId);
-    }
+    clearKillTimer(lobbyManager.getSessionId(socket.id));
 
     const result = lobbyManager.confirmKill(code, socket.id, false);
     broadcastKillResult(code, result);
   });
 
   // Cancel pending kill
-  socket.on('cancel-kill', ({ code }) => {
+  handle('cancel-kill', ({ code }) => {
     const result = lobbyManager.cancelKill(code, socket.id);
 
-    // Clear timeout
-    const sessionId = lobbyManager.getSessionId(socket.id);
-    if (sessionId && killTimeouts.has(sessionId)) {
-      clearTimeout(killTimeouts.get(sessionId));
-      killTimeouts.delete(sessionId);
+    if (result.success) {
+      // Clear timeout
+      clearKillTimer(lobbyManager.getSessionId(socket.id));
+
+      // A denial goes to the judges when anyone can rule on it
+      sendPrivate(code, result.killerId, result.disputed ? 'kill-disputed' : 'kill-cancelled');
+      armDisputeTimers(code);
+      broadcastSpectatorView(code);
+      broadcastDisputes(code);
+    } else {
+      socket.emit('error', { message: result.message });
     }
+  });
 
-    if (result.success) {
-      io.to(result.killerId).emit('kill-cancelled', {});
+  // Rule on a denied kill (host, or a vote of dead players)
+  handle('rule-dispute', ({ code, disputeId, ruling }) => {
+    const result = lobbyManager.ruleDispute(code, socket.id, disputeId, ruling);
+    if (!result.success) {
+      socket.emit('error', { message: result.message });
+      return;
+    }
+
+    if (result.resolved && result.ruling === 'confirm') {
+      clearDisputeTimer(disputeId);
+      broadcastKillResult(code, result);
+    } else if (result.resolved) {
+      announceUpheldDenial(code, result);
     }
+    broadcastDisputes(code);
   });
 
   // Cancel pending kill (from killer side) - Manual Cancel
-  socket.on('cancel-kill-killer', ({ code }) => {
+  handle('cancel-kill-killer', ({ code }) => {
     const result = lobbyManager.cancelKillByKiller(code, socket.id);
 
     if (result.success) {
       // Clear server timeout for victim
       // result.victimId is SocketID. We need SessionID to clear timeout.
-      const victimSessionId = lobbyManager.getSessionId(result.victimId);
-      if (victimSessionId && killTimeouts.has(victimSessionId)) {
-        clearTimeout(killTimeouts.get(victimSessionId));
-        killTimeouts.delete(victimSessionId);
+      clearKillTimer(lobbyManager.getSessionId(result.victimId));
+
+      sendPrivate(code, result.victimId, 'kill-cancelled');
+      sendPrivate(code, socket.id, 'kill-cancelled'); // Also notify killer to reset state
+      broadcastSpectatorView(code);
+    }
+  });
+
+  // Kick a player (host only)
+  handle('kick-player', ({ code, playerId }) => {
+    const result = lobbyManager.kickPlayer(code, socket.id, playerId);
+    if (result.success) {
+      broadcastKick(code, result);
+    } else {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
+  // Hand the host role to another player (host only)
+  handle('transfer-host', ({ code, playerId }) => {
+    const result = lobbyManager.transferHost(code, socket.id, playerId);
+    if (result.success) {
+      io.to(code).emit('host-changed', {
+        players: result.players,
+        allPlayers: result.allPlayers
+      });
+      broadcastDisputes(code);
+    } else {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
+  // Drop a disconnected player without waiting out the grace period (host only)
+  handle('drop-player', ({ code, playerId }) => {
+    const result = lobbyManager.dropPlayer(code, socket.id, playerId);
+    if (result.success) {
+      clearDropTimer(result.sessionId);
+      broadcastRemoval(code, result);
+    } else {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
+  // Where to push notifications for this player while the app is in the background
+  handle('push-subscribe', ({ code, subscription }) => {
+    if (!pushNotifier.enabled) {
+      socket.emit('error', { message: 'Notifications are not available on this server' });
+      return;
+    }
+    if (!pushNotifier.accepts(subscription)) {
+      socket.emit('error', { message: 'Unsupported push service' });
+      return;
+    }
+    const result = lobbyManager.setPushSubscription(code, socket.id, subscription);
+    if (!result.success) {
+      socket.emit('error', { message: result.message });
+    }
+  });
+
+  // Set or clear this player's photo (before the game starts). Shrinking the upload happens outside the lobby's
+  // lock, only recording the result takes it
+  const updatePhoto = async (code, upload) => {
+    let photoId = null;
+    if (upload) {
+      try {
+        photoId = await photoStore.save(await normalizePhoto(upload));
+      } catch (err) {
+        socket.emit('error', { event: 'set-photo', message: 'That photo could not be used - try another one' });
+        return;
       }
+    }
+
+    const result = await withLobby(code, () => lobbyManager.setPhoto(code, socket.id, photoId));
+    if (!result.success) {
+      forgetPhotos([photoId]);
+      socket.emit('error', { event: 'set-photo', message: result.message });
+      return;
+    }
+    forgetPhotos([result.replaced]);
+    io.to(code).emit('players-updated', { players: result.players });
+  };
+
+  handle('set-photo', ({ code, photo }) => {
+    updatePhoto(code, photo).catch(err => {
+      console.error('Failed to handle set-photo:', err);
+      socket.emit('error', { event: 'set-photo', message: 'Something went wrong - please try again' });
+    });
+  });
+
+  // Stats across games: the leaderboard for everyone, and a player's own profile for whoever holds its key
+  const sendStats = async (event, payload) => {
+    if (event === 'get-leaderboard') {
+      socket.emit('leaderboard', { entries: await profileStore.getLeaderboard() });
+    } else {
+      socket.emit('profile', { stats: await profileStore.getProfile(profileIdFor(payload.profileKey)) });
+    }
+  };
 
-      io.to(result.victimId).emit('kill-cancelled', {});
-      socket.emit('kill-cancelled', {}); // Also notify killer to reset state
+  for (const event of ['get-leaderboard', 'get-profile']) {
+    handle(event, (payload) => {
+      sendStats(event, payload).catch(err => {
+        console.error(`Failed to handle ${event}:`, err);
+        socket.emit('error', { event, message: 'Stats are not available right now - please try again' });
+      });
+    });
+  }
+
+  // Catch up without rejoining, e.g. when a tapped notification brings the app forward;
+  // unlike a rejoin it leaves the session token alone
+  handle('sync', ({ code, lastSeq }) => {
+    const result = lobbyManager.syncPlayer(code, socket.id, lastSeq);
+    if (result.success) {
+      socket.emit('synced', playerSnapshot(result));
+    }
+  });
+
+  // Leave the lobby for good
+  handle('leave-lobby', () => {
+    const result = lobbyManager.leaveLobby(socket.id);
+    if (result.success) {
+      socket.leave(result.code);
+      socket.leave(spectatorRoom(result.code));
+      broadcastRemoval(result.code, result);
     }
   });
 
   // Handle disconnection
-  socket.on('disconnect', () => {
+  socket.on('disconnect', () => withLobby(lobbyManager.getLobbyCode(socket.id), () => {
     console.log(`Player disconnected: ${socket.id}`);
     const result = lobbyManager.handleDisconnect(socket.id);
     if (result && result.code) {
-      if (result.lobbyDeleted) {
-        io.to(result.code).emit('lobby-deleted', {});
-      } else {
-        io.to(result.code).emit('player-disconnected', {
-          players: result.players,
-          allPlayers: result.allPlayers
-        });
+      if (result.dropDeadline) {
+        scheduleDrop(result.code, result.sessionId, result.dropDeadline);
       }
+      io.to(result.code).emit('player-disconnected', {
+        players: result.players,
+        allPlayers: result.allPlayers
+      });
+      broadcastDisputes(result.code);
     }
-  });
+  }).catch(err => console.error('Failed to handle disconnect:', err)));
 });
 
+// Flush the latest state before the process exits (pm2 restart sends SIGINT)
+// A shared store is already up to date after every unit of work
+const shutdown = async () => {
+  clearTimeout(persistTimer);
+  try {
+    if (stateStore.shared) {
+      await stateStore.close();
+    } else {
+      await stateStore.save(lobbyManager.serialize());
+    }
+  } catch (err) {
+    console.error('Failed to persist state on shutdown:', err);
+  }
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Assassin Party Server running on port ${PORT}`);
@@ -0,0 +1,228 @@
+/**
+ * State Store - Persists LobbyManager state so games survive a restart
+ * Pick the backend with STATE_STORE (file | memory | redis), STATE_FILE and REDIS_URL
+ *
+ * Local stores (shared = false) keep whole snapshots for a single instance: load() and save(snapshot).
+ * A shared store (shared = true) keeps one record per lobby so several instances can serve the same lobbies:
+ *   listLobbyCodes(), claimCode(generate), loadLobby(code), saveLobby(code, record), deleteLobby(code),
+ *   findLobbyByToken(token), lock(code) and createAdapter() for socket.io
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
+
+const DEFAULT_STATE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'state.json');
+
+/**
+ * Keeps the snapshot in process memory (nothing survives a restart)
+ */
+export class MemoryStateStore {
+    constructor() {
+        this.shared = false;
+        this.snapshot = null;
+    }
+
+    async load() {
+        return this.snapshot;
+    }
+
+    async save(snapshot) {
+        this.snapshot = snapshot;
+    }
+}
+
+/**
+ * Writes the snapshot as JSON to a file on local disk
+ */
+export class FileStateStore {
+    constructor(filePath = DEFAULT_STATE_FILE) {
+        this.shared = false;
+        this.filePath = filePath;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            console.error(`Could not read state file ${this.filePath}:`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Writes are queued and go through a temp file + rename,
+     * so a crash mid-write never leaves a truncated snapshot behind
+     */
+    save(snapshot) {
+        const write = async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(snapshot));
+            await fs.rename(tmpPath, this.filePath);
+        };
+        this.pendingWrite = this.pendingWrite.then(write, write);
+        return this.pendingWrite;
+    }
+}
+
+const LOCK_TTL_MS = 5000; // a crashed holder blocks its lobby for at most this long
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+
+// Delete the lock only if we still hold it (it may have expired and gone to someone else)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+/**
+ * Keeps one JSON record per lobby in Redis (or anything speaking its protocol, like Valkey)
+ * Every instance reads and writes lobbies through it under a per-lobby lock
+ */
+export class RedisStateStore {
+    constructor(url, prefix = 'assassin') {
+        this.shared = true;
+        this.prefix = prefix;
+        this.client = createClient({ url });
+        this.client.on('error', err => console.error('Redis error:', err.message));
+        this.lockQueues = new Map(); // lobby code -> the last local lock() waiting for or holding it
+    }
+
+    key(...parts) {
+        return [this.prefix, ...parts].join(':');
+    }
+
+    async connect() {
+        await this.client.connect();
+    }
+
+    async close() {
+        await this.client.close();
+    }
+
+    /**
+     * socket.io adapter so room broadcasts reach sockets connected to other instances
+     */
+    async createAdapter() {
+        const subClient = this.client.duplicate();
+        subClient.on('error', err => console.error('Redis error:', err.message));
+        await subClient.connect();
+        return createAdapter(this.client, subClient, { key: this.key('socket.io') });
+    }
+
+    async listLobbyCodes() {
+        return this.client.sMembers(this.key('lobbies'));
+    }
+
+    /**
+     * Reserve a lobby code no instance is using; generate() proposes candidates
+     */
+    async claimCode(generate, attempts = 20) {
+        for (let i = 0; i < attempts; i++) {
+            const code = generate();
+            if (code && await this.client.sAdd(this.key('lobbies'), code) === 1) {
+                return code;
+            }
+        }
+        return null;
+    }
+
+    async loadLobby(code) {
+        const raw = await this.client.get(this.key('lobby', code));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    /**
+     * Write a lobby record and index its session tokens so any instance can find the lobby on rejoin
+     */
+    async saveLobby(code, record) {
+        const write = this.client.multi()
+            .set(this.key('lobby', code), JSON.stringify(record))
+            .sAdd(this.key('lobbies'), code);
+        for (const [token, { expiresAt }] of record.sessionTokens) {
+            write.set(this.key('token', token), code, { expiration: { type: 'PXAT', value: expiresAt } });
+        }
+        await write.exec();
+    }
+
+    /**
+     * Token index entries stay until they expire, so a rejoin can still tell the lobby is gone
+     */
+    async deleteLobby(code) {
+        await this.client.multi()
+            .del(this.key('lobby', code))
+            .sRem(this.key('lobbies'), code)
+            .exec();
+    }
+
+    async findLobbyByToken(token) {
+        return this.client.get(this.key('token', token));
+    }
+
+    /**
+     * Take the cluster-wide lock on a lobby; resolves to a release function
+     * Callers on this instance queue up locally first, so one socket's events keep their order
+     */
+    async lock(code) {
+        const previous = this.lockQueues.get(code) || Promise.resolve();
+        let releaseLocal;
+        const queued = previous.then(() => new Promise(resolve => { releaseLocal = resolve; }));
+        this.lockQueues.set(code, queued);
+        await previous;
+
+        const done = () => {
+            releaseLocal();
+            if (this.lockQueues.get(code) === queued) {
+                this.lockQueues.delete(code);
+            }
+        };
+
+        const key = this.key('lock', code);
+        const holder = randomBytes(16).toString('hex');
+        const giveUpAt = Date.now() + LOCK_WAIT_MS;
+        try {
+            while (await this.client.set(key, holder, {
+                condition: 'NX', expiration: { type: 'PX', value: LOCK_TTL_MS }
+            }) !== 'OK') {
+                if (Date.now() > giveUpAt) {
+                    throw new Error(`Timed out waiting for the lock on lobby ${code}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+            }
+        } catch (err) {
+            done();
+            throw err;
+        }
+
+        return async () => {
+            try {
+                await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [holder] });
+            } finally {
+                done();
+            }
+        };
+    }
+}
+
+/**
+ * Create the store configured via environment variables
+ */
+export function createStateStore(env = process.env) {
+    if (env.STATE_STORE === 'redis') {
+        return new RedisStateStore(env.REDIS_URL || 'redis://localhost:6379');
+    }
+    if (env.STATE_STORE === 'memory') {
+        return new MemoryStateStore();
+    }
+    return new FileStateStore(env.STATE_FILE || DEFAULT_STATE_FILE);
+}
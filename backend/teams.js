@@ -0,0 +1,27 @@
+/**
+ * Teams - Rival houses for team mode, with the colours shown in the lobby and game screens
+ */
+
+export const TEAMS = [
+    { id: 'crimson', name: 'Crimson', color: '#DC143C' },
+    { id: 'azure', name: 'Azure', color: '#3A7BD5' },
+    { id: 'gilded', name: 'Gilded', color: '#DAA520' },
+    { id: 'verdant', name: 'Verdant', color: '#2E8B57' }
+];
+
+export const TEAM_COUNTS = [0, 2, 3, 4]; // 0 = every assassin for themselves
+
+/**
+ * Teams in play for a lobby's team count
+ */
+export function activeTeams(teamCount) {
+    return TEAMS.slice(0, teamCount);
+}
+
+/**
+ * Display name of a team id
+ */
+export function teamName(teamId) {
+    const team = TEAMS.find(t => t.id === teamId);
+    return team ? team.name : teamId;
+}
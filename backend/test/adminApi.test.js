@@ -0,0 +1,166 @@
+/**
+ * Admin API - Token-protected lobby inspection, history and the fixes an admin can apply
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createAdminRouter } from '../adminRouter.js';
+import { runningGame } from './helpers.js';
+
+// A game of Host, Ann and Bo with the host's kill on Ann pending
+function gameWithPendingKill() {
+    const game = runningGame();
+    game.lobbyManager.initiateKill(game.code, 'host');
+    return game;
+}
+
+// Serve the admin router on a free port and hand back a fetch for it; close() when done
+async function serveAdmin(options) {
+    const app = express();
+    app.use(express.json());
+    app.use('/admin/api', createAdminRouter(options));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}/admin/api`;
+    const call = async (path, { token = options.token, method = 'GET' } = {}) => {
+        const response = await fetch(base + path, { method, headers: token ? { authorization: `Bearer ${token}` } : {} });
+        return { status: response.status, body: await response.json() };
+    };
+    return { call, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('lobbies are listed one line each', () => {
+    const { lobbyManager, code } = gameWithPendingKill();
+    lobbyManager.handleDisconnect('bo');
+
+    assert.deepEqual(lobbyManager.listLobbies(), [{
+        code,
+        phase: 'playing',
+        host: 'Host',
+        playerCount: 3,
+        connectedCount: 2,
+        aliveCount: 3,
+        lastActivityAt: lobbyManager.lobbies.get(code).lastActivityAt
+    }]);
+});
+
+test('inspecting a lobby shows its players, and targets and pending kills only when asked for', () => {
+    const { lobbyManager, code } = gameWithPendingKill();
+
+    const { lobby } = lobbyManager.inspectLobby(code);
+    assert.deepEqual(lobby.players.map(p => `${p.name}:${p.isHost}:${p.alive}`), ['Host:true:true', 'Ann:false:true', 'Bo:false:true']);
+    assert.equal(lobby.targets, undefined);
+    assert.equal(lobby.pendingKills, undefined);
+    assert.equal(lobby.pendingKillCount, 1);
+    assert.deepEqual(lobbyManager.inspectLobby(code, true).lobby.pendingKills, [{ killer: 'Host', victim: 'Ann' }]);
+
+    assert.deepEqual(lobbyManager.inspectLobby(code, true).lobby.targets, [
+        { hunter: 'Host', target: 'Ann' },
+        { hunter: 'Ann', target: 'Bo' },
+        { hunter: 'Bo', target: 'Host' }
+    ]);
+    assert.deepEqual(lobbyManager.inspectLobby('0000'), { success: false, message: 'Lobby not found' });
+});
+
+test('the history gives away who hunts whom only when asked for', () => {
+    const { lobbyManager, code } = gameWithPendingKill();
+
+    const [started] = lobbyManager.getHistory(code).history;
+    assert.equal(started.type, 'game_started');
+    assert.equal(started.chain, undefined);
+    assert.deepEqual(lobbyManager.getHistory(code, true).history[0].chain, ['Host', 'Ann', 'Bo']);
+    assert.deepEqual(lobbyManager.getHistory('0000'), { success: false, message: 'Lobby not found' });
+});
+
+test('the history keeps the teams to itself unless targets are asked for', () => {
+    const { lobbyManager, code } = runningGame(['Ann', 'Bo'], { teamCount: 2 });
+
+    assert.equal(lobbyManager.getHistory(code).history[0].teams, undefined);
+    assert.deepEqual(lobbyManager.getHistory(code, true).history[0].teams, { Host: 'crimson', Ann: 'azure', Bo: 'crimson' });
+});
+
+test('the history names the hunter and victim of a kill only once the victim is dead, unless asked for', () => {
+    const { lobbyManager, code } = gameWithPendingKill();
+    lobbyManager.cancelKill(code, 'ann');
+    lobbyManager.initiateKill(code, 'ann');
+    lobbyManager.confirmKill(code, 'bo');
+
+    const names = history => history.slice(1).map(e => `${e.type}:${e.killer}:${e.victim}`);
+    assert.deepEqual(names(lobbyManager.getHistory(code).history), [
+        'kill_initiated:undefined:undefined',
+        'kill_denied:undefined:undefined',
+        'kill_initiated:undefined:undefined',
+        'kill_confirmed:Ann:Bo'
+    ]);
+    assert.deepEqual(names(lobbyManager.getHistory(code, true).history).slice(0, 2), ['kill_initiated:Host:Ann', 'kill_denied:Host:Ann']);
+});
+
+test('an admin can end a running game without a winner', () => {
+    const { lobbyManager, code, lobby } = gameWithPendingKill();
+
+    const result = lobbyManager.forceEndGame(code);
+    assert.equal(result.success, true);
+    assert.equal(result.victimSessionIds.length, 1);
+    assert.equal(lobby.phase, 'ended');
+    assert.equal(lobby.pendingKills.size, 0);
+    assert.deepEqual(lobby.history.at(-1), { type: 'game_ended', at: lobby.history.at(-1).at, winner: null, forced: true });
+    assert.deepEqual(lobbyManager.forceEndGame(code), { success: false, message: 'Game not in progress' });
+});
+
+test('an admin can kick a player without being the host', () => {
+    const { lobbyManager, code } = gameWithPendingKill();
+
+    assert.equal(lobbyManager.kickPlayer(code, 'ann', 'bo').success, false);
+    assert.equal(lobbyManager.kickPlayer(code, null, 'bo').success, true);
+    assert.equal(lobbyManager.lobbies.get(code).players.has('bo'), false);
+});
+
+test('the API is switched off without a token and locked with one', async (t) => {
+    const { lobbyManager } = gameWithPendingKill();
+    const actions = { refresh: async () => {} };
+
+    const disabled = await serveAdmin({ token: undefined, lobbyManager, actions });
+    t.after(disabled.close);
+    assert.equal((await disabled.call('/lobbies')).status, 503);
+
+    const locked = await serveAdmin({ token: 'letmein', lobbyManager, actions });
+    t.after(locked.close);
+    assert.equal((await locked.call('/lobbies', { token: null })).status, 401);
+    assert.equal((await locked.call('/lobbies', { token: 'letmeout' })).status, 401);
+    assert.equal((await locked.call('/lobbies')).body.lobbies.length, 1);
+});
+
+test('the API answers with the lobby, or 404 and 409 when it cannot', async (t) => {
+    const { lobbyManager, code } = gameWithPendingKill();
+    const refreshed = [];
+    const actions = {
+        refresh: async (lobbyCode) => { refreshed.push(lobbyCode); },
+        endGame: async (lobbyCode) => lobbyManager.forceEndGame(lobbyCode),
+        deleteLobby: async () => ({ success: false, message: 'Lobby not found' }),
+        kickPlayer: async () => ({ success: false, message: 'Player not found' })
+    };
+    const admin = await serveAdmin({ token: 'letmein', lobbyManager, actions });
+    t.after(admin.close);
+
+    assert.equal((await admin.call(`/lobbies/${code}`)).body.lobby.targets, undefined);
+    assert.equal((await admin.call(`/lobbies/${code}?includeTargets=true`)).body.lobby.targets.length, 3);
+    assert.equal((await admin.call('/lobbies/0000')).status, 404);
+    assert.deepEqual((await admin.call(`/lobbies/${code}/history`)).body.history.map(e => e.type), ['game_started', 'kill_initiated']);
+    assert.equal((await admin.call(`/lobbies/${code}/history?includeTargets=true`)).body.history[0].chain.length, 3);
+    assert.deepEqual(refreshed, [code, code, '0000', code, code]);
+    assert.equal((await admin.call(`/lobbies/${code}/end`, { method: 'POST' })).status, 200);
+    assert.equal((await admin.call(`/lobbies/${code}/end`, { method: 'POST' })).status, 409);
+    assert.equal((await admin.call(`/lobbies/${code}/players/zed`, { method: 'DELETE' })).status, 404);
+});
+
+test('the API answers 503 while the shared store cannot be reached', async (t) => {
+    const { lobbyManager } = gameWithPendingKill();
+    const actions = { refresh: async () => { throw new Error('connect ECONNREFUSED'); } };
+    const admin = await serveAdmin({ token: 'letmein', lobbyManager, actions });
+    t.after(admin.close);
+    t.mock.method(console, 'error', () => {});
+
+    assert.deepEqual(await admin.call('/lobbies'), { status: 503, body: { success: false, message: 'Temporarily unavailable' } });
+});
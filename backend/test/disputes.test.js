@@ -0,0 +1,187 @@
+/**
+ * Disputes - Denied kills ruled on by the host or a vote of the dead, and the limit on denials
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGameSummary } from '../gameSummary.js';
+import { runningGame } from './helpers.js';
+
+// Host, Ann, Bo, Cy and Dee hunting host -> ann -> bo -> cy -> dee -> host
+// deny(killerId, victimId) claims a kill and has the victim deny it
+function lobbyOfFive(settings = {}) {
+    const game = runningGame(['Ann', 'Bo', 'Cy', 'Dee'], settings);
+    const deny = (killerId, victimId) => {
+        game.lobbyManager.initiateKill(game.code, killerId);
+        return game.lobbyManager.cancelKill(game.code, victimId);
+    };
+    return { ...game, deny };
+}
+
+test('a denied kill goes to the host, who can overrule the denial', () => {
+    const { lobbyManager, code, lobby, deny } = lobbyOfFive();
+
+    assert.deepEqual(deny('bo', 'cy'), { success: true, killerId: 'bo', disputed: true });
+    const [dispute] = lobbyManager.getDisputeBoard(lobby, 'host');
+    assert.equal(dispute.killer, 'Bo');
+    assert.equal(dispute.victim, 'Cy');
+    assert.deepEqual(lobbyManager.getDisputeBoard(lobby, 'ann'), []);
+    assert.deepEqual(lobbyManager.ruleDispute(code, 'ann', dispute.id, 'confirm'), { success: false, message: 'You cannot rule on this dispute' });
+
+    const result = lobbyManager.ruleDispute(code, 'host', dispute.id, 'confirm');
+    assert.equal(result.resolved, true);
+    assert.equal(result.ruling, 'confirm');
+    assert.equal(result.newTarget, 'Dee');
+    assert.equal(lobby.players.get('cy').alive, false);
+    assert.deepEqual(lobby.history.at(-2), { type: 'dispute_ruled', at: lobby.history.at(-2).at, killer: 'Bo', victim: 'Cy', ruling: 'confirm', by: 'host' });
+});
+
+test('the killer waits for the ruling before trying again', () => {
+    const { lobbyManager, code, lobby, deny } = lobbyOfFive();
+    deny('bo', 'cy');
+    const [dispute] = lobbyManager.getDisputeBoard(lobby, 'host');
+
+    assert.deepEqual(lobbyManager.initiateKill(code, 'bo'), { success: false, message: 'Your last kill is under dispute - wait for the ruling' });
+
+    const upheld = lobbyManager.ruleDispute(code, 'host', dispute.id, 'deny');
+    assert.deepEqual(upheld, { success: true, resolved: true, ruling: 'deny', disputeId: dispute.id, killerId: 'bo', victimId: 'cy', victimName: 'Cy' });
+    assert.equal(lobby.players.get('cy').alive, true);
+    assert.equal(lobbyManager.initiateKill(code, 'bo').success, true);
+});
+
+test('each player may only deny so many kills per game', () => {
+    const { lobbyManager, code, lobby, deny } = lobbyOfFive({ maxDenials: 1 });
+
+    const first = lobbyManager.initiateKill(code, 'bo');
+    assert.equal(first.denialsLeft, 1);
+    lobbyManager.cancelKill(code, 'cy');
+    lobbyManager.ruleDispute(code, 'host', lobby.disputes[0].id, 'deny');
+
+    assert.equal(lobbyManager.initiateKill(code, 'bo').denialsLeft, 0);
+    assert.deepEqual(lobbyManager.cancelKill(code, 'cy'), { success: false, message: 'You have used all 1 of your denials this game' });
+    assert.equal(deny('ann', 'bo').success, true);
+});
+
+test('the dead judge when the host is one of the parties', () => {
+    const { lobbyManager, code, lobby, kill, deny } = lobbyOfFive();
+    kill('host', 'ann');
+
+    deny('host', 'bo');
+    const [dispute] = lobbyManager.getDisputeBoard(lobby, 'ann');
+    assert.equal(dispute.judges, 1);
+    assert.deepEqual(lobbyManager.getDisputeBoard(lobby, 'host'), []);
+
+    const result = lobbyManager.ruleDispute(code, 'ann', dispute.id, 'confirm');
+    assert.equal(result.ruling, 'confirm');
+    assert.equal(lobby.history.at(-2).by, 'vote');
+    assert.equal(lobby.players.get('bo').alive, false);
+});
+
+test('a denial simply stands when nobody is able to judge it', () => {
+    const { lobby, deny } = lobbyOfFive();
+
+    assert.deepEqual(deny('host', 'ann'), { success: true, killerId: 'host', disputed: false });
+    assert.equal(lobby.disputes.length, 0);
+});
+
+test('the dead need a majority to overrule, and a tie upholds the denial', () => {
+    const { lobbyManager, code, lobby, kill, deny } = lobbyOfFive({ disputeJudge: 'dead' });
+    kill('host', 'ann');
+    kill('host', 'bo');
+    deny('cy', 'dee');
+    const [dispute] = lobbyManager.getDisputeBoard(lobby, 'ann');
+
+    assert.deepEqual(lobbyManager.ruleDispute(code, 'ann', dispute.id, 'confirm'), { success: true, resolved: false });
+    const board = lobbyManager.getDisputeBoard(lobby, 'bo');
+    assert.equal(board[0].confirmVotes, 1);
+    assert.equal(board[0].myVote, null);
+    assert.equal(lobbyManager.getDisputeBoard(lobby, 'ann')[0].myVote, 'confirm');
+
+    const result = lobbyManager.ruleDispute(code, 'bo', dispute.id, 'deny');
+    assert.equal(result.ruling, 'deny');
+    assert.equal(lobby.players.get('dee').alive, true);
+});
+
+test('votes of judges who have gone stop counting', () => {
+    const { lobbyManager, code, lobby, kill, deny } = lobbyOfFive({ disputeJudge: 'dead' });
+    kill('host', 'ann');
+    kill('host', 'bo');
+    kill('host', 'cy');
+    deny('host', 'dee');
+    const [dispute] = lobbyManager.getDisputeBoard(lobby, 'ann');
+    lobbyManager.ruleDispute(code, 'ann', dispute.id, 'confirm');
+
+    lobbyManager.handleDisconnect('ann');
+    assert.equal(lobbyManager.getDisputeBoard(lobby, 'bo')[0].judges, 2);
+    assert.equal(lobbyManager.getDisputeBoard(lobby, 'bo')[0].confirmVotes, 0);
+    assert.deepEqual(lobbyManager.ruleDispute(code, 'bo', dispute.id, 'confirm'), { success: true, resolved: false });
+    assert.equal(lobbyManager.ruleDispute(code, 'cy', dispute.id, 'confirm').winner, 'Host');
+});
+
+test('a dispute nobody rules on in time upholds the denial', () => {
+    const { lobbyManager, code, lobby, deny } = lobbyOfFive();
+    const before = Date.now();
+    deny('bo', 'cy');
+    const [{ disputeId, deadline }] = lobbyManager.getPendingDisputes(code);
+    assert.ok(deadline >= before + 5 * 60 * 1000 && deadline <= Date.now() + 5 * 60 * 1000);
+
+    const result = lobbyManager.expireDispute(code, disputeId);
+    assert.deepEqual([result.ruling, result.killerId, result.victimId], ['deny', 'bo', 'cy']);
+    assert.equal(lobby.history.at(-1).by, 'timeout');
+    assert.deepEqual(lobbyManager.getPendingDisputes(code), []);
+    assert.deepEqual(lobbyManager.expireDispute(code, disputeId), { success: false, message: 'Dispute not found' });
+    assert.equal(lobbyManager.initiateKill(code, 'bo').success, true);
+});
+
+test('a dispute nobody is left to judge upholds the denial', () => {
+    let { lobbyManager, code, lobby, kill, deny } = lobbyOfFive({ disputeJudge: 'dead' });
+    kill('host', 'ann');
+    deny('bo', 'cy');
+    assert.deepEqual(lobbyManager.settleUnjudgedDisputes(code), []);
+
+    lobbyManager.handleDisconnect('ann');
+    const [result] = lobbyManager.settleUnjudgedDisputes(code);
+    assert.deepEqual([result.ruling, result.killerId], ['deny', 'bo']);
+    assert.equal(lobby.history.at(-1).by, 'no_judges');
+    assert.equal(lobby.disputes.length, 0);
+
+    // The host judging alone hands hosting to one of the parties
+    ({ lobbyManager, code, lobby, deny } = lobbyOfFive());
+    deny('bo', 'cy');
+    lobbyManager.transferHost(code, 'host', 'bo');
+    assert.equal(lobbyManager.settleUnjudgedDisputes(code).length, 1);
+    assert.equal(lobbyManager.initiateKill(code, 'bo').success, true);
+});
+
+test('overruling a denial voids a kill someone else claimed on the victim meanwhile', () => {
+    const { lobbyManager, code, lobby, deny } = lobbyOfFive();
+    deny('bo', 'cy');
+    // Ann now hunts Cy too, as a teammate of Bo's can in team mode
+    lobby.targets.set('ann', 'cy');
+    lobbyManager.initiateKill(code, 'ann');
+
+    const result = lobbyManager.ruleDispute(code, 'host', lobby.disputes[0].id, 'confirm');
+    assert.equal(result.killerName, 'Bo');
+    assert.deepEqual(result.cancelledKills, [{ victimSessionId: lobby.players.get('cy').sessionId, notifyId: 'ann' }]);
+    assert.deepEqual(lobbyManager.getPendingKills(code), []);
+    assert.equal(lobby.players.get('bo').kills, 1);
+    assert.deepEqual(lobby.history.slice(-3).map(e => `${e.type}:${e.killer}`), ['dispute_ruled:Bo', 'kill_cancelled:Ann', 'kill_confirmed:Bo']);
+});
+
+test('a dispute is dropped when one of its parties leaves', () => {
+    const { lobbyManager, lobby, deny } = lobbyOfFive();
+    deny('bo', 'cy');
+
+    lobbyManager.leaveLobby('cy');
+    assert.equal(lobby.disputes.length, 0);
+    assert.equal(lobbyManager.initiateKill(lobby.code, 'bo').victimName, 'Dee');
+});
+
+test('rulings show up in the recap feed', () => {
+    const { lobbyManager, code, lobby, deny } = lobbyOfFive();
+    deny('bo', 'cy');
+    lobbyManager.ruleDispute(code, 'host', lobby.disputes[0].id, 'deny');
+
+    const feed = buildGameSummary(lobby.history).feed;
+    assert.deepEqual(feed.map(e => e.type), ['kill_denied', 'dispute_ruled']);
+});
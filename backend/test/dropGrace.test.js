@@ -0,0 +1,149 @@
+/**
+ * Drop grace period - Players who stay disconnected are eliminated (or, before the game, removed) once their grace runs out
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LobbyManager } from '../lobbyManager.js';
+import { buildGameSummary } from '../gameSummary.js';
+import { waitingLobby, runningGame } from './helpers.js';
+
+// Host, Ann, Bo and Cy hunting host -> ann -> bo -> cy -> host
+const gameOfFour = (settings) => runningGame(['Ann', 'Bo', 'Cy'], settings);
+
+test('a player who disconnects mid-game gets the lobby\'s grace period', () => {
+    const { lobbyManager, lobby } = gameOfFour({ disconnectGraceSeconds: 90 });
+    const sessionId = lobby.players.get('ann').sessionId;
+
+    const before = Date.now();
+    const result = lobbyManager.handleDisconnect('ann');
+    assert.equal(result.sessionId, sessionId);
+    assert.ok(result.dropDeadline >= before + 90000 && result.dropDeadline <= Date.now() + 90000);
+    assert.equal(result.allPlayers.find(p => p.name === 'Ann').dropDeadline, result.dropDeadline);
+    assert.deepEqual(lobbyManager.getPendingDrops(), [{ code: lobby.code, sessionId, deadline: result.dropDeadline }]);
+});
+
+test('reconnecting in time cancels the drop', () => {
+    const { lobbyManager, lobby, tokens } = gameOfFour();
+    const sessionId = lobby.players.get('ann').sessionId;
+    lobbyManager.handleDisconnect('ann');
+
+    lobbyManager.rejoinLobby(tokens.ann, 'ann-again');
+    assert.deepEqual(lobbyManager.getPendingDrops(), []);
+    assert.deepEqual(lobbyManager.dropDisconnected(lobby.code, sessionId), {
+        success: false, message: 'Only disconnected players who are still alive can be dropped'
+    });
+});
+
+test('a dropped player is eliminated and their hunter inherits their target', () => {
+    const { lobbyManager, code, lobby } = gameOfFour();
+    const sessionId = lobby.players.get('ann').sessionId;
+    lobbyManager.handleDisconnect('ann');
+
+    const result = lobbyManager.dropDisconnected(code, sessionId);
+    assert.equal(result.success, true);
+    assert.equal(result.dropped, true);
+    assert.equal(result.leftPlayer, 'Ann');
+    assert.deepEqual(result.retargets, [{ playerId: 'host', target: 'Bo', targetPhoto: null }]);
+    assert.equal(result.aliveCount, 3);
+    assert.equal(lobby.players.get('ann').alive, false);
+    assert.deepEqual(lobbyManager.getPendingDrops(), []);
+});
+
+test('dropping cancels pending kills on both sides', () => {
+    const { lobbyManager, code, lobby } = gameOfFour();
+    lobbyManager.initiateKill(code, 'host'); // host is after Ann
+    lobbyManager.initiateKill(code, 'ann'); // Ann is after Bo
+    lobbyManager.handleDisconnect('ann');
+
+    const result = lobbyManager.dropDisconnected(code, lobby.players.get('ann').sessionId);
+    assert.deepEqual(result.cancelledKills.map(k => k.notifyId), ['host', 'bo']);
+    assert.equal(lobby.pendingKills.size, 0);
+});
+
+test('the dropped player can come back to watch', () => {
+    const { lobbyManager, code, lobby, tokens } = gameOfFour();
+    lobbyManager.handleDisconnect('ann');
+    lobbyManager.dropDisconnected(code, lobby.players.get('ann').sessionId);
+
+    const result = lobbyManager.rejoinLobby(tokens.ann, 'ann-again');
+    assert.equal(result.success, true);
+    assert.equal(result.isAlive, false);
+    assert.ok(result.spectator);
+    assert.deepEqual(result.killFeed.map(({ at, ...entry }) => entry), [{ victim: 'Ann', left: true, dropped: true }]);
+});
+
+test('only the host can drop a player early, and only one who is away', () => {
+    const { lobbyManager, code } = gameOfFour();
+
+    assert.deepEqual(lobbyManager.dropPlayer(code, 'host', 'ann'), {
+        success: false, message: 'Only disconnected players who are still alive can be dropped'
+    });
+    lobbyManager.handleDisconnect('ann');
+    assert.deepEqual(lobbyManager.dropPlayer(code, 'bo', 'ann'), { success: false, message: 'Only the host can drop players' });
+    assert.deepEqual(lobbyManager.dropPlayer(code, 'host', 'nobody'), { success: false, message: 'Player not found' });
+    assert.equal(lobbyManager.dropPlayer(code, 'host', 'ann').success, true);
+});
+
+test('dropping the second-to-last player ends the game', () => {
+    const { lobbyManager, code } = runningGame();
+    lobbyManager.handleDisconnect('ann');
+    lobbyManager.dropPlayer(code, 'host', 'ann');
+    lobbyManager.handleDisconnect('bo');
+
+    const result = lobbyManager.dropPlayer(code, 'host', 'bo');
+    assert.equal(result.isGameOver, true);
+    assert.equal(result.winner, 'Host');
+    assert.deepEqual(result.retargets, []);
+    assert.equal(result.phase, 'ended');
+});
+
+test('drops count as a departure in the recap and hand the clock to the hunter', () => {
+    const { lobbyManager, code, lobby } = gameOfFour();
+    lobbyManager.handleDisconnect('ann');
+    lobbyManager.dropDisconnected(code, lobby.players.get('ann').sessionId);
+
+    const dropped = lobby.history.at(-1);
+    assert.equal(dropped.type, 'player_dropped');
+    assert.equal(dropped.hunter, 'Host');
+    assert.deepEqual(buildGameSummary(lobby.history).feed.map(e => e.type), ['player_dropped']);
+});
+
+test('everyone gets a fresh grace period after a restart', () => {
+    const { lobbyManager, code } = gameOfFour();
+    const restarted = new LobbyManager();
+    restarted.restore(JSON.parse(JSON.stringify(lobbyManager.serialize())));
+
+    const drops = restarted.getPendingDrops();
+    assert.equal(drops.length, 4);
+    assert.ok(drops.every(drop => drop.code === code && drop.deadline > Date.now()));
+});
+
+test('a player who disconnects before the game keeps their place until their grace runs out', () => {
+    const { lobbyManager, code, tokens, lobby } = waitingLobby(['Ann'], { disconnectGraceSeconds: 90 });
+    const { sessionId } = lobby.players.get('ann');
+
+    const { dropDeadline } = lobbyManager.handleDisconnect('ann');
+    assert.ok(dropDeadline > Date.now() + 89000);
+    assert.deepEqual(lobbyManager.getPendingDrops(), [{ code, sessionId, deadline: dropDeadline }]);
+    assert.equal(lobbyManager.rejoinLobby(tokens.ann, 'ann-again').success, true);
+    assert.deepEqual(lobbyManager.dropDisconnected(code, sessionId), {
+        success: false, message: 'Only disconnected players who are still alive can be dropped'
+    });
+
+    lobbyManager.handleDisconnect('ann-again');
+    const result = lobbyManager.dropDisconnected(code, sessionId);
+    assert.equal(result.dropped, true);
+    assert.equal(result.leftPlayer, null);
+    assert.deepEqual(result.players.map(p => p.name), ['Host']);
+});
+
+test('a host dropped before the game hands hosting on', () => {
+    const { lobbyManager, code, lobby } = waitingLobby(['Ann']);
+    const { sessionId } = lobbyManager.handleDisconnect('host');
+    assert.equal(lobby.hostId, 'host');
+
+    const result = lobbyManager.dropDisconnected(code, sessionId);
+    assert.equal(result.hostChanged, true);
+    assert.deepEqual(result.players, [{ id: 'ann', name: 'Ann', team: null, photo: null, isHost: true }]);
+});
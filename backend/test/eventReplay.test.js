@@ -0,0 +1,115 @@
+/**
+ * Event replay - Numbered private events, and the snapshot plus missed events a rejoining client gets
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LobbyManager } from '../lobbyManager.js';
+import { validateEvent, JOIN_EVENTS } from '../eventSchemas.js';
+import { runningGame } from './helpers.js';
+
+test('private events are numbered across the lobby', () => {
+    const { lobbyManager, code, started } = runningGame();
+
+    assert.equal(lobbyManager.recordPrivateEvent(code, 'ann', 'kill-pending', { deadline: 1 }), started.seq + 1);
+    assert.equal(lobbyManager.recordPrivateEvent(code, 'host', 'kill-initiated', {}), started.seq + 2);
+    assert.equal(lobbyManager.recordPrivateEvent(code, 'stranger', 'you-died', {}), null);
+    assert.equal(lobbyManager.recordPrivateEvent('0000', 'ann', 'you-died', {}), null);
+});
+
+test('a rejoining player gets only their own events after the last one they saw', () => {
+    const { lobbyManager, code, tokens, started } = runningGame();
+    lobbyManager.recordPrivateEvent(code, 'ann', 'target-exposed', { exposed: true });
+    const seen = lobbyManager.recordPrivateEvent(code, 'ann', 'kill-pending', { deadline: 1 });
+    lobbyManager.recordPrivateEvent(code, 'host', 'kill-initiated', { victimName: 'Ann' });
+    lobbyManager.recordPrivateEvent(code, 'ann', 'kill-cancelled', {});
+
+    const result = lobbyManager.rejoinLobby(tokens.ann, 'ann-again', seen);
+    assert.equal(result.seq, started.seq + 4);
+    assert.deepEqual(result.missed, [{ seq: started.seq + 4, event: 'kill-cancelled', payload: {} }]);
+});
+
+test('without a position, or with one the lobby cannot vouch for, only the snapshot is sent', () => {
+    const { lobbyManager, code, tokens, started } = runningGame();
+    lobbyManager.recordPrivateEvent(code, 'ann', 'you-died', {});
+
+    let result = lobbyManager.rejoinLobby(tokens.ann, 'ann-2');
+    assert.equal(result.missed, null);
+    result = lobbyManager.rejoinLobby(result.sessionToken, 'ann-3', started.seq + 5);
+    assert.equal(result.missed, null);
+    result = lobbyManager.rejoinLobby(result.sessionToken, 'ann-4', started.seq);
+    assert.deepEqual(result.missed.map(entry => entry.event), ['you-died']);
+});
+
+test('only the last 30 events are kept for each player', () => {
+    const { lobbyManager, code, lobby, started } = runningGame();
+    for (let i = 0; i < 32; i++) {
+        lobbyManager.recordPrivateEvent(code, 'ann', 'target-changed', { target: `T${i}` });
+    }
+    const annSession = lobby.players.get('ann').sessionId;
+
+    assert.equal(lobbyManager.getMissedEvents(lobby, annSession, started.seq + 1), null);
+    assert.equal(lobbyManager.getMissedEvents(lobby, annSession, started.seq + 2).length, 30);
+});
+
+test('events of an earlier round are never replayed into a new one', () => {
+    const { lobbyManager, code, lobby } = runningGame();
+    const before = lobbyManager.recordPrivateEvent(code, 'ann', 'you-died', {});
+    lobby.phase = 'ended';
+    lobbyManager.rematch(code, 'host');
+
+    const restarted = lobbyManager.startGame(code, 'host');
+    assert.ok(restarted.seq >= before);
+    assert.equal(lobbyManager.getMissedEvents(lobby, lobby.players.get('ann').sessionId, before - 1), null);
+    assert.deepEqual(lobbyManager.getMissedEvents(lobby, lobby.players.get('ann').sessionId, restarted.seq), []);
+});
+
+test('the rejoin snapshot says where the player stands on pending kills', () => {
+    const { lobbyManager, code, tokens } = runningGame();
+    const { deadline } = lobbyManager.initiateKill(code, 'host');
+
+    const victim = lobbyManager.rejoinLobby(tokens.ann, 'ann-again');
+    assert.deepEqual(victim.pendingKill, { deadline, denialsLeft: 3 });
+    assert.equal(victim.awaitingKill, null);
+
+    const killer = lobbyManager.rejoinLobby(tokens.host, 'host-again');
+    assert.equal(killer.pendingKill, null);
+    assert.deepEqual(killer.awaitingKill, { deadline });
+});
+
+test('a connected player can catch up without a new token', () => {
+    const { lobbyManager, code, tokens, started } = runningGame();
+    lobbyManager.initiateKill(code, 'host');
+    lobbyManager.recordPrivateEvent(code, 'ann', 'kill-pending', {});
+
+    const result = lobbyManager.syncPlayer(code, 'ann', started.seq);
+    assert.equal(result.success, true);
+    assert.equal(result.sessionToken, undefined);
+    assert.equal(result.target, 'Bo');
+    assert.equal(result.pendingKill.denialsLeft, 3);
+    assert.deepEqual(result.missed.map(entry => entry.event), ['kill-pending']);
+    assert.equal(lobbyManager.rejoinLobby(tokens.ann, 'ann-again').success, true);
+    assert.deepEqual(lobbyManager.syncPlayer(code, 'ann', null), { success: false, message: 'Player not found' });
+});
+
+test('catching up is only for a lobby of one\'s own', () => {
+    assert.equal(validateEvent('sync', { code: '0420', lastSeq: 3 }).success, true);
+    assert.equal(JOIN_EVENTS.includes('sync'), false);
+});
+
+test('the outbox survives a restart', () => {
+    const { lobbyManager, code, tokens, started } = runningGame();
+    lobbyManager.recordPrivateEvent(code, 'bo', 'heat-exposed', {});
+
+    const restarted = new LobbyManager();
+    restarted.restore(JSON.parse(JSON.stringify(lobbyManager.serialize())));
+    assert.deepEqual(restarted.rejoinLobby(tokens.bo, 'bo-again', started.seq).missed.map(entry => entry.event), ['heat-exposed']);
+});
+
+test('the last seen number is optional but must be a whole number', () => {
+    assert.deepEqual(validateEvent('rejoin', { sessionToken: 'abc' }), { success: true, payload: { sessionToken: 'abc', lastSeq: null } });
+    assert.equal(validateEvent('rejoin', { sessionToken: 'abc', lastSeq: 7 }).payload.lastSeq, 7);
+    assert.deepEqual(validateEvent('rejoin', { sessionToken: 'abc', lastSeq: -1 }), {
+        success: false, message: 'lastSeq must be a whole number', field: 'lastSeq'
+    });
+});
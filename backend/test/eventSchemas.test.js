@@ -0,0 +1,98 @@
+/**
+ * Event schemas - Payload checks, player names and the per-socket rate limits every event goes through
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NAME_MAX_LENGTH, createRateLimiter, validateEvent, validatePlayerName } from '../eventSchemas.js';
+import { waitingLobby, runningGame } from './helpers.js';
+
+test('names are tidied, and empty, long or symbol-laden names refused', () => {
+    assert.deepEqual(validatePlayerName('  Mary   Jane '), { success: true, value: 'Mary Jane' });
+    assert.deepEqual(validatePlayerName("Zoë O'Neil-2"), { success: true, value: "Zoë O'Neil-2" });
+
+    assert.equal(validatePlayerName('   ').message, 'Name is required');
+    assert.equal(validatePlayerName(42).message, 'Name is required');
+    assert.equal(validatePlayerName('x'.repeat(NAME_MAX_LENGTH + 1)).message, `Name can be at most ${NAME_MAX_LENGTH} characters long`);
+    assert.equal(validatePlayerName('<script>').success, false);
+    assert.equal(validatePlayerName('-dash').success, false);
+});
+
+test('valid payloads come back tidied', () => {
+    assert.deepEqual(validateEvent('join-lobby', { code: '0420', playerName: ' Ann ' }), {
+        success: true, payload: { code: '0420', playerName: 'Ann', profileKey: null }
+    });
+    assert.deepEqual(validateEvent('claim-kill', { code: '0420', word: ' Badger ' }), {
+        success: true, payload: { code: '0420', word: 'Badger' }
+    });
+    assert.deepEqual(validateEvent('leave-lobby'), { success: true, payload: {} });
+});
+
+test('unknown events, stray fields and bad values are rejected with the field at fault', () => {
+    const rejected = [
+        ['teleport', {}, { message: 'Unknown event: teleport' }],
+        ['start-game', 'ABCD', { message: 'Invalid payload' }],
+        ['start-game', ['0420'], { message: 'Invalid payload' }],
+        ['start-game', { code: '0420', force: true }, { message: 'Unexpected field: force', field: 'force' }],
+        ['start-game', { code: 'ABCD' }, { message: 'Lobby code must be 4 digits', field: 'code' }],
+        ['start-game', {}, { message: 'Lobby code must be 4 digits', field: 'code' }],
+        ['claim-kill', { code: '0420', word: 'x'.repeat(31) }, { message: 'word must be text of at most 30 characters', field: 'word' }],
+        ['rule-dispute', { code: '0420', disputeId: 'd1', ruling: 'maybe' }, { message: 'ruling must be one of: confirm, deny', field: 'ruling' }],
+        ['update-settings', { code: '0420', settings: [] }, { message: 'settings must be an object', field: 'settings' }],
+        ['create-lobby', { playerName: '' }, { message: 'Name is required', field: 'playerName' }]
+    ];
+    for (const [event, payload, error] of rejected) {
+        assert.deepEqual(validateEvent(event, payload), { success: false, ...error }, event);
+    }
+});
+
+test('events over the limit are refused until the window slides past them', () => {
+    const rateLimit = createRateLimiter({ default: { max: 2, windowMs: 1000 } });
+
+    assert.equal(rateLimit('start-game', 0).allowed, true);
+    assert.equal(rateLimit('rematch', 400).allowed, true);
+    assert.deepEqual(rateLimit('start-game', 500), { allowed: false, retryAfter: 500 });
+    assert.deepEqual(rateLimit('start-game', 999), { allowed: false, retryAfter: 1 });
+    assert.equal(rateLimit('start-game', 1000).allowed, true);
+});
+
+test('kill attempts have their own, tighter budget', () => {
+    const rateLimit = createRateLimiter();
+
+    for (let i = 0; i < 3; i++) {
+        assert.equal(rateLimit('initiate-kill', i).allowed, true);
+    }
+    assert.equal(rateLimit('initiate-kill', 10).allowed, false);
+    assert.equal(rateLimit('leave-lobby', 10).allowed, true);
+    assert.equal(rateLimit('initiate-kill', 30000).allowed, true);
+});
+
+test('each socket gets its own limiter', () => {
+    const first = createRateLimiter({ default: { max: 1, windowMs: 1000 } });
+    const second = createRateLimiter({ default: { max: 1, windowMs: 1000 } });
+
+    assert.equal(first('start-game', 0).allowed, true);
+    assert.equal(first('start-game', 1).allowed, false);
+    assert.equal(second('start-game', 1).allowed, true);
+});
+
+test('the lobby a socket belongs to is known for the lobby check', () => {
+    const { lobbyManager, code } = waitingLobby([]);
+
+    assert.equal(lobbyManager.getLobbyCode('host'), code);
+    assert.equal(lobbyManager.getLobbyCode('stranger'), null);
+});
+
+test('names must be unique within a lobby, ignoring case', () => {
+    const { lobbyManager, code } = waitingLobby(['Ann']);
+
+    assert.deepEqual(lobbyManager.joinLobby(code, 'ann2', 'ANN'), { success: false, reason: 'name_taken', message: 'That name is already taken in this lobby' });
+});
+
+test('asking for the same kill twice does not restart the victim\'s clock', () => {
+    const { lobbyManager, code } = runningGame();
+
+    const { deadline } = lobbyManager.initiateKill(code, 'host');
+    assert.deepEqual(lobbyManager.initiateKill(code, 'host'), { success: false, message: 'Kill already pending' });
+    assert.equal(lobbyManager.getPendingKills()[0].deadline, deadline);
+});
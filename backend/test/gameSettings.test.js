@@ -0,0 +1,92 @@
+/**
+ * Game settings - Validating the host's rules and applying them to a lobby
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LobbyManager } from '../lobbyManager.js';
+import { DEFAULT_SETTINGS, validateSettings } from '../gameSettings.js';
+import { waitingLobby } from './helpers.js';
+
+test('valid updates are merged into the current settings', () => {
+    const result = validateSettings(DEFAULT_SETTINGS, { killConfirmSeconds: 30, allowDeny: false });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.settings, { ...DEFAULT_SETTINGS, killConfirmSeconds: 30, allowDeny: false });
+});
+
+test('unknown keys, out-of-range numbers and bad choices are rejected', () => {
+    const rejected = [
+        [{ killConfirmSecs: 30 }, 'Unknown setting: killConfirmSecs'],
+        [{ killConfirmSeconds: 4 }, 'killConfirmSeconds must be a whole number between 5 and 120'],
+        [{ killConfirmSeconds: 10.5 }, 'killConfirmSeconds must be a whole number between 5 and 120'],
+        [{ maxPlayers: '12' }, 'maxPlayers must be a whole number between 3 and 20'],
+        [{ minPlayers: 8, maxPlayers: 6 }, 'Minimum players cannot exceed maximum players'],
+        [{ timeoutAction: 'ignore' }, 'timeoutAction must be one of: confirm, cancel'],
+        [{ allowDeny: 'yes' }, 'allowDeny must be true or false'],
+        [['killConfirmSeconds'], 'Invalid settings'],
+        [null, 'Invalid settings']
+    ];
+    for (const [updates, message] of rejected) {
+        assert.deepEqual(validateSettings(DEFAULT_SETTINGS, updates), { success: false, message }, JSON.stringify(updates));
+    }
+});
+
+test('only the host may change the rules, and only before the game starts', () => {
+    const { lobbyManager, code } = waitingLobby();
+
+    assert.equal(lobbyManager.updateSettings(code, 'ann', { killConfirmSeconds: 30 }).success, false);
+    assert.equal(lobbyManager.updateSettings(code, 'host', { killConfirmSeconds: 30 }).success, true);
+    assert.equal(lobbyManager.getSettings(code).killConfirmSeconds, 30);
+
+    lobbyManager.startGame(code, 'host');
+    const late = lobbyManager.updateSettings(code, 'host', { killConfirmSeconds: 60 });
+    assert.deepEqual(late, { success: false, message: 'Rules can only be changed before the game starts' });
+    assert.equal(lobbyManager.getSettings(code).killConfirmSeconds, 30);
+});
+
+test('the player limit cannot drop below the players already in the lobby', () => {
+    const { lobbyManager, code } = waitingLobby(['Ann', 'Bo', 'Cy']);
+
+    const result = lobbyManager.updateSettings(code, 'host', { minPlayers: 3, maxPlayers: 3 });
+    assert.deepEqual(result, { success: false, message: 'More players have already joined than that maximum' });
+});
+
+test('maxPlayers closes the lobby and minPlayers holds back the start', () => {
+    const { lobbyManager, code } = waitingLobby();
+    lobbyManager.updateSettings(code, 'host', { minPlayers: 4, maxPlayers: 4 });
+
+    assert.deepEqual(lobbyManager.startGame(code, 'host'), { success: false, message: 'Need at least 4 players to start' });
+    assert.equal(lobbyManager.joinLobby(code, 'cy', 'Cy').success, true);
+    assert.equal(lobbyManager.joinLobby(code, 'dee', 'Dee').success, false);
+    assert.equal(lobbyManager.startGame(code, 'host').success, true);
+});
+
+test('a kill has to be answered within the lobby\'s confirm time', () => {
+    const { lobbyManager, code } = waitingLobby();
+    lobbyManager.updateSettings(code, 'host', { killConfirmSeconds: 45 });
+    lobbyManager.startGame(code, 'host');
+
+    const before = Date.now();
+    const { deadline } = lobbyManager.initiateKill(code, 'host');
+    assert.ok(deadline >= before + 45000 && deadline <= Date.now() + 45000);
+});
+
+test('victims cannot deny kills when the lobby forbids it', () => {
+    const { lobbyManager, code } = waitingLobby();
+    lobbyManager.updateSettings(code, 'host', { allowDeny: false });
+    lobbyManager.startGame(code, 'host');
+    const { victimId } = lobbyManager.initiateKill(code, 'host');
+
+    assert.deepEqual(lobbyManager.cancelKill(code, victimId), { success: false, message: 'Denying kills is disabled in this lobby' });
+    assert.equal(lobbyManager.confirmKill(code, victimId).success, true);
+});
+
+test('lobbies restored from a snapshot without settings get the defaults', () => {
+    const { lobbyManager, code } = waitingLobby();
+    const snapshot = JSON.parse(JSON.stringify(lobbyManager.serialize()));
+    delete snapshot.lobbies[0].settings;
+
+    const restarted = new LobbyManager();
+    restarted.restore(snapshot);
+    assert.deepEqual(restarted.getSettings(code), DEFAULT_SETTINGS);
+});
@@ -0,0 +1,118 @@
+/**
+ * Game summary - Replaying a lobby's event history into the end-of-game recap
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGameSummary } from '../gameSummary.js';
+import { runningGame } from './helpers.js';
+
+const START = 1_000_000;
+
+// Ada -> Ben -> Cy -> Dot -> Ada, with times given in seconds after the start
+function history(...events) {
+    return [
+        { type: 'game_started', at: START, chain: ['Ada', 'Ben', 'Cy', 'Dot'] },
+        ...events.map(([seconds, type, data]) => ({ type, at: START + seconds * 1000, ...data }))
+    ];
+}
+
+test('there is no recap before a game has started', () => {
+    assert.equal(buildGameSummary([]), null);
+    assert.equal(buildGameSummary([{ type: 'player_reconnected', at: START, player: 'Ada' }]), null);
+});
+
+test('the feed keeps kills, denials and departures in order', () => {
+    const summary = buildGameSummary(history(
+        [10, 'kill_initiated', { killer: 'Ada', victim: 'Ben' }],
+        [20, 'kill_denied', { killer: 'Ada', victim: 'Ben' }],
+        [30, 'player_reconnected', { player: 'Cy' }],
+        [40, 'kill_confirmed', { killer: 'Ada', victim: 'Ben' }],
+        [50, 'player_left', { player: 'Dot', hunter: 'Cy' }],
+        [60, 'kill_auto_confirmed', { killer: 'Ada', victim: 'Cy' }],
+        [60, 'game_ended', { winner: 'Ada' }]
+    ));
+
+    assert.deepEqual(summary.feed.map(e => e.type), ['kill_denied', 'kill_confirmed', 'player_left', 'kill_auto_confirmed']);
+    assert.equal(summary.winner, 'Ada');
+    assert.equal(summary.endedAt, START + 60000);
+    assert.deepEqual(summary.chain, ['Ada', 'Ben', 'Cy', 'Dot']);
+    assert.deepEqual(summary.killCounts[0], { name: 'Ada', kills: 2 });
+});
+
+test('the deadliest assassin has the most kills, counting auto-confirmed ones', () => {
+    const summary = buildGameSummary(history(
+        [10, 'kill_confirmed', { killer: 'Ben', victim: 'Cy' }],
+        [20, 'kill_auto_confirmed', { killer: 'Ada', victim: 'Ben' }],
+        [30, 'kill_confirmed', { killer: 'Ada', victim: 'Dot' }]
+    ));
+
+    assert.deepEqual(summary.awards.find(a => a.title === 'Deadliest Assassin'), {
+        title: 'Deadliest Assassin', name: 'Ada', detail: '2 kills'
+    });
+});
+
+test('the fastest kill is timed from when the killer got that target', () => {
+    const summary = buildGameSummary(history(
+        [100, 'kill_confirmed', { killer: 'Ada', victim: 'Ben' }],
+        [150, 'kill_confirmed', { killer: 'Ada', victim: 'Cy' }],
+        [125, 'kill_confirmed', { killer: 'Dot', victim: 'Ada' }]
+    ));
+
+    assert.deepEqual(summary.awards.find(a => a.title === 'Fastest Kill'), {
+        title: 'Fastest Kill', name: 'Ada', detail: 'Cy in 50s'
+    });
+});
+
+test('a hunter whose target leaves starts the clock again on the new target', () => {
+    const summary = buildGameSummary(history(
+        [200, 'player_left', { player: 'Ben', hunter: 'Ada' }],
+        [230, 'kill_confirmed', { killer: 'Ada', victim: 'Cy' }],
+        [215, 'kill_confirmed', { killer: 'Cy', victim: 'Dot' }]
+    ));
+
+    assert.equal(summary.awards.find(a => a.title === 'Fastest Kill').detail, 'Cy in 30s');
+});
+
+test('the last to fall is the last player out before the winner', () => {
+    const summary = buildGameSummary(history(
+        [30, 'kill_confirmed', { killer: 'Ada', victim: 'Ben' }],
+        [185, 'player_left', { player: 'Dot' }],
+        [90, 'kill_confirmed', { killer: 'Ada', victim: 'Cy' }],
+        [185, 'game_ended', { winner: 'Ada' }]
+    ));
+
+    assert.deepEqual(summary.awards.find(a => a.title === 'Last to Fall'), {
+        title: 'Last to Fall', name: 'Dot', detail: 'lasted 3m 05s'
+    });
+});
+
+test('the most denied award goes to whoever turned down the most kills', () => {
+    const summary = buildGameSummary(history(
+        [10, 'kill_denied', { killer: 'Ada', victim: 'Ben' }],
+        [20, 'kill_denied', { killer: 'Cy', victim: 'Dot' }],
+        [30, 'kill_denied', { killer: 'Ada', victim: 'Ben' }]
+    ));
+
+    assert.deepEqual(summary.awards, [{ title: 'Most Denied Kills', name: 'Ben', detail: '2 denials' }]);
+});
+
+test('the lobby records a game as it is played and summarises it at the end', () => {
+    const { lobbyManager, code } = runningGame();
+
+    lobbyManager.initiateKill(code, 'host');
+    lobbyManager.cancelKill(code, 'ann');
+    lobbyManager.initiateKill(code, 'host');
+    lobbyManager.confirmKill(code, 'ann');
+    lobbyManager.initiateKill(code, 'host');
+    lobbyManager.confirmKill(code, 'bo');
+
+    const summary = lobbyManager.getGameSummary(code);
+    assert.equal(summary.winner, 'Host');
+    assert.deepEqual(summary.chain, ['Host', 'Ann', 'Bo']);
+    assert.deepEqual(summary.feed.map(e => `${e.type} ${e.victim}`), [
+        'kill_denied Ann', 'kill_confirmed Ann', 'kill_confirmed Bo'
+    ]);
+    assert.deepEqual(summary.awards.map(a => a.title), ['Deadliest Assassin', 'Fastest Kill', 'Last to Fall', 'Most Denied Kills']);
+    assert.equal(summary.awards[0].detail, '2 kills');
+});
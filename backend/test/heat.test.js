@@ -0,0 +1,121 @@
+/**
+ * Heat and sudden death - Kill deadlines that expose or eliminate idle players, and the game clock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, validateSettings } from '../gameSettings.js';
+import { buildGameSummary } from '../gameSummary.js';
+import { runningGame } from './helpers.js';
+
+// Host, Ann, Bo and Cy hunting host -> ann -> bo -> cy -> host, started with the given rules
+// overheat(...ids) runs players' heat clocks out without waiting for them
+function gameOfFour(settings) {
+    const game = runningGame(['Ann', 'Bo', 'Cy'], settings);
+    const overheat = (...ids) => ids.forEach(id => { game.lobby.players.get(id).heatDeadline = Date.now() - 1; });
+    return { ...game, overheat };
+}
+
+test('heat and clock settings are validated', () => {
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { gameDurationMinutes: 30, heatMinutes: 10, heatPenalty: 'eliminate' }).success, true);
+    assert.deepEqual(validateSettings(DEFAULT_SETTINGS, { heatPenalty: 'kick' }), {
+        success: false, message: 'heatPenalty must be one of: expose, eliminate'
+    });
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { gameDurationMinutes: 241 }).success, false);
+});
+
+test('without heat or a clock nobody is on a deadline', () => {
+    const { lobbyManager, code, started } = gameOfFour();
+
+    assert.equal(started.endsAt, null);
+    assert.ok(started.assignments.every(a => a.heatDeadline === null));
+    assert.equal(lobbyManager.getNextHeatDeadline(code), null);
+    assert.deepEqual(lobbyManager.applyHeat(code), { exposed: [], eliminated: [] });
+});
+
+test('the game clock and everyone\'s first heat deadline start with the game', () => {
+    const before = Date.now();
+    const { lobbyManager, code, started } = gameOfFour({ gameDurationMinutes: 30, heatMinutes: 10 });
+
+    assert.ok(started.endsAt >= before + 30 * 60000 && started.endsAt <= Date.now() + 30 * 60000);
+    assert.ok(started.assignments.every(a => a.heatDeadline >= before + 10 * 60000));
+    assert.equal(lobbyManager.getNextHeatDeadline(code), Math.min(...started.assignments.map(a => a.heatDeadline)));
+    assert.deepEqual(lobbyManager.getRunningClocks(), [{ code, endsAt: started.endsAt }]);
+});
+
+test('a kill resets the killer\'s heat deadline', () => {
+    const { lobbyManager, code, lobby } = gameOfFour({ heatMinutes: 10 });
+    lobby.players.get('host').heatDeadline = Date.now() + 1000;
+
+    lobbyManager.initiateKill(code, 'host');
+    const result = lobbyManager.confirmKill(code, 'ann');
+    assert.ok(result.heatDeadline > Date.now() + 9 * 60000);
+    assert.equal(lobby.players.get('host').heatDeadline, result.heatDeadline);
+});
+
+test('running out of heat exposes a player to their hunter and takes away their denials', () => {
+    const { lobbyManager, code, lobby, overheat } = gameOfFour({ heatMinutes: 10 });
+    overheat('ann');
+
+    assert.deepEqual(lobbyManager.applyHeat(code), {
+        exposed: [{ playerId: 'ann', name: 'Ann', hunterIds: ['host'] }],
+        eliminated: []
+    });
+    assert.equal(lobby.players.get('ann').heatDeadline, null);
+    assert.equal(lobby.history.at(-1).type, 'player_exposed');
+
+    assert.equal(lobbyManager.initiateKill(code, 'host').denialsLeft, 0);
+    assert.deepEqual(lobbyManager.cancelKill(code, 'ann'), { success: false, message: 'You are exposed and can no longer deny kills' });
+});
+
+test('an exposed player covers up again by making a kill', () => {
+    const { lobbyManager, code, lobby, overheat } = gameOfFour({ heatMinutes: 10 });
+    overheat('ann');
+    lobbyManager.applyHeat(code);
+
+    lobbyManager.initiateKill(code, 'ann');
+    const result = lobbyManager.confirmKill(code, 'bo');
+    assert.deepEqual(result.coverRestoredFor, ['host']);
+    assert.equal(lobby.players.get('ann').exposed, false);
+});
+
+test('with the eliminate penalty an idle player is taken out of the game', () => {
+    const { lobbyManager, code, lobby, overheat } = gameOfFour({ heatMinutes: 10, heatPenalty: 'eliminate' });
+    overheat('ann');
+
+    const { exposed, eliminated } = lobbyManager.applyHeat(code);
+    assert.deepEqual(exposed, []);
+    assert.equal(eliminated.length, 1);
+    assert.equal(eliminated[0].playerId, 'ann');
+    assert.equal(eliminated[0].burntOut, true);
+    assert.deepEqual(eliminated[0].retargets, [{ playerId: 'host', target: 'Bo', targetPhoto: null }]);
+    assert.equal(lobby.players.get('ann').alive, false);
+    assert.deepEqual(buildGameSummary(lobby.history).feed.map(e => e.type), ['player_burnt_out']);
+});
+
+test('burning out everyone but one player ends the game there', () => {
+    const { lobbyManager, code, lobby, overheat } = gameOfFour({ heatMinutes: 10, heatPenalty: 'eliminate' });
+    overheat('host', 'ann', 'bo', 'cy');
+
+    const { eliminated } = lobbyManager.applyHeat(code);
+    assert.equal(eliminated.length, 3);
+    assert.equal(eliminated.at(-1).isGameOver, true);
+    assert.equal(eliminated.at(-1).winner, 'Cy');
+    assert.equal(lobby.phase, 'ended');
+});
+
+test('sudden death reveals the whole chain to everyone, once', () => {
+    const { lobbyManager, code, lobby, tokens } = gameOfFour({ gameDurationMinutes: 30 });
+    assert.equal(lobbyManager.getSuddenDeathChain(code), null);
+
+    const result = lobbyManager.startSuddenDeath(code);
+    assert.deepEqual(result.chain.map(link => `${link.hunter}>${link.target}`), ['Host>Ann', 'Ann>Bo', 'Bo>Cy', 'Cy>Host']);
+    assert.deepEqual(lobbyManager.getSuddenDeathChain(code), result.chain);
+    assert.equal(lobbyManager.startSuddenDeath(code).success, false);
+    assert.deepEqual(lobbyManager.getRunningClocks(), [{ code, endsAt: null }]);
+    assert.equal(lobby.history.at(-1).type, 'sudden_death');
+
+    const rejoined = lobbyManager.rejoinLobby(tokens.bo, 'bo-again');
+    assert.equal(rejoined.suddenDeath, true);
+    assert.equal(rejoined.suddenDeathChain.length, 4);
+});
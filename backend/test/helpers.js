@@ -0,0 +1,40 @@
+/**
+ * Test helpers - The lobbies and games most tests start from
+ */
+
+import { LobbyManager } from '../lobbyManager.js';
+
+/**
+ * A waiting lobby of Host and the given guests, whose socket IDs are their names in lower case
+ * Nothing is shuffled, so a game started from it hunts host -> each guest in turn -> host
+ * profileIds are the stats profiles players join with, by socket ID; tokens holds the session token each was handed
+ */
+export function waitingLobby(guests = ['Ann', 'Bo'], settings = {}, profileIds = {}) {
+    const lobbyManager = new LobbyManager();
+    lobbyManager.shuffleArray = array => array;
+    const { code, sessionToken } = lobbyManager.createLobby('host', 'Host', null, profileIds.host);
+    const tokens = { host: sessionToken };
+    guests.forEach(name => {
+        const socketId = name.toLowerCase();
+        tokens[socketId] = lobbyManager.joinLobby(code, socketId, name, profileIds[socketId]).sessionToken;
+    });
+    if (Object.keys(settings).length > 0) {
+        lobbyManager.updateSettings(code, 'host', settings);
+    }
+    return { lobbyManager, code, tokens, lobby: lobbyManager.lobbies.get(code) };
+}
+
+/**
+ * A waiting lobby (see waitingLobby()) with its game started by the host; started is what startGame() returned
+ * kill(killerId, victimId) claims a kill and has the victim confirm it
+ */
+export function runningGame(guests = ['Ann', 'Bo'], settings = {}, profileIds = {}) {
+    const fixture = waitingLobby(guests, settings, profileIds);
+    const { lobbyManager, code } = fixture;
+    const started = lobbyManager.startGame(code, 'host');
+    const kill = (killerId, victimId) => {
+        lobbyManager.initiateKill(code, killerId);
+        return lobbyManager.confirmKill(code, victimId);
+    };
+    return { ...fixture, started, kill };
+}
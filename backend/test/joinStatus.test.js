@@ -0,0 +1,39 @@
+/**
+ * Join status - Whether a lobby takes players, asked by join links before a name and answered again on join
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateEvent, JOIN_EVENTS } from '../eventSchemas.js';
+import { waitingLobby } from './helpers.js';
+
+test('a waiting lobby with room takes players', () => {
+    const { lobbyManager, code } = waitingLobby(['Ann']);
+
+    assert.deepEqual(lobbyManager.getJoinStatus(code), { joinable: true });
+});
+
+test('each reason a lobby cannot be joined is told apart', () => {
+    const { lobbyManager, code, lobby } = waitingLobby(['Ann']);
+
+    assert.deepEqual(lobbyManager.getJoinStatus('0000'), { joinable: false, reason: 'lobby_gone', message: 'Lobby not found' });
+    lobby.settings.maxPlayers = 2;
+    assert.deepEqual(lobbyManager.getJoinStatus(code), { joinable: false, reason: 'full', message: 'Lobby is full' });
+    lobby.phase = 'playing';
+    assert.deepEqual(lobbyManager.getJoinStatus(code), { joinable: false, reason: 'in_progress', message: 'Game already in progress' });
+});
+
+test('a failed join carries the same reasons', () => {
+    const { lobbyManager, code, lobby } = waitingLobby(['Ann']);
+
+    assert.equal(lobbyManager.joinLobby('0000', 'bo', 'Bo').reason, 'lobby_gone');
+    lobby.phase = 'playing';
+    assert.equal(lobbyManager.joinLobby(code, 'bo', 'Bo').reason, 'in_progress');
+    assert.equal(lobby.players.has('bo'), false);
+});
+
+test('any socket may check a lobby it is not in, by a well-formed code', () => {
+    assert.ok(JOIN_EVENTS.includes('check-lobby'));
+    assert.deepEqual(validateEvent('check-lobby', { code: '4821' }), { success: true, payload: { code: '4821' } });
+    assert.equal(validateEvent('check-lobby', { code: 'join/4821' }).success, false);
+});
@@ -0,0 +1,113 @@
+/**
+ * Kill words - Claiming kills with the target's secret word, and the penalties for guessing wrong
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, validateSettings } from '../gameSettings.js';
+import { KILL_WORDS, pickKillWords } from '../killWords.js';
+import { runningGame } from './helpers.js';
+
+// A word-mode game of host, Ann and Bo hunting host -> ann -> bo -> host; wordOf(id) is a player's word
+function wordGame(settings = {}) {
+    const game = runningGame(['Ann', 'Bo'], { verificationMode: 'word', ...settings });
+    const wordOf = (id) => game.lobby.players.get(id).killWord;
+    return { ...game, wordOf };
+}
+test('word mode settings are validated', () => {
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { verificationMode: 'word', wrongWordPenalty: 'expose' }).success, true);
+    assert.deepEqual(validateSettings(DEFAULT_SETTINGS, { verificationMode: 'photo' }), {
+        success: false, message: 'verificationMode must be one of: confirm, word'
+    });
+    assert.deepEqual(validateSettings(DEFAULT_SETTINGS, { wrongWordPenalty: 'kick' }), {
+        success: false, message: 'wrongWordPenalty must be one of: cooldown, expose'
+    });
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { wrongWordCooldownSeconds: 5 }).success, false);
+});
+
+test('words are distinct and drawn from the list', () => {
+    const words = pickKillWords(20);
+    assert.equal(new Set(words).size, 20);
+    assert.ok(words.every(word => KILL_WORDS.includes(word)));
+    assert.equal(pickKillWords(KILL_WORDS.length + 5).length, KILL_WORDS.length);
+});
+
+test('every player is handed their own word when the game starts', () => {
+    const { started, wordOf } = wordGame();
+
+    assert.deepEqual(started.assignments.map(a => a.killWord), ['host', 'ann', 'bo'].map(wordOf));
+    assert.equal(new Set(started.assignments.map(a => a.killWord)).size, 3);
+});
+
+test('kills cannot be initiated without the word in word mode', () => {
+    const { lobbyManager, code } = wordGame();
+
+    assert.equal(lobbyManager.initiateKill(code, 'host').success, false);
+});
+
+test('the right word kills at once, whatever its case or spacing', () => {
+    const { lobbyManager, code, lobby, wordOf } = wordGame();
+
+    const result = lobbyManager.claimKill(code, 'host', `  ${wordOf('ann').toUpperCase()} `);
+    assert.equal(result.success, true);
+    assert.equal(result.victimId, 'ann');
+    assert.equal(result.newTarget, 'Bo');
+    assert.equal(lobby.players.get('ann').alive, false);
+    assert.equal(lobby.pendingKills.size, 0);
+});
+
+test('a wrong word puts the killer on cooldown', () => {
+    const { lobbyManager, code, lobby, wordOf } = wordGame({ wrongWordCooldownSeconds: 30 });
+
+    const before = Date.now();
+    const result = lobbyManager.claimKill(code, 'host', 'definitely-not-a-word');
+    assert.equal(result.success, false);
+    assert.equal(result.wrongWord, true);
+    assert.ok(result.cooldownUntil >= before + 30000);
+    assert.equal(lobby.history.at(-1).type, 'kill_claim_failed');
+
+    const retry = lobbyManager.claimKill(code, 'host', wordOf('ann'));
+    assert.equal(retry.success, false);
+    assert.equal(retry.cooldownUntil, result.cooldownUntil);
+    assert.equal(lobby.players.get('ann').alive, true);
+});
+
+test('with the expose penalty the target learns who is hunting them, on top of the cooldown', () => {
+    const { lobbyManager, code, wordOf } = wordGame({ wrongWordPenalty: 'expose', wrongWordCooldownSeconds: 30 });
+
+    const before = Date.now();
+    const result = lobbyManager.claimKill(code, 'host', 'definitely-not-a-word');
+    assert.equal(result.wrongWord, true);
+    assert.deepEqual(result.exposed, { victimId: 'ann', hunter: 'Host' });
+    assert.ok(result.cooldownUntil >= before + 30000);
+
+    const retry = lobbyManager.claimKill(code, 'host', wordOf('ann'));
+    assert.equal(retry.success, false);
+    assert.equal(retry.cooldownUntil, result.cooldownUntil);
+});
+
+test('claims are refused outside word mode', () => {
+    const { lobbyManager, code } = runningGame();
+
+    assert.deepEqual(lobbyManager.claimKill(code, 'host', 'anchor'), { success: false, message: 'This lobby does not use secret words' });
+});
+
+test('a player rejoining mid-game gets their word back', () => {
+    const { lobbyManager, code, wordOf, tokens } = wordGame();
+
+    const result = lobbyManager.rejoinLobby(tokens.bo, 'bo-again');
+    assert.equal(result.code, code);
+    assert.equal(result.killWord, wordOf('bo-again'));
+});
+
+test('a rematch without words starts with no word and no cooldown left over', () => {
+    const { lobbyManager, code, lobby } = wordGame({ wrongWordCooldownSeconds: 30 });
+    lobbyManager.claimKill(code, 'host', 'definitely-not-a-word');
+    lobbyManager.forceEndGame(code);
+    lobbyManager.rematch(code, 'host');
+    lobbyManager.updateSettings(code, 'host', { verificationMode: 'confirm' });
+
+    const { assignments } = lobbyManager.startGame(code, 'host');
+    assert.deepEqual(assignments.map(a => a.killWord), [null, null, null]);
+    assert.equal(lobby.players.get('host').claimCooldownUntil, 0);
+});
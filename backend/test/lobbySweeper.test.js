@@ -0,0 +1,78 @@
+/**
+ * Lobby sweeper - Deleting lobbies that sat idle past their phase's TTL, and reading the TTLs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LOBBY_TTLS, loadLobbyTtls } from '../lobbySweeper.js';
+import { waitingLobby } from './helpers.js';
+
+const MINUTE = 60000;
+
+// A waiting lobby of Host and Ann that last saw activity at the given time
+function idleLobby(lastActivityAt) {
+    const fixture = waitingLobby(['Ann']);
+    fixture.lobby.lastActivityAt = lastActivityAt;
+    return fixture;
+}
+
+test('TTLs default per phase and can be overridden from the environment', () => {
+    assert.deepEqual(loadLobbyTtls({}), DEFAULT_LOBBY_TTLS);
+    assert.deepEqual(loadLobbyTtls({ LOBBY_TTL_ENDED_MINUTES: '10', LOBBY_TTL_WAITING_MINUTES: '0', LOBBY_TTL_PLAYING_MINUTES: 'soon' }), {
+        ...DEFAULT_LOBBY_TTLS, ended: 10
+    });
+});
+
+test('a lobby is kept until it has been idle for its phase\'s TTL', () => {
+    const { lobbyManager, code } = idleLobby(0);
+
+    assert.deepEqual(lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 59 * MINUTE), []);
+    const [swept] = lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 60 * MINUTE);
+    assert.equal(swept.code, code);
+    assert.equal(swept.phase, 'waiting');
+    assert.equal(swept.sessionIds.length, 2);
+    assert.equal(lobbyManager.lobbies.has(code), false);
+    assert.equal(lobbyManager.getLobbyCode('ann'), null);
+});
+
+test('client events keep a lobby alive', () => {
+    const { lobbyManager, lobby } = idleLobby(0);
+
+    lobbyManager.touchLobby('ann');
+    assert.ok(lobby.lastActivityAt > 0);
+    assert.deepEqual(lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, lobby.lastActivityAt + 59 * MINUTE), []);
+});
+
+test('running games get longer and finished games shorter than waiting lobbies', () => {
+    const { lobbyManager, code, lobby } = idleLobby(0);
+    lobbyManager.joinLobby(code, 'bo', 'Bo');
+    lobbyManager.startGame(code, 'host');
+    lobbyManager.initiateKill(code, 'host');
+    lobby.lastActivityAt = 0;
+
+    assert.deepEqual(lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 120 * MINUTE), []);
+    const [swept] = lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 360 * MINUTE);
+    assert.equal(swept.phase, 'playing');
+    assert.equal(swept.victimSessionIds.length, 1);
+
+    const ended = idleLobby(0);
+    ended.lobby.phase = 'ended';
+    assert.equal(ended.lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 30 * MINUTE).length, 1);
+});
+
+test('a lobby nobody is connected to goes sooner, whatever its phase', () => {
+    const { lobbyManager, lobby } = idleLobby(0);
+    lobby.phase = 'ended';
+    lobbyManager.handleDisconnect('host');
+    assert.deepEqual(lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 15 * MINUTE), []);
+
+    lobbyManager.handleDisconnect('ann');
+    assert.equal(lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 15 * MINUTE).length, 1);
+});
+
+test('players of a swept lobby are told it is gone when they rejoin', () => {
+    const { lobbyManager, tokens } = idleLobby(0);
+    lobbyManager.sweepStaleLobbies(DEFAULT_LOBBY_TTLS, 60 * MINUTE);
+
+    assert.equal(lobbyManager.rejoinLobby(tokens.host, 'host-again').reason, 'lobby_gone');
+});
@@ -0,0 +1,83 @@
+/**
+ * Metrics - The Prometheus text output, and what the lobby manager counts into it
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LobbyManager } from '../lobbyManager.js';
+import { metrics, renderMetrics } from '../metrics.js';
+import { runningGame } from './helpers.js';
+
+// The value of one sample line, e.g. sample('assassin_kills_total{outcome="denied"}'), or 0 before it exists
+const sample = (series) => {
+    const line = renderMetrics().split('\n').find(l => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+test('every metric is rendered with its help and type', () => {
+    const output = renderMetrics();
+
+    assert.ok(output.endsWith('\n'));
+    assert.match(output, /# HELP assassin_games_started_total Games started\n# TYPE assassin_games_started_total counter/);
+    assert.match(output, /# TYPE assassin_lobbies gauge/);
+    assert.match(output, /# TYPE assassin_event_handler_seconds histogram/);
+});
+
+test('gauges are read at scrape time, one line per labelled sample', () => {
+    metrics.lobbies.collect = () => [{ labels: { phase: 'waiting' }, value: 2 }, { labels: { phase: 'playing' }, value: 1 }];
+    metrics.connectedSockets.collect = () => 7;
+
+    assert.equal(sample('assassin_lobbies{phase="waiting"}'), 2);
+    assert.equal(sample('assassin_lobbies{phase="playing"}'), 1);
+    assert.equal(sample('assassin_connected_sockets'), 7);
+});
+
+test('histograms count observations into cumulative buckets', () => {
+    metrics.eventLatency.observe({ event: 'join-lobby' }, 0.003);
+    metrics.eventLatency.observe({ event: 'join-lobby' }, 0.2);
+
+    assert.equal(sample('assassin_event_handler_seconds_bucket{event="join-lobby",le="0.0025"}'), 0);
+    assert.equal(sample('assassin_event_handler_seconds_bucket{event="join-lobby",le="0.005"}'), 1);
+    assert.equal(sample('assassin_event_handler_seconds_bucket{event="join-lobby",le="+Inf"}'), 2);
+    assert.equal(sample('assassin_event_handler_seconds_count{event="join-lobby"}'), 2);
+    assert.equal(sample('assassin_event_handler_seconds_sum{event="join-lobby"}'), 0.203);
+});
+
+test('label values are escaped', () => {
+    metrics.rejoins.inc({ result: 'say "hi"\\' });
+
+    assert.equal(sample('assassin_rejoins_total{result="say \\"hi\\"\\\\"}'), 1);
+});
+
+test('games, kills and rejoins are counted as they happen', () => {
+    const started = sample('assassin_games_started_total');
+    const confirmed = sample('assassin_kills_total{outcome="confirmed"}');
+    const denied = sample('assassin_kills_total{outcome="denied"}');
+    const won = sample('assassin_games_finished_total{reason="winner"}');
+    const invalid = sample('assassin_rejoins_total{result="session_invalid"}');
+
+    const { lobbyManager, code } = runningGame();
+    lobbyManager.initiateKill(code, 'host');
+    lobbyManager.cancelKill(code, 'ann');
+    lobbyManager.initiateKill(code, 'ann');
+    lobbyManager.confirmKill(code, 'bo');
+    lobbyManager.initiateKill(code, 'ann');
+    lobbyManager.confirmKill(code, 'host');
+    lobbyManager.rejoinLobby('no-such-token', 'zed');
+
+    assert.equal(sample('assassin_games_started_total'), started + 1);
+    assert.equal(sample('assassin_kills_total{outcome="confirmed"}'), confirmed + 2);
+    assert.equal(sample('assassin_kills_total{outcome="denied"}'), denied + 1);
+    assert.equal(sample('assassin_games_finished_total{reason="winner"}'), won + 1);
+    assert.equal(sample('assassin_rejoins_total{result="session_invalid"}'), invalid + 1);
+    assert.equal(sample('assassin_game_duration_seconds_count'), 1);
+});
+
+test('lobbies are counted by phase', () => {
+    const lobbyManager = new LobbyManager();
+    lobbyManager.createLobby('host', 'Host');
+    const { code } = lobbyManager.createLobby('other', 'Other');
+    lobbyManager.lobbies.get(code).phase = 'ended';
+
+    assert.deepEqual(lobbyManager.countLobbiesByPhase(), { waiting: 1, playing: 0, ended: 1 });
+});
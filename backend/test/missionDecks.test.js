@@ -0,0 +1,104 @@
+/**
+ * Mission decks - Parsing uploaded decks and dealing a mission with every contract
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, validateSettings } from '../gameSettings.js';
+import { MAX_CUSTOM_MISSIONS, MAX_MISSION_LENGTH, MISSION_DECKS, listMissionDecks, parseMissionDeck } from '../missionDecks.js';
+import { waitingLobby, runningGame } from './helpers.js';
+
+test('bundled decks are listed with their sizes', () => {
+    assert.deepEqual(listMissionDecks().find(deck => deck.id === 'classic'), {
+        id: 'classic', name: 'Classic Handoff', count: MISSION_DECKS.classic.missions.length
+    });
+});
+
+test('decks upload as plain lines, a JSON list or a JSON object', () => {
+    const expected = { success: true, missions: ['Hold a spoon', 'Say banana'] };
+
+    assert.deepEqual(parseMissionDeck('Hold a spoon\r\n\n  Say banana  \n'), expected);
+    assert.deepEqual(parseMissionDeck('["Hold a spoon", " Say banana", ""]'), expected);
+    assert.deepEqual(parseMissionDeck('{ "missions": ["Hold a spoon", "Say banana"] }'), expected);
+});
+
+test('broken or oversized decks are rejected with a reason', () => {
+    const rejected = [
+        ['', 'The mission deck is empty'],
+        ['\n  \n', 'The mission deck is empty'],
+        ['[]', 'The mission deck is empty'],
+        [undefined, 'The mission deck is empty'],
+        ['["Hold a spoon",', 'The mission deck is not valid JSON'],
+        ['{ "cards": ["Hold a spoon"] }', 'A JSON deck must be a list of missions'],
+        ['["Hold a spoon", 3]', 'A JSON deck must be a list of missions'],
+        [Array.from({ length: MAX_CUSTOM_MISSIONS + 1 }, (_, i) => `Mission ${i}`).join('\n'), `A deck can hold at most ${MAX_CUSTOM_MISSIONS} missions`],
+        ['x'.repeat(MAX_MISSION_LENGTH + 1), `Missions can be at most ${MAX_MISSION_LENGTH} characters long`]
+    ];
+    for (const [input, message] of rejected) {
+        assert.deepEqual(parseMissionDeck(input), { success: false, message }, String(input).slice(0, 30));
+    }
+});
+
+test('the custom deck can only be picked once something has been uploaded', () => {
+    assert.deepEqual(validateSettings(DEFAULT_SETTINGS, { missionDeck: 'custom' }), {
+        success: false, message: 'Upload a custom deck before selecting it'
+    });
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { missionDeck: 'tarot' }).success, false);
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { missionOnKill: 'keep' }).success, false);
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { customMissions: ['  '] }).success, false);
+});
+
+test('only the host uploads a deck, which selects it', () => {
+    const { lobbyManager, code } = waitingLobby(['Ann']);
+
+    assert.equal(lobbyManager.uploadMissions(code, 'ann', 'Hold a spoon').success, false);
+    assert.deepEqual(lobbyManager.uploadMissions(code, 'host', '[1, 2]'), { success: false, message: 'A JSON deck must be a list of missions' });
+
+    const result = lobbyManager.uploadMissions(code, 'host', 'Hold a spoon\nSay banana');
+    assert.equal(result.settings.missionDeck, 'custom');
+    assert.deepEqual(result.settings.customMissions, ['Hold a spoon', 'Say banana']);
+});
+
+test('nobody gets a mission when the deck is turned off', () => {
+    const { started } = runningGame();
+
+    assert.ok(started.assignments.every(a => a.mission === null));
+});
+
+test('every contract is dealt a mission from the chosen deck', () => {
+    const { started } = runningGame(['Ann', 'Bo'], { missionDeck: 'locations' });
+
+    assert.ok(started.assignments.every(a => MISSION_DECKS.locations.missions.includes(a.mission)));
+    assert.equal(new Set(started.assignments.map(a => a.mission)).size, 3);
+});
+
+test('the pile is reshuffled when a small custom deck runs out', () => {
+    const { lobby, lobbyManager } = runningGame(['Ann', 'Bo'], { missionDeck: 'custom', customMissions: ['Hold a spoon', 'Say banana'] });
+
+    assert.equal(lobby.missionPile.length, 1);
+    const drawn = [lobbyManager.drawMission(lobby), lobbyManager.drawMission(lobby), lobbyManager.drawMission(lobby)];
+    assert.ok(drawn.every(mission => ['Hold a spoon', 'Say banana'].includes(mission)));
+});
+
+test('a killer takes over the victim\'s mission when the lobby says so', () => {
+    const { lobbyManager, code, lobby } = runningGame(['Ann', 'Bo'], { missionDeck: 'classic', missionOnKill: 'inherit' });
+    const annMission = lobby.players.get('ann').mission;
+
+    lobbyManager.initiateKill(code, 'host');
+    const result = lobbyManager.confirmKill(code, 'ann');
+    assert.equal(result.newMission, annMission);
+    assert.equal(lobby.players.get('host').mission, annMission);
+});
+
+test('a killer draws a fresh mission by default, and none once the game is over', () => {
+    const { lobbyManager, code, lobby } = runningGame(['Ann', 'Bo'], { missionDeck: 'classic' });
+    const dealt = Array.from(lobby.players.values(), p => p.mission);
+
+    lobbyManager.initiateKill(code, 'host');
+    const first = lobbyManager.confirmKill(code, 'ann');
+    assert.ok(MISSION_DECKS.classic.missions.includes(first.newMission));
+    assert.ok(!dealt.includes(first.newMission));
+
+    lobbyManager.initiateKill(code, 'host');
+    assert.equal(lobbyManager.confirmKill(code, 'bo').newMission, null);
+});
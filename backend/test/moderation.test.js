@@ -0,0 +1,99 @@
+/**
+ * Moderation - Kicking, passing on the host role and leaving, with the target cycle relinked behind them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { waitingLobby, runningGame } from './helpers.js';
+
+const GUESTS = ['Ann', 'Bo', 'Cy']; // without shuffling the cycle runs host -> ann -> bo -> cy -> host
+
+test('only the host kicks, and never themselves', () => {
+    const { lobbyManager, code } = waitingLobby(GUESTS);
+
+    assert.deepEqual(lobbyManager.kickPlayer(code, 'ann', 'bo'), { success: false, message: 'Only the host can kick players' });
+    assert.deepEqual(lobbyManager.kickPlayer(code, 'host', 'host'), { success: false, message: 'You cannot kick yourself' });
+    assert.deepEqual(lobbyManager.kickPlayer(code, 'host', 'nobody'), { success: false, message: 'Player not found' });
+
+    const result = lobbyManager.kickPlayer(code, 'host', 'bo');
+    assert.equal(result.success, true);
+    assert.equal(result.kickedId, 'bo');
+    assert.deepEqual(result.players.map(p => p.name), ['Host', 'Ann', 'Cy']);
+    assert.equal(lobbyManager.getSessionId('bo'), null);
+});
+
+test('a kicked player\'s hunter inherits their target', () => {
+    const { lobbyManager, code, lobby } = runningGame(GUESTS);
+
+    lobbyManager.kickPlayer(code, 'host', 'bo');
+    assert.deepEqual(Array.from(lobby.targets), [['host', 'ann'], ['ann', 'cy'], ['cy', 'host']]);
+    assert.equal(lobby.phase, 'playing');
+});
+
+test('pending kills involving a removed player are cancelled and the other party is named', () => {
+    const { lobbyManager, code, lobby } = runningGame(GUESTS);
+    lobbyManager.initiateKill(code, 'ann'); // Ann is after Bo
+    lobbyManager.initiateKill(code, 'bo'); // Bo is after Cy
+    const sessionOf = (id) => lobby.players.get(id).sessionId;
+    const boSession = sessionOf('bo');
+    const cySession = sessionOf('cy');
+
+    const result = lobbyManager.kickPlayer(code, 'host', 'bo');
+    assert.deepEqual(result.cancelledKills, [
+        { victimSessionId: boSession, notifyId: 'ann' },
+        { victimSessionId: cySession, notifyId: 'cy' }
+    ]);
+    assert.equal(lobby.pendingKills.size, 0);
+    assert.deepEqual(lobbyManager.getPendingKills(), []);
+});
+
+test('hosting passes on when the host leaves, and the new host can start the game', () => {
+    const { lobbyManager, code, lobby } = waitingLobby(GUESTS);
+
+    const result = lobbyManager.leaveLobby('host');
+    assert.equal(result.success, true);
+    assert.equal(result.hostChanged, true);
+    assert.equal(lobby.hostId, 'ann');
+    assert.equal(lobbyManager.startGame(code, 'ann').success, true);
+});
+
+test('hosting goes to a connected player rather than one who is away', () => {
+    const { lobbyManager, lobby } = runningGame(GUESTS);
+    lobbyManager.handleDisconnect('ann');
+
+    lobbyManager.leaveLobby('host');
+    assert.equal(lobby.hostId, 'bo');
+});
+
+test('the host can hand over hosting to anyone in the lobby', () => {
+    const { lobbyManager, code, lobby } = waitingLobby(GUESTS);
+
+    assert.deepEqual(lobbyManager.transferHost(code, 'ann', 'bo'), { success: false, message: 'Only the host can transfer hosting' });
+    assert.deepEqual(lobbyManager.transferHost(code, 'host', 'nobody'), { success: false, message: 'Player not found' });
+
+    const result = lobbyManager.transferHost(code, 'host', 'cy');
+    assert.equal(result.success, true);
+    assert.equal(lobby.hostId, 'cy');
+    assert.deepEqual(lobbyManager.startGame(code, 'host'), { success: false, message: 'Only the host can start the game' });
+    assert.equal(lobbyManager.kickPlayer(code, 'cy', 'host').success, true);
+});
+
+test('the game ends when everyone but one player has left', () => {
+    const { lobbyManager, lobby } = runningGame(GUESTS);
+    lobbyManager.leaveLobby('ann');
+    lobbyManager.leaveLobby('bo');
+
+    const result = lobbyManager.leaveLobby('cy');
+    assert.equal(result.isGameOver, true);
+    assert.equal(result.winner, 'Host');
+    assert.equal(lobby.phase, 'ended');
+    assert.equal(lobbyManager.getLobbyCount(), 1);
+});
+
+test('the lobby is deleted when the last player leaves', () => {
+    const { lobbyManager, code } = waitingLobby([]);
+
+    assert.equal(lobbyManager.leaveLobby('host').lobbyDeleted, true);
+    assert.equal(lobbyManager.getSettings(code), null);
+    assert.deepEqual(lobbyManager.leaveLobby('host'), { success: false, message: 'You are not in a lobby' });
+});
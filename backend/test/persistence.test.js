@@ -0,0 +1,83 @@
+/**
+ * Persistence - Lobby snapshots survive a trip through the state stores and come back ready to rejoin
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { LobbyManager } from '../lobbyManager.js';
+import { FileStateStore, MemoryStateStore, createStateStore } from '../stateStore.js';
+import { runningGame } from './helpers.js';
+
+// A running three-player game with one kill pending
+function gameWithPendingKill() {
+    const fixture = runningGame();
+    return { ...fixture, kill: fixture.lobbyManager.initiateKill(fixture.code, 'host') };
+}
+
+test('a restored game keeps its targets and pending kill deadlines, with everyone disconnected', () => {
+    const { lobbyManager, code, kill } = gameWithPendingKill();
+    const snapshot = JSON.parse(JSON.stringify(lobbyManager.serialize()));
+
+    const restarted = new LobbyManager();
+    assert.equal(restarted.restore(snapshot), 1);
+
+    const lobby = restarted.lobbies.get(code);
+    assert.equal(lobby.phase, 'playing');
+    assert.deepEqual(lobby.targets, lobbyManager.lobbies.get(code).targets);
+    assert.ok(Array.from(lobby.players.values()).every(p => !p.connected));
+    assert.deepEqual(restarted.getPendingKills(), [{ code, victimSessionId: kill.victimSessionId, deadline: kill.deadline }]);
+});
+
+test('players rejoin a restored game with their session and find their target again', () => {
+    const { lobbyManager, code, tokens } = gameWithPendingKill();
+    const annTarget = lobbyManager.lobbies.get(code).players.get(lobbyManager.lobbies.get(code).targets.get('ann')).name;
+
+    const restarted = new LobbyManager();
+    restarted.restore(JSON.parse(JSON.stringify(lobbyManager.serialize())));
+
+    const result = restarted.rejoinLobby(tokens.ann, 'ann-again');
+    assert.equal(result.success, true);
+    assert.equal(result.code, code);
+    assert.equal(result.target, annTarget);
+    assert.equal(restarted.lobbies.get(code).players.get('ann-again').connected, true);
+});
+
+test('confirming a kill clears its deadline so it is not resumed after a restart', () => {
+    const { lobbyManager, code, kill } = gameWithPendingKill();
+    lobbyManager.confirmKill(code, kill.victimId);
+
+    assert.deepEqual(lobbyManager.getPendingKills(), []);
+});
+
+test('a snapshot of an unknown version restores nothing', () => {
+    const lobbyManager = new LobbyManager();
+    assert.equal(lobbyManager.restore({ version: 99, lobbies: [], sessions: [] }), 0);
+    assert.equal(lobbyManager.restore(null), 0);
+});
+
+test('the file store reads back what it wrote and leaves no temp file behind', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'assassin-state-'));
+    try {
+        const store = new FileStateStore(path.join(dir, 'nested', 'state.json'));
+        assert.equal(await store.load(), null);
+
+        const { lobbyManager } = gameWithPendingKill();
+        const snapshot = lobbyManager.serialize();
+        await Promise.all([store.save({ version: 1, lobbies: [], sessions: [] }), store.save(snapshot)]);
+
+        assert.deepEqual(await store.load(), JSON.parse(JSON.stringify(snapshot)));
+        assert.deepEqual(await readdir(path.join(dir, 'nested')), ['state.json']);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('the store is picked from the environment', () => {
+    assert.ok(createStateStore({ STATE_STORE: 'memory' }) instanceof MemoryStateStore);
+    const fileStore = createStateStore({ STATE_FILE: '/tmp/elsewhere.json' });
+    assert.ok(fileStore instanceof FileStateStore);
+    assert.equal(fileStore.filePath, '/tmp/elsewhere.json');
+});
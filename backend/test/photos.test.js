@@ -0,0 +1,117 @@
+/**
+ * Photos - Shrinking and storing player selfies, and the photos players and hunters are shown
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { normalizePhoto, isPhotoId, MemoryPhotoStore, DiskPhotoStore, createPhotoStore, PHOTO_SIZE } from '../photoStore.js';
+import { validateEvent } from '../eventSchemas.js';
+import { waitingLobby } from './helpers.js';
+
+// A waiting lobby of Host, Ann and Bo, who will hunt host -> ann -> bo -> host, Ann with a photo
+function lobbyWithPhoto() {
+    const fixture = waitingLobby();
+    fixture.lobbyManager.setPhoto(fixture.code, 'ann', 'a'.repeat(32));
+    return fixture;
+}
+
+// A landscape phone picture, with where it was taken
+const cameraPicture = () => sharp({ create: { width: 1200, height: 800, channels: 3, background: '#884422' } })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Make: 'Phone', Copyright: 'Ann' } } })
+    .toBuffer();
+
+test('an upload is stored as a small square JPEG without its metadata', async () => {
+    const photo = await normalizePhoto(await cameraPicture());
+
+    const { format, width, height, exif } = await sharp(photo).metadata();
+    assert.deepEqual({ format, width, height, exif }, { format: 'jpeg', width: PHOTO_SIZE, height: PHOTO_SIZE, exif: undefined });
+    await assert.rejects(normalizePhoto(Buffer.from('not an image')));
+});
+
+test('only ids the store hands out are accepted', async () => {
+    const id = await new MemoryPhotoStore().save(Buffer.from('jpeg'));
+
+    assert.equal(isPhotoId(id), true);
+    for (const bad of ['../../etc/passwd', 'A'.repeat(32), 'a'.repeat(31), '']) {
+        assert.equal(isPhotoId(bad), false);
+    }
+});
+
+test('photos in memory are kept until removed', async () => {
+    const store = new MemoryPhotoStore();
+    const id = await store.save(Buffer.from('jpeg'));
+
+    assert.deepEqual(await store.load(id), Buffer.from('jpeg'));
+    await store.remove([id]);
+    assert.equal(await store.load(id), null);
+});
+
+test('photos on disk are one file each, and nothing outside the folder is read', async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'photos-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const store = createPhotoStore({ PHOTO_DIR: path.join(dir, 'photos') });
+    assert.ok(store instanceof DiskPhotoStore);
+
+    const id = await store.save(Buffer.from('jpeg'));
+    assert.deepEqual(await readdir(path.join(dir, 'photos')), [`${id}.jpg`]);
+    assert.deepEqual(await store.load(id), Buffer.from('jpeg'));
+    assert.equal(await store.load('../photos/' + id), null);
+
+    await store.remove([id, '../..']);
+    assert.equal(await store.load(id), null);
+    assert.ok(createPhotoStore({}) instanceof MemoryPhotoStore);
+});
+
+test('a photo upload is raw bytes of bounded size, or null to clear it', () => {
+    assert.equal(validateEvent('set-photo', { code: '0420', photo: Buffer.from('jpeg') }).success, true);
+    assert.equal(validateEvent('set-photo', { code: '0420', photo: null }).payload.photo, null);
+    for (const bad of [Buffer.alloc(0), Buffer.alloc(512 * 1024 + 1), 'data:image/jpeg;base64,AAAA']) {
+        assert.deepEqual(validateEvent('set-photo', { code: '0420', photo: bad }), {
+            success: false, message: 'photo must be an image of at most 512 kB', field: 'photo'
+        });
+    }
+});
+
+test('a photo can only be changed before the game, handing back the one it replaced', () => {
+    const { lobbyManager, code } = lobbyWithPhoto();
+
+    const result = lobbyManager.setPhoto(code, 'ann', 'b'.repeat(32));
+    assert.equal(result.replaced, 'a'.repeat(32));
+    assert.deepEqual(result.players.map(p => p.photo), [null, 'b'.repeat(32), null]);
+    assert.deepEqual(lobbyManager.setPhoto(code, 'zed', null), { success: false, message: 'Player not found' });
+
+    lobbyManager.startGame(code, 'host');
+    assert.deepEqual(lobbyManager.setPhoto(code, 'ann', null), {
+        success: false, message: 'Photos can only be changed before the game starts'
+    });
+});
+
+test('a hunter is shown their target\'s photo, from the start and after each kill', () => {
+    const { lobbyManager, code, lobby } = lobbyWithPhoto();
+
+    const { assignments } = lobbyManager.startGame(code, 'host');
+    assert.deepEqual(assignments.map(a => `${a.playerId}:${a.target}:${a.targetPhoto}`), [
+        `host:Ann:${'a'.repeat(32)}`, 'ann:Bo:null', 'bo:Host:null'
+    ]);
+    assert.equal(lobbyManager.getAllPlayersWithStatus(lobby).find(p => p.name === 'Ann').photo, 'a'.repeat(32));
+
+    lobbyManager.initiateKill(code, 'bo');
+    assert.equal(lobbyManager.confirmKill(code, 'host').newTargetPhoto, 'a'.repeat(32));
+});
+
+test('the photos of players who are gone for good are handed back for deletion', () => {
+    let { lobbyManager, code } = lobbyWithPhoto();
+    assert.equal(lobbyManager.leaveLobby('ann').photoId, 'a'.repeat(32));
+
+    ({ lobbyManager, code } = lobbyWithPhoto());
+    const { sessionId } = lobbyManager.handleDisconnect('ann');
+    assert.equal(lobbyManager.dropDisconnected(code, sessionId).photoId, 'a'.repeat(32));
+
+    ({ lobbyManager, code } = lobbyWithPhoto());
+    assert.deepEqual(lobbyManager.deleteLobby(code).photoIds, ['a'.repeat(32)]);
+});
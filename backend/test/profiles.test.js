@@ -0,0 +1,87 @@
+/**
+ * Profiles - Opt-in stats kept across games under a device key, and the leaderboard ranking them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { MemoryProfileStore, FileProfileStore, createProfileStore, profileIdFor } from '../profileStore.js';
+import { validateEvent } from '../eventSchemas.js';
+import { runningGame } from './helpers.js';
+
+const ADA_KEY = 'a'.repeat(32);
+
+// Host, Ann and Bo hunting host -> ann -> bo -> host; the host and Ann keep stats
+const gameWithProfiles = () => runningGame(['Ann', 'Bo'], {}, { host: 'host-profile', ann: 'ann-profile' });
+
+// One game's result for a profile, as LobbyManager hands them over
+const result = (profileId, name, won, kills) => ({ profileId, name, won, kills, died: !won, denials: 1, survivedMs: 60000 });
+
+test('the store only ever sees a hash of the device key', () => {
+    assert.match(profileIdFor(ADA_KEY), /^[0-9a-f]{64}$/);
+    assert.notEqual(profileIdFor(ADA_KEY), ADA_KEY);
+    assert.equal(profileIdFor(ADA_KEY), profileIdFor('a'.repeat(32)));
+});
+
+test('a profile key is optional when joining but must look like one', () => {
+    assert.equal(validateEvent('create-lobby', { playerName: 'Ada', profileKey: ADA_KEY }).payload.profileKey, ADA_KEY);
+    assert.equal(validateEvent('get-profile', { profileKey: 'short' }).success, false);
+    assert.equal(validateEvent('join-lobby', { code: '0420', playerName: 'Ada', profileKey: 'has spaces'.repeat(4) }).field, 'profileKey');
+    assert.deepEqual(validateEvent('get-leaderboard', {}), { success: true, payload: {} });
+});
+
+test('profiles add up and are ranked by wins, then kills, then fewer games', async () => {
+    const profiles = new MemoryProfileStore();
+
+    await profiles.recordGame([result('ada', 'Ada', true, 2), result('ben', 'Ben', false, 3), result('cy', 'Cy', false, 3)]);
+    await profiles.recordGame([result('ben', 'Benny', false, 0)]);
+
+    assert.deepEqual((await profiles.getLeaderboard()).map(entry => entry.name), ['Ada', 'Cy', 'Benny']);
+    assert.deepEqual((await profiles.getLeaderboard(1)).map(entry => entry.name), ['Ada']);
+    const ben = await profiles.getProfile('ben');
+    assert.deepEqual({ ...ben, lastPlayedAt: 0 }, {
+        name: 'Benny', gamesPlayed: 2, wins: 0, kills: 3, deaths: 2, denials: 2, averageSurvivalMs: 60000, lastPlayedAt: 0
+    });
+    assert.equal(await profiles.getProfile('nobody'), null);
+});
+
+test('profiles in a file survive a restart', async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'profiles-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'data', 'profiles.json');
+
+    await createProfileStore({ PROFILE_FILE: filePath }).recordGame([result('ada', 'Ada', true, 2)]);
+    const restarted = new FileProfileStore(filePath);
+    assert.equal((await restarted.getProfile('ada')).wins, 1);
+    assert.ok(createProfileStore({ STATE_STORE: 'memory' }) instanceof MemoryProfileStore);
+});
+
+test('a finished game hands over a result for each player with a profile, once', () => {
+    const { lobbyManager, code, kill } = gameWithProfiles();
+
+    kill('host', 'ann');
+    assert.deepEqual(lobbyManager.takeProfileResults(code), []);
+    assert.equal(kill('host', 'bo').isGameOver, true);
+
+    const results = lobbyManager.takeProfileResults(code);
+    assert.deepEqual(results.map(({ profileId, won, kills, died, denials }) => ({ profileId, won, kills, died, denials })), [
+        { profileId: 'host-profile', won: true, kills: 2, died: false, denials: 0 },
+        { profileId: 'ann-profile', won: false, kills: 0, died: true, denials: 0 }
+    ]);
+    assert.ok(results.every(r => r.survivedMs >= 0));
+    assert.deepEqual(lobbyManager.takeProfileResults(code), []);
+});
+
+test('walking out of a game counts as losing it, and a game an admin stopped counts for nobody', () => {
+    let { lobbyManager, code, kill } = gameWithProfiles();
+    lobbyManager.leaveLobby('ann');
+    kill('host', 'bo');
+    assert.deepEqual(lobbyManager.takeProfileResults(code).map(r => `${r.profileId}:${r.won}`), ['ann-profile:false', 'host-profile:true']);
+
+    ({ lobbyManager, code, kill } = gameWithProfiles());
+    kill('host', 'ann');
+    lobbyManager.forceEndGame(code);
+    assert.deepEqual(lobbyManager.takeProfileResults(code), []);
+});
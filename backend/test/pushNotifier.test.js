@@ -0,0 +1,158 @@
+/**
+ * Push notifications - Sending signed, encrypted pushes (to the local stand-in) and keeping players' subscriptions
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { once } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import webpush from 'web-push';
+import { PushNotifier, createPushNotifier } from '../pushNotifier.js';
+import { validateEvent } from '../eventSchemas.js';
+import { waitingLobby } from './helpers.js';
+
+const BACKEND_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+let standIn;
+let standInUrl;
+let notifier;
+
+before(async () => {
+    const probe = createServer().listen(0);
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+
+    standIn = spawn(process.execPath, ['tools/pushStandIn.js', '--port', String(port)], {
+        cwd: BACKEND_DIR,
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        standIn.stdout.once('data', resolve);
+        standIn.once('exit', code => reject(new Error(`Push stand-in exited with ${code}`)));
+    });
+    standInUrl = `http://localhost:${port}`;
+
+    const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+    notifier = new PushNotifier({ subject: 'mailto:test@localhost', publicKey, privateKey }, { allowHttp: true });
+});
+
+after(async () => {
+    standIn.kill();
+    await once(standIn, 'exit');
+});
+
+// A fresh subscription from the stand-in, as a browser would hand it to the page
+const subscribe = async () => (await fetch(`${standInUrl}/subscriptions`, { method: 'POST' })).json();
+const received = async ({ endpoint }) => (await (await fetch(endpoint)).json()).messages;
+
+test('a push arrives decrypted, with its urgency, lifetime and topic', async () => {
+    const subscription = await subscribe();
+
+    const result = await notifier.send(subscription, { type: 'kill-pending', code: '0420' }, { ttl: 59.6, urgency: 'high', topic: 'kill-pending' });
+    assert.deepEqual(result, { delivered: true, gone: false });
+
+    const [message] = await received(subscription);
+    assert.deepEqual(message.message, { type: 'kill-pending', code: '0420' });
+    assert.equal(message.urgency, 'high');
+    assert.equal(message.ttl, 60);
+    assert.equal(message.topic, 'kill-pending');
+});
+
+test('a revoked subscription is reported gone', async () => {
+    const subscription = await subscribe();
+    await fetch(subscription.endpoint, { method: 'DELETE' });
+
+    assert.deepEqual(await notifier.send(subscription, { type: 'you-died' }), { delivered: false, gone: true });
+});
+
+test('without keys nothing is sent', async () => {
+    const subscription = await subscribe();
+
+    assert.deepEqual(await new PushNotifier().send(subscription, { type: 'you-died' }), { delivered: false, gone: false });
+    assert.deepEqual(await received(subscription), []);
+});
+
+test('only the browsers\' push services are sent to, and a local stand-in only when allowed', () => {
+    const strict = new PushNotifier();
+    for (const endpoint of [
+        'https://fcm.googleapis.com/fcm/send/abc',
+        'https://updates.push.services.mozilla.com/wpush/v2/abc',
+        'https://web.push.apple.com/abc',
+        'https://wns2-par02p.notify.windows.com/w/?token=abc'
+    ]) {
+        assert.equal(strict.accepts({ endpoint }), true, endpoint);
+    }
+    for (const endpoint of [
+        'https://push.example.net/abc',
+        'https://fcm.googleapis.com.example.net/abc',
+        'https://evilpush.apple.com.example.net/abc',
+        'https://fcm.googleapis.com:8443/abc',
+        'https://169.254.169.254/latest/meta-data',
+        'http://fcm.googleapis.com/abc'
+    ]) {
+        assert.equal(strict.accepts({ endpoint }), false, endpoint);
+    }
+
+    const plain = { endpoint: 'http://localhost:3300/push/abc' };
+    assert.equal(strict.accepts(plain), false);
+    assert.equal(notifier.accepts(plain), true);
+    assert.equal(notifier.accepts({ endpoint: 'http://10.0.0.5:3300/push/abc' }), false);
+});
+
+test('the notifier is configured from the environment', () => {
+    const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+
+    assert.equal(createPushNotifier({}).enabled, false);
+    const configured = createPushNotifier({ VAPID_PUBLIC_KEY: publicKey, VAPID_PRIVATE_KEY: privateKey, PUSH_ALLOW_HTTP: 'true' });
+    assert.equal(configured.enabled, true);
+    assert.equal(configured.publicKey, publicKey);
+    assert.equal(configured.allowHttp, true);
+    assert.equal(configured.vapidDetails.subject, 'mailto:admin@localhost');
+});
+
+test('subscriptions are checked and stripped to what is needed to send', () => {
+    const subscription = { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', expirationTime: null, keys: { p256dh: 'BPk', auth: 'xyz' } };
+
+    assert.deepEqual(validateEvent('push-subscribe', { code: '0420', subscription }).payload.subscription, {
+        endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'BPk', auth: 'xyz' }
+    });
+    for (const bad of [null, { endpoint: 'not a url', keys: subscription.keys }, { endpoint: subscription.endpoint }, { ...subscription, keys: { p256dh: 'BPk', auth: 7 } }]) {
+        assert.deepEqual(validateEvent('push-subscribe', { code: '0420', subscription: bad }), {
+            success: false, message: 'subscription must be a push subscription', field: 'subscription'
+        });
+    }
+});
+
+test('subscriptions to anything but a known push service are turned away before they are kept', (t) => {
+    const keys = { p256dh: 'BPk', auth: 'xyz' };
+    const rejected = { success: false, message: 'subscription must be from a known push service', field: 'subscription' };
+
+    for (const endpoint of ['https://push.example.net/abc', 'http://127.0.0.1:6379/', 'http://localhost:3300/push/abc']) {
+        assert.deepEqual(validateEvent('push-subscribe', { code: '0420', subscription: { endpoint, keys } }), rejected);
+    }
+
+    // The stand-in gets through only with the development flag set
+    process.env.PUSH_ALLOW_HTTP = 'true';
+    t.after(() => delete process.env.PUSH_ALLOW_HTTP);
+    assert.equal(validateEvent('push-subscribe', { code: '0420', subscription: { endpoint: 'http://localhost:3300/push/abc', keys } }).success, true);
+    assert.deepEqual(validateEvent('push-subscribe', { code: '0420', subscription: { endpoint: 'http://10.0.0.5/push/abc', keys } }), rejected);
+});
+
+test('players\' subscriptions are kept per player and forgotten once gone', () => {
+    const { lobbyManager, code } = waitingLobby(['Ann']);
+    const annSubscription = { endpoint: 'https://fcm.googleapis.com/fcm/send/ann', keys: { p256dh: 'a', auth: 'b' } };
+
+    assert.deepEqual(lobbyManager.setPushSubscription(code, 'zed', annSubscription), { success: false, message: 'Player not found' });
+    lobbyManager.setPushSubscription(code, 'ann', annSubscription);
+    assert.equal(lobbyManager.getPushSubscription(code, 'ann'), annSubscription);
+    assert.equal(lobbyManager.getPushSubscription(code, 'host'), null);
+    assert.deepEqual(lobbyManager.getPushSubscriptions(code), [annSubscription]);
+    assert.equal(lobbyManager.getPlayersArray(lobbyManager.lobbies.get(code)).some(p => 'pushSubscription' in p), false);
+
+    lobbyManager.forgetPushSubscription(code, annSubscription.endpoint);
+    assert.deepEqual(lobbyManager.getPushSubscriptions(code), []);
+});
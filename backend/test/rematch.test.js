@@ -0,0 +1,69 @@
+/**
+ * Rematch - Back to the waiting room with the same lobby, and new targets that avoid last round's pairs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runningGame } from './helpers.js';
+
+const GUESTS = ['Ann', 'Bo', 'Cy', 'Dee'];
+
+// A finished game: the host killed their way around the cycle host -> ann -> bo -> cy -> dee -> host
+function finishedGame() {
+    const fixture = runningGame(GUESTS);
+    GUESTS.forEach(name => fixture.kill('host', name.toLowerCase()));
+    // Rematch targets are shuffled for real
+    delete fixture.lobbyManager.shuffleArray;
+    return fixture;
+}
+
+test('only the host can call a rematch, and only once the game is over', () => {
+    const { lobbyManager, code } = runningGame();
+    assert.deepEqual(lobbyManager.rematch(code, 'host'), { success: false, message: 'The game is not over yet' });
+
+    const ended = finishedGame();
+    assert.deepEqual(ended.lobbyManager.rematch(ended.code, 'ann'), { success: false, message: 'Only the host can start a rematch' });
+});
+
+test('a rematch revives everyone and keeps the code and sessions', () => {
+    const { lobbyManager, code, lobby } = finishedGame();
+    assert.equal(lobby.phase, 'ended');
+    const annSession = lobby.players.get('ann').sessionId;
+
+    const result = lobbyManager.rematch(code, 'host');
+    assert.equal(result.success, true);
+    assert.equal(lobby.phase, 'waiting');
+    assert.equal(lobby.targets.size, 0);
+    assert.ok(Array.from(lobby.players.values()).every(p => p.alive));
+    assert.deepEqual(result.players.map(p => p.name), ['Host', ...GUESTS]);
+    assert.equal(lobby.players.get('ann').sessionId, annSession);
+});
+
+test('players offline at the rematch keep their place until their grace runs out', () => {
+    const { lobbyManager, code, tokens, lobby } = finishedGame();
+    lobbyManager.handleDisconnect('bo');
+    const boSession = lobby.players.get('bo').sessionId;
+
+    const result = lobbyManager.rematch(code, 'host');
+    assert.deepEqual(result.players.map(p => p.name), ['Host', ...GUESTS]);
+    assert.deepEqual(lobbyManager.getPendingDrops(code).map(drop => drop.sessionId), [boSession]);
+    assert.equal(lobbyManager.rejoinLobby(tokens.bo, 'bo-again').phase, 'waiting');
+    assert.deepEqual(lobbyManager.getPendingDrops(code), []);
+
+    lobbyManager.handleDisconnect('bo-again');
+    assert.deepEqual(lobbyManager.dropDisconnected(code, boSession).players.map(p => p.name), ['Host', 'Ann', 'Cy', 'Dee']);
+});
+
+test('the rematch cycle repeats none of last round\'s killer-target pairs', () => {
+    const { lobbyManager, code, lobby } = finishedGame();
+    const previous = new Set(lobby.previousPairs.map(([killer, target]) => `${killer}>${target}`));
+    assert.equal(previous.size, 5);
+
+    lobbyManager.rematch(code, 'host');
+    lobbyManager.startGame(code, 'host');
+
+    const sessionOf = (id) => lobby.players.get(id).sessionId;
+    const repeats = Array.from(lobby.targets).filter(([killerId, targetId]) => previous.has(`${sessionOf(killerId)}>${sessionOf(targetId)}`));
+    assert.deepEqual(repeats, []);
+    assert.equal(lobby.targets.size, 5);
+});
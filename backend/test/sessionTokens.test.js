@@ -0,0 +1,100 @@
+/**
+ * Session tokens - The secret a client rejoins with, how it rotates, expires and dies with its lobby
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LobbyManager } from '../lobbyManager.js';
+import { waitingLobby } from './helpers.js';
+
+test('clients are handed a token, never the session ID itself', () => {
+    const { lobby, tokens } = waitingLobby(['Ann']);
+
+    assert.equal(typeof tokens.ann, 'string');
+    assert.ok(tokens.ann.length >= 40);
+    assert.notEqual(tokens.host, tokens.ann);
+    assert.notEqual(tokens.ann, lobby.players.get('ann').sessionId);
+});
+
+test('rejoining hands out a new token, and using it retires the old one', () => {
+    const { lobbyManager, code, lobby, tokens } = waitingLobby(['Ann']);
+    const { sessionId } = lobby.players.get('ann');
+
+    const result = lobbyManager.rejoinLobby(tokens.ann, 'ann-again');
+    assert.equal(result.success, true);
+    assert.equal(result.code, code);
+    assert.equal(result.sessionId, sessionId);
+    assert.notEqual(result.sessionToken, tokens.ann);
+
+    // The reply may have been lost with the connection: the old token still gets back in
+    const retried = lobbyManager.rejoinLobby(tokens.ann, 'ann-retry');
+    assert.equal(retried.success, true);
+    assert.equal(lobby.players.has('ann-retry'), true);
+
+    assert.equal(lobbyManager.rejoinLobby(retried.sessionToken, 'ann-third').success, true);
+    assert.deepEqual(lobbyManager.rejoinLobby(tokens.ann, 'ann-thief'), { success: false, reason: 'session_invalid', message: 'Session not found' });
+    assert.equal(lobbyManager.rejoinLobby(result.sessionToken, 'ann-thief').reason, 'session_invalid');
+});
+
+test('an expired token is refused and forgotten', () => {
+    const { lobbyManager, tokens } = waitingLobby(['Ann']);
+    lobbyManager.sessionTokens.get(tokens.ann).expiresAt = Date.now() - 1;
+
+    assert.deepEqual(lobbyManager.rejoinLobby(tokens.ann, 'ann-again'), { success: false, reason: 'session_expired', message: 'Your session has expired' });
+    assert.equal(lobbyManager.sessionTokens.has(tokens.ann), false);
+});
+
+test('leaving or being kicked revokes the player\'s tokens', () => {
+    const { lobbyManager, code, tokens } = waitingLobby(['Ann']);
+    const { sessionToken: boToken } = lobbyManager.joinLobby(code, 'bo', 'Bo');
+
+    lobbyManager.leaveLobby('ann');
+    assert.equal(lobbyManager.rejoinLobby(tokens.ann, 'ann-again').reason, 'session_invalid');
+
+    lobbyManager.kickPlayer(code, 'host', 'bo');
+    assert.equal(lobbyManager.rejoinLobby(boToken, 'bo-again').reason, 'session_invalid');
+    assert.equal(lobbyManager.rejoinLobby(tokens.host, 'host-again').success, true);
+});
+
+test('tokens of a lobby that dies under them are answered with lobby_gone', () => {
+    const { lobbyManager, code, tokens } = waitingLobby(['Ann']);
+    lobbyManager.lobbies.delete(code);
+    lobbyManager.endLobbySessions(code);
+
+    assert.deepEqual(lobbyManager.rejoinLobby(tokens.ann, 'ann-late'), { success: false, reason: 'lobby_gone', message: 'Lobby no longer exists' });
+    assert.equal(lobbyManager.rejoinLobby(tokens.host, 'host-late').reason, 'lobby_gone');
+    assert.equal(lobbyManager.sessionTokens.size, 0);
+});
+
+test('expired tokens are pruned', () => {
+    const { lobbyManager, tokens } = waitingLobby(['Ann']);
+    const hostExpiry = lobbyManager.sessionTokens.get(tokens.host).expiresAt;
+    const annExpiry = lobbyManager.sessionTokens.get(tokens.ann).expiresAt;
+
+    lobbyManager.pruneSessionTokens(hostExpiry - 1);
+    assert.equal(lobbyManager.sessionTokens.size, 2);
+    lobbyManager.pruneSessionTokens(annExpiry);
+    assert.equal(lobbyManager.sessionTokens.size, 0);
+});
+
+test('tokens survive a restart', () => {
+    const { lobbyManager, tokens } = waitingLobby(['Ann']);
+
+    const restarted = new LobbyManager();
+    restarted.restore(JSON.parse(JSON.stringify(lobbyManager.serialize())));
+    assert.equal(restarted.rejoinLobby(tokens.ann, 'ann-again').success, true);
+});
+
+test('a snapshot from before tokens accepts the old session ID until a token is used', () => {
+    const { lobbyManager, lobby } = waitingLobby(['Ann']);
+    const { sessionId } = lobby.players.get('ann');
+    const { sessionTokens, ...snapshot } = JSON.parse(JSON.stringify(lobbyManager.serialize()));
+
+    const restarted = new LobbyManager();
+    restarted.restore(snapshot);
+    const result = restarted.rejoinLobby(sessionId, 'ann-again');
+    assert.equal(result.success, true);
+    assert.notEqual(result.sessionToken, sessionId);
+    assert.equal(restarted.rejoinLobby(result.sessionToken, 'ann-third').success, true);
+    assert.equal(restarted.rejoinLobby(sessionId, 'ann-fourth').reason, 'session_invalid');
+});
@@ -0,0 +1,178 @@
+/**
+ * Shared store - The Redis state and profile stores, and two game servers sharing lobbies through them,
+ * run against the in-memory Redis stand-in (tools/redisStandIn.js)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { io } from 'socket.io-client';
+import { createRedisStandIn } from '../tools/redisStandIn.js';
+import { RedisStateStore } from '../stateStore.js';
+import { RedisProfileStore } from '../profileStore.js';
+import { LobbyManager } from '../lobbyManager.js';
+
+const BACKEND_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+let standIn;
+let redisUrl;
+let store;
+
+before(async () => {
+    standIn = createRedisStandIn().listen(0);
+    await once(standIn, 'listening');
+    redisUrl = `redis://localhost:${standIn.address().port}`;
+    store = new RedisStateStore(redisUrl);
+    await store.connect();
+});
+
+after(async () => {
+    await store.close();
+    standIn.close();
+});
+
+// A port nobody is listening on, for a game server to take
+async function freePort() {
+    const probe = createRedisStandIn().listen(0);
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+    return port;
+}
+
+async function startGameServer() {
+    const port = await freePort();
+    const server = spawn(process.execPath, ['server.js'], {
+        cwd: BACKEND_DIR,
+        env: { ...process.env, PORT: String(port), STATE_STORE: 'redis', REDIS_URL: redisUrl },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', data => {
+            output += data;
+            if (output.includes('running on port')) resolve();
+        });
+        server.once('exit', code => reject(new Error(`Game server exited with ${code}`)));
+    });
+    server.url = `http://localhost:${port}`;
+    return server;
+}
+
+// Resolve with the first payload of an event, or fail after a while
+function nextEvent(socket, event, ms = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms}ms`)), ms);
+        socket.once(event, payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+test('a lobby round-trips through the state store and is found by its session token', async () => {
+    const lobbyManager = new LobbyManager();
+    const code = await store.claimCode(() => lobbyManager.generateCode());
+    const { sessionToken } = lobbyManager.createLobby('host-socket', 'Host', code);
+    lobbyManager.joinLobby(code, 'guest-socket', 'Guest');
+
+    await store.saveLobby(code, lobbyManager.exportLobby(code));
+    assert.deepEqual(await store.listLobbyCodes(), [code]);
+    assert.equal(await store.findLobbyByToken(sessionToken), code);
+
+    const elsewhere = new LobbyManager();
+    elsewhere.importLobby(await store.loadLobby(code));
+    assert.deepEqual(elsewhere.getLobbyCode('guest-socket'), code);
+    assert.deepEqual(elsewhere.exportLobby(code), lobbyManager.exportLobby(code));
+
+    await store.deleteLobby(code);
+    assert.equal(await store.loadLobby(code), null);
+    assert.deepEqual(await store.listLobbyCodes(), []);
+});
+
+test('a lobby lock is held by one holder at a time, across clients', async () => {
+    const other = new RedisStateStore(redisUrl);
+    await other.connect();
+    try {
+        const order = [];
+        const releaseFirst = await store.lock('1234');
+        const second = other.lock('1234').then(release => {
+            order.push('second');
+            return release;
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        order.push('first done');
+        await releaseFirst();
+        await (await second)();
+        assert.deepEqual(order, ['first done', 'second']);
+    } finally {
+        await other.close();
+    }
+});
+
+test('profiles add up and are ranked by wins, then kills', async () => {
+    const profiles = new RedisProfileStore(store.client);
+    const result = (profileId, name, won, kills) => ({ profileId, name, won, kills, died: !won, denials: 1, survivedMs: 60000 });
+
+    await profiles.recordGame([result('ada', 'Ada', true, 2), result('ben', 'Ben', false, 3), result('cy', 'Cy', false, 0)]);
+    await profiles.recordGame([result('ben', 'Benny', false, 2), result('cy', 'Cy', false, 4)]);
+
+    const leaderboard = await profiles.getLeaderboard();
+    assert.deepEqual(leaderboard.map(entry => entry.name), ['Ada', 'Benny', 'Cy']);
+
+    const ben = await profiles.getProfile('ben');
+    assert.equal(ben.gamesPlayed, 2);
+    assert.equal(ben.kills, 5);
+    assert.equal(ben.deaths, 2);
+    assert.equal(ben.denials, 2);
+    assert.equal(ben.averageSurvivalMs, 60000);
+    assert.equal(await profiles.getProfile('nobody'), null);
+});
+
+test('two game servers share a lobby without losing concurrent joins', async () => {
+    const servers = [await startGameServer(), await startGameServer()];
+    const sockets = [];
+    const connect = (server) => {
+        const socket = io(server.url, { transports: ['websocket'], forceNew: true });
+        sockets.push(socket);
+        return socket;
+    };
+
+    try {
+        const host = connect(servers[0]);
+        const created = nextEvent(host, 'lobby-created');
+        host.emit('create-lobby', { playerName: 'Host' });
+        const { code } = await created;
+
+        // Joins arrive at both servers at once; each runs under the lobby lock on freshly pulled state
+        const guests = ['Ann', 'Bo', 'Cat', 'Dee', 'Eve', 'Fay'].map((name, i) => {
+            const socket = connect(servers[i % 2]);
+            const joined = nextEvent(socket, 'lobby-joined');
+            socket.emit('join-lobby', { code, playerName: name });
+            return joined;
+        });
+        await Promise.all(guests);
+
+        // Replies go out before the lobby is written back, so read it under the lock like the servers do
+        const release = await store.lock(code);
+        const stored = await store.loadLobby(code);
+        await release();
+        assert.equal(stored.lobby.players.length, 7);
+
+        // The host's server has to pull the joins made on the other one before it can start
+        const started = sockets.map(socket => nextEvent(socket, 'game-started'));
+        host.emit('start-game', { code });
+        const assignments = await Promise.all(started);
+        assert.equal(new Set(assignments.map(a => a.target)).size, 7);
+    } finally {
+        sockets.forEach(socket => socket.close());
+        await Promise.all(servers.map(server => {
+            server.kill();
+            return once(server, 'exit');
+        }));
+    }
+});
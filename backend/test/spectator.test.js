@@ -0,0 +1,64 @@
+/**
+ * Spectating - What eliminated players see of the game, and what stays hidden from the living
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runningGame, waitingLobby } from './helpers.js';
+
+// Host, Ann, Bo and Cy hunting host -> ann -> bo -> cy -> host, with Ann already killed by the host
+function gameWithOneDead() {
+    const fixture = runningGame(['Ann', 'Bo', 'Cy']);
+    fixture.kill('host', 'ann');
+    return fixture;
+}
+
+test('spectators see the live chain from hunter to target', () => {
+    const { lobbyManager, code } = gameWithOneDead();
+
+    const view = lobbyManager.getSpectatorView(code);
+    assert.deepEqual(view.chain, [
+        { hunter: 'Host', target: 'Bo' },
+        { hunter: 'Bo', target: 'Cy' },
+        { hunter: 'Cy', target: 'Host' }
+    ]);
+    assert.equal(view.aliveCount, 3);
+    assert.equal(typeof view.startedAt, 'number');
+});
+
+test('spectators see pending kills with their deadlines', () => {
+    const { lobbyManager, code } = gameWithOneDead();
+    const { deadline } = lobbyManager.initiateKill(code, 'bo');
+
+    assert.deepEqual(lobbyManager.getSpectatorView(code).pendingKills, [{ killer: 'Bo', victim: 'Cy', deadline }]);
+});
+
+test('there is nothing to spectate outside a running game', () => {
+    const { lobbyManager, code } = waitingLobby();
+
+    assert.equal(lobbyManager.getSpectatorView(code), null);
+    assert.equal(lobbyManager.getSpectatorView('0000'), null);
+});
+
+test('a killed player rejoins into the spectator room with killers revealed', () => {
+    const { lobbyManager, tokens } = gameWithOneDead();
+
+    const result = lobbyManager.rejoinLobby(tokens.ann, 'ann-again');
+    assert.equal(result.isAlive, false);
+    assert.equal(result.spectator.chain.length, 3);
+    assert.deepEqual(result.killFeed.map(({ killer, victim }) => ({ killer, victim })), [{ killer: 'Host', victim: 'Ann' }]);
+});
+
+test('living players get the feed without killers and no spectator view', () => {
+    const { lobbyManager, code, tokens } = gameWithOneDead();
+    lobbyManager.leaveLobby('cy');
+
+    const result = lobbyManager.rejoinLobby(tokens.bo, 'bo-again');
+    assert.equal(result.spectator, null);
+    assert.deepEqual(result.killFeed.map(({ at, ...entry }) => entry), [
+        { victim: 'Ann' },
+        { victim: 'Cy', left: true }
+    ]);
+    assert.ok(result.killFeed.every(entry => entry.killer === undefined));
+    assert.equal(lobbyManager.getSpectatorView(code).chain.length, 2);
+});
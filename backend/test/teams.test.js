@@ -0,0 +1,114 @@
+/**
+ * Teams - Picking and balancing teams, and rings where everyone hunts the next rival
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, validateSettings } from '../gameSettings.js';
+import { waitingLobby } from './helpers.js';
+
+// Host, Ann, Bo and Cy in a lobby of the given number of teams, dealt round-robin
+const teamLobby = (teamCount = 2) => waitingLobby(['Ann', 'Bo', 'Cy'], { teamCount });
+
+const teamsOf = (players) => Object.fromEntries(players.map(p => [p.name, p.team]));
+
+test('the team count must be one the game knows', () => {
+    assert.equal(validateSettings(DEFAULT_SETTINGS, { teamCount: 3 }).success, true);
+    assert.deepEqual(validateSettings(DEFAULT_SETTINGS, { teamCount: 1 }), { success: false, message: 'teamCount must be one of: 0, 2, 3, 4' });
+});
+
+test('switching to teams deals everyone out evenly, and back clears them', () => {
+    const { lobbyManager, code } = teamLobby();
+    assert.deepEqual(teamsOf(Array.from(lobbyManager.lobbies.get(code).players.values())), {
+        Host: 'crimson', Ann: 'azure', Bo: 'crimson', Cy: 'azure'
+    });
+
+    const result = lobbyManager.updateSettings(code, 'host', { teamCount: 0 });
+    assert.ok(result.players.every(p => p.team === null));
+});
+
+test('newcomers join the smallest team', () => {
+    const { lobbyManager, code } = teamLobby(3);
+
+    const result = lobbyManager.joinLobby(code, 'dee', 'Dee');
+    assert.equal(result.players.find(p => p.name === 'Dee').team, 'azure');
+});
+
+test('players pick a team in play, and only before the game starts', () => {
+    const { lobbyManager, code } = teamLobby();
+
+    assert.deepEqual(lobbyManager.chooseTeam(code, 'ann', 'gilded'), { success: false, message: 'That team is not in play' });
+    assert.equal(lobbyManager.chooseTeam(code, 'ann', 'crimson').players.find(p => p.name === 'Ann').team, 'crimson');
+
+    lobbyManager.chooseTeam(code, 'ann', 'azure');
+    lobbyManager.startGame(code, 'host');
+    assert.deepEqual(lobbyManager.chooseTeam(code, 'ann', 'crimson'), { success: false, message: 'Teams can only be changed before the game starts' });
+});
+
+test('only the host balances teams, and only in team mode', () => {
+    const { lobbyManager, code } = teamLobby();
+    lobbyManager.chooseTeam(code, 'ann', 'crimson');
+
+    assert.deepEqual(lobbyManager.balanceTeams(code, 'ann'), { success: false, message: 'Only the host can balance teams' });
+    const result = lobbyManager.balanceTeams(code, 'host');
+    assert.equal(result.players.filter(p => p.team === 'crimson').length, 2);
+
+    lobbyManager.updateSettings(code, 'host', { teamCount: 0 });
+    assert.deepEqual(lobbyManager.balanceTeams(code, 'host'), { success: false, message: 'This lobby is not playing in teams' });
+});
+
+test('a game needs players on at least two teams', () => {
+    const { lobbyManager, code } = teamLobby();
+    ['host', 'ann', 'bo', 'cy'].forEach(id => lobbyManager.chooseTeam(code, id, 'azure'));
+
+    assert.deepEqual(lobbyManager.startGame(code, 'host'), { success: false, message: 'Need players on at least two teams to start' });
+});
+
+test('nobody is ever sent after a teammate', () => {
+    const { lobbyManager, code, lobby } = teamLobby(3);
+    lobbyManager.joinLobby(code, 'dee', 'Dee');
+    lobbyManager.joinLobby(code, 'eve', 'Eve');
+    lobbyManager.startGame(code, 'host');
+
+    const teamOf = (id) => lobby.players.get(id).team;
+    assert.equal(lobby.targets.size, 6);
+    for (const [killerId, targetId] of lobby.targets) {
+        assert.notEqual(teamOf(killerId), teamOf(targetId), `${killerId} hunts ${targetId}`);
+    }
+    assert.deepEqual(lobby.history[0].teams, teamsOf(Array.from(lobby.players.values())));
+});
+
+test('after a kill the killer moves on to the next rival in the ring', () => {
+    const { lobbyManager, code, lobby } = teamLobby();
+    lobbyManager.startGame(code, 'host');
+    assert.deepEqual(Array.from(lobby.targets), [['host', 'ann'], ['ann', 'bo'], ['bo', 'cy'], ['cy', 'host']]);
+
+    lobbyManager.initiateKill(code, 'host');
+    const result = lobbyManager.confirmKill(code, 'ann');
+    assert.equal(result.newTarget, 'Cy');
+    assert.deepEqual(result.retargets, []);
+    assert.deepEqual(Array.from(lobby.targets), [['host', 'cy'], ['bo', 'cy'], ['cy', 'host']]);
+});
+
+test('everyone hunting a player who leaves is sent after the next rival', () => {
+    const { lobbyManager, code, lobby } = teamLobby();
+    lobbyManager.startGame(code, 'host');
+
+    const result = lobbyManager.leaveLobby('host');
+    assert.deepEqual(result.retargets, [{ playerId: 'cy', target: 'Bo', targetPhoto: null }]);
+    assert.equal(lobby.targets.get('cy'), 'bo');
+});
+
+test('the game ends when one team is left standing, and that team wins', () => {
+    const { lobbyManager, code, lobby } = teamLobby();
+    lobbyManager.startGame(code, 'host');
+    lobbyManager.initiateKill(code, 'host');
+    lobbyManager.confirmKill(code, 'ann');
+
+    lobbyManager.initiateKill(code, 'bo');
+    const result = lobbyManager.confirmKill(code, 'cy');
+    assert.equal(result.isGameOver, true);
+    assert.equal(result.winner, 'Crimson');
+    assert.equal(result.aliveCount, 2);
+    assert.deepEqual(lobby.history.at(-1), { type: 'game_ended', at: lobby.history.at(-1).at, winner: 'Crimson', team: 'crimson' });
+});
@@ -0,0 +1,128 @@
+/**
+ * Voided kills - A confirmed victim's own pending kill dies with them, and both of its parties hear so
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { once } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { io } from 'socket.io-client';
+import { runningGame } from './helpers.js';
+
+const BACKEND_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+// Host, Ann and Bo hunting host -> ann -> bo -> host, with Ann's kill on Bo pending
+function gameWithKillerInDanger() {
+    const fixture = runningGame();
+    fixture.lobbyManager.initiateKill(fixture.code, 'ann');
+    return fixture;
+}
+
+// Resolve with the first payload of an event, or fail after a while
+function nextEvent(socket, event, ms = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms}ms`)), ms);
+        socket.once(event, payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+async function startGameServer() {
+    const probe = createServer().listen(0);
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+
+    const server = spawn(process.execPath, ['server.js'], {
+        cwd: BACKEND_DIR,
+        env: { ...process.env, PORT: String(port), STATE_STORE: 'memory' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', data => {
+            output += data;
+            if (output.includes('running on port')) resolve();
+        });
+        server.once('exit', code => reject(new Error(`Game server exited with ${code}`)));
+    });
+    server.url = `http://localhost:${port}`;
+    return server;
+}
+
+test('confirming a death voids the kill the victim had pending', () => {
+    const { lobbyManager, code, lobby } = gameWithKillerInDanger();
+    const boSession = lobby.players.get('bo').sessionId;
+
+    lobbyManager.initiateKill(code, 'host');
+    const result = lobbyManager.confirmKill(code, 'ann');
+    assert.deepEqual(result.cancelledKills, [{ victimSessionId: boSession, notifyId: 'bo' }]);
+    assert.equal(lobby.pendingKills.size, 0);
+    assert.equal(lobby.killDeadlines.has(boSession), false);
+    assert.equal(lobby.players.get('bo').alive, true);
+});
+
+test('a death with no kill of the victim\'s own pending voids nothing', () => {
+    const { lobbyManager, code } = gameWithKillerInDanger();
+
+    lobbyManager.initiateKill(code, 'bo');
+    assert.deepEqual(lobbyManager.confirmKill(code, 'host').cancelledKills, []);
+    assert.equal(lobbyManager.lobbies.get(code).pendingKills.get('bo'), 'ann');
+});
+
+test('the voided kill\'s killer and victim are both told it is off', async () => {
+    const server = await startGameServer();
+    const sockets = [];
+    const connect = () => {
+        const socket = io(server.url, { transports: ['websocket'], forceNew: true });
+        sockets.push(socket);
+        return socket;
+    };
+
+    try {
+        const players = { Host: connect(), Ann: connect(), Bo: connect() };
+        const created = nextEvent(players.Host, 'lobby-created');
+        players.Host.emit('create-lobby', { playerName: 'Host' });
+        const { code } = await created;
+        for (const name of ['Ann', 'Bo']) {
+            const joined = nextEvent(players[name], 'lobby-joined');
+            players[name].emit('join-lobby', { code, playerName: name });
+            await joined;
+        }
+
+        const targets = {};
+        const started = Object.entries(players).map(async ([name, socket]) => {
+            targets[name] = (await nextEvent(socket, 'game-started')).target;
+        });
+        players.Host.emit('start-game', { code });
+        await Promise.all(started);
+
+        // The middle of the chain claims their kill, then is killed before it is answered
+        const hunter = Object.keys(targets).find(name => targets[targets[name]]);
+        const middle = targets[hunter];
+        const victim = targets[middle];
+
+        const pending = nextEvent(players[victim], 'kill-pending');
+        players[middle].emit('initiate-kill', { code });
+        await pending;
+
+        const victimTold = nextEvent(players[victim], 'kill-cancelled');
+        const middleTold = nextEvent(players[middle], 'kill-cancelled');
+        const middleDied = nextEvent(players[middle], 'you-died');
+        const middlePending = nextEvent(players[middle], 'kill-pending');
+        players[hunter].emit('initiate-kill', { code });
+        await middlePending;
+        players[middle].emit('confirm-death', { code });
+
+        await Promise.all([victimTold, middleTold, middleDied]);
+    } finally {
+        sockets.forEach(socket => socket.close());
+        server.kill();
+        await once(server, 'exit');
+    }
+});
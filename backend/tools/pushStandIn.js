@@ -0,0 +1,174 @@
+/**
+ * Push Stand-in - A local Web Push service for trying out notifications without a browser
+ * Hands out subscriptions whose endpoints point back at itself, checks the VAPID signature on each push,
+ * decrypts it (RFC 8291, aes128gcm) and keeps what arrived so it can be looked at
+ *
+ *   npm run push-standin -- [--port 3300]
+ *   VAPID_PUBLIC_KEY=... VAPID_PRIVATE_KEY=... PUSH_ALLOW_HTTP=true npm start
+ *
+ *   POST   /subscriptions  a new subscription, to send as `push-subscribe` from a client
+ *   POST   /push/:id       where the game server pushes (answers 410 once the subscription is revoked)
+ *   GET    /push/:id       the messages received so far, decrypted
+ *   DELETE /push/:id       revoke the subscription, like a player turning notifications off
+ */
+
+import http from 'http';
+import { parseArgs } from 'util';
+import { createDecipheriv, createECDH, createPublicKey, hkdfSync, randomBytes, randomUUID, verify } from 'crypto';
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '3300' }
+    }
+});
+
+const subscriptions = new Map(); // id -> { ecdh, auth, messages }
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+
+/**
+ * Decrypt an aes128gcm body with the subscription's private key and auth secret (a single record)
+ */
+function decrypt(body, { ecdh, auth }) {
+    const salt = body.subarray(0, 16);
+    const idLength = body[20];
+    const serverKey = body.subarray(21, 21 + idLength);
+    const record = body.subarray(21 + idLength);
+
+    const sharedSecret = ecdh.computeSecret(serverKey);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverKey]);
+    const ikm = hkdf(sharedSecret, auth, keyInfo, 32);
+    const key = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const decipher = createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+    // The last record ends with a 0x02 delimiter followed by zero padding
+    let end = padded.length - 1;
+    while (end >= 0 && padded[end] === 0) end--;
+    return padded.subarray(0, end).toString('utf8');
+}
+
+/**
+ * Check the `vapid t=<jwt>, k=<public key>` header the way a push service would: ES256 signature,
+ * audience matching our origin, not expired
+ */
+function checkVapid(header, origin) {
+    const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(header || '');
+    if (!match) {
+        return 'missing or malformed VAPID authorization';
+    }
+
+    const [, jwt, publicKey] = match;
+    const [head, payload, signature] = jwt.split('.');
+    const point = Buffer.from(publicKey, 'base64url');
+    const key = createPublicKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33, 65).toString('base64url')
+        },
+        format: 'jwk'
+    });
+    const signed = verify('sha256', Buffer.from(`${head}.${payload}`), { key, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature || '', 'base64url'));
+    if (!signed) {
+        return 'bad VAPID signature';
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.aud !== origin) {
+        return `VAPID audience ${claims.aud} is not ${origin}`;
+    }
+    if (claims.exp * 1000 < Date.now()) {
+        return 'VAPID token expired';
+    }
+    return null;
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+    res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const origin = `http://localhost:${options.port}`;
+
+const server = http.createServer(async (req, res) => {
+    const [, resource, id] = new URL(req.url, origin).pathname.split('/');
+
+    if (req.method === 'POST' && resource === 'subscriptions') {
+        const ecdh = createECDH('prime256v1');
+        ecdh.generateKeys();
+        const subscription = { ecdh, auth: randomBytes(16), messages: [] };
+        const subscriptionId = randomUUID();
+        subscriptions.set(subscriptionId, subscription);
+        return send(res, 201, {
+            endpoint: `${origin}/push/${subscriptionId}`,
+            expirationTime: null,
+            keys: {
+                p256dh: ecdh.getPublicKey().toString('base64url'),
+                auth: subscription.auth.toString('base64url')
+            }
+        });
+    }
+
+    if (resource !== 'push' || !id) {
+        return send(res, 404, { error: 'not found' });
+    }
+
+    const subscription = subscriptions.get(id);
+    if (req.method === 'GET') {
+        return subscription ? send(res, 200, { messages: subscription.messages }) : send(res, 404, { error: 'unknown subscription' });
+    }
+    if (req.method === 'DELETE') {
+        subscriptions.delete(id);
+        return send(res, 204);
+    }
+    if (req.method !== 'POST') {
+        return send(res, 405, { error: 'method not allowed' });
+    }
+
+    const body = await readBody(req);
+    if (!subscription) {
+        return send(res, 410, { error: 'subscription expired or revoked' });
+    }
+
+    const problem = checkVapid(req.headers.authorization, origin);
+    if (problem) {
+        console.log(`push ${id} rejected: ${problem}`);
+        return send(res, 403, { error: problem });
+    }
+
+    let message;
+    try {
+        message = JSON.parse(decrypt(body, subscription));
+    } catch (err) {
+        console.log(`push ${id} rejected: cannot decrypt (${err.message})`);
+        return send(res, 400, { error: 'cannot decrypt' });
+    }
+
+    const received = {
+        at: Date.now(),
+        ttl: Number(req.headers.ttl),
+        urgency: req.headers.urgency || 'normal',
+        topic: req.headers.topic || null,
+        message
+    };
+    subscription.messages.push(received);
+    console.log(`push ${id} ${received.urgency} ttl=${received.ttl} ${JSON.stringify(message)}`);
+    return send(res, 201);
+});
+
+server.listen(Number(options.port), () => {
+    console.log(`Push stand-in listening on ${origin}`);
+});
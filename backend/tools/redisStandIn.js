@@ -0,0 +1,285 @@
+/**
+ * Redis Stand-in - An in-memory server speaking just enough of the Redis protocol for a shared state store
+ * Covers what stateStore.js, profileStore.js and the socket.io adapter send: strings with expiry, sets, hashes,
+ * sorted sets, MULTI/EXEC, the lock release script and pub/sub. Nothing is persisted
+ *
+ *   npm run redis-standin -- [--port 6379]
+ *   STATE_STORE=redis REDIS_URL=redis://localhost:6379 PORT=3000 npm start
+ *   STATE_STORE=redis REDIS_URL=redis://localhost:6379 PORT=3001 npm start
+ *
+ * Also used by the tests, through createRedisStandIn()
+ */
+
+import net from 'net';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+// Values are kept as latin1 strings, so binary ones (the socket.io adapter publishes msgpack) pass through unchanged
+const ENCODING = 'latin1';
+
+// Replies, in RESP2 or (after HELLO 3) RESP3
+const reply = {
+    ok: () => '+OK\r\n',
+    error: (message) => `-ERR ${message}\r\n`,
+    int: (n) => `:${n}\r\n`,
+    bulk: (value, resp3) => value === null || value === undefined
+        ? (resp3 ? '_\r\n' : '$-1\r\n')
+        : `$${Buffer.byteLength(value, ENCODING)}\r\n${value}\r\n`,
+    array: (items) => `*${items.length}\r\n${items.join('')}`,
+    map: (entries, resp3) => resp3
+        ? `%${entries.length}\r\n${entries.flat().join('')}`
+        : `*${entries.length * 2}\r\n${entries.flat().join('')}`,
+    push: (items, resp3) => `${resp3 ? '>' : '*'}${items.length}\r\n${items.join('')}`
+};
+
+// Redis glob patterns (PSUBSCRIBE) as regular expressions
+const globToRegExp = (pattern) => new RegExp('^' + pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.') + '$');
+
+/**
+ * Split complete commands (arrays of bulk strings) off the front of the buffer
+ * Returns the commands and whatever is left of an incomplete one
+ */
+function parseCommands(buffer) {
+    const commands = [];
+    let pos = 0;
+    while (pos < buffer.length && buffer[pos] === 0x2a) { // '*'
+        const headerEnd = buffer.indexOf('\r\n', pos);
+        if (headerEnd < 0) break;
+        const count = Number(buffer.subarray(pos + 1, headerEnd).toString());
+        const args = [];
+        let at = headerEnd + 2;
+        for (let i = 0; i < count; i++) {
+            const lengthEnd = buffer.indexOf('\r\n', at);
+            if (lengthEnd < 0) break;
+            const length = Number(buffer.subarray(at + 1, lengthEnd).toString());
+            if (buffer.length < lengthEnd + 2 + length + 2) break;
+            args.push(buffer.subarray(lengthEnd + 2, lengthEnd + 2 + length).toString(ENCODING));
+            at = lengthEnd + 2 + length + 2;
+        }
+        if (args.length < count) break;
+        commands.push(args);
+        pos = at;
+    }
+    return { commands, rest: buffer.subarray(pos) };
+}
+
+/**
+ * Create (but don't start) a stand-in server; call listen() on it like on any net.Server
+ */
+export function createRedisStandIn() {
+    const strings = new Map(); // key -> { value, expiresAt }
+    const sets = new Map(); // key -> Set
+    const hashes = new Map(); // key -> Map
+    const sortedSets = new Map(); // key -> Map(member -> score)
+    const channels = new Map(); // channel -> Set(client)
+    const patterns = new Map(); // pattern -> Set(client)
+
+    const getString = (key) => {
+        const entry = strings.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            strings.delete(key);
+            return null;
+        }
+        return entry ? entry.value : null;
+    };
+
+    const collection = (store, key, create) => {
+        if (!store.has(key)) store.set(key, create());
+        return store.get(key);
+    };
+
+    const subscribe = (client, store, names, kind) => names.map(name => {
+        collection(store, name, () => new Set()).add(client);
+        client.subscriptions.add(`${kind}:${name}`);
+        return reply.push([reply.bulk(kind), reply.bulk(name), reply.int(client.subscriptions.size)], client.resp3);
+    }).join('');
+
+    const unsubscribe = (client, store, names, kind) => names.map(name => {
+        store.get(name)?.delete(client);
+        client.subscriptions.delete(`${kind.slice(2)}:${name}`);
+        return reply.push([reply.bulk(kind), reply.bulk(name), reply.int(client.subscriptions.size)], client.resp3);
+    }).join('');
+
+    const publish = (channel, message) => {
+        let receivers = 0;
+        for (const client of channels.get(channel) || []) {
+            client.write(reply.push([reply.bulk('message'), reply.bulk(channel), reply.bulk(message)], client.resp3));
+            receivers++;
+        }
+        for (const [pattern, clients] of patterns) {
+            if (!globToRegExp(pattern).test(channel)) continue;
+            for (const client of clients) {
+                client.write(reply.push([reply.bulk('pmessage'), reply.bulk(pattern), reply.bulk(channel), reply.bulk(message)], client.resp3));
+                receivers++;
+            }
+        }
+        return receivers;
+    };
+
+    const run = (client, [name, ...args]) => {
+        const resp3 = client.resp3;
+        switch (name.toUpperCase()) {
+            case 'PING':
+                return '+PONG\r\n';
+            case 'HELLO':
+                client.resp3 = args[0] === '3';
+                return reply.map([
+                    [reply.bulk('server'), reply.bulk('redis')],
+                    [reply.bulk('version'), reply.bulk('7.2.0')],
+                    [reply.bulk('proto'), reply.int(client.resp3 ? 3 : 2)]
+                ], client.resp3);
+            case 'CLIENT':
+            case 'SELECT':
+                return reply.ok();
+            case 'INFO':
+                return reply.bulk('redis_version:7.2.0\r\n');
+
+            case 'GET':
+                return reply.bulk(getString(args[0]), resp3);
+            case 'SET': {
+                const [key, value, ...options] = args;
+                let onlyIfNew = false;
+                let expiresAt = null;
+                for (let i = 0; i < options.length; i++) {
+                    const option = options[i].toUpperCase();
+                    if (option === 'NX') onlyIfNew = true;
+                    else if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+                    else if (option === 'EX') expiresAt = Date.now() + 1000 * Number(options[++i]);
+                    else if (option === 'PXAT') expiresAt = Number(options[++i]);
+                }
+                if (onlyIfNew && getString(key) !== null) {
+                    return reply.bulk(null, resp3);
+                }
+                strings.set(key, { value, expiresAt });
+                return reply.ok();
+            }
+            case 'DEL':
+                return reply.int(args.filter(key => [strings, sets, hashes, sortedSets].some(store => store.delete(key))).length);
+            // Only the lock release script of stateStore.js: delete KEYS[1] if it still holds ARGV[1]
+            case 'EVAL': {
+                const [, , key, holder] = args;
+                if (getString(key) === holder) {
+                    strings.delete(key);
+                    return reply.int(1);
+                }
+                return reply.int(0);
+            }
+
+            case 'SADD': {
+                const set = collection(sets, args[0], () => new Set());
+                return reply.int(args.slice(1).filter(member => !set.has(member) && set.add(member)).length);
+            }
+            case 'SREM': {
+                const set = sets.get(args[0]);
+                return reply.int(set ? args.slice(1).filter(member => set.delete(member)).length : 0);
+            }
+            case 'SMEMBERS':
+                return reply.array(Array.from(sets.get(args[0]) || [], member => reply.bulk(member)));
+
+            case 'HSET': {
+                const hash = collection(hashes, args[0], () => new Map());
+                let added = 0;
+                for (let i = 1; i < args.length; i += 2) {
+                    if (!hash.has(args[i])) added++;
+                    hash.set(args[i], args[i + 1]);
+                }
+                return reply.int(added);
+            }
+            case 'HINCRBY': {
+                const hash = collection(hashes, args[0], () => new Map());
+                const value = Number(hash.get(args[1]) || 0) + Number(args[2]);
+                hash.set(args[1], String(value));
+                return reply.int(value);
+            }
+            case 'HGETALL':
+                return reply.map(Array.from(hashes.get(args[0]) || [], ([field, value]) => [reply.bulk(field), reply.bulk(value)]), resp3);
+
+            case 'ZINCRBY': {
+                const sortedSet = collection(sortedSets, args[0], () => new Map());
+                const score = (sortedSet.get(args[2]) || 0) + Number(args[1]);
+                sortedSet.set(args[2], score);
+                return reply.bulk(String(score), resp3);
+            }
+            case 'ZRANGE': {
+                const [key, start, stop, ...options] = args;
+                const members = Array.from(sortedSets.get(key) || [])
+                    .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || a.localeCompare(b))
+                    .map(([member]) => member);
+                if (options.some(option => option.toUpperCase() === 'REV')) members.reverse();
+                const end = Number(stop) < 0 ? members.length + Number(stop) + 1 : Number(stop) + 1;
+                return reply.array(members.slice(Number(start), end).map(member => reply.bulk(member)));
+            }
+
+            case 'PUBLISH':
+                return reply.int(publish(args[0], args[1]));
+            case 'SUBSCRIBE':
+                return subscribe(client, channels, args, 'subscribe');
+            case 'PSUBSCRIBE':
+                return subscribe(client, patterns, args, 'psubscribe');
+            case 'UNSUBSCRIBE':
+                return unsubscribe(client, channels, args, 'unsubscribe');
+            case 'PUNSUBSCRIBE':
+                return unsubscribe(client, patterns, args, 'punsubscribe');
+            case 'PUBSUB':
+                if (args[0].toUpperCase() === 'NUMSUB') {
+                    return reply.array(args.slice(1).flatMap(channel => [reply.bulk(channel), reply.int(channels.get(channel)?.size || 0)]));
+                }
+                return reply.array([]);
+
+            default:
+                return reply.error(`unknown command '${name}'`);
+        }
+    };
+
+    return net.createServer(socket => {
+        const client = {
+            resp3: false,
+            subscriptions: new Set(),
+            write: (data) => socket.write(data, ENCODING)
+        };
+        let buffer = Buffer.alloc(0);
+        let queued = null; // commands between MULTI and EXEC
+
+        socket.on('data', data => {
+            const { commands, rest } = parseCommands(Buffer.concat([buffer, data]));
+            buffer = rest;
+            for (const command of commands) {
+                const name = command[0].toUpperCase();
+                if (name === 'MULTI') {
+                    queued = [];
+                    client.write(reply.ok());
+                } else if (name === 'EXEC') {
+                    const results = (queued || []).map(queuedCommand => run(client, queuedCommand));
+                    queued = null;
+                    client.write(`*${results.length}\r\n${results.join('')}`);
+                } else if (queued) {
+                    queued.push(command);
+                    client.write('+QUEUED\r\n');
+                } else {
+                    client.write(run(client, command));
+                }
+            }
+        });
+
+        const forget = () => {
+            channels.forEach(clients => clients.delete(client));
+            patterns.forEach(clients => clients.delete(client));
+        };
+        socket.on('close', forget);
+        socket.on('error', forget);
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const { values: options } = parseArgs({
+        options: {
+            port: { type: 'string', default: '6379' }
+        }
+    });
+    createRedisStandIn().listen(Number(options.port), () => {
+        console.log(`Redis stand-in listening on port ${options.port}`);
+    });
+}
@@ -0,0 +1,598 @@
+/**
+ * Simulate - Headless bot players for load and rules testing
+ * Spins up N socket.io clients that play a whole game on their own: they hunt, confirm, deny or ignore
+ * kills, drop out and rejoin, while the tool checks the game's invariants and measures latency
+ *
+ *   npm run simulate -- --bots 20 [--url http://localhost:3000] [--lobby 1234] [--admin-token secret]
+ *
+ * Without --lobby the first bot creates a lobby (with short timers) and starts the game once everyone is in.
+ * With --admin-token the bots' view is also compared with the server's (see adminRouter.js).
+ * Exits with code 1 if any invariant was broken or client and server disagreed.
+ */
+
+import { parseArgs } from 'util';
+import { io } from 'socket.io-client';
+
+const { values: options } = parseArgs({
+    options: {
+        url: { type: 'string', default: 'http://localhost:3000' },
+        bots: { type: 'string', default: '10' },
+        lobby: { type: 'string' },
+        'admin-token': { type: 'string' },
+        'max-seconds': { type: 'string', default: '600' },
+        verbose: { type: 'boolean', default: false }
+    }
+});
+
+const BOT_COUNT = Number(options.bots);
+if (!Number.isInteger(BOT_COUNT) || BOT_COUNT < (options.lobby ? 1 : 3) || BOT_COUNT > 20) {
+    console.error('--bots must be a whole number from 3 to 20 (from 1 when joining a lobby with --lobby)');
+    process.exit(1);
+}
+const SETTLE_MS = 250; // invariants are checked once no event has arrived for this long
+const TICK_MS = 250;
+
+// Chances per decision; the rest of a victim's answers are "ignore" (the kill times out)
+const CONFIRM_CHANCE = 0.6;
+const DENY_CHANCE = 0.25;
+const DISCONNECT_CHANCE = 0.004; // per bot per tick, once the game is running
+
+// What the server sends back for each action we time
+const RESPONSES = {
+    'create-lobby': ['lobby-created'],
+    'join-lobby': ['lobby-joined', 'join-failed'],
+    'start-game': ['game-started'],
+    'initiate-kill': ['kill-initiated'],
+    'confirm-death': ['you-died', 'game-status'],
+    'rule-dispute': ['disputes-updated'],
+    'rejoin': ['rejoin-success', 'rejoin-failed']
+};
+
+// Payload fields that list everyone and so always contain every name
+const ROSTER_FIELDS = ['players', 'allPlayers'];
+
+const random = (min, max) => min + Math.random() * (max - min);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One simulated player and what it believes about the game
+ */
+class Bot {
+    constructor(sim, name) {
+        this.sim = sim;
+        this.name = name;
+        this.socket = null;
+        this.sessionToken = null;
+        this.lastSeq = null; // last private event seen, sent along when rejoining
+        this.alive = false;
+        this.target = null;
+        this.hunting = false; // waiting on a kill it initiated
+        this.nextAttemptAt = 0;
+        this.winner = undefined;
+        this.sent = new Map(); // action -> time sent, until its response arrives
+        this.ruled = new Set(); // dispute ids already ruled on, while the board catches up
+        this.replaying = false; // working through missed events after a rejoin
+    }
+
+    connect() {
+        this.socket = io(this.sim.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+        this.socket.onAny((event, payload) => this.sim.receive(this, event, payload ?? {}));
+        return new Promise((resolve, reject) => {
+            this.socket.once('connect', resolve);
+            this.socket.once('connect_error', reject);
+        });
+    }
+
+    get connected() {
+        return Boolean(this.socket && this.socket.connected);
+    }
+
+    emit(event, payload) {
+        this.sent.set(event, performance.now());
+        this.sim.stats.actions++;
+        this.socket.emit(event, payload);
+    }
+
+    /**
+     * Resolve once this bot receives the event (or fail after a while)
+     */
+    expect(event, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`${this.name} never got ${event}`)), timeoutMs);
+            this.socket.once(event, (payload) => {
+                clearTimeout(timer);
+                resolve(payload);
+            });
+        });
+    }
+}
+
+/**
+ * The bots, the checks and the numbers
+ */
+class Simulation {
+    constructor({ url, adminToken, verbose }) {
+        this.url = url;
+        this.adminToken = adminToken;
+        this.verbose = verbose;
+        this.bots = [];
+        this.code = null;
+        this.phase = 'waiting';
+        this.settings = {};
+        this.suddenDeath = false;
+        this.ownsLobby = false; // every player is one of our bots
+        this.settleTimer = null;
+        this.checking = Promise.resolve();
+        this.reconnecting = new Set(); // bounce() promises still in flight
+        this.violations = [];
+        this.divergences = [];
+        this.latencies = new Map(); // action -> [ms]
+        this.errors = new Map(); // message -> count
+        this.stats = { events: 0, actions: 0, kills: 0, denials: 0, ignored: 0, rejoins: 0, replayed: 0, checks: 0 };
+    }
+
+    log(...args) {
+        if (this.verbose) console.log(...args);
+    }
+
+    botNamed(name) {
+        return this.bots.find(bot => bot.name === name);
+    }
+
+    violation(message) {
+        this.violations.push(message);
+        console.error(`INVARIANT: ${message}`);
+    }
+
+    diverge(message) {
+        this.divergences.push(message);
+        this.log(`DIVERGENCE: ${message}`);
+    }
+
+    /**
+     * Every event any bot receives goes through here
+     */
+    receive(bot, event, payload) {
+        this.stats.events++;
+        this.log(`${bot.name} <- ${event}`, JSON.stringify(payload));
+        this.recordLatency(bot, event, payload);
+        if (typeof payload.seq === 'number') {
+            bot.lastSeq = payload.seq;
+        }
+
+        // The feed entry for your own death is where you first learn you are out (you-died follows it)
+        if (event === 'kill-feed' && payload.victim === bot.name) {
+            bot.alive = false;
+            bot.target = null;
+        }
+        this.checkLeak(bot, event, payload);
+
+        switch (event) {
+            case 'lobby-created':
+            case 'lobby-joined':
+                bot.sessionToken = payload.sessionToken;
+                this.settings = payload.settings || this.settings;
+                break;
+            case 'settings-updated':
+                this.settings = payload.settings;
+                break;
+            case 'game-started':
+                this.phase = 'playing';
+                bot.alive = true;
+                bot.target = payload.target;
+                bot.nextAttemptAt = Date.now() + random(1000, 4000);
+                break;
+            case 'kill-initiated':
+                bot.hunting = true;
+                break;
+            case 'kill-pending':
+                if (!bot.replaying) {
+                    this.answerKill(bot);
+                }
+                break;
+            case 'kill-confirmed':
+                this.stats.kills++;
+                bot.hunting = false;
+                bot.target = payload.newTarget;
+                break;
+            case 'kill-cancelled':
+            case 'dispute-ruled':
+                bot.hunting = false;
+                break;
+            case 'you-died':
+                bot.alive = false;
+                bot.target = null;
+                break;
+            case 'target-changed':
+                bot.target = payload.target;
+                break;
+            case 'game-status':
+                this.applyStatus(bot, payload);
+                break;
+            case 'sudden-death':
+                this.suddenDeath = true;
+                break;
+            case 'disputes-updated':
+                this.judge(bot, payload.disputes || []);
+                break;
+            case 'rejoin-success':
+                // Missed private events first, as the app does; the snapshot has the last word
+                this.stats.rejoins++;
+                bot.replaying = true;
+                (payload.missed || []).forEach(({ seq, event: missedEvent, payload: missedPayload }) => {
+                    this.stats.replayed++;
+                    this.receive(bot, missedEvent, { ...missedPayload, seq });
+                });
+                bot.replaying = false;
+                bot.lastSeq = payload.seq;
+                bot.sessionToken = payload.sessionToken;
+                bot.alive = payload.isAlive;
+                bot.target = payload.isAlive ? payload.target : null;
+                bot.hunting = Boolean(payload.awaitingKill);
+                if (payload.pendingKill) {
+                    this.answerKill(bot); // only a kill that is still pending, whether replayed or not
+                }
+                break;
+            case 'rejoin-failed':
+                this.violation(`${bot.name} could not rejoin: ${payload.reason}`);
+                break;
+            case 'join-failed':
+                this.violation(`${bot.name} could not join: ${payload.reason}`);
+                break;
+            case 'error':
+                this.errors.set(payload.message, (this.errors.get(payload.message) || 0) + 1);
+                if (payload.event === 'initiate-kill' || payload.message === 'Kill already pending') {
+                    bot.hunting = false;
+                }
+                break;
+        }
+
+        this.scheduleCheck();
+    }
+
+    recordLatency(bot, event, payload) {
+        for (const [action, sentAt] of bot.sent) {
+            const answered = RESPONSES[action]?.includes(event) || (event === 'error' && payload.event === action);
+            if (answered) {
+                bot.sent.delete(action);
+                if (event !== 'error') {
+                    const samples = this.latencies.get(action) || [];
+                    samples.push(performance.now() - sentAt);
+                    this.latencies.set(action, samples);
+                }
+            }
+        }
+    }
+
+    /**
+     * A living player must never be told who is hunting them (the roster aside)
+     * Dead players watch as spectators and see everything, and with two left the target is the hunter
+     */
+    checkLeak(bot, event, payload) {
+        if (event === 'spectator-update' && bot.alive && this.phase === 'playing') {
+            this.violation(`${bot.name} is alive but got a spectator update`);
+        }
+        if (event === 'kill-feed' && bot.alive && payload.killer) {
+            this.violation(`${bot.name} is alive but the kill feed named a killer`);
+        }
+
+        const alive = this.bots.filter(b => b.alive);
+        if (!this.ownsLobby || !bot.alive || this.phase !== 'playing' || this.suddenDeath || alive.length <= 2) {
+            return;
+        }
+        if (['game-summary', 'game-started', 'kill-confirmed', 'target-changed', 'rejoin-success'].includes(event)) {
+            return; // these name the player's own target, which is never their hunter here
+        }
+        if (event === 'hunter-exposed') {
+            return; // the wrong-word penalty reveals the hunter on purpose
+        }
+        if (event === 'kill-feed') {
+            return; // names the killer only for spectators (checked above); the victim may be our late hunter
+        }
+        if (event === 'disputes-updated') {
+            // Judges are shown both parties on purpose, but never a dispute over their own life
+            (payload.disputes || []).filter(dispute => dispute.victim === bot.name).forEach(dispute => {
+                this.violation(`${bot.name} was shown that ${dispute.killer} claimed their life`);
+            });
+            return;
+        }
+
+        const hunter = alive.find(b => b.target === bot.name);
+        if (hunter && this.mentions(payload, hunter.name)) {
+            this.violation(`${event} told ${bot.name} that ${hunter.name} is hunting them`);
+        }
+    }
+
+    mentions(value, name) {
+        if (value === name) return true;
+        if (!value || typeof value !== 'object') return false;
+        return Object.entries(value).some(([key, inner]) => !ROSTER_FIELDS.includes(key) && this.mentions(inner, name));
+    }
+
+    applyStatus(bot, payload) {
+        this.phase = payload.phase;
+        const me = (payload.allPlayers || []).find(p => p.name === bot.name);
+        if (me) {
+            bot.alive = me.alive;
+            if (!me.alive) bot.target = null;
+        }
+        if (payload.phase === 'ended') {
+            bot.winner = payload.winner;
+        }
+    }
+
+    /**
+     * Victim: confirm, deny or just let the kill time out
+     */
+    answerKill(bot) {
+        const roll = Math.random();
+        setTimeout(() => {
+            if (!bot.connected || !bot.alive) return;
+            if (roll < CONFIRM_CHANCE) {
+                bot.emit('confirm-death', { code: this.code });
+            } else if (roll < CONFIRM_CHANCE + DENY_CHANCE) {
+                this.stats.denials++;
+                bot.emit('cancel-kill', { code: this.code });
+            } else {
+                this.stats.ignored++;
+            }
+        }, random(200, 1500));
+    }
+
+    /**
+     * Judge: rule on every dispute we have not voted on yet
+     */
+    judge(bot, disputes) {
+        disputes.filter(dispute => !dispute.myVote && !bot.ruled.has(dispute.id)).forEach(dispute => {
+            bot.ruled.add(dispute.id);
+            setTimeout(() => {
+                if (!bot.connected) return;
+                bot.emit('rule-dispute', {
+                    code: this.code,
+                    disputeId: dispute.id,
+                    ruling: Math.random() < 0.5 ? 'confirm' : 'deny'
+                });
+            }, random(200, 1000));
+        });
+    }
+
+    /**
+     * Drop a bot's connection and come back a little later with its session token
+     */
+    async bounce(bot) {
+        this.log(`${bot.name} disconnects`);
+        bot.socket.disconnect();
+        await wait(random(500, 3000));
+        await bot.connect();
+        bot.emit('rejoin', { sessionToken: bot.sessionToken, lastSeq: bot.lastSeq });
+    }
+
+    scheduleCheck() {
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => {
+            this.checking = this.checking.then(() => this.checkInvariants()).catch(err => {
+                console.error('Check failed:', err.message);
+            });
+        }, SETTLE_MS);
+    }
+
+    /**
+     * Once things are quiet: the targets form one cycle over the living, and client matches server
+     */
+    async checkInvariants() {
+        if (this.phase !== 'playing') return;
+        this.stats.checks++;
+        const teamMode = this.settings.teamCount > 0;
+
+        // The bots' combined view is complete when they are all the players and all online
+        if (this.ownsLobby && !teamMode && this.bots.every(bot => bot.connected)) {
+            const targets = new Map(this.bots.filter(bot => bot.alive).map(bot => [bot.name, bot.target]));
+            const problem = this.cycleProblem(targets);
+            if (problem) this.violation(`client targets: ${problem}`);
+        }
+
+        const server = await this.fetchServerView();
+        if (!server || server.phase !== 'playing') return;
+
+        const serverTargets = new Map(server.targets.map(({ hunter, target }) => [hunter, target]));
+        const living = server.players.filter(p => p.alive);
+        if (!teamMode) {
+            const aliveTargets = new Map(living.map(p => [p.name, serverTargets.get(p.name)]));
+            const problem = this.cycleProblem(aliveTargets);
+            if (problem) this.violation(`server targets: ${problem}`);
+        }
+
+        for (const player of server.players) {
+            const bot = this.botNamed(player.name);
+            if (!bot || !bot.connected) continue; // a disconnected bot catches up when it rejoins
+            if (bot.alive !== player.alive) {
+                this.diverge(`${bot.name} thinks it is ${bot.alive ? 'alive' : 'dead'}, server says otherwise`);
+            } else if (bot.alive && bot.target !== (serverTargets.get(player.name) ?? null)) {
+                this.diverge(`${bot.name} hunts ${bot.target}, server says ${serverTargets.get(player.name)}`);
+            }
+        }
+    }
+
+    /**
+     * Returns what is wrong with a hunter -> target map, or null if it is a single cycle over all its hunters
+     */
+    cycleProblem(targets) {
+        if (targets.size < 2) return null;
+        for (const [hunter, target] of targets) {
+            if (!targets.has(target)) return `${hunter} hunts ${target}, who is not alive`;
+        }
+
+        const start = targets.keys().next().value;
+        const seen = new Set();
+        let current = start;
+        do {
+            seen.add(current);
+            current = targets.get(current);
+        } while (current !== start && !seen.has(current));
+
+        return seen.size === targets.size && current === start
+            ? null
+            : `the targets split into more than one cycle (${seen.size} of ${targets.size} reached)`;
+    }
+
+    async fetchServerView() {
+        if (!this.adminToken) return null;
+        const res = await fetch(`${this.url}/admin/api/lobbies/${this.code}?includeTargets=true`, {
+            headers: { Authorization: `Bearer ${this.adminToken}` }
+        });
+        const body = await res.json();
+        if (!body.success) {
+            throw new Error(`admin API: ${body.message}`);
+        }
+        return body.lobby;
+    }
+
+    /**
+     * Exactly one winner, and everyone agrees on who it is
+     */
+    async checkOutcome() {
+        const alive = this.bots.filter(bot => bot.alive);
+        const winners = new Set(this.bots.filter(bot => bot.winner !== undefined).map(bot => bot.winner));
+
+        if (this.settings.teamCount > 0) {
+            if (winners.size !== 1) this.violation(`players were told different winners: ${[...winners].join(', ')}`);
+            return [...winners][0];
+        }
+
+        if (this.ownsLobby && alive.length !== 1) {
+            this.violation(`${alive.length} bots think they survived: ${alive.map(bot => bot.name).join(', ')}`);
+        }
+        if (winners.size !== 1 || [...winners][0] == null) {
+            this.violation(`expected exactly one winner, players were told: ${[...winners].join(', ') || 'nothing'}`);
+        }
+
+        const server = await this.fetchServerView().catch(() => null);
+        if (server) {
+            const survivors = server.players.filter(p => p.alive).map(p => p.name);
+            if (survivors.length !== 1 || !winners.has(survivors[0])) {
+                this.violation(`server survivors ${survivors.join(', ')} do not match the announced winner`);
+            }
+        }
+        return [...winners][0];
+    }
+
+    async setUp(count, lobbyCode) {
+        for (let i = 1; i <= count; i++) {
+            this.bots.push(new Bot(this, `Bot ${i}`));
+        }
+
+        const [first, ...rest] = this.bots;
+        await first.connect();
+        if (lobbyCode) {
+            this.code = lobbyCode;
+            first.emit('join-lobby', { code: lobbyCode, playerName: first.name });
+            await first.expect('lobby-joined');
+        } else {
+            this.ownsLobby = true;
+            first.emit('create-lobby', { playerName: first.name });
+            this.code = (await first.expect('lobby-created')).code;
+            // Short timers so ignored kills and dropped bots resolve quickly
+            first.emit('update-settings', {
+                code: this.code,
+                settings: { killConfirmSeconds: 5, disconnectGraceSeconds: 30, maxPlayers: 20, minPlayers: 3 }
+            });
+            await first.expect('settings-updated');
+        }
+        console.log(`Lobby ${this.code}: ${lobbyCode ? 'joining' : 'created'} with ${count} bots`);
+
+        for (const bot of rest) {
+            await bot.connect();
+            bot.emit('join-lobby', { code: this.code, playerName: bot.name });
+            await bot.expect('lobby-joined');
+        }
+
+        const started = first.expect('game-started', lobbyCode ? 10 * 60 * 1000 : 10000);
+        if (!lobbyCode) {
+            first.emit('start-game', { code: this.code });
+        } else {
+            console.log('Waiting for the host to start the game...');
+        }
+        await started;
+    }
+
+    /**
+     * Let the bots play until the game ends (or time runs out)
+     */
+    async play(maxSeconds) {
+        const startedAt = Date.now();
+        while (this.phase === 'playing' && Date.now() - startedAt < maxSeconds * 1000) {
+            for (const bot of this.bots) {
+                if (!bot.connected || !bot.alive) continue;
+
+                if (Math.random() < DISCONNECT_CHANCE) {
+                    const reconnect = this.bounce(bot)
+                        .catch(err => this.violation(`${bot.name} could not reconnect: ${err.message}`))
+                        .finally(() => this.reconnecting.delete(reconnect));
+                    this.reconnecting.add(reconnect);
+                    continue;
+                }
+
+                // Kill attempts are rate limited to 3 per 30s per socket, so don't hammer
+                if (bot.target && !bot.hunting && Date.now() >= bot.nextAttemptAt) {
+                    bot.hunting = true;
+                    bot.nextAttemptAt = Date.now() + random(5000, 12000);
+                    bot.emit('initiate-kill', { code: this.code });
+                }
+            }
+            await wait(TICK_MS);
+        }
+        return (Date.now() - startedAt) / 1000;
+    }
+
+    report(seconds, winner) {
+        const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        console.log(`\nPlayed ${seconds.toFixed(1)}s, phase ${this.phase}, winner ${winner ?? '-'}`);
+        console.log(`  events received ${this.stats.events}, actions sent ${this.stats.actions}, kills ${this.stats.kills}, `
+            + `denials ${this.stats.denials}, ignored ${this.stats.ignored}, rejoins ${this.stats.rejoins} `
+            + `(${this.stats.replayed} events replayed), checks ${this.stats.checks}`);
+
+        console.log('\n  latency (ms)        n     p50     p95     max');
+        for (const [action, samples] of this.latencies) {
+            const sorted = [...samples].sort((a, b) => a - b);
+            const cols = [percentile(sorted, 0.5), percentile(sorted, 0.95), sorted[sorted.length - 1]]
+                .map(ms => ms.toFixed(1).padStart(7));
+            console.log(`  ${action.padEnd(16)} ${String(sorted.length).padStart(5)} ${cols.join(' ')}`);
+        }
+
+        if (this.errors.size > 0) {
+            console.log('\n  server errors');
+            this.errors.forEach((count, message) => console.log(`  ${String(count).padStart(5)}  ${message}`));
+        }
+
+        console.log(`\n  invariant violations: ${this.violations.length}`);
+        console.log(`  client/server divergences: ${this.divergences.length}${this.adminToken ? '' : ' (no --admin-token, not compared)'}`);
+        this.divergences.slice(0, 10).forEach(message => console.log(`    ${message}`));
+    }
+
+    close() {
+        this.bots.forEach(bot => bot.socket && bot.socket.disconnect());
+    }
+}
+
+const sim = new Simulation({ url: options.url, adminToken: options['admin-token'], verbose: options.verbose });
+try {
+    await sim.setUp(BOT_COUNT, options.lobby);
+    const seconds = await sim.play(Number(options['max-seconds']));
+    await Promise.all(sim.reconnecting);
+    await wait(SETTLE_MS * 2); // let the last events land
+    await sim.checking;
+    const winner = sim.phase === 'ended' ? await sim.checkOutcome() : null;
+    if (sim.phase !== 'ended') {
+        sim.violation(`game did not finish within ${options['max-seconds']}s`);
+    }
+    sim.report(seconds, winner);
+} catch (err) {
+    console.error(`Simulation failed: ${err.message}`);
+    process.exitCode = 1;
+} finally {
+    sim.close();
+}
+
+if (sim.violations.length > 0 || sim.divergences.length > 0) {
+    process.exitCode = 1;
+}
@@ -1,20 +1,21 @@
-const CACHE_NAME = 'assassin-v1.1';
-const ASSETS_TO_CACHE = [
-    '/hunt/favicon.ico',
-];
+// Filled in by scripts/asset-manifest.mjs after a production build; a dev server precaches nothing
+const ASSET_MANIFEST = { version: 'dev', assets: [] };
+const CACHE_NAME = `assassin-${ASSET_MANIFEST.version}`;
+const APP_SHELL = 'index.html';
 
-// Entry points that should always be fresh
+// Entry points that should always be fresh while nothing is precached
 const FRESH_ASSETS = [
     '/hunt/',
     '/hunt/index.html',
     '/hunt/manifest.json'
 ];
 
+// No skipWaiting() here: a new version waits until the app asks for it (see 'skip-waiting' below),
+// so nobody's game swaps versions under them
 self.addEventListener('install', (event) => {
-    self.skipWaiting();
     event.waitUntil(
         caches.open(CACHE_NAME).then((cache) => {
-            return cache.addAll(ASSETS_TO_CACHE).catch(() => { });
+            return cache.addAll(ASSET_MANIFEST.assets.map(asset => new Request(asset, { cache: 'reload' })));
         })
     );
 });
@@ -34,9 +35,44 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+// The app has found a safe moment (not mid-hunt) and the player agreed to reload
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// Only our own cache: a newer version installed alongside must not leak into this one
+const fromCache = (request) => caches.open(CACHE_NAME).then(cache => cache.match(request));
+
+// Pages of the app itself (see app.routes.ts), relative to where it is served; anything else on this
+// origin (/admin/, /health, /metrics...) is a page of the server and must come from the network
+const APP_ROUTES = [/^$/, /^index\.html$/, /^join\/[^/]+\/?$/, /^leaderboard\/?$/, /^stats\/?$/];
+
+const isAppRoute = (url) => {
+    const scopePath = new URL(self.registration.scope).pathname;
+    return url.pathname.startsWith(scopePath) && APP_ROUTES.some(route => route.test(url.pathname.slice(scopePath.length)));
+};
+
 self.addEventListener('fetch', (event) => {
     const url = new URL(event.request.url);
 
+    // The socket.io connection, other origins and anything but GET are none of our business
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/socket.io/')) {
+        return;
+    }
+
+    // Built and precached: page loads of the app get the app shell straight from the cache, so the game
+    // opens at once on flaky party Wi-Fi; updates arrive through the update prompt instead
+    if (ASSET_MANIFEST.assets.length > 0) {
+        if (event.request.mode === 'navigate' && !isAppRoute(url)) {
+            return;
+        }
+        const request = event.request.mode === 'navigate' ? new URL(APP_SHELL, self.registration.scope).href : event.request;
+        event.respondWith(fromCache(request).then(cached => cached || fetch(event.request)));
+        return;
+    }
+
     // Use Network First for index.html and other entry points
     if (FRESH_ASSETS.some(asset => url.pathname.endsWith(asset) || url.pathname === asset)) {
         event.respondWith(
@@ -46,18 +82,68 @@ self.addEventListener('fetch', (event) => {
                     caches.open(CACHE_NAME).then(cache => cache.put(event.request, clonedResponse));
                     return response;
                 })
-                .catch(() => caches.match(event.request))
+                .catch(() => fromCache(event.request))
         );
         return;
     }
 
     // Default: Cache First, then Network
     event.respondWith(
-        caches.match(event.request).then((response) => {
-            return response || fetch(event.request).then(fetchResponse => {
-                // Don't cache everything, just let it pass through if not in our list
-                return fetchResponse;
-            });
+        fromCache(event.request).then((response) => {
+            return response || fetch(event.request);
         })
     );
 });
+
+// Game alerts pushed by the server while the app is in the background (see backend/pushNotifier.js)
+const NOTIFICATIONS = {
+    'kill-pending': () => ({
+        title: 'Someone says they got you!',
+        body: 'Tap to confirm or deny before the timer runs out',
+        requireInteraction: true
+    }),
+    'you-died': () => ({ title: 'You have been eliminated', body: 'Tap to watch the rest of the game' }),
+    'new-target': () => ({ title: 'You have a new target', body: 'Tap to see who you are hunting' }),
+    'game-over': (data) => ({ title: 'Game over', body: data.winner ? `${data.winner} wins!` : 'The game has ended' })
+};
+
+const appWindows = () => self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    const build = NOTIFICATIONS[data.type];
+    if (!build) return;
+
+    event.waitUntil(appWindows().then(async (windows) => {
+        // The app on screen shows this itself
+        if (windows.some(w => w.focused && w.visibilityState === 'visible')) return;
+
+        // Anything after a kill claim settles it one way or another
+        if (data.type !== 'kill-pending') {
+            const stale = await self.registration.getNotifications({ tag: 'kill-pending' });
+            stale.forEach(notification => notification.close());
+        }
+
+        const { title, ...options } = build(data);
+        return self.registration.showNotification(title, {
+            ...options,
+            tag: data.type,
+            renotify: true,
+            icon: 'icon-192.png',
+            data
+        });
+    }));
+});
+
+// Bring the app forward (or open it); it catches up with the server and shows e.g. the confirm/deny dialog
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(appWindows().then((windows) => {
+        const app = windows[0];
+        if (app) {
+            app.postMessage({ type: 'notification-click', notification: event.notification.data });
+            return app.focus();
+        }
+        return self.clients.openWindow(self.registration.scope);
+    }));
+});
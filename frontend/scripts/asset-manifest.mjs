@@ -0,0 +1,40 @@
+/**
+ * Asset Manifest - Runs after `ng build` and writes the list of built files into the built sw.js, which precaches them
+ * The version is a hash over every file's name and contents: it names the service worker's cache and makes sw.js
+ * byte-different on each deploy, which is how browsers notice there is an update
+ *
+ *   node scripts/asset-manifest.mjs [dist/frontend/browser]
+ */
+
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+
+const outputDir = process.argv[2] || 'dist/frontend/browser';
+const swPath = path.join(outputDir, 'sw.js');
+
+// Not worth a player's storage, or (sw.js) fetched by the browser itself
+const SKIPPED = [/^sw\.js$/, /\.map$/, /^3rdpartylicenses\.txt$/, /^prerendered-routes\.json$/];
+
+const assets = readdirSync(outputDir, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => path.relative(outputDir, path.join(entry.parentPath, entry.name)).split(path.sep).join('/'))
+    .filter(asset => !SKIPPED.some(pattern => pattern.test(asset)))
+    .sort();
+
+const hash = createHash('sha256');
+assets.forEach(asset => {
+    hash.update(asset);
+    hash.update(readFileSync(path.join(outputDir, asset)));
+});
+const manifest = { version: hash.digest('hex').slice(0, 12), assets };
+
+const sw = readFileSync(swPath, 'utf8');
+const marker = /^const ASSET_MANIFEST = .*;$/m;
+if (!marker.test(sw)) {
+    console.error(`${swPath} has no "const ASSET_MANIFEST = ...;" line to fill in`);
+    process.exit(1);
+}
+writeFileSync(swPath, sw.replace(marker, () => `const ASSET_MANIFEST = ${JSON.stringify(manifest)};`));
+
+console.log(`Asset manifest ${manifest.version}: ${assets.length} files precached by ${swPath}`);
@@ -1,3 +1,9 @@
 import { Routes } from '@angular/router';
 
-export const routes: Routes = [];
+// Routes are entry points only: the screens follow the game state, and App reads the route to fill in the join form
+export const routes: Routes = [
+  { path: 'join/:code', children: [] },
+  { path: 'leaderboard', children: [] },
+  { path: 'stats', children: [] },
+  { path: '**', children: [] }
+];
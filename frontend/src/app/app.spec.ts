@@ -1,10 +1,15 @@
 import { TestBed } from '@angular/core/testing';
+import { vi } from 'vitest';
+import { provideRouter, Router } from '@angular/router';
 import { App } from './app';
+import { routes } from './app.routes';
+import { SocketService } from './services/socket.service';
 
 describe('App', () => {
   beforeEach(async () => {
     await TestBed.configureTestingModule({
       imports: [App],
+      providers: [provideRouter(routes)]
     }).compileComponents();
   });
 
@@ -20,4 +25,130 @@ describe('App', () => {
     const compiled = fixture.nativeElement as HTMLElement;
     expect(compiled.querySelector('h1')?.textContent).toContain('Hello, frontend');
   });
+
+  it('should only offer an update where a reload cannot cost a kill', () => {
+    const app = TestBed.createComponent(App).componentInstance;
+    const idle = TestBed.inject(SocketService).getCurrentState();
+
+    expect(app.canOfferUpdate({ ...idle, phase: 'lobby' })).toBe(true);
+    expect(app.canOfferUpdate({ ...idle, phase: 'ended' })).toBe(true);
+    expect(app.canOfferUpdate({ ...idle, phase: 'playing' })).toBe(false);
+    expect(app.canOfferUpdate({ ...idle, phase: 'dead', pendingKill: true })).toBe(false);
+    expect(app.canOfferUpdate({ ...idle, phase: 'dead', waitingForKillConfirmation: true })).toBe(false);
+  });
+
+  describe('join links', () => {
+    let app: App;
+    let socketService: SocketService;
+    let router: Router;
+
+    // Open the app on a link, as a phone does after scanning the lobby's QR code
+    async function open(url: string): Promise<void> {
+      app = TestBed.createComponent(App).componentInstance;
+      await router.navigateByUrl(url);
+    }
+
+    // Play an event from the server to the screens
+    const serverSays = (event: any) => (socketService as any).eventSubject.next(event);
+
+    beforeEach(() => {
+      socketService = TestBed.inject(SocketService);
+      router = TestBed.inject(Router);
+      vi.spyOn(socketService, 'checkLobby').mockImplementation(() => {});
+    });
+
+    it('should fill in the code and check the lobby before asking for a name', async () => {
+      await open('/join/4821');
+
+      expect(app.showJoinForm).toBe(true);
+      expect(app.lobbyCode).toBe('4821');
+      expect(app.joinLinkCode).toBe('4821');
+      expect(socketService.checkLobby).toHaveBeenCalledWith('4821');
+    });
+
+    it('should fall back to typing a code when the linked lobby cannot be joined', async () => {
+      await open('/join/4821');
+      const messages: (string | null)[] = [];
+      socketService.error$.subscribe(message => messages.push(message));
+
+      serverSays({ type: 'lobby_status', code: '4821', joinable: false, reason: 'in_progress', message: 'Game already in progress' });
+      await new Promise(resolve => setTimeout(resolve));
+      expect(messages.at(-1)).toBe('Game already in progress - ask your host for the code');
+      expect(app.joinLinkCode).toBeNull();
+      expect(app.lobbyCode).toBe('');
+      expect(app.showJoinForm).toBe(true);
+      expect(router.url).toBe('/');
+    });
+
+    it('should keep the linked code when only the name was taken', async () => {
+      await open('/join/4821');
+
+      serverSays({ type: 'join_failed', code: '4821', reason: 'name_taken' });
+      expect(app.joinLinkCode).toBe('4821');
+
+      serverSays({ type: 'join_failed', code: '4821', reason: 'full' });
+      expect(app.joinLinkCode).toBeNull();
+    });
+
+    it('should turn a broken link into the plain join form', async () => {
+      await open('/join/48');
+      await new Promise(resolve => setTimeout(resolve));
+
+      expect(socketService.checkLobby).not.toHaveBeenCalled();
+      expect(app.joinLinkCode).toBeNull();
+      expect(app.showJoinForm).toBe(true);
+      expect(router.url).toBe('/');
+    });
+  });
+
+  describe('stats', () => {
+    let app: App;
+    let socketService: SocketService;
+    let router: Router;
+
+    beforeEach(() => {
+      localStorage.clear();
+      socketService = TestBed.inject(SocketService);
+      router = TestBed.inject(Router);
+      vi.spyOn(socketService, 'requestLeaderboard').mockImplementation(() => {});
+      vi.spyOn(socketService, 'requestProfile').mockImplementation(() => {});
+      app = TestBed.createComponent(App).componentInstance;
+    });
+
+    it('should open the leaderboard from its route, fetched fresh each time', async () => {
+      await router.navigateByUrl('/leaderboard');
+      expect(app.statsView).toBe('leaderboard');
+      expect(app.leaderboard).toBeNull();
+      expect(socketService.requestLeaderboard).toHaveBeenCalledTimes(1);
+
+      const entries = [{ name: 'Ada', gamesPlayed: 1, wins: 1, kills: 2, deaths: 0, denials: 0, averageSurvivalMs: 60000, lastPlayedAt: 1 }];
+      (socketService as any).eventSubject.next({ type: 'leaderboard', entries });
+      expect(app.leaderboard).toEqual(entries);
+
+      app.closeStats();
+      await new Promise(resolve => setTimeout(resolve));
+      expect(app.statsView).toBeNull();
+      app.openStats('leaderboard');
+      await new Promise(resolve => setTimeout(resolve));
+      expect(app.leaderboard).toBeNull();
+      expect(socketService.requestLeaderboard).toHaveBeenCalledTimes(2);
+    });
+
+    it('should show our own stats once they arrive', async () => {
+      await router.navigateByUrl('/stats');
+      expect(app.statsView).toBe('stats');
+      expect(app.myStatsLoading).toBe(true);
+
+      (socketService as any).eventSubject.next({ type: 'profile', stats: null });
+      expect(app.myStatsLoading).toBe(false);
+      expect(app.myStats).toBeNull();
+    });
+
+    it('should remember whether games count towards our stats', () => {
+      app.setTrackingStats(true);
+      expect(app.trackingStats).toBe(true);
+      expect(socketService.isTrackingStats()).toBe(true);
+      expect(TestBed.createComponent(App).componentInstance.trackingStats).toBe(true);
+    });
+  });
 });
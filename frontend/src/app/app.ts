@@ -1,30 +1,59 @@
 import { Component, inject, ChangeDetectorRef, ViewChild, ElementRef } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
-import { SocketService } from './services/socket.service';
+import { Router, NavigationEnd } from '@angular/router';
+import { filter } from 'rxjs';
+import { SocketService, LobbySettings, GameState, TeamInfo, ProfileStats, photoUrl } from './services/socket.service';
+import { GameRecap } from './components/game-recap/game-recap';
+import { SpectatorView } from './components/spectator-view/spectator-view';
+import { LobbySettingsPanel } from './components/lobby-settings/lobby-settings';
+import { DisputePanel, DisputeRuling } from './components/dispute-panel/dispute-panel';
+import { DropCountdown } from './components/drop-countdown/drop-countdown';
+import { TeamPicker } from './components/team-picker/team-picker';
+import { RoundClock } from './components/round-clock/round-clock';
+import { UpdatePrompt } from './components/update-prompt/update-prompt';
+import { LobbyInvite } from './components/lobby-invite/lobby-invite';
+import { PlayerAvatar } from './components/player-avatar/player-avatar';
+import { PhotoPicker } from './components/photo-picker/photo-picker';
+import { Leaderboard } from './components/leaderboard/leaderboard';
+import { PlayerStats } from './components/player-stats/player-stats';
+import { UpdateService } from './services/update.service';
 
 @Component({
   selector: 'app-root',
   standalone: true,
-  imports: [CommonModule, FormsModule],
+  imports: [CommonModule, FormsModule, GameRecap, SpectatorView, LobbySettingsPanel, DisputePanel, DropCountdown, TeamPicker, RoundClock, UpdatePrompt, LobbyInvite, PlayerAvatar, PhotoPicker, Leaderboard, PlayerStats],
   templateUrl: './app.html',
   styleUrl: './app.scss'
 })
 export class App {
   private socketService = inject(SocketService);
+  private updateService = inject(UpdateService);
+  private router = inject(Router);
   private cdr = inject(ChangeDetectorRef);
   @ViewChild('lobbyCodeInput') lobbyCodeInput!: ElementRef<HTMLInputElement>;
+  @ViewChild('playerNameInput') playerNameInput!: ElementRef<HTMLInputElement>;
 
   gameState$ = this.socketService.gameState$;
   error$ = this.socketService.error$;
+  updateAvailable$ = this.updateService.updateAvailable$;
 
   playerName = '';
   lobbyCode = '';
   showJoinForm = false;
+  joinLinkCode: string | null = null; // lobby from a /join/:code link, so only the name is asked for
+  selfiePreview: string | null = null; // object URL of the photo picked before joining
+  statsView: 'leaderboard' | 'stats' | null = null; // opened by the /leaderboard and /stats routes
+  leaderboard: ProfileStats[] | null = null; // null while loading
+  myStats: ProfileStats | null = null;
+  myStatsLoading = false;
+  trackingStats = false;
   isSlashing = false;
   isCardFlyingIn = false;
   showSplatters = false;
   showInstructions = false;
+  showKillWord = false;
+  killWordGuess = '';
   displayTarget: string | null = null;
   timeLeft: number = 15;
   private timerInterval: any;
@@ -36,6 +65,7 @@ export class App {
     if (savedName) {
       this.playerName = savedName;
     }
+    this.trackingStats = this.socketService.isTrackingStats();
 
     // Subscribe to state to initialize displayTarget on load/rejoin
     this.gameState$.subscribe(state => {
@@ -66,8 +96,15 @@ export class App {
 
       // Sync target when state changes
       this.syncDisplayTarget(state);
+
+      // In a lobby (joined, or rejoined with a saved session): the join link has served its purpose
+      if (state.phase !== 'idle' && this.joinLinkCode) {
+        this.leaveJoinLink();
+      }
     });
 
+    this.router.events.pipe(filter(event => event instanceof NavigationEnd)).subscribe(() => this.followRoute());
+
     // Subscribe to events for animation
     this.socketService.events$.subscribe(event => {
       if (!event) return;
@@ -100,6 +137,20 @@ export class App {
           }, 1500);
         }, 1600); // 1.6s delay allows rip animation (1.5s) to fully fade out
       }
+      else if (event.type === 'lobby_status' && event.code === this.joinLinkCode && !event.joinable) {
+        this.socketService.showTemporaryMessage(`${event.message} - ask your host for the code`);
+        this.dropJoinLinkCode();
+      }
+      else if (event.type === 'join_failed' && event.code === this.joinLinkCode && event.reason !== 'name_taken') {
+        this.dropJoinLinkCode();
+      }
+      else if (event.type === 'leaderboard') {
+        this.leaderboard = event.entries;
+      }
+      else if (event.type === 'profile') {
+        this.myStats = event.stats;
+        this.myStatsLoading = false;
+      }
       else if (event.type === 'death_animation') {
         // Victim Logic: You are dying
         this.isSlashing = true;
@@ -131,6 +182,9 @@ export class App {
   hideJoin(): void {
     this.showJoinForm = false;
     this.lobbyCode = '';
+    if (this.joinLinkCode) {
+      this.leaveJoinLink();
+    }
   }
 
   joinLobby(): void {
@@ -139,6 +193,75 @@ export class App {
     }
   }
 
+  pickPhoto(file: File | null): void {
+    if (this.selfiePreview) {
+      URL.revokeObjectURL(this.selfiePreview);
+    }
+    this.selfiePreview = file ? URL.createObjectURL(file) : null;
+    this.socketService.choosePhoto(file);
+  }
+
+  // Our photo as the server has it
+  myPhoto(state: GameState): string | null {
+    const me = state.players.find(p => this.isMe(p.id));
+    return me?.photo ? photoUrl(me.photo) : null;
+  }
+
+  // The photo for the name on the target card, which lags behind the real target while the card animates
+  displayTargetPhoto(state: GameState): string | null {
+    const photoId = this.displayTarget === state.target
+      ? state.targetPhoto
+      : state.allPlayers.find(p => p.name === this.displayTarget)?.photo;
+    return photoId ? photoUrl(photoId) : null;
+  }
+
+  openStats(view: 'leaderboard' | 'stats'): void {
+    this.router.navigate(['/', view]);
+  }
+
+  closeStats(): void {
+    this.router.navigate(['/']);
+  }
+
+  setTrackingStats(enabled: boolean): void {
+    this.socketService.setTrackingStats(enabled);
+    this.trackingStats = enabled;
+  }
+
+  updateSettings(settings: Partial<LobbySettings>): void {
+    this.socketService.updateSettings(settings);
+  }
+
+  uploadMissions(text: string): void {
+    this.socketService.uploadMissions(text);
+  }
+
+  chooseTeam(team: string): void {
+    this.socketService.chooseTeam(team);
+  }
+
+  balanceTeams(): void {
+    this.socketService.balanceTeams();
+  }
+
+  // Teams in play for the current rules (empty in free for all)
+  activeTeams(state: GameState): TeamInfo[] {
+    return state.teams.slice(0, state.settings.teamCount);
+  }
+
+  myTeam(state: GameState): TeamInfo | null {
+    const me = [...state.players, ...state.allPlayers].find(p => this.isMe(p.id));
+    return state.teams.find(t => t.id === me?.team) || null;
+  }
+
+  teamColor(state: GameState, teamId: string | null): string | null {
+    return state.teams.find(t => t.id === teamId)?.color || null;
+  }
+
+  ruleDispute({ id, ruling }: DisputeRuling): void {
+    this.socketService.ruleDispute(id, ruling);
+  }
+
   startGame(): void {
     this.socketService.startGame();
   }
@@ -148,6 +271,17 @@ export class App {
     // Animation now handled by event subscription
   }
 
+  claimKill(): void {
+    if (this.killWordGuess.trim()) {
+      this.socketService.claimKill(this.killWordGuess.trim());
+      this.killWordGuess = '';
+    }
+  }
+
+  isClaimOnCooldown(until: number | null): boolean {
+    return !!until && until > Date.now();
+  }
+
   confirmDeath(): void {
     this.socketService.confirmDeath();
     // Victim side doesn't need slash animation
@@ -178,13 +312,110 @@ export class App {
     });
   }
 
+  joinLinkCopied(): void {
+    this.socketService.showTemporaryMessage('Join link copied to clipboard!');
+  }
+
+  kickPlayer(player: { id: string; name: string }): void {
+    if (confirm(`Remove ${player.name} from the game?`)) {
+      this.socketService.kickPlayer(player.id);
+    }
+  }
+
+  transferHost(player: { id: string; name: string }): void {
+    if (confirm(`Make ${player.name} the new host?`)) {
+      this.socketService.transferHost(player.id);
+    }
+  }
+
+  dropPlayer(player: { id: string; name: string }): void {
+    if (confirm(`${player.name} is disconnected. Drop them from the game now?`)) {
+      this.socketService.dropPlayer(player.id);
+    }
+  }
+
+  isMe(playerId: string): boolean {
+    return this.socketService.isMe(playerId);
+  }
+
+  leaveGame(): void {
+    if (confirm('Leave the game? You cannot rejoin once you leave.')) {
+      this.playAgain();
+    }
+  }
+
+  rematch(): void {
+    this.socketService.rematch();
+  }
+
+  // A reload mid-hunt or with a kill claim open could cost someone a kill, so the new version waits until then
+  canOfferUpdate(state: GameState): boolean {
+    return state.phase !== 'playing' && !state.pendingKill && !state.waitingForKillConfirmation;
+  }
+
+  applyUpdate(): void {
+    this.updateService.applyUpdate();
+  }
+
+  dismissUpdate(): void {
+    this.updateService.dismiss();
+  }
+
   playAgain(): void {
-    this.socketService.resetState();
+    this.socketService.leaveLobby();
     this.playerName = this.socketService.getSavedPlayerName() || '';
     this.lobbyCode = '';
     this.showJoinForm = false;
   }
 
+  // A /join/:code link: fill in the code and ask only for a name, once the lobby is known to take players
+  private followRoute(): void {
+    const route = this.router.routerState.snapshot.root.firstChild;
+    this.showStatsView(route?.routeConfig?.path);
+
+    const code = route?.paramMap.get('code');
+    if (!code || this.socketService.getCurrentState().phase !== 'idle') {
+      return;
+    }
+
+    if (!/^\d{4}$/.test(code)) {
+      this.socketService.showTemporaryMessage('That join link is broken - enter the lobby code instead');
+      this.router.navigate(['/'], { replaceUrl: true });
+      this.showJoin();
+      return;
+    }
+
+    this.joinLinkCode = code;
+    this.lobbyCode = code;
+    this.showJoinForm = true;
+    this.socketService.checkLobby(code);
+    setTimeout(() => this.playerNameInput?.nativeElement.focus(), 100);
+  }
+
+  // The leaderboard and our own stats open over whatever screen is showing, fetched fresh each time
+  private showStatsView(path: string | undefined): void {
+    this.statsView = path === 'leaderboard' || path === 'stats' ? path : null;
+    if (this.statsView === 'leaderboard') {
+      this.leaderboard = null;
+      this.socketService.requestLeaderboard();
+    } else if (this.statsView === 'stats') {
+      this.myStatsLoading = true;
+      this.socketService.requestProfile();
+    }
+  }
+
+  // The linked lobby is gone, running or full: fall back to typing a code
+  private dropJoinLinkCode(): void {
+    this.lobbyCode = '';
+    this.leaveJoinLink();
+    this.cdr.detectChanges();
+  }
+
+  private leaveJoinLink(): void {
+    this.joinLinkCode = null;
+    this.router.navigate(['/'], { replaceUrl: true });
+  }
+
   private syncDisplayTarget(state: any) {
     if (!state.target) {
       this.displayTarget = null;
@@ -0,0 +1,35 @@
+import { TestBed } from '@angular/core/testing';
+import { DisputePanel, DisputeRuling } from './dispute-panel';
+
+describe('DisputePanel', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [DisputePanel],
+    }).compileComponents();
+  });
+
+  it('should show both parties and emit rulings', async () => {
+    const fixture = TestBed.createComponent(DisputePanel);
+    fixture.componentInstance.disputes = [{
+      id: 'd1',
+      killer: 'Ada',
+      victim: 'Ben',
+      at: Date.now(),
+      judges: 3,
+      confirmVotes: 1,
+      denyVotes: 0,
+      myVote: null
+    }];
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.dispute-parties')?.textContent).toContain('Ada claims to have eliminated Ben');
+    expect(compiled.querySelector('.dispute-meta')?.textContent).toContain('1 for the kill, 0 against (3 judges)');
+
+    let ruling: DisputeRuling | null = null;
+    fixture.componentInstance.rule.subscribe(r => ruling = r);
+    (compiled.querySelectorAll('.dispute-actions button')[1] as HTMLButtonElement).click();
+    expect(ruling).toEqual({ id: 'd1', ruling: 'deny' });
+  });
+});
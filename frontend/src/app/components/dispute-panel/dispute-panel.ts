@@ -0,0 +1,24 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { Dispute } from '../../services/socket.service';
+
+export interface DisputeRuling {
+  id: string;
+  ruling: 'confirm' | 'deny';
+}
+
+@Component({
+  selector: 'app-dispute-panel',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './dispute-panel.html',
+  styleUrl: './dispute-panel.scss'
+})
+export class DisputePanel {
+  @Input({ required: true }) disputes!: Dispute[];
+  @Output() rule = new EventEmitter<DisputeRuling>();
+
+  vote(dispute: Dispute, ruling: 'confirm' | 'deny'): void {
+    this.rule.emit({ id: dispute.id, ruling });
+  }
+}
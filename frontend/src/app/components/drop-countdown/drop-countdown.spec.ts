@@ -0,0 +1,21 @@
+import { TestBed } from '@angular/core/testing';
+import { DropCountdown } from './drop-countdown';
+
+describe('DropCountdown', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [DropCountdown],
+    }).compileComponents();
+  });
+
+  it('should show the time left before the drop', async () => {
+    const fixture = TestBed.createComponent(DropCountdown);
+    fixture.componentInstance.now = 1_000_000;
+    fixture.componentInstance.deadline = 1_000_000 + 95_000;
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.drop-countdown')?.textContent).toBe('1:35');
+  });
+});
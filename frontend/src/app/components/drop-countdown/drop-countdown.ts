@@ -0,0 +1,35 @@
+import { Component, Input, OnInit, OnDestroy, ChangeDetectorRef, inject } from '@angular/core';
+
+// Badge counting down until a disconnected player is dropped from the game
+@Component({
+  selector: 'app-drop-countdown',
+  standalone: true,
+  templateUrl: './drop-countdown.html',
+  styleUrl: './drop-countdown.scss'
+})
+export class DropCountdown implements OnInit, OnDestroy {
+  private cdr = inject(ChangeDetectorRef);
+
+  @Input({ required: true }) deadline!: number;
+
+  now = Date.now();
+  private clockInterval: any;
+
+  ngOnInit(): void {
+    this.clockInterval = setInterval(() => {
+      this.now = Date.now();
+      this.cdr.detectChanges();
+    }, 1000);
+  }
+
+  ngOnDestroy(): void {
+    clearInterval(this.clockInterval);
+  }
+
+  get remaining(): string {
+    const totalSeconds = Math.max(0, Math.ceil((this.deadline - this.now) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+}
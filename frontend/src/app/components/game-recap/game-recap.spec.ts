@@ -0,0 +1,103 @@
+import { TestBed } from '@angular/core/testing';
+import { GameRecap } from './game-recap';
+import { GameSummary } from '../../services/socket.service';
+
+describe('GameRecap', () => {
+  const summary = (overrides: Partial<GameSummary> = {}): GameSummary => ({
+    winner: 'Ada',
+    startedAt: 1000,
+    endedAt: 91000,
+    chain: ['Ada', 'Ben', 'Cy'],
+    feed: [],
+    killCounts: [{ name: 'Ada', kills: 2 }, { name: 'Ben', kills: 0 }, { name: 'Cy', kills: 0 }],
+    awards: [],
+    ...overrides
+  });
+
+  async function render(value: GameSummary): Promise<HTMLElement> {
+    const fixture = TestBed.createComponent(GameRecap);
+    fixture.componentInstance.summary = value;
+    fixture.detectChanges();
+    await fixture.whenStable();
+    return fixture.nativeElement as HTMLElement;
+  }
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [GameRecap],
+    }).compileComponents();
+  });
+
+  it('should time feed entries from the start of the game', () => {
+    const recap = TestBed.createComponent(GameRecap).componentInstance;
+    recap.summary = summary();
+
+    expect(recap.elapsed({ type: 'kill_confirmed', at: 1000 })).toBe('+0:00');
+    expect(recap.elapsed({ type: 'kill_confirmed', at: 66000 })).toBe('+1:05');
+    expect(recap.elapsed({ type: 'kill_confirmed', at: 1000 + 12 * 60000 + 5400 })).toBe('+12:05');
+    expect(recap.elapsed({ type: 'kill_confirmed', at: 0 })).toBe('+0:00');
+  });
+
+  it('should describe each kind of feed event', () => {
+    const recap = TestBed.createComponent(GameRecap).componentInstance;
+
+    expect(recap.describe({ type: 'kill_confirmed', at: 0, killer: 'Ada', victim: 'Ben' })).toBe('Ada eliminated Ben');
+    expect(recap.describe({ type: 'kill_auto_confirmed', at: 0, killer: 'Ada', victim: 'Ben' })).toBe('Ada eliminated Ben (no response)');
+    expect(recap.describe({ type: 'kill_denied', at: 0, killer: 'Ada', victim: 'Ben' })).toBe('Ben denied a kill by Ada');
+    expect(recap.describe({ type: 'player_left', at: 0, player: 'Cy' })).toBe('Cy left the game');
+  });
+
+  it('should say who ruled on a dispute and which way', () => {
+    const recap = TestBed.createComponent(GameRecap).componentInstance;
+    const ruling = { type: 'dispute_ruled', at: 0, killer: 'Ada', victim: 'Ben' };
+
+    expect(recap.describe({ ...ruling, ruling: 'confirm', by: 'host' })).toBe("The host overruled Ben's denial");
+    expect(recap.describe({ ...ruling, ruling: 'deny', by: 'vote' })).toBe("The fallen upheld Ben's denial");
+  });
+
+  it('should list the feed in order and mark denied kills', async () => {
+    const compiled = await render(summary({
+      feed: [
+        { type: 'kill_denied', at: 31000, killer: 'Ada', victim: 'Ben' },
+        { type: 'kill_confirmed', at: 66000, killer: 'Ada', victim: 'Ben' }
+      ]
+    }));
+
+    const feed = compiled.querySelectorAll('.kill-feed li');
+    expect(feed.length).toBe(2);
+    expect(feed[0].classList).toContain('denied');
+    expect(feed[0].textContent).toContain('+0:30');
+    expect(feed[1].classList).not.toContain('denied');
+    expect(feed[1].textContent).toContain('+1:05');
+    expect(feed[1].textContent).toContain('Ada eliminated Ben');
+  });
+
+  it('should close the original chain back on its first player', async () => {
+    const compiled = await render(summary());
+
+    expect(compiled.querySelector('.chain')?.textContent?.replace(/\s+/g, ' ').trim()).toBe('Ada → Ben → Cy → Ada');
+  });
+
+  it('should show each award with its winner and detail', async () => {
+    const compiled = await render(summary({
+      awards: [
+        { title: 'Deadliest Assassin', name: 'Ada', detail: '2 kills' },
+        { title: 'Fastest Kill', name: 'Ada', detail: 'Ben in 1m 05s' }
+      ]
+    }));
+
+    const awards = compiled.querySelectorAll('.award');
+    expect(awards.length).toBe(2);
+    expect(awards[1].querySelector('.award-title')?.textContent).toBe('Fastest Kill');
+    expect(awards[1].querySelector('.award-name')?.textContent).toBe('Ada');
+    expect(awards[1].querySelector('.award-detail')?.textContent).toBe('Ben in 1m 05s');
+  });
+
+  it('should leave out the honours and feed when nothing happened', async () => {
+    const compiled = await render(summary({ killCounts: [{ name: 'Ada', kills: 0 }] }));
+
+    expect(compiled.querySelector('.award-list')).toBeNull();
+    expect(compiled.querySelector('.kill-feed')).toBeNull();
+    expect(compiled.querySelector('.kill-count')?.textContent).toBe('0');
+  });
+});
@@ -0,0 +1,49 @@
+import { Component, Input } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { GameEvent, GameSummary } from '../../services/socket.service';
+
+@Component({
+  selector: 'app-game-recap',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './game-recap.html',
+  styleUrl: './game-recap.scss'
+})
+export class GameRecap {
+  @Input({ required: true }) summary!: GameSummary;
+
+  // Game clock time of an event, e.g. "+12:05"
+  elapsed(event: GameEvent): string {
+    const totalSeconds = Math.max(0, Math.round((event.at - this.summary.startedAt) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `+${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  describe(event: GameEvent): string {
+    switch (event.type) {
+      case 'kill_confirmed':
+        return `${event.killer} eliminated ${event.victim}`;
+      case 'kill_auto_confirmed':
+        return `${event.killer} eliminated ${event.victim} (no response)`;
+      case 'kill_denied':
+        return `${event.victim} denied a kill by ${event.killer}`;
+      case 'dispute_ruled':
+        return event.ruling === 'confirm'
+          ? `${event.by === 'host' ? 'The host' : 'The fallen'} overruled ${event.victim}'s denial`
+          : `${event.by === 'host' ? 'The host' : 'The fallen'} upheld ${event.victim}'s denial`;
+      case 'player_left':
+        return `${event.player} left the game`;
+      case 'player_dropped':
+        return `${event.player} was dropped after losing connection`;
+      case 'player_exposed':
+        return `${event.player} went too long without a kill and was exposed`;
+      case 'player_burnt_out':
+        return `${event.player} went too long without a kill and was eliminated`;
+      case 'sudden_death':
+        return 'Time ran out - sudden death';
+      default:
+        return event.type;
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import { TestBed } from '@angular/core/testing';
+import { Leaderboard } from './leaderboard';
+
+describe('Leaderboard', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [Leaderboard],
+    }).compileComponents();
+  });
+
+  it('should rank the entries in the order given', async () => {
+    const fixture = TestBed.createComponent(Leaderboard);
+    fixture.componentInstance.entries = [
+      { name: 'Ada', gamesPlayed: 5, wins: 3, kills: 9, deaths: 2, denials: 1, averageSurvivalMs: 42000, lastPlayedAt: 0 },
+      { name: 'Ben', gamesPlayed: 2, wins: 1, kills: 4, deaths: 1, denials: 0, averageSurvivalMs: 600000, lastPlayedAt: 0 }
+    ];
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    const rows = compiled.querySelectorAll('tbody tr');
+    expect(rows.length).toBe(2);
+    expect(rows[0].textContent).toContain('Ada');
+    expect(rows[0].textContent).toContain('42s');
+    expect(rows[1].querySelector('.rank')?.textContent).toContain('2');
+    expect(rows[1].textContent).toContain('10m 00s');
+  });
+
+  it('should say so while loading and when nobody is ranked', async () => {
+    const fixture = TestBed.createComponent(Leaderboard);
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.leaderboard-empty')?.textContent).toContain('Consulting');
+
+    fixture.componentRef.setInput('entries', []);
+    fixture.detectChanges();
+    expect(compiled.querySelector('.leaderboard-empty')?.textContent).toContain('Nobody');
+  });
+});
@@ -0,0 +1,18 @@
+import { Component, Input } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ProfileStats } from '../../services/socket.service';
+import { formatSurvival } from '../player-stats/player-stats';
+
+// The best assassins across all games, as ranked by the server (wins, then kills)
+@Component({
+  selector: 'app-leaderboard',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './leaderboard.html',
+  styleUrl: './leaderboard.scss'
+})
+export class Leaderboard {
+  @Input() entries: ProfileStats[] | null = null; // null while loading
+
+  survival = formatSurvival;
+}
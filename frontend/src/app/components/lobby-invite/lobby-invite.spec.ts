@@ -0,0 +1,93 @@
+import { TestBed, ComponentFixture } from '@angular/core/testing';
+import { vi } from 'vitest';
+import { LobbyInvite } from './lobby-invite';
+
+describe('LobbyInvite', () => {
+  let fixture: ComponentFixture<LobbyInvite>;
+
+  // Show the invite for a lobby and hand back what was drawn
+  function render(code: string): HTMLElement {
+    fixture = TestBed.createComponent(LobbyInvite);
+    fixture.componentRef.setInput('code', code);
+    fixture.detectChanges();
+    return fixture.nativeElement as HTMLElement;
+  }
+
+  // The dark modules of the drawn QR code, as "col,row" keys
+  function darkModules(): Set<string> {
+    const path = fixture.componentInstance.qrPath;
+    return new Set(Array.from(path.matchAll(/M(\d+),(\d+)/g), ([, col, row]) => `${col},${row}`));
+  }
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [LobbyInvite],
+    }).compileComponents();
+  });
+
+  afterEach(() => {
+    delete (navigator as any).share;
+    delete (navigator as any).clipboard;
+  });
+
+  it('should link to the join route under the app\'s base', () => {
+    const compiled = render('4821');
+
+    const link = compiled.querySelector('.invite-link') as HTMLAnchorElement;
+    expect(link.textContent).toBe(new URL('join/4821', document.baseURI).href);
+    expect(link.getAttribute('href')).toBe(link.textContent);
+  });
+
+  it('should draw the QR code inside its quiet zone, finder patterns in the corners', () => {
+    render('4821');
+    const size = fixture.componentInstance.qrSize;
+    const dark = darkModules();
+
+    // Nothing dark in the four blank modules around the code
+    for (const key of dark) {
+      const [col, row] = key.split(',').map(Number);
+      expect(Math.min(col, row)).toBeGreaterThanOrEqual(4);
+      expect(Math.max(col, row)).toBeLessThan(size - 4);
+    }
+    // Each finder pattern starts with a dark 7-module edge
+    for (const [col, row] of [[4, 4], [size - 11, 4], [4, size - 11]]) {
+      for (let i = 0; i < 7; i++) {
+        expect(dark.has(`${col + i},${row}`)).toBe(true);
+      }
+    }
+  });
+
+  it('should redraw for a new lobby', () => {
+    render('4821');
+    const first = fixture.componentInstance.qrPath;
+
+    fixture.componentRef.setInput('code', '1234');
+    fixture.detectChanges();
+    expect(fixture.componentInstance.link).toMatch(/\/join\/1234$/);
+    expect(fixture.componentInstance.qrPath).not.toBe(first);
+  });
+
+  it('should open the share sheet where there is one', () => {
+    const share = vi.fn(() => Promise.resolve());
+    Object.defineProperty(navigator, 'share', { configurable: true, value: share });
+    const compiled = render('4821');
+
+    (compiled.querySelector('button') as HTMLButtonElement).click();
+    expect(share).toHaveBeenCalledWith({
+      title: 'Assassin Party', text: 'Join my game - lobby 4821', url: fixture.componentInstance.link
+    });
+  });
+
+  it('should copy the link and say so where there is no share sheet', async () => {
+    const writeText = vi.fn(() => Promise.resolve());
+    Object.defineProperty(navigator, 'clipboard', { configurable: true, value: { writeText } });
+    const compiled = render('4821');
+    const copied: string[] = [];
+    fixture.componentInstance.copied.subscribe(link => copied.push(link));
+
+    (compiled.querySelector('.invite-link') as HTMLAnchorElement).click();
+    await Promise.resolve();
+    expect(writeText).toHaveBeenCalledWith(fixture.componentInstance.link);
+    expect(copied).toEqual([fixture.componentInstance.link]);
+  });
+});
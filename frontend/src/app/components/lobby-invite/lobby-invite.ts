@@ -0,0 +1,53 @@
+import { Component, EventEmitter, Input, OnChanges, Output } from '@angular/core';
+import qrcode from 'qrcode-generator';
+
+// Blank modules around the code that scanners need to find it
+const QUIET_ZONE = 4;
+
+// Join link for the lobby, as a QR code to scan across the room and a link to send
+@Component({
+  selector: 'app-lobby-invite',
+  standalone: true,
+  templateUrl: './lobby-invite.html',
+  styleUrl: './lobby-invite.scss'
+})
+export class LobbyInvite implements OnChanges {
+  @Input({ required: true }) code!: string;
+  @Output() copied = new EventEmitter<string>();
+
+  link = '';
+  qrSize = 0;
+  qrPath = '';
+
+  ngOnChanges(): void {
+    // Relative to <base href>, so it also works when the app is served under /hunt/
+    this.link = new URL(`join/${this.code}`, document.baseURI).href;
+
+    const qr = qrcode(0, 'M');
+    qr.addData(this.link);
+    qr.make();
+    const count = qr.getModuleCount();
+    this.qrSize = count + QUIET_ZONE * 2;
+
+    // One unit square per dark module, all in a single path
+    const squares: string[] = [];
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (qr.isDark(row, col)) {
+          squares.push(`M${col + QUIET_ZONE},${row + QUIET_ZONE}h1v1h-1z`);
+        }
+      }
+    }
+    this.qrPath = squares.join('');
+  }
+
+  // Phones get the share sheet; everything else copies the link
+  share(): void {
+    if (navigator.share) {
+      navigator.share({ title: 'Assassin Party', text: `Join my game - lobby ${this.code}`, url: this.link })
+        .catch(() => { });
+      return;
+    }
+    navigator.clipboard.writeText(this.link).then(() => this.copied.emit(this.link));
+  }
+}
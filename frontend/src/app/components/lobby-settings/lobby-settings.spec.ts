@@ -0,0 +1,117 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { LobbySettingsPanel } from './lobby-settings';
+import { DEFAULT_SETTINGS, LobbySettings } from '../../services/socket.service';
+
+describe('LobbySettingsPanel', () => {
+  const decks = [{ id: 'classic', name: 'Classic Handoff', count: 12 }];
+
+  async function render(settings: Partial<LobbySettings>, isHost: boolean): Promise<ComponentFixture<LobbySettingsPanel>> {
+    const fixture = TestBed.createComponent(LobbySettingsPanel);
+    fixture.componentInstance.settings = { ...DEFAULT_SETTINGS, ...settings };
+    fixture.componentInstance.isHost = isHost;
+    fixture.componentInstance.missionDecks = decks;
+    fixture.detectChanges();
+    await fixture.whenStable();
+    return fixture;
+  }
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [LobbySettingsPanel],
+    }).compileComponents();
+  });
+
+  it('should name the chosen deck, including custom and unknown ones', async () => {
+    const panel = (await render({}, false)).componentInstance;
+    expect(panel.deckName).toBe('None');
+
+    panel.settings = { ...DEFAULT_SETTINGS, missionDeck: 'classic' };
+    expect(panel.deckName).toBe('Classic Handoff');
+
+    panel.settings = { ...DEFAULT_SETTINGS, missionDeck: 'custom', customMissions: ['Hold a spoon', 'Say banana'] };
+    expect(panel.deckName).toBe('Custom (2)');
+
+    panel.settings = { ...DEFAULT_SETTINGS, missionDeck: 'retired' };
+    expect(panel.deckName).toBe('retired');
+  });
+
+  it('should show guests the deck rules without any controls', async () => {
+    const compiled = (await render({ missionDeck: 'classic', missionOnKill: 'inherit' }, false)).nativeElement as HTMLElement;
+
+    const text = compiled.querySelector('.rules-list')?.textContent;
+    expect(text).toContain('Classic Handoff');
+    expect(text).toContain("Take the victim's");
+    expect(compiled.querySelector('select')).toBeNull();
+    expect(compiled.querySelector('.deck-upload')).toBeNull();
+  });
+
+  it('should emit a deck change when the host picks one', async () => {
+    const fixture = await render({}, true);
+    const changes: Partial<LobbySettings>[] = [];
+    fixture.componentInstance.settingsChange.subscribe(change => changes.push(change));
+
+    const select = (fixture.nativeElement as HTMLElement).querySelector('#missionDeck') as HTMLSelectElement;
+    select.value = 'classic';
+    select.dispatchEvent(new Event('change'));
+
+    expect(changes).toEqual([{ missionDeck: 'classic' }]);
+  });
+
+  it('should not offer the custom deck before one has been uploaded', async () => {
+    const compiled = (await render({}, true)).nativeElement as HTMLElement;
+
+    const custom = compiled.querySelector('#missionDeck option[value="custom"]') as HTMLOptionElement;
+    expect(custom.disabled).toBe(true);
+    expect(custom.textContent).toContain('Custom (0)');
+  });
+
+  it('should only allow uploading text that is not blank, and clear it once sent', async () => {
+    const fixture = await render({}, true);
+    const panel = fixture.componentInstance;
+    const uploads: string[] = [];
+    panel.missionsUpload.subscribe(text => uploads.push(text));
+    const button = (fixture.nativeElement as HTMLElement).querySelector('.upload-actions button') as HTMLButtonElement;
+
+    const textarea = (fixture.nativeElement as HTMLElement).querySelector('textarea') as HTMLTextAreaElement;
+    const type = async (text: string) => {
+      textarea.value = text;
+      textarea.dispatchEvent(new Event('input'));
+      fixture.detectChanges();
+      await fixture.whenStable();
+    };
+
+    await type('   ');
+    expect(button.disabled).toBe(true);
+
+    await type('Hold a spoon\nSay banana');
+    expect(button.disabled).toBe(false);
+    button.click();
+
+    expect(uploads).toEqual(['Hold a spoon\nSay banana']);
+    expect(panel.deckText).toBe('');
+  });
+
+  it('should upload the contents of a chosen file and reset the picker', async () => {
+    const panel = (await render({}, true)).componentInstance;
+    const uploads: string[] = [];
+    panel.missionsUpload.subscribe(text => uploads.push(text));
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    const file = { name: 'deck.json', text: () => Promise.resolve('["Hold a spoon"]') };
+    Object.defineProperty(input, 'files', { value: [file] });
+    panel.uploadFile({ target: input } as unknown as Event);
+    await new Promise(resolve => setTimeout(resolve));
+
+    expect(uploads).toEqual(['["Hold a spoon"]']);
+    expect(input.value).toBe('');
+  });
+
+  it('should keep the wrong-word cooldown with the expose penalty too', async () => {
+    const guest = (await render({ verificationMode: 'word', wrongWordPenalty: 'expose', wrongWordCooldownSeconds: 90 }, false)).nativeElement as HTMLElement;
+    expect(guest.querySelector('.rules-list')?.textContent).toContain('90s cooldown, hunter exposed');
+
+    const host = (await render({ verificationMode: 'word', wrongWordPenalty: 'expose' }, true)).nativeElement as HTMLElement;
+    expect(host.querySelector('#wrongWordCooldownSeconds')).not.toBeNull();
+  });
+});
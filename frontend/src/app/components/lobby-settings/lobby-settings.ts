@@ -0,0 +1,45 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { LobbySettings, MissionDeckInfo } from '../../services/socket.service';
+
+@Component({
+  selector: 'app-lobby-settings',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './lobby-settings.html',
+  styleUrl: './lobby-settings.scss'
+})
+export class LobbySettingsPanel {
+  @Input({ required: true }) settings!: LobbySettings;
+  @Input() isHost = false;
+  @Input() missionDecks: MissionDeckInfo[] = [];
+  @Output() settingsChange = new EventEmitter<Partial<LobbySettings>>();
+  @Output() missionsUpload = new EventEmitter<string>();
+
+  deckText = '';
+
+  get deckName(): string {
+    if (this.settings.missionDeck === 'none') return 'None';
+    if (this.settings.missionDeck === 'custom') return `Custom (${this.settings.customMissions.length})`;
+    const deck = this.missionDecks.find(d => d.id === this.settings.missionDeck);
+    return deck ? deck.name : this.settings.missionDeck;
+  }
+
+  update<K extends keyof LobbySettings>(key: K, value: LobbySettings[K]): void {
+    this.settingsChange.emit({ [key]: value });
+  }
+
+  uploadText(): void {
+    this.missionsUpload.emit(this.deckText);
+    this.deckText = '';
+  }
+
+  uploadFile(event: Event): void {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+    file.text().then(text => this.missionsUpload.emit(text));
+    input.value = '';
+  }
+}
@@ -0,0 +1,46 @@
+import { TestBed } from '@angular/core/testing';
+import { PhotoPicker } from './photo-picker';
+
+describe('PhotoPicker', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [PhotoPicker],
+    }).compileComponents();
+  });
+
+  it('should offer a selfie and let the player remove theirs', async () => {
+    const fixture = TestBed.createComponent(PhotoPicker);
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.photo-hint')?.textContent).toContain('optional');
+    expect(compiled.querySelector('button')).toBeNull();
+
+    let picked: File | null | undefined;
+    fixture.componentInstance.pick.subscribe(file => picked = file);
+    fixture.componentRef.setInput('src', 'blob:selfie');
+    fixture.detectChanges();
+    expect(compiled.querySelector('.photo-preview img')?.getAttribute('src')).toBe('blob:selfie');
+    (compiled.querySelector('button') as HTMLButtonElement).click();
+    expect(picked).toBeNull();
+  });
+
+  it('should hand on a picked file and let the same one be picked again', () => {
+    const fixture = TestBed.createComponent(PhotoPicker);
+    fixture.detectChanges();
+    const picked: (File | null)[] = [];
+    fixture.componentInstance.pick.subscribe(file => picked.push(file));
+
+    const input = (fixture.nativeElement as HTMLElement).querySelector('input[type=file]') as HTMLInputElement;
+    const selfie = new File(['jpeg'], 'selfie.jpg', { type: 'image/jpeg' });
+    Object.defineProperty(input, 'files', { configurable: true, value: [selfie] });
+    input.dispatchEvent(new Event('change'));
+    expect(picked).toEqual([selfie]);
+    expect(input.value).toBe('');
+
+    Object.defineProperty(input, 'files', { configurable: true, value: [] });
+    input.dispatchEvent(new Event('change'));
+    expect(picked).toEqual([selfie]);
+  });
+});
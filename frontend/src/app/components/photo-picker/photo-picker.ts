@@ -0,0 +1,24 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { CommonModule } from '@angular/common';
+
+// Take or pick a selfie so hunters can recognise you; always optional
+@Component({
+  selector: 'app-photo-picker',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './photo-picker.html',
+  styleUrl: './photo-picker.scss'
+})
+export class PhotoPicker {
+  @Input() src: string | null = null; // the current photo, if any
+  @Output() pick = new EventEmitter<File | null>();
+
+  fileChosen(event: Event): void {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (file) {
+      this.pick.emit(file);
+    }
+    input.value = ''; // picking the same file again still counts
+  }
+}
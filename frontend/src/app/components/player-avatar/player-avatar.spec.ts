@@ -0,0 +1,26 @@
+import { TestBed } from '@angular/core/testing';
+import { PlayerAvatar } from './player-avatar';
+
+describe('PlayerAvatar', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [PlayerAvatar],
+    }).compileComponents();
+  });
+
+  it('should show the photo, and the initial without one', async () => {
+    const fixture = TestBed.createComponent(PlayerAvatar);
+    fixture.componentRef.setInput('name', 'ada');
+    fixture.componentRef.setInput('photo', '0123456789abcdef0123456789abcdef');
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('img')?.getAttribute('src')).toMatch(/\/photos\/0123456789abcdef0123456789abcdef\.jpg$/);
+
+    fixture.componentRef.setInput('photo', null);
+    fixture.detectChanges();
+    expect(compiled.querySelector('img')).toBeNull();
+    expect(compiled.textContent?.trim()).toBe('A');
+  });
+});
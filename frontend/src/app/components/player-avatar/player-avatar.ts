@@ -0,0 +1,24 @@
+import { Component, Input } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { photoUrl } from '../../services/socket.service';
+
+// A player's photo, or their initial when they have none (or it can't be loaded)
+@Component({
+  selector: 'app-player-avatar',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './player-avatar.html',
+  styleUrl: './player-avatar.scss'
+})
+export class PlayerAvatar {
+  @Input({ required: true }) name!: string;
+  @Input() set photo(photoId: string | null) {
+    this.src = photoId ? photoUrl(photoId) : null;
+  }
+
+  src: string | null = null;
+
+  get initial(): string {
+    return this.name.charAt(0).toUpperCase();
+  }
+}
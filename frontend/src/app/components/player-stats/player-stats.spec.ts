@@ -0,0 +1,47 @@
+import { TestBed } from '@angular/core/testing';
+import { PlayerStats, formatSurvival } from './player-stats';
+
+describe('PlayerStats', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [PlayerStats],
+    }).compileComponents();
+  });
+
+  it('should show the record and report the tracking switch', async () => {
+    const fixture = TestBed.createComponent(PlayerStats);
+    fixture.componentInstance.tracking = true;
+    fixture.componentInstance.stats = {
+      name: 'Ada',
+      gamesPlayed: 4,
+      wins: 1,
+      kills: 6,
+      deaths: 3,
+      denials: 2,
+      averageSurvivalMs: 725000,
+      lastPlayedAt: 0
+    };
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    const values = Array.from(compiled.querySelectorAll('.stat dd')).map(dd => dd.textContent?.trim());
+    expect(values).toEqual(['4', '1', '25%', '6', '3', '2', '12m 05s']);
+
+    let tracking: boolean | null = null;
+    fixture.componentInstance.trackingChange.subscribe((value: boolean) => tracking = value);
+    (compiled.querySelector('.track-toggle input') as HTMLInputElement).click();
+    expect(tracking).toBe(false);
+  });
+
+  it('should say when there is nothing on record', async () => {
+    const fixture = TestBed.createComponent(PlayerStats);
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.stats-grid')).toBeNull();
+    expect(compiled.querySelector('.stats-empty')?.textContent).toContain('No games on record');
+    expect(formatSurvival(3780000)).toBe('1h 03m');
+  });
+});
@@ -0,0 +1,40 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ProfileStats } from '../../services/socket.service';
+
+// How long someone typically lasts, e.g. "42s", "12m 05s" or "1h 03m"
+export const formatSurvival = (ms: number): string => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = totalSeconds % 60;
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+};
+
+// This device's record across games, and the switch that decides whether games count towards it
+@Component({
+  selector: 'app-player-stats',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './player-stats.html',
+  styleUrl: './player-stats.scss'
+})
+export class PlayerStats {
+  @Input() stats: ProfileStats | null = null;
+  @Input() loading = false;
+  @Input() tracking = false;
+  @Output() trackingChange = new EventEmitter<boolean>();
+
+  survival = formatSurvival;
+
+  winRate(stats: ProfileStats): string {
+    return stats.gamesPlayed > 0 ? `${Math.round(100 * stats.wins / stats.gamesPlayed)}%` : '-';
+  }
+
+  toggleTracking(event: Event): void {
+    this.trackingChange.emit((event.target as HTMLInputElement).checked);
+  }
+}
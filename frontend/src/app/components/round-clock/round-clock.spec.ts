@@ -0,0 +1,40 @@
+import { TestBed } from '@angular/core/testing';
+import { RoundClock } from './round-clock';
+
+describe('RoundClock', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [RoundClock],
+    }).compileComponents();
+  });
+
+  it('should count down the game clock and the heat', async () => {
+    const fixture = TestBed.createComponent(RoundClock);
+    const clock = fixture.componentInstance;
+    clock.now = 1_000_000;
+    clock.endsAt = 1_000_000 + 754_000;
+    clock.heatDeadline = 1_000_000 + 45_000;
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.game-time')?.textContent).toBe('12:34');
+    expect(compiled.querySelector('.heat-time')?.textContent).toBe('0:45');
+    expect(compiled.querySelector('.heat-time')?.classList).toContain('urgent');
+  });
+
+  it('should reveal the chain in sudden death', async () => {
+    const fixture = TestBed.createComponent(RoundClock);
+    const clock = fixture.componentInstance;
+    clock.endsAt = Date.now() - 1000;
+    clock.suddenDeath = true;
+    clock.chain = [{ hunter: 'Ada', target: 'Ben' }, { hunter: 'Ben', target: 'Ada' }];
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.sudden-death')?.textContent).toContain('Sudden Death');
+    expect(compiled.querySelector('.game-time')).toBeNull();
+    expect(compiled.querySelectorAll('.reveal-chain li').length).toBe(2);
+  });
+});
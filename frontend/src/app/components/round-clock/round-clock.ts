@@ -0,0 +1,48 @@
+import { Component, Input, OnInit, OnDestroy, ChangeDetectorRef, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ChainLink } from '../../services/socket.service';
+
+// Game clock, personal heat deadline and the sudden-death reveal
+@Component({
+  selector: 'app-round-clock',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './round-clock.html',
+  styleUrl: './round-clock.scss'
+})
+export class RoundClock implements OnInit, OnDestroy {
+  private cdr = inject(ChangeDetectorRef);
+
+  @Input() endsAt: number | null = null;
+  @Input() suddenDeath = false;
+  @Input() chain: ChainLink[] = [];
+  @Input() heatDeadline: number | null = null;
+  @Input() exposed = false;
+  @Input() targetExposed = false;
+
+  now = Date.now();
+  private clockInterval: any;
+
+  ngOnInit(): void {
+    this.clockInterval = setInterval(() => {
+      this.now = Date.now();
+      this.cdr.detectChanges();
+    }, 1000);
+  }
+
+  ngOnDestroy(): void {
+    clearInterval(this.clockInterval);
+  }
+
+  remaining(deadline: number): string {
+    const totalSeconds = Math.max(0, Math.ceil((deadline - this.now) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  // The last minute before the heat catches up with you
+  isUrgent(deadline: number): boolean {
+    return deadline - this.now < 60000;
+  }
+}
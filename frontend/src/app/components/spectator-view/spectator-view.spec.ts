@@ -0,0 +1,82 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { SpectatorView } from './spectator-view';
+import { KillFeedEntry, SpectatorState } from '../../services/socket.service';
+
+describe('SpectatorView', () => {
+  let fixture: ComponentFixture<SpectatorView>;
+
+  const view = (overrides: Partial<SpectatorState> = {}): SpectatorState => ({
+    chain: [{ hunter: 'Ada', target: 'Cy' }, { hunter: 'Cy', target: 'Ada' }],
+    pendingKills: [],
+    aliveCount: 2,
+    startedAt: 1000,
+    ...overrides
+  });
+
+  async function render(state: SpectatorState, feed: KillFeedEntry[] = [], now = 66000): Promise<HTMLElement> {
+    fixture = TestBed.createComponent(SpectatorView);
+    fixture.componentInstance.view = state;
+    fixture.componentInstance.feed = feed;
+    fixture.componentInstance.now = now;
+    fixture.detectChanges();
+    await fixture.whenStable();
+    return fixture.nativeElement as HTMLElement;
+  }
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [SpectatorView],
+    }).compileComponents();
+  });
+
+  afterEach(() => fixture?.destroy());
+
+  it('should run the game clock from the start of the game', async () => {
+    const compiled = await render(view(), [], 1000 + 12 * 60000 + 5999);
+
+    expect(compiled.querySelector('.stat-value')?.textContent).toBe('12:05');
+    fixture.componentInstance.view = view({ startedAt: null });
+    expect(fixture.componentInstance.gameClock).toBe('0:00');
+  });
+
+  it('should count pending kills down to zero', async () => {
+    const compiled = await render(view({
+      pendingKills: [
+        { killer: 'Ada', victim: 'Cy', deadline: 70500 },
+        { killer: 'Cy', victim: 'Ada', deadline: 60000 }
+      ]
+    }));
+
+    const pending = compiled.querySelectorAll('.pending');
+    expect(pending[0].textContent).toContain('Ada → Cy');
+    expect(pending[0].querySelector('.countdown')?.textContent).toBe('5s');
+    expect(pending[1].querySelector('.countdown')?.textContent).toBe('0s');
+  });
+
+  it('should hide the happening now section when no kill is pending', async () => {
+    const compiled = await render(view());
+
+    expect(compiled.querySelector('.pending')).toBeNull();
+    expect(compiled.querySelectorAll('.spectator-section')[0].textContent).toContain('Who Hunts Whom');
+  });
+
+  it('should list the chain from hunter to target', async () => {
+    const compiled = await render(view());
+
+    const links = Array.from(compiled.querySelectorAll('.spectator-section li'))
+      .map(li => li.textContent?.replace(/\s+/g, ''));
+    expect(links).toEqual(['Ada→Cy', 'Cy→Ada']);
+  });
+
+  it('should show the newest eliminations first and name killers only when known', async () => {
+    const compiled = await render(view(), [
+      { victim: 'Ben', killer: 'Ada', at: 30000 },
+      { victim: 'Dot', at: 40000 },
+      { victim: 'Eve', at: 50000, left: true }
+    ]);
+
+    const feed = Array.from(compiled.querySelectorAll('.spectator-section:last-child li'))
+      .map(li => li.textContent?.trim());
+    expect(feed).toEqual(['Eve left the game', 'Dot was eliminated', 'Ada eliminated Ben']);
+  });
+});
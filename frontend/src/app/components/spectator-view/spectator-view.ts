@@ -0,0 +1,48 @@
+import { Component, Input, OnInit, OnDestroy, ChangeDetectorRef, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { KillFeedEntry, SpectatorState } from '../../services/socket.service';
+
+@Component({
+  selector: 'app-spectator-view',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './spectator-view.html',
+  styleUrl: './spectator-view.scss'
+})
+export class SpectatorView implements OnInit, OnDestroy {
+  private cdr = inject(ChangeDetectorRef);
+
+  @Input({ required: true }) view!: SpectatorState;
+  @Input() feed: KillFeedEntry[] = [];
+
+  now = Date.now();
+  private clockInterval: any;
+
+  ngOnInit(): void {
+    // Tick once a second for the game clock and pending kill countdowns
+    this.clockInterval = setInterval(() => {
+      this.now = Date.now();
+      this.cdr.detectChanges();
+    }, 1000);
+  }
+
+  ngOnDestroy(): void {
+    clearInterval(this.clockInterval);
+  }
+
+  get gameClock(): string {
+    if (!this.view.startedAt) return '0:00';
+    const totalSeconds = Math.max(0, Math.floor((this.now - this.view.startedAt) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  get latestFirst(): KillFeedEntry[] {
+    return [...this.feed].reverse();
+  }
+
+  secondsLeft(deadline: number): number {
+    return Math.max(0, Math.ceil((deadline - this.now) / 1000));
+  }
+}
@@ -0,0 +1,36 @@
+import { TestBed } from '@angular/core/testing';
+import { TeamPicker } from './team-picker';
+
+describe('TeamPicker', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [TeamPicker],
+    }).compileComponents();
+  });
+
+  it('should count members and let players switch team', async () => {
+    const fixture = TestBed.createComponent(TeamPicker);
+    const picker = fixture.componentInstance;
+    picker.teams = [
+      { id: 'crimson', name: 'Crimson', color: '#DC143C' },
+      { id: 'azure', name: 'Azure', color: '#3A7BD5' }
+    ];
+    picker.players = [
+      { id: 'a', name: 'Ada', team: 'crimson', photo: null, isHost: true },
+      { id: 'b', name: 'Ben', team: 'crimson', photo: null, isHost: false },
+      { id: 'c', name: 'Cy', team: 'azure', photo: null, isHost: false }
+    ];
+    picker.myTeam = 'crimson';
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    const buttons = (fixture.nativeElement as HTMLElement).querySelectorAll<HTMLButtonElement>('.team');
+    expect(buttons[0].textContent).toContain('2');
+    expect(buttons[0].disabled).toBe(true);
+
+    let chosen = '';
+    picker.choose.subscribe(team => chosen = team);
+    buttons[1].click();
+    expect(chosen).toBe('azure');
+  });
+});
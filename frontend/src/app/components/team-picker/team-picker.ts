@@ -0,0 +1,23 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { Player, TeamInfo } from '../../services/socket.service';
+
+@Component({
+  selector: 'app-team-picker',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './team-picker.html',
+  styleUrl: './team-picker.scss'
+})
+export class TeamPicker {
+  @Input({ required: true }) teams!: TeamInfo[];
+  @Input() players: Player[] = [];
+  @Input() myTeam: string | null = null;
+  @Input() isHost = false;
+  @Output() choose = new EventEmitter<string>();
+  @Output() balance = new EventEmitter<void>();
+
+  members(team: TeamInfo): Player[] {
+    return this.players.filter(p => p.team === team.id);
+  }
+}
@@ -0,0 +1,29 @@
+import { TestBed } from '@angular/core/testing';
+import { UpdatePrompt } from './update-prompt';
+
+describe('UpdatePrompt', () => {
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [UpdatePrompt],
+    }).compileComponents();
+  });
+
+  it('should offer a reload and let the player put it off', async () => {
+    const fixture = TestBed.createComponent(UpdatePrompt);
+    fixture.detectChanges();
+    await fixture.whenStable();
+
+    let reloads = 0;
+    let dismissals = 0;
+    fixture.componentInstance.reload.subscribe(() => reloads++);
+    fixture.componentInstance.dismiss.subscribe(() => dismissals++);
+
+    const compiled = fixture.nativeElement as HTMLElement;
+    expect(compiled.querySelector('.update-message')?.textContent).toContain('new version');
+    const [reload, later] = Array.from(compiled.querySelectorAll('.update-actions button')) as HTMLButtonElement[];
+    later.click();
+    expect(dismissals).toBe(1);
+    reload.click();
+    expect(reloads).toBe(1);
+  });
+});
@@ -0,0 +1,13 @@
+import { Component, EventEmitter, Output } from '@angular/core';
+
+// Offers the new version of the app; the parent only shows it where a reload can't cost a kill
+@Component({
+  selector: 'app-update-prompt',
+  standalone: true,
+  templateUrl: './update-prompt.html',
+  styleUrl: './update-prompt.scss'
+})
+export class UpdatePrompt {
+  @Output() reload = new EventEmitter<void>();
+  @Output() dismiss = new EventEmitter<void>();
+}
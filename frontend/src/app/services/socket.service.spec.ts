@@ -0,0 +1,515 @@
+import { TestBed } from '@angular/core/testing';
+import { vi } from 'vitest';
+import { SocketService, photoUrl } from './socket.service';
+
+// Stand-in for the socket.io connection: records what the service emits and lets tests play server events
+class FakeSocket {
+  id = 'me';
+  connected = true;
+  handlers = new Map<string, (payload?: any) => void>();
+  emitted: [string, any][] = [];
+
+  on(event: string, handler: (payload?: any) => void): void {
+    this.handlers.set(event, handler);
+  }
+
+  emit(event: string, payload?: any): void {
+    this.emitted.push([event, payload]);
+  }
+
+  connect(): void {}
+
+  receive(event: string, payload?: any): void {
+    this.handlers.get(event)?.(payload);
+  }
+
+  sent(event: string): any[] {
+    return this.emitted.filter(([name]) => name === event).map(([, payload]) => payload);
+  }
+}
+
+describe('SocketService', () => {
+  let service: SocketService;
+  let fake: FakeSocket;
+  let lastError: string | null;
+
+  // Swap the real connection for a fake one and listen on that instead
+  function useFakeSocket(): void {
+    const internals = service as any;
+    internals.socket.disconnect();
+    fake = new FakeSocket();
+    internals.socket = fake;
+    internals.setupListeners();
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = TestBed.inject(SocketService);
+    useFakeSocket();
+    service.error$.subscribe(message => lastError = message);
+  });
+
+  afterEach(() => vi.useRealTimers());
+
+  describe('mission decks', () => {
+    const decks = [{ id: 'classic', name: 'Classic Handoff', count: 12 }];
+
+    it('should keep the bundled decks offered when the lobby is created', () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionId: 's1', players: [], missionDecks: decks });
+
+      expect(service.getCurrentState().missionDecks).toEqual(decks);
+    });
+
+    it('should only send a deck upload for the host', () => {
+      fake.receive('lobby-joined', { code: 'ABCD', sessionId: 's1', players: [] });
+      service.uploadMissions('Hold a spoon');
+      expect(fake.sent('upload-missions')).toEqual([]);
+
+      fake.receive('lobby-created', { code: 'ABCD', sessionId: 's1', players: [] });
+      service.uploadMissions('Hold a spoon');
+      expect(fake.sent('upload-missions')).toEqual([{ code: 'ABCD', text: 'Hold a spoon' }]);
+    });
+
+    it('should show why an upload was rejected, then clear it', () => {
+      vi.useFakeTimers();
+      fake.receive('lobby-created', { code: 'ABCD', sessionId: 's1', players: [] });
+      service.uploadMissions('["Hold a spoon",');
+
+      fake.receive('error', { message: 'The mission deck is not valid JSON' });
+      expect(lastError).toBe('The mission deck is not valid JSON');
+      expect(service.getCurrentState().settings.missionDeck).toBe('none');
+
+      vi.advanceTimersByTime(5000);
+      expect(lastError).toBeNull();
+    });
+
+    it('should switch to the uploaded deck once the server accepts it', () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionId: 's1', players: [] });
+      const settings = { ...service.getCurrentState().settings, missionDeck: 'custom', customMissions: ['Hold a spoon'] };
+
+      fake.receive('settings-updated', { settings });
+      expect(service.getCurrentState().settings.customMissions).toEqual(['Hold a spoon']);
+    });
+
+    it('should replace the mission after a kill and drop it when the game ends', () => {
+      fake.receive('game-started', { target: 'Ben', mission: 'Hold a spoon', allPlayers: [] });
+      expect(service.getCurrentState().mission).toBe('Hold a spoon');
+
+      fake.receive('kill-confirmed', { newTarget: 'Cy', newMission: 'Say banana', isGameOver: false });
+      expect(service.getCurrentState().mission).toBe('Say banana');
+
+      fake.receive('kill-confirmed', { newTarget: null, newMission: null, isGameOver: true });
+      expect(service.getCurrentState().phase).toBe('ended');
+    });
+  });
+
+  describe('reconnecting', () => {
+    // The session a page keeps in localStorage between reloads
+    const savedSession = () => JSON.parse(localStorage.getItem('assassin_session') || 'null');
+
+    it('should ask to rejoin with the saved token and the last event it saw', () => {
+      localStorage.setItem('assassin_session', JSON.stringify({ sessionToken: 't1', lobbyCode: 'ABCD', lastSeq: 4 }));
+
+      (service as any).tryRejoin();
+      expect(fake.sent('rejoin')).toEqual([{ sessionToken: 't1', lastSeq: 4 }]);
+    });
+
+    it('should remember the latest private event with the session', () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+      fake.receive('game-started', { target: 'Ben', allPlayers: [], seq: 3 });
+      expect(savedSession().lastSeq).toBe(3);
+
+      fake.receive('kill-pending', { deadline: 1000, denialsLeft: 2, seq: 4 });
+      expect(savedSession()).toEqual({ sessionToken: 't1', lobbyCode: 'ABCD', lastSeq: 4 });
+    });
+
+    it('should ignore a private event it has already seen', () => {
+      fake.receive('game-started', { target: 'Ben', allPlayers: [], seq: 3 });
+      fake.receive('kill-pending', { deadline: 1000, denialsLeft: 2, seq: 4 });
+      fake.receive('kill-cancelled', { seq: 5 });
+
+      fake.receive('kill-pending', { deadline: 1000, denialsLeft: 2, seq: 4 });
+      expect(service.getCurrentState().pendingKill).toBe(false);
+    });
+
+    it('should play missed events before settling on the rejoin snapshot', () => {
+      fake.receive('game-started', { target: 'Ben', allPlayers: [], seq: 3 });
+      fake.receive('kill-pending', { deadline: 1000, denialsLeft: 2, seq: 4 });
+
+      fake.receive('rejoin-success', {
+        code: 'ABCD', sessionToken: 't2', phase: 'playing', players: [], isAlive: true, target: 'Cy', seq: 6,
+        missed: [
+          { seq: 4, event: 'kill-pending', payload: { deadline: 1000, denialsLeft: 2 } },
+          { seq: 5, event: 'target-changed', payload: { target: 'Cy' } },
+          { seq: 6, event: 'hunter-exposed', payload: { hunter: 'Dot' } }
+        ],
+        pendingKill: { deadline: 9000, denialsLeft: 1 },
+        awaitingKill: null
+      });
+
+      const state = service.getCurrentState();
+      expect(state.target).toBe('Cy');
+      expect(state.hunterExposed).toBe('Dot');
+      expect(state.pendingKill).toBe(true);
+      expect(state.killDeadline).toBe(9000);
+      expect(state.denialsLeft).toBe(1);
+      expect(state.waitingForKillConfirmation).toBe(false);
+      expect(savedSession()).toEqual({ sessionToken: 't2', lobbyCode: 'ABCD', lastSeq: 6 });
+    });
+
+    it('should show a killer still waiting on their kill after a rejoin', () => {
+      fake.receive('rejoin-success', {
+        code: 'ABCD', sessionToken: 't2', phase: 'playing', players: [], isAlive: true, target: 'Cy', seq: 2,
+        missed: null, pendingKill: null, awaitingKill: { deadline: 7000 }
+      });
+
+      const state = service.getCurrentState();
+      expect(state.waitingForKillConfirmation).toBe(true);
+      expect(state.killDeadline).toBe(7000);
+      expect(state.pendingKill).toBe(false);
+    });
+
+    it('should not send a second rejoin while one is on its way', () => {
+      localStorage.setItem('assassin_session', JSON.stringify({ sessionToken: 't1', lobbyCode: 'ABCD', lastSeq: 4 }));
+
+      (service as any).tryRejoin();
+      (service as any).tryRejoin();
+      expect(fake.sent('rejoin')).toHaveLength(1);
+
+      // The server could not take it (say, rate limited): the next connect asks again with the same token
+      fake.receive('error', { event: 'rejoin', message: 'Too many requests' });
+      expect(savedSession().sessionToken).toBe('t1');
+      (service as any).tryRejoin();
+      expect(fake.sent('rejoin')).toEqual([{ sessionToken: 't1', lastSeq: 4 }, { sessionToken: 't1', lastSeq: 4 }]);
+    });
+
+    it('should settle on the snapshot without replaying the drama of a death missed while away', () => {
+      vi.useFakeTimers();
+      const events: any[] = [];
+      service.events$.subscribe(event => event && events.push(event));
+      fake.receive('game-started', { target: 'Ben', allPlayers: [], seq: 3 });
+
+      fake.receive('rejoin-success', {
+        code: 'ABCD', sessionToken: 't2', phase: 'ended', players: [], isAlive: false, target: null, seq: 5,
+        missed: [
+          { seq: 4, event: 'kill-confirmed', payload: { newTarget: 'Cy', newMission: null, isGameOver: false } },
+          { seq: 5, event: 'you-died', payload: {} }
+        ],
+        pendingKill: null, awaitingKill: null
+      });
+      vi.advanceTimersByTime(3000);
+
+      expect(events.map(event => event.type)).not.toContain('kill_confirmed');
+      expect(events.map(event => event.type)).not.toContain('death_animation');
+      expect(service.getCurrentState().phase).toBe('ended');
+    });
+
+    it('should not let a death animation outlast the end of the game', () => {
+      vi.useFakeTimers();
+      fake.receive('game-started', { target: 'Ben', allPlayers: [], seq: 3 });
+
+      fake.receive('you-died', { seq: 4 });
+      fake.receive('kill-confirmed', { newTarget: null, newMission: null, isGameOver: true, seq: 5 });
+      vi.advanceTimersByTime(3000);
+      expect(service.getCurrentState().phase).toBe('ended');
+    });
+
+    it('should catch up on a live connection without touching the session token', () => {
+      fake.receive('lobby-joined', { code: 'ABCD', sessionToken: 't1', players: [] });
+      fake.receive('game-started', { target: 'Ben', allPlayers: [], seq: 3 });
+
+      (service as any).resync();
+      expect(fake.sent('sync')).toEqual([{ code: 'ABCD', lastSeq: 3 }]);
+      expect(fake.sent('rejoin')).toEqual([]);
+
+      fake.receive('synced', {
+        code: 'ABCD', phase: 'playing', players: [], isAlive: true, target: 'Ben', aliveCount: 3, seq: 4,
+        missed: [{ seq: 4, event: 'kill-pending', payload: { deadline: 9000, denialsLeft: 2 } }],
+        pendingKill: { deadline: 9000, denialsLeft: 2 }, awaitingKill: null
+      });
+      const state = service.getCurrentState();
+      expect(state.pendingKill).toBe(true);
+      expect(state.killDeadline).toBe(9000);
+      expect(state.aliveCount).toBe(3);
+      expect(savedSession()).toEqual({ sessionToken: 't1', lobbyCode: 'ABCD', lastSeq: 4 });
+    });
+
+    it('should reconnect rather than sync when the connection is down, and leave a rejoin on its way alone', () => {
+      const connect = vi.spyOn(fake, 'connect');
+      fake.receive('lobby-joined', { code: 'ABCD', sessionToken: 't1', players: [] });
+      fake.connected = false;
+      (service as any).resync();
+      expect(connect).toHaveBeenCalledTimes(1);
+
+      fake.connected = true;
+      (service as any).tryRejoin();
+      (service as any).resync();
+      expect(fake.sent('sync')).toEqual([]);
+    });
+
+    it('should keep the session when a rejoin fails for a reason that may pass', () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+
+      fake.receive('rejoin-failed', { reason: 'unavailable' });
+      expect(service.getCurrentState().lobbyCode).toBe('ABCD');
+      expect(savedSession().sessionToken).toBe('t1');
+    });
+
+    it('should go back to the start when a rejoin fails mid-game', () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+
+      fake.receive('rejoin-failed', { reason: 'session_invalid' });
+      expect(service.getCurrentState().lobbyCode).toBeNull();
+      expect(savedSession()).toBeNull();
+      expect(lastError).toBe('You lost your place in the lobby - join again');
+    });
+  });
+
+  describe('push notifications', () => {
+    // The server's VAPID public key as sent in push-config, and the same key as bytes
+    const PUBLIC_KEY = 'BAEC_w';
+    const KEY_BYTES = [4, 1, 2, 255];
+    let registration: any;
+    let subscription: any;
+
+    beforeEach(() => {
+      subscription = {
+        options: { applicationServerKey: new Uint8Array(KEY_BYTES).buffer },
+        toJSON: () => ({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'p', auth: 'a' } }),
+        unsubscribe: vi.fn(() => Promise.resolve(true))
+      };
+      registration = {
+        pushManager: {
+          getSubscription: vi.fn(() => Promise.resolve(null)),
+          subscribe: vi.fn(() => Promise.resolve(subscription))
+        }
+      };
+      Object.defineProperty(navigator, 'serviceWorker', {
+        configurable: true,
+        value: { ready: Promise.resolve(registration), addEventListener: () => {} }
+      });
+      vi.stubGlobal('PushManager', class {});
+      vi.stubGlobal('Notification', { permission: 'granted', requestPermission: vi.fn(() => Promise.resolve('granted')) });
+    });
+
+    afterEach(() => {
+      delete (navigator as any).serviceWorker;
+      vi.unstubAllGlobals();
+    });
+
+    it('should hand the server a subscription for its key once in a lobby', async () => {
+      fake.receive('push-config', { publicKey: PUBLIC_KEY });
+      fake.receive('lobby-joined', { code: 'ABCD', sessionToken: 't1', players: [] });
+
+      await vi.waitFor(() => expect(fake.sent('push-subscribe')).toHaveLength(1));
+      expect(fake.sent('push-subscribe')[0]).toEqual({ code: 'ABCD', subscription: subscription.toJSON() });
+      const { userVisibleOnly, applicationServerKey } = registration.pushManager.subscribe.mock.calls[0][0];
+      expect(userVisibleOnly).toBe(true);
+      expect(Array.from(applicationServerKey)).toEqual(KEY_BYTES);
+    });
+
+    it('should replace a subscription made for another server', async () => {
+      const stale = { options: { applicationServerKey: new Uint8Array([9, 9]).buffer }, unsubscribe: vi.fn(() => Promise.resolve(true)) };
+      registration.pushManager.getSubscription.mockResolvedValue(stale);
+
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+      fake.receive('push-config', { publicKey: PUBLIC_KEY });
+
+      await vi.waitFor(() => expect(fake.sent('push-subscribe')).toHaveLength(1));
+      expect(stale.unsubscribe).toHaveBeenCalled();
+      expect(registration.pushManager.subscribe).toHaveBeenCalled();
+    });
+
+    it('should keep a subscription already made for this server', async () => {
+      registration.pushManager.getSubscription.mockResolvedValue(subscription);
+
+      fake.receive('push-config', { publicKey: PUBLIC_KEY });
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+
+      await vi.waitFor(() => expect(fake.sent('push-subscribe')).toHaveLength(1));
+      expect(registration.pushManager.subscribe).not.toHaveBeenCalled();
+    });
+
+    it('should not subscribe without permission or a server that pushes', async () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+      (Notification as any).permission = 'denied';
+      fake.receive('push-config', { publicKey: PUBLIC_KEY });
+
+      await Promise.resolve();
+      expect(registration.pushManager.getSubscription).not.toHaveBeenCalled();
+      expect(fake.sent('push-subscribe')).toEqual([]);
+    });
+
+    it('should not subscribe where there is push but no notifications (iOS outside the installed app)', async () => {
+      delete (window as any).Notification;
+      fake.receive('push-config', { publicKey: PUBLIC_KEY });
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+
+      await Promise.resolve();
+      expect(registration.pushManager.getSubscription).not.toHaveBeenCalled();
+      expect(fake.sent('push-subscribe')).toEqual([]);
+    });
+
+    it('should ask for permission when joining, only if the server pushes', () => {
+      (Notification as any).permission = 'default';
+      service.joinLobby('abcd', 'Ann');
+      expect(Notification.requestPermission).not.toHaveBeenCalled();
+
+      fake.receive('push-config', { publicKey: PUBLIC_KEY });
+      service.joinLobby('abcd', 'Ann');
+      expect(Notification.requestPermission).toHaveBeenCalledTimes(1);
+      expect(fake.sent('join-lobby').at(-1)).toEqual({ code: 'ABCD', playerName: 'Ann' });
+    });
+  });
+
+  describe('join links', () => {
+    // Everything the service passes on to the screens, latest last
+    const events: any[] = [];
+
+    beforeEach(() => {
+      events.length = 0;
+      service.events$.subscribe(event => event && events.push(event));
+    });
+
+    it('should ask the server whether a linked lobby takes players', () => {
+      service.checkLobby('4821');
+      expect(fake.sent('check-lobby')).toEqual([{ code: '4821' }]);
+
+      fake.receive('lobby-status', { code: '4821', joinable: false, reason: 'full', message: 'Lobby is full' });
+      expect(events.at(-1)).toEqual({ type: 'lobby_status', code: '4821', joinable: false, reason: 'full', message: 'Lobby is full' });
+    });
+
+    it('should show why a join failed and pass the reason on', () => {
+      vi.useFakeTimers();
+      fake.receive('join-failed', { code: '4821', reason: 'name_taken', message: 'That name is already taken in this lobby' });
+
+      expect(lastError).toBe('That name is already taken in this lobby');
+      expect(events.at(-1)).toEqual({ type: 'join_failed', code: '4821', reason: 'name_taken' });
+      vi.advanceTimersByTime(5000);
+      expect(lastError).toBeNull();
+    });
+  });
+
+  describe('photos', () => {
+    let drawn: number[];
+
+    // A picked camera photo as the browser decodes it, drawn onto a canvas that encodes to a tiny JPEG
+    beforeEach(() => {
+      drawn = [];
+      vi.stubGlobal('createImageBitmap', vi.fn(() => Promise.resolve({ width: 2048, height: 1536, close: vi.fn() })));
+      vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+        drawImage: (_bitmap: unknown, ...box: number[]) => drawn.push(...box)
+      } as any);
+      const jpeg = { arrayBuffer: () => Promise.resolve(new TextEncoder().encode('jpeg').buffer) } as Blob;
+      vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(callback => callback(jpeg));
+    });
+
+    afterEach(() => vi.unstubAllGlobals());
+
+    // Let the picked photo be decoded, shrunk and sent
+    const settle = () => new Promise(resolve => setTimeout(resolve));
+
+    it('should hold a photo picked before joining until we are in the lobby', async () => {
+      service.choosePhoto(new Blob(['camera']));
+      await settle();
+      expect(fake.sent('set-photo')).toEqual([]);
+
+      fake.receive('lobby-joined', { code: 'ABCD', sessionToken: 't1', players: [] });
+      await settle();
+      const [{ code, photo }] = fake.sent('set-photo');
+      expect(code).toBe('ABCD');
+      expect(new TextDecoder().decode(photo)).toBe('jpeg');
+    });
+
+    it('should shrink a photo to fit the upload size, keeping its shape', async () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+      service.choosePhoto(new Blob(['camera']));
+      await settle();
+
+      expect(drawn).toEqual([0, 0, 512, 384]);
+      expect(fake.sent('set-photo')).toHaveLength(1);
+    });
+
+    it('should remove our photo in the lobby without anything to shrink', async () => {
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+      service.choosePhoto(null);
+      await settle();
+
+      expect(fake.sent('set-photo')).toEqual([{ code: 'ABCD', photo: null }]);
+      expect(createImageBitmap).not.toHaveBeenCalled();
+    });
+
+    it('should say so when a picked file is not a picture', async () => {
+      vi.mocked(createImageBitmap).mockRejectedValue(new Error('InvalidStateError'));
+      fake.receive('lobby-created', { code: 'ABCD', sessionToken: 't1', players: [] });
+      service.choosePhoto(new Blob(['notes.txt']));
+      await settle();
+
+      expect(fake.sent('set-photo')).toEqual([]);
+      expect(lastError).toBe('That photo could not be read - try another one');
+    });
+
+    it('should follow the photo of whoever we are hunting', () => {
+      fake.receive('game-started', { target: 'Ben', targetPhoto: 'b'.repeat(32), allPlayers: [], seq: 1 });
+      expect(service.getCurrentState().targetPhoto).toBe('b'.repeat(32));
+
+      fake.receive('target-changed', { target: 'Cy', seq: 2 });
+      expect(service.getCurrentState().targetPhoto).toBeNull();
+      expect(photoUrl('c'.repeat(32))).toBe(`http://localhost:3000/photos/${'c'.repeat(32)}.jpg`);
+    });
+  });
+
+  describe('stats', () => {
+    const events: any[] = [];
+
+    beforeEach(() => {
+      events.length = 0;
+      service.events$.subscribe(event => event && events.push(event));
+    });
+
+    it('should only send a profile key once the player opts in', () => {
+      service.joinLobby('abcd', 'Ann');
+      expect(fake.sent('join-lobby')[0].profileKey).toBeUndefined();
+
+      service.setTrackingStats(true);
+      service.createLobby('Ann');
+      const [{ profileKey }] = fake.sent('create-lobby');
+      expect(profileKey).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(service.isTrackingStats()).toBe(true);
+    });
+
+    it('should keep the same key through opting out and back in', () => {
+      service.setTrackingStats(true);
+      service.joinLobby('abcd', 'Ann');
+      service.setTrackingStats(false);
+      service.joinLobby('abcd', 'Ann');
+      service.setTrackingStats(true);
+      service.joinLobby('abcd', 'Ann');
+
+      const [first, optedOut, again] = fake.sent('join-lobby').map(payload => payload.profileKey);
+      expect(optedOut).toBeUndefined();
+      expect(again).toBe(first);
+    });
+
+    it('should ask for our stats by key, and answer itself for a device that never kept any', () => {
+      service.requestProfile();
+      expect(fake.sent('get-profile')).toEqual([]);
+      expect(events.at(-1)).toEqual({ type: 'profile', stats: null });
+
+      service.setTrackingStats(true);
+      service.requestProfile();
+      expect(fake.sent('get-profile')).toEqual([{ profileKey: localStorage.getItem('assassin_profile_key') }]);
+    });
+
+    it('should pass the leaderboard and our stats on to the screens', () => {
+      const ada = { name: 'Ada', gamesPlayed: 1, wins: 1, kills: 2, deaths: 0, denials: 0, averageSurvivalMs: 60000, lastPlayedAt: 1 };
+      service.requestLeaderboard();
+      expect(fake.sent('get-leaderboard')).toHaveLength(1);
+
+      fake.receive('leaderboard', { entries: [ada] });
+      expect(events.at(-1)).toEqual({ type: 'leaderboard', entries: [ada] });
+      fake.receive('profile', { stats: ada });
+      expect(events.at(-1)).toEqual({ type: 'profile', stats: ada });
+    });
+  });
+});
@@ -5,13 +5,133 @@ import { BehaviorSubject } from 'rxjs';
 export interface Player {
     id: string;
     name: string;
+    team: string | null;
+    photo: string | null; // id for photoUrl()
     isHost: boolean;
 }
 
 export interface PlayerStatus {
+    id: string;
     name: string;
+    team: string | null;
+    photo: string | null;
     alive: boolean;
     connected: boolean;
+    dropDeadline: number | null; // when a disconnected player will be dropped from the game
+}
+
+export interface LobbySettings {
+    killConfirmSeconds: number;
+    timeoutAction: 'confirm' | 'cancel';
+    minPlayers: number;
+    maxPlayers: number;
+    teamCount: number; // 0 = free for all
+    gameDurationMinutes: number; // 0 = no game clock
+    heatMinutes: number; // 0 = no heat phases
+    heatPenalty: 'expose' | 'eliminate';
+    disconnectGraceSeconds: number;
+    allowDeny: boolean;
+    maxDenials: number;
+    disputeJudge: 'host' | 'dead';
+    verificationMode: 'confirm' | 'word';
+    wrongWordPenalty: 'cooldown' | 'expose';
+    wrongWordCooldownSeconds: number;
+    missionDeck: string;
+    missionOnKill: 'fresh' | 'inherit';
+    customMissions: string[];
+}
+
+export interface TeamInfo {
+    id: string;
+    name: string;
+    color: string;
+}
+
+export interface MissionDeckInfo {
+    id: string;
+    name: string;
+    count: number;
+}
+
+export const DEFAULT_SETTINGS: LobbySettings = {
+    killConfirmSeconds: 15,
+    timeoutAction: 'confirm',
+    minPlayers: 3,
+    maxPlayers: 20,
+    teamCount: 0,
+    gameDurationMinutes: 0,
+    heatMinutes: 0,
+    heatPenalty: 'expose',
+    disconnectGraceSeconds: 120,
+    allowDeny: true,
+    maxDenials: 3,
+    disputeJudge: 'host',
+    verificationMode: 'confirm',
+    wrongWordPenalty: 'cooldown',
+    wrongWordCooldownSeconds: 60,
+    missionDeck: 'none',
+    missionOnKill: 'fresh',
+    customMissions: []
+};
+
+export interface GameEvent {
+    type: string;
+    at: number;
+    killer?: string;
+    victim?: string;
+    player?: string;
+    hunter?: string | null;
+    ruling?: 'confirm' | 'deny';
+    by?: 'host' | 'vote';
+}
+
+export interface GameAward {
+    title: string;
+    name: string;
+    detail: string;
+}
+
+export interface GameSummary {
+    winner: string | null;
+    startedAt: number;
+    endedAt: number | null;
+    chain: string[];
+    feed: GameEvent[];
+    killCounts: { name: string; kills: number }[];
+    awards: GameAward[];
+}
+
+export interface KillFeedEntry {
+    victim: string;
+    at: number;
+    killer?: string; // only ever sent to spectators
+    left?: boolean;
+    dropped?: boolean; // left because they stayed disconnected too long
+    burntOut?: boolean; // eliminated by the heat for going too long without a kill
+}
+
+export interface ChainLink {
+    hunter: string;
+    target: string;
+}
+
+export interface SpectatorState {
+    chain: ChainLink[];
+    pendingKills: { killer: string; victim: string; deadline: number }[];
+    aliveCount: number;
+    startedAt: number | null;
+}
+
+// A denied kill awaiting a ruling, as seen by one of its judges
+export interface Dispute {
+    id: string;
+    killer: string;
+    victim: string;
+    at: number;
+    judges: number;
+    confirmVotes: number;
+    denyVotes: number;
+    myVote: 'confirm' | 'deny' | null;
 }
 
 export interface GameState {
@@ -21,16 +141,92 @@ export interface GameState {
     allPlayers: PlayerStatus[];
     isHost: boolean;
     target: string | null;
+    targetPhoto: string | null;
     aliveCount: number;
     winner: string | null;
     pendingKill: boolean;
     waitingForKillConfirmation: boolean;
     playerName: string | null;
+    settings: LobbySettings;
+    summary: GameSummary | null;
+    killFeed: KillFeedEntry[];
+    spectator: SpectatorState | null;
+    killWord: string | null;
+    mission: string | null;
+    missionDecks: MissionDeckInfo[];
+    teams: TeamInfo[];
+    hunterExposed: string | null;
+    claimCooldownUntil: number | null;
+    disputes: Dispute[];
+    killDisputed: boolean;
+    denialsLeft: number | null;
+    endsAt: number | null; // when the game clock runs out
+    suddenDeath: boolean;
+    suddenDeathChain: ChainLink[]; // every assignment, public once sudden death starts
+    heatDeadline: number | null; // make a kill by then or suffer the heat penalty
+    exposed: boolean; // burnt by the heat: our hunter knows and we can't deny
+    targetExposed: boolean;
     killDeadline?: number;
 }
 
+// A player's totals across every game they kept stats for
+export interface ProfileStats {
+    name: string; // the name they last played under
+    gamesPlayed: number;
+    wins: number;
+    kills: number;
+    deaths: number;
+    denials: number;
+    averageSurvivalMs: number;
+    lastPlayedAt: number | null;
+}
+
 const SESSION_KEY = 'assassin_session';
+// Rejoin failures that mean the session is over for good (lobby deleted, kicked or left, expired)
+const SESSION_ENDED_REASONS = ['lobby_gone', 'session_invalid', 'session_expired'];
 const PLAYER_NAME_KEY = 'assassin_player_name';
+const PROFILE_KEY = 'assassin_profile_key';
+const TRACK_STATS_KEY = 'assassin_track_stats';
+
+// The server shrinks photos again; this only keeps uploads small
+const PHOTO_UPLOAD_SIZE = 512;
+const PHOTO_UPLOAD_QUALITY = 0.85;
+
+// The game server: the dev backend locally, otherwise the same origin under /hunt
+const isLocal = () => window.location.hostname === 'localhost';
+const serverUrl = () => isLocal() ? 'http://localhost:3000' : `${window.location.origin}/hunt`;
+
+export const photoUrl = (photoId: string): string => `${serverUrl()}/photos/${photoId}.jpg`;
+
+// Scale a picked image down to fit a PHOTO_UPLOAD_SIZE square and re-encode it as JPEG
+const shrinkPhoto = async (file: Blob): Promise<ArrayBuffer> => {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, PHOTO_UPLOAD_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d')!.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/jpeg', PHOTO_UPLOAD_QUALITY));
+    if (!blob) {
+        throw new Error('Could not encode photo');
+    }
+    return blob.arrayBuffer();
+};
+
+// The device key our stats are kept under: random, unpadded base64url (the server only stores a hash of it)
+const newProfileKey = (): string => {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// VAPID keys travel as unpadded base64url
+const base64UrlToBytes = (value: string): Uint8Array<ArrayBuffer> => {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(raw, c => c.charCodeAt(0));
+};
 
 @Injectable({
     providedIn: 'root'
@@ -44,14 +240,40 @@ export class SocketService {
         allPlayers: [],
         isHost: false,
         target: null,
+        targetPhoto: null,
         aliveCount: 0,
         winner: null,
         pendingKill: false,
         waitingForKillConfirmation: false,
-        playerName: null
+        playerName: null,
+        settings: DEFAULT_SETTINGS,
+        summary: null,
+        killFeed: [],
+        spectator: null,
+        killWord: null,
+        mission: null,
+        missionDecks: [],
+        teams: [],
+        hunterExposed: null,
+        claimCooldownUntil: null,
+        disputes: [],
+        killDisputed: false,
+        denialsLeft: null,
+        endsAt: null,
+        suddenDeath: false,
+        suddenDeathChain: [],
+        heatDeadline: null,
+        exposed: false,
+        targetExposed: false
     });
 
     private killTimeout: any = null;
+    private lastSeq: number | null = null; // last private event seen, so a rejoin can ask for what we missed
+    private rejoinPending = false; // a rejoin is on its way; another one would only race it
+    private replaying = false; // applying missed private events from a rejoin, which its snapshot then overrides
+    private privateHandlers = new Map<string, (payload: any) => void>();
+    private pushKey: string | null = null; // the server's public key, if it sends push notifications
+    private pendingPhoto: Blob | null = null; // picked on the home screen, sent once we are in a lobby
 
     public gameState$ = this.gameState.asObservable();
     private errorSubject = new BehaviorSubject<string | null>(null);
@@ -60,68 +282,186 @@ export class SocketService {
     public events$ = this.eventSubject.asObservable();
 
     constructor() {
-        const isLocal = window.location.hostname === 'localhost';
-        const socketUrl = isLocal ? 'http://localhost:3000' : window.location.origin;
-        this.socket = io(socketUrl, {
-            path: isLocal ? undefined : '/hunt/socket.io'
+        this.socket = io(isLocal() ? 'http://localhost:3000' : window.location.origin, {
+            path: isLocal() ? undefined : '/hunt/socket.io'
         });
         this.setupListeners();
-        this.tryRejoin();
+        // Re-authenticate on every (re)connect: after a reconnect the server doesn't know our new socket yet
+        this.socket.on('connect', () => this.tryRejoin());
+        // A reply lost with the connection never comes; the rejoin on the next connect uses the same token
+        this.socket.on('disconnect', () => this.rejoinPending = false);
+
+        // A tapped notification brings the app forward: catch up straight away so e.g. the kill dialog shows
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'notification-click') {
+                    this.resync();
+                }
+            });
+        }
     }
 
     private setupListeners(): void {
-        this.socket.on('lobby-created', ({ code, sessionId, players }) => {
-            this.saveSession(sessionId, code);
+        this.socket.on('lobby-created', ({ code, sessionToken, players, settings, missionDecks, teams }) => {
+            this.lastSeq = null;
+            this.saveSession(sessionToken, code);
             this.updateState({
                 phase: 'lobby',
                 lobbyCode: code,
                 players,
-                isHost: true
+                isHost: true,
+                settings: settings || DEFAULT_SETTINGS,
+                missionDecks: missionDecks || [],
+                teams: teams || []
             });
+            this.subscribeToPush();
+            this.sendPendingPhoto();
         });
 
-        this.socket.on('lobby-joined', ({ code, sessionId, players }) => {
-            this.saveSession(sessionId, code);
+        this.socket.on('lobby-joined', ({ code, sessionToken, players, settings, missionDecks, teams }) => {
+            this.lastSeq = null;
+            this.saveSession(sessionToken, code);
             this.updateState({
                 phase: 'lobby',
                 lobbyCode: code,
                 players,
-                isHost: false
+                isHost: false,
+                settings: settings || DEFAULT_SETTINGS,
+                missionDecks: missionDecks || [],
+                teams: teams || []
             });
+            this.subscribeToPush();
+            this.sendPendingPhoto();
+        });
+
+        // The reason tells a join link whether the code itself is no good (see App)
+        this.socket.on('join-failed', ({ code, reason, message }) => {
+            this.errorSubject.next(message);
+            setTimeout(() => this.errorSubject.next(null), 5000);
+            this.eventSubject.next({ type: 'join_failed', code, reason });
         });
 
-        this.socket.on('rejoin-success', ({ code, phase, players, isHost, isAlive, target, aliveCount, allPlayers }) => {
-            let gamePhase: GameState['phase'];
-            if (phase === 'waiting') {
-                gamePhase = 'lobby';
-            } else if (phase === 'playing') {
-                gamePhase = isAlive ? 'playing' : 'dead';
+        this.socket.on('lobby-status', ({ code, joinable, reason, message }) => {
+            this.eventSubject.next({ type: 'lobby_status', code, joinable, reason, message });
+        });
+
+        this.socket.on('leaderboard', ({ entries }) => {
+            this.eventSubject.next({ type: 'leaderboard', entries });
+        });
+
+        this.socket.on('profile', ({ stats }) => {
+            this.eventSubject.next({ type: 'profile', stats });
+        });
+
+        this.socket.on('rejoin-success', (snapshot) => {
+            this.rejoinPending = false;
+            this.applySnapshot(snapshot);
+            // Every rejoin hands out a new token (the old one stops working once this one is used)
+            this.saveSession(snapshot.sessionToken, snapshot.code);
+            this.subscribeToPush();
+        });
+
+        // Answer to resync() on a live socket: the same snapshot, but the session token stays as it is
+        this.socket.on('synced', (snapshot) => {
+            this.applySnapshot(snapshot);
+            this.rememberSeq(this.lastSeq);
+        });
+
+        this.socket.on('push-config', ({ publicKey }) => {
+            this.pushKey = publicKey;
+            this.subscribeToPush();
+        });
+
+        this.socket.on('rejoin-failed', ({ reason }) => {
+            this.rejoinPending = false;
+            if (!SESSION_ENDED_REASONS.includes(reason)) {
+                return; // keep the session; the next connect tries again
+            }
+
+            // A reconnect mid-game that can't resume leaves nothing to show, so go back to the start
+            const wasInLobby = !!this.gameState.getValue().lobbyCode;
+            if (wasInLobby) {
+                this.resetState();
             } else {
-                gamePhase = 'ended';
+                this.clearSession();
             }
+            // Stay on idle screen, but say why the old game couldn't be resumed
+            if (reason === 'session_expired') {
+                this.showTemporaryMessage('Your session expired - join the lobby again');
+            } else if (reason === 'lobby_gone') {
+                this.showTemporaryMessage('That lobby has ended');
+            } else if (wasInLobby) {
+                this.showTemporaryMessage('You lost your place in the lobby - join again');
+            }
+        });
 
-            this.updateState({
-                phase: gamePhase,
-                lobbyCode: code,
-                players,
-                allPlayers: allPlayers || [],
-                isHost,
-                target,
-                aliveCount
-            });
+        this.socket.on('settings-updated', ({ settings, players }) => {
+            this.updateState({ settings });
+            if (players) {
+                this.syncPlayers(players);
+            }
         });
 
-        this.socket.on('rejoin-failed', ({ message }) => {
-            this.clearSession();
-            // Stay on idle screen
+        this.socket.on('teams-updated', ({ players }) => {
+            this.syncPlayers(players);
         });
 
         this.socket.on('player-joined', ({ players }) => {
             this.updateState({ players });
         });
 
-        this.socket.on('player-left', ({ players }) => {
-            this.updateState({ players });
+        this.socket.on('players-updated', ({ players }) => {
+            this.syncPlayers(players);
+        });
+
+        this.socket.on('player-left', ({ players, allPlayers }) => {
+            this.syncPlayers(players, allPlayers);
+        });
+
+        this.socket.on('host-changed', ({ players, allPlayers }) => {
+            this.syncPlayers(players, allPlayers);
+        });
+
+        this.socket.on('rematch-started', ({ players, settings }) => {
+            this.updateState({
+                phase: 'lobby',
+                allPlayers: [],
+                target: null,
+                targetPhoto: null,
+                aliveCount: 0,
+                winner: null,
+                pendingKill: false,
+                waitingForKillConfirmation: false,
+                killDeadline: undefined,
+                settings,
+                summary: null,
+                killFeed: [],
+                spectator: null,
+                killWord: null,
+                mission: null,
+                hunterExposed: null,
+                claimCooldownUntil: null,
+                disputes: [],
+                killDisputed: false,
+                endsAt: null,
+                suddenDeath: false,
+                suddenDeathChain: [],
+                heatDeadline: null,
+                exposed: false,
+                targetExposed: false
+            });
+            this.syncPlayers(players);
+        });
+
+        this.socket.on('kicked', () => {
+            this.resetState();
+            this.errorSubject.next('You were removed from the lobby by the host');
+            setTimeout(() => this.errorSubject.next(null), 5000);
+        });
+
+        this.onPrivate('target-changed', ({ target, targetPhoto }) => {
+            // Hunter of a player who left inherits their target
+            this.updateState({ target, targetPhoto: targetPhoto || null, targetExposed: false });
         });
 
         this.socket.on('player-reconnected', ({ players, allPlayers }) => {
@@ -139,11 +479,27 @@ export class SocketService {
             setTimeout(() => this.errorSubject.next(null), 5000);
         });
 
-        this.socket.on('game-started', ({ target, allPlayers }) => {
+        this.socket.on('game-started', ({ target, targetPhoto, killWord, mission, endsAt, heatDeadline, allPlayers, seq }) => {
+            this.rememberSeq(seq ?? null);
             this.updateState({
                 phase: 'playing',
                 target,
-                allPlayers: allPlayers || []
+                targetPhoto: targetPhoto || null,
+                killWord: killWord || null,
+                mission: mission || null,
+                allPlayers: allPlayers || [],
+                killFeed: [],
+                spectator: null,
+                hunterExposed: null,
+                claimCooldownUntil: null,
+                disputes: [],
+                killDisputed: false,
+                endsAt: endsAt || null,
+                suddenDeath: false,
+                suddenDeathChain: [],
+                heatDeadline: heatDeadline || null,
+                exposed: false,
+                targetExposed: false
             });
             // Emit game started event for animation
             this.eventSubject.next({ type: 'game_started', target });
@@ -161,15 +517,28 @@ export class SocketService {
             this.updateState(updates);
         });
 
-        this.socket.on('kill-pending', ({ deadline }) => {
+        this.socket.on('game-summary', (summary: GameSummary) => {
+            this.updateState({ summary });
+        });
+
+        this.socket.on('kill-feed', (entry: KillFeedEntry) => {
+            this.updateState({ killFeed: [...this.gameState.getValue().killFeed, entry] });
+        });
+
+        this.socket.on('spectator-update', (spectator: SpectatorState) => {
+            this.updateState({ spectator });
+        });
+
+        this.onPrivate('kill-pending', ({ deadline, denialsLeft }) => {
             // No killer name - intentionally anonymous
             this.updateState({
                 pendingKill: true,
-                killDeadline: deadline
+                killDeadline: deadline,
+                denialsLeft: denialsLeft ?? null
             });
         });
 
-        this.socket.on('kill-initiated', ({ victimName, deadline }) => {
+        this.onPrivate('kill-initiated', ({ victimName, deadline }) => {
             // Killer waiting for confirmation
             this.updateState({
                 waitingForKillConfirmation: true,
@@ -180,7 +549,7 @@ export class SocketService {
             // Client just shows the visual count down.
         });
 
-        this.socket.on('kill-confirmed', ({ newTarget, isGameOver }) => {
+        this.onPrivate('kill-confirmed', ({ newTarget, newTargetPhoto, newMission, heatDeadline, targetExposed, isGameOver }) => {
             // Clear timeout
             if (this.killTimeout) {
                 clearTimeout(this.killTimeout);
@@ -189,29 +558,38 @@ export class SocketService {
 
             const oldTarget = this.gameState.getValue().target;
 
-            // Emit animation event with context
-            this.eventSubject.next({
-                type: 'kill_confirmed',
-                oldTarget,
-                newTarget
-            });
-            setTimeout(() => this.eventSubject.next(null), 100);
+            // Emit animation event with context (not for a kill missed while away)
+            if (!this.replaying) {
+                this.eventSubject.next({
+                    type: 'kill_confirmed',
+                    oldTarget,
+                    newTarget
+                });
+                setTimeout(() => this.eventSubject.next(null), 100);
+            }
 
             if (isGameOver) {
                 this.updateState({
                     phase: 'ended',
                     target: null,
+                    targetPhoto: null,
                     waitingForKillConfirmation: false
                 });
             } else {
                 this.updateState({
                     target: newTarget,
-                    waitingForKillConfirmation: false
+                    targetPhoto: newTargetPhoto || null,
+                    mission: newMission || null,
+                    waitingForKillConfirmation: false,
+                    killDisputed: false,
+                    heatDeadline: heatDeadline || null,
+                    exposed: false,
+                    targetExposed: !!targetExposed
                 });
             }
         });
 
-        this.socket.on('kill-cancelled', () => {
+        this.onPrivate('kill-cancelled', () => {
             // Clear timeout
             if (this.killTimeout) {
                 clearTimeout(this.killTimeout);
@@ -228,28 +606,115 @@ export class SocketService {
             setTimeout(() => this.errorSubject.next(null), 3000);
         });
 
-        this.socket.on('you-died', () => {
+        this.onPrivate('kill-disputed', () => {
+            // Killer: the victim denied, the judges will rule
+            this.updateState({
+                waitingForKillConfirmation: false,
+                killDisputed: true
+            });
+
+            this.errorSubject.next('Kill denied - it has gone to the judges');
+            setTimeout(() => this.errorSubject.next(null), 3000);
+        });
+
+        this.onPrivate('dispute-ruled', ({ victim }) => {
+            // Only denials that stand arrive here; overturned ones come as a normal kill
+            this.updateState({ killDisputed: false });
+            this.errorSubject.next(victim ? `The judges upheld ${victim}'s denial` : 'The judges upheld your denial');
+            setTimeout(() => this.errorSubject.next(null), 5000);
+        });
+
+        this.socket.on('disputes-updated', ({ disputes }) => {
+            this.updateState({ disputes });
+        });
+
+        this.socket.on('kill-claim-failed', ({ message, cooldownUntil }) => {
+            this.updateState({ claimCooldownUntil: cooldownUntil || null });
+            this.errorSubject.next(message);
+            setTimeout(() => this.errorSubject.next(null), 5000);
+        });
+
+        this.onPrivate('hunter-exposed', ({ hunter }) => {
+            this.updateState({ hunterExposed: hunter });
+            this.errorSubject.next(`${hunter} tried to claim your life with the wrong word - they are hunting you!`);
+            setTimeout(() => this.errorSubject.next(null), 5000);
+        });
+
+        this.socket.on('sudden-death', ({ chain }) => {
+            const wasSuddenDeath = this.gameState.getValue().suddenDeath;
+            this.updateState({ suddenDeath: true, suddenDeathChain: chain });
+            if (!wasSuddenDeath) {
+                this.errorSubject.next('Time is up - sudden death! Every assignment is revealed');
+                setTimeout(() => this.errorSubject.next(null), 5000);
+            }
+        });
+
+        this.onPrivate('heat-exposed', () => {
+            this.updateState({ exposed: true, heatDeadline: null });
+            this.errorSubject.next('Too long without a kill - your hunter has been told you are exposed');
+            setTimeout(() => this.errorSubject.next(null), 5000);
+        });
+
+        this.onPrivate('target-exposed', ({ exposed }) => {
+            this.updateState({ targetExposed: exposed });
+            if (exposed) {
+                this.errorSubject.next('Your target has gone cold - they can no longer deny your kill');
+                setTimeout(() => this.errorSubject.next(null), 5000);
+            }
+        });
+
+        this.onPrivate('you-died', () => {
             // Close dialog immediately
             this.updateState({ pendingKill: false });
 
+            // Missed while away: the rejoin snapshot already says where we stand (maybe the game is over by now)
+            if (this.replaying) {
+                return;
+            }
+
             // Trigger death animation first
             this.eventSubject.next({ type: 'death_animation' });
 
-            // Delay showing the dead screen to allow animation to play
+            // Delay showing the dead screen to allow animation to play, unless the game ended meanwhile
             setTimeout(() => {
+                if (this.gameState.getValue().phase !== 'playing') {
+                    return;
+                }
                 this.updateState({
                     phase: 'dead',
-                    target: null
+                    target: null,
+                    targetPhoto: null
                 });
             }, 2000); // 2 second delay for drama
         });
 
-        this.socket.on('error', ({ message }) => {
+        this.socket.on('error', ({ event, message }) => {
+            if (event === 'rejoin') {
+                this.rejoinPending = false;
+            }
             this.errorSubject.next(message);
             setTimeout(() => this.errorSubject.next(null), 5000);
         });
     }
 
+    // Events meant for this player alone carry the lobby's sequence number: remember the latest,
+    // and skip any we have already seen (a replay after rejoin can overlap what arrived live)
+    private onPrivate(event: string, handler: (payload: any) => void): void {
+        this.privateHandlers.set(event, handler);
+        this.socket.on(event, (payload) => this.receivePrivate(event, payload));
+    }
+
+    private receivePrivate(event: string, payload: any): void {
+        const seq = payload?.seq;
+        if (typeof seq === 'number') {
+            if (this.lastSeq !== null && seq <= this.lastSeq) {
+                return;
+            }
+            this.rememberSeq(seq);
+        }
+        this.privateHandlers.get(event)?.(payload ?? {});
+    }
+
     showTemporaryMessage(message: string): void {
         this.errorSubject.next(message);
         setTimeout(() => this.errorSubject.next(null), 3000);
@@ -264,20 +729,166 @@ export class SocketService {
         this.gameState.next({ ...current, ...updates });
     }
 
-    private saveSession(sessionId: string, lobbyCode: string): void {
-        localStorage.setItem(SESSION_KEY, JSON.stringify({ sessionId, lobbyCode }));
+    // Host role can move between players, so derive it from the list
+    private syncPlayers(players: Player[], allPlayers?: PlayerStatus[]): void {
+        const me = players.find(p => p.id === this.socket.id);
+        this.updateState({
+            players,
+            allPlayers: allPlayers || this.gameState.getValue().allPlayers,
+            isHost: me ? me.isHost : this.gameState.getValue().isHost
+        });
+    }
+
+    // Bring the state in line with a player snapshot from the server (rejoin-success or synced)
+    private applySnapshot({ code, phase, players, isHost, isAlive, target, targetPhoto, killWord, mission, aliveCount, allPlayers, settings, missionDecks, teams, summary, killFeed, spectator, disputes, killDisputed, endsAt, suddenDeath, suddenDeathChain, heatDeadline, exposed, targetExposed, pendingKill, awaitingKill, seq, missed }: any): void {
+        // Play what we missed while away (death, a kill on us, a new target...), then settle on the snapshot
+        this.replaying = true;
+        (missed || []).forEach(({ seq: eventSeq, event, payload }: { seq: number; event: string; payload: any }) => {
+            this.receivePrivate(event, { ...payload, seq: eventSeq });
+        });
+        this.replaying = false;
+
+        let gamePhase: GameState['phase'];
+        if (phase === 'waiting') {
+            gamePhase = 'lobby';
+        } else if (phase === 'playing') {
+            gamePhase = isAlive ? 'playing' : 'dead';
+        } else {
+            gamePhase = 'ended';
+        }
+
+        this.lastSeq = seq ?? null;
+
+        this.updateState({
+            phase: gamePhase,
+            lobbyCode: code,
+            players,
+            allPlayers: allPlayers || [],
+            isHost,
+            target,
+            targetPhoto: targetPhoto || null,
+            killWord: killWord || null,
+            mission: mission || null,
+            aliveCount,
+            settings: settings || DEFAULT_SETTINGS,
+            missionDecks: missionDecks || [],
+            teams: teams || [],
+            summary: summary || null,
+            killFeed: killFeed || [],
+            spectator: spectator || null,
+            disputes: disputes || [],
+            killDisputed: !!killDisputed,
+            endsAt: endsAt || null,
+            suddenDeath: !!suddenDeath,
+            suddenDeathChain: suddenDeathChain || [],
+            heatDeadline: heatDeadline || null,
+            exposed: !!exposed,
+            targetExposed: !!targetExposed,
+            pendingKill: !!pendingKill,
+            waitingForKillConfirmation: !!awaitingKill,
+            killDeadline: pendingKill?.deadline ?? awaitingKill?.deadline,
+            denialsLeft: pendingKill ? pendingKill.denialsLeft : null
+        });
+    }
+
+    private saveSession(sessionToken: string, lobbyCode: string): void {
+        localStorage.setItem(SESSION_KEY, JSON.stringify({ sessionToken, lobbyCode, lastSeq: this.lastSeq }));
+    }
+
+    // Kept with the session so a reloaded page can also catch up
+    private rememberSeq(seq: number | null): void {
+        this.lastSeq = seq;
+        const savedSession = localStorage.getItem(SESSION_KEY);
+        if (savedSession) {
+            try {
+                localStorage.setItem(SESSION_KEY, JSON.stringify({ ...JSON.parse(savedSession), lastSeq: seq }));
+            } catch (e) {
+                this.clearSession();
+            }
+        }
     }
 
     private clearSession(): void {
         localStorage.removeItem(SESSION_KEY);
+        this.lastSeq = null;
+    }
+
+    // Ask now, while we still have the tap that got us here (browsers only prompt on a user gesture)
+    private askNotificationPermission(): void {
+        if (this.pushKey && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().then(() => this.subscribeToPush());
+        }
+    }
+
+    // Hand the server our push subscription so it can reach us while the app is in the background
+    private async subscribeToPush(): Promise<void> {
+        if (!this.pushKey || !this.gameState.getValue().lobbyCode || !('serviceWorker' in navigator)
+            || !('PushManager' in window) || !('Notification' in window) || Notification.permission !== 'granted') {
+            return;
+        }
+
+        try {
+            const key = base64UrlToBytes(this.pushKey);
+            const registration = await navigator.serviceWorker.ready;
+            let subscription = await registration.pushManager.getSubscription();
+            const subscribedKey = subscription?.options.applicationServerKey;
+            if (subscription && (!subscribedKey || new Uint8Array(subscribedKey).join() !== key.join())) {
+                await subscription.unsubscribe(); // made for another server's key
+                subscription = null;
+            }
+            subscription = subscription || await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: key
+            });
+
+            const code = this.gameState.getValue().lobbyCode;
+            if (code) {
+                this.socket.emit('push-subscribe', { code, subscription: subscription.toJSON() });
+            }
+        } catch (e) {
+            // Notifications are a bonus; the game works without them
+        }
+    }
+
+    private sendPendingPhoto(): void {
+        const code = this.gameState.getValue().lobbyCode;
+        if (this.pendingPhoto && code) {
+            this.sendPhoto(code, this.pendingPhoto);
+            this.pendingPhoto = null;
+        }
+    }
+
+    private async sendPhoto(code: string, file: Blob | null): Promise<void> {
+        try {
+            this.socket.emit('set-photo', { code, photo: file ? await shrinkPhoto(file) : null });
+        } catch (e) {
+            this.showTemporaryMessage('That photo could not be read - try another one');
+        }
+    }
+
+    // Make sure we are connected and up to date
+    // A live socket is already rejoined (or about to be), so it only asks for a fresh snapshot
+    private resync(): void {
+        const code = this.gameState.getValue().lobbyCode;
+        if (!this.socket.connected) {
+            this.socket.connect();
+        } else if (code && !this.rejoinPending) {
+            this.socket.emit('sync', { code, lastSeq: this.lastSeq });
+        }
     }
 
     private tryRejoin(): void {
         const savedSession = localStorage.getItem(SESSION_KEY);
-        if (savedSession) {
+        if (savedSession && !this.rejoinPending) {
             try {
-                const { sessionId } = JSON.parse(savedSession);
-                this.socket.emit('rejoin', { sessionId });
+                const { sessionToken, lastSeq } = JSON.parse(savedSession);
+                if (sessionToken) {
+                    this.lastSeq = typeof lastSeq === 'number' ? lastSeq : null;
+                    this.rejoinPending = true;
+                    this.socket.emit('rejoin', { sessionToken, lastSeq: this.lastSeq });
+                } else {
+                    this.clearSession();
+                }
             } catch (e) {
                 this.clearSession();
             }
@@ -295,12 +906,95 @@ export class SocketService {
 
     createLobby(playerName: string): void {
         this.savePlayerName(playerName);
-        this.socket.emit('create-lobby', { playerName });
+        this.askNotificationPermission();
+        this.socket.emit('create-lobby', { playerName, profileKey: this.trackedProfileKey() });
     }
 
     joinLobby(code: string, playerName: string): void {
         this.savePlayerName(playerName);
-        this.socket.emit('join-lobby', { code: code.toUpperCase(), playerName });
+        this.askNotificationPermission();
+        this.socket.emit('join-lobby', { code: code.toUpperCase(), playerName, profileKey: this.trackedProfileKey() });
+    }
+
+    isTrackingStats(): boolean {
+        return localStorage.getItem(TRACK_STATS_KEY) === 'true';
+    }
+
+    // Opting out keeps the key, so the stats are still there after opting back in; takes effect from the next lobby
+    setTrackingStats(enabled: boolean): void {
+        if (enabled && !localStorage.getItem(PROFILE_KEY)) {
+            localStorage.setItem(PROFILE_KEY, newProfileKey());
+        }
+        localStorage.setItem(TRACK_STATS_KEY, String(enabled));
+    }
+
+    private trackedProfileKey(): string | undefined {
+        return this.isTrackingStats() ? localStorage.getItem(PROFILE_KEY) ?? undefined : undefined;
+    }
+
+    // Answered as a 'leaderboard' event
+    requestLeaderboard(): void {
+        this.socket.emit('get-leaderboard');
+    }
+
+    // Answered as a 'profile' event; stats is null for a device that never kept any
+    requestProfile(): void {
+        const profileKey = localStorage.getItem(PROFILE_KEY);
+        if (profileKey) {
+            this.socket.emit('get-profile', { profileKey });
+        } else {
+            this.eventSubject.next({ type: 'profile', stats: null });
+        }
+    }
+
+    // Set (or with null, remove) our photo: straight away in a lobby, otherwise once we are in one
+    choosePhoto(file: Blob | null): void {
+        const code = this.gameState.getValue().lobbyCode;
+        if (code) {
+            this.sendPhoto(code, file);
+        } else {
+            this.pendingPhoto = file;
+        }
+    }
+
+    // Ask whether a lobby can still be joined; answered as a 'lobby_status' event
+    checkLobby(code: string): void {
+        this.socket.emit('check-lobby', { code });
+    }
+
+    updateSettings(settings: Partial<LobbySettings>): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode && state.isHost) {
+            this.socket.emit('update-settings', { code: state.lobbyCode, settings });
+        }
+    }
+
+    chooseTeam(team: string): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode) {
+            this.socket.emit('choose-team', { code: state.lobbyCode, team });
+        }
+    }
+
+    balanceTeams(): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode && state.isHost) {
+            this.socket.emit('balance-teams', { code: state.lobbyCode });
+        }
+    }
+
+    uploadMissions(text: string): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode && state.isHost) {
+            this.socket.emit('upload-missions', { code: state.lobbyCode, text });
+        }
+    }
+
+    ruleDispute(disputeId: string, ruling: 'confirm' | 'deny'): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode) {
+            this.socket.emit('rule-dispute', { code: state.lobbyCode, disputeId, ruling });
+        }
     }
 
     startGame(): void {
@@ -317,6 +1011,13 @@ export class SocketService {
         }
     }
 
+    claimKill(word: string): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode) {
+            this.socket.emit('claim-kill', { code: state.lobbyCode, word });
+        }
+    }
+
     confirmDeath(): void {
         const state = this.gameState.getValue();
         if (state.lobbyCode) {
@@ -342,6 +1043,45 @@ export class SocketService {
         }
     }
 
+    rematch(): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode && state.isHost) {
+            this.socket.emit('rematch', { code: state.lobbyCode });
+        }
+    }
+
+    kickPlayer(playerId: string): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode && state.isHost) {
+            this.socket.emit('kick-player', { code: state.lobbyCode, playerId });
+        }
+    }
+
+    transferHost(playerId: string): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode && state.isHost) {
+            this.socket.emit('transfer-host', { code: state.lobbyCode, playerId });
+        }
+    }
+
+    dropPlayer(playerId: string): void {
+        const state = this.gameState.getValue();
+        if (state.lobbyCode && state.isHost) {
+            this.socket.emit('drop-player', { code: state.lobbyCode, playerId });
+        }
+    }
+
+    leaveLobby(): void {
+        if (this.gameState.getValue().lobbyCode) {
+            this.socket.emit('leave-lobby');
+        }
+        this.resetState();
+    }
+
+    isMe(playerId: string): boolean {
+        return playerId === this.socket.id;
+    }
+
     resetState(): void {
         this.clearSession();
         if (this.killTimeout) {
@@ -355,11 +1095,31 @@ export class SocketService {
             allPlayers: [],
             isHost: false,
             target: null,
+            targetPhoto: null,
             aliveCount: 0,
             winner: null,
             pendingKill: false,
             waitingForKillConfirmation: false,
-            playerName: null
+            playerName: null,
+            settings: DEFAULT_SETTINGS,
+            summary: null,
+            killFeed: [],
+            spectator: null,
+            killWord: null,
+            mission: null,
+            missionDecks: [],
+            teams: [],
+            hunterExposed: null,
+            claimCooldownUntil: null,
+            disputes: [],
+            killDisputed: false,
+            denialsLeft: null,
+            endsAt: null,
+            suddenDeath: false,
+            suddenDeathChain: [],
+            heatDeadline: null,
+            exposed: false,
+            targetExposed: false
         });
     }
 }
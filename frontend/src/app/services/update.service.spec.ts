@@ -0,0 +1,101 @@
+import { TestBed } from '@angular/core/testing';
+import { firstValueFrom } from 'rxjs';
+import { vi } from 'vitest';
+import { UpdateService } from './update.service';
+
+// Stand-in for a service worker registration: tests install new versions into it
+class FakeRegistration extends EventTarget {
+  waiting: any = null;
+  installing: any = null;
+  update = vi.fn(() => Promise.resolve());
+
+  // A new sw.js starts installing; call the returned function once it has finished
+  startInstall(): () => void {
+    const worker = Object.assign(new EventTarget(), { state: 'installing', postMessage: vi.fn() });
+    this.installing = worker;
+    this.dispatchEvent(new Event('updatefound'));
+    return () => {
+      worker.state = 'installed';
+      this.installing = null;
+      this.waiting = worker;
+      worker.dispatchEvent(new Event('statechange'));
+    };
+  }
+}
+
+describe('UpdateService', () => {
+  let registration: FakeRegistration;
+  let container: EventTarget & { ready: Promise<FakeRegistration>; controller: object | null };
+
+  // Start the service with the page controlled by a worker or not (a first visit is not)
+  async function start(controlled = true): Promise<UpdateService> {
+    container = Object.assign(new EventTarget(), {
+      ready: Promise.resolve(registration),
+      controller: controlled ? {} : null
+    });
+    Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: container });
+    const service = TestBed.inject(UpdateService);
+    await container.ready;
+    return service;
+  }
+
+  const updateAvailable = (service: UpdateService) => firstValueFrom(service.updateAvailable$);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    registration = new FakeRegistration();
+  });
+
+  afterEach(() => {
+    delete (navigator as any).serviceWorker;
+    vi.useRealTimers();
+  });
+
+  it('should offer a version that was already waiting when the app opened', async () => {
+    registration.waiting = { postMessage: vi.fn() };
+
+    expect(await updateAvailable(await start())).toBe(true);
+  });
+
+  it('should offer a new version once it has installed', async () => {
+    const service = await start();
+    const installed = registration.startInstall();
+    expect(await updateAvailable(service)).toBe(false);
+
+    installed();
+    expect(await updateAvailable(service)).toBe(true);
+  });
+
+  it('should not offer the very first install as an update', async () => {
+    const service = await start(false);
+    registration.startInstall()();
+
+    expect(await updateAvailable(service)).toBe(false);
+  });
+
+  it('should hide the offer when put off', async () => {
+    registration.waiting = { postMessage: vi.fn() };
+    const service = await start();
+
+    service.dismiss();
+    expect(await updateAvailable(service)).toBe(false);
+  });
+
+  it('should tell the waiting version to take over when asked', async () => {
+    const service = await start();
+    registration.startInstall()();
+
+    service.applyUpdate();
+    expect(registration.waiting.postMessage).toHaveBeenCalledWith({ type: 'skip-waiting' });
+  });
+
+  it('should look for a new version now and then and when the app comes back to the screen', async () => {
+    await start();
+
+    vi.advanceTimersByTime(30 * 60 * 1000);
+    expect(registration.update).toHaveBeenCalledTimes(1);
+
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(registration.update).toHaveBeenCalledTimes(2);
+  });
+});
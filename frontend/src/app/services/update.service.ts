@@ -0,0 +1,71 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject } from 'rxjs';
+
+// How often a long-open app asks the server for a new sw.js
+const UPDATE_CHECK_INTERVAL_MS = 30 * 60 * 1000;
+
+@Injectable({
+    providedIn: 'root'
+})
+export class UpdateService {
+    private registration: ServiceWorkerRegistration | null = null;
+    private reloading = false;
+
+    // A new version is installed and waiting for the go-ahead (sw.js never takes over by itself)
+    private updateSubject = new BehaviorSubject<boolean>(false);
+    public updateAvailable$ = this.updateSubject.asObservable();
+
+    constructor() {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        navigator.serviceWorker.ready.then(registration => this.watch(registration));
+
+        // Only reload for an update this tab asked for; one applied from another tab must not end our game
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) {
+                window.location.reload();
+            }
+        });
+    }
+
+    // Swap to the waiting version and reload into it; the session in localStorage rejoins the lobby
+    applyUpdate(): void {
+        const waiting = this.registration?.waiting;
+        if (!waiting) {
+            return;
+        }
+        this.reloading = true;
+        waiting.postMessage({ type: 'skip-waiting' });
+    }
+
+    // "Later": stays hidden until another version turns up (or the app is next opened)
+    dismiss(): void {
+        this.updateSubject.next(false);
+    }
+
+    private watch(registration: ServiceWorkerRegistration): void {
+        this.registration = registration;
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.updateSubject.next(true);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const installing = registration.installing;
+            installing?.addEventListener('statechange', () => {
+                // With no controller this is the very first install, not an update
+                if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.updateSubject.next(true);
+                }
+            });
+        });
+
+        setInterval(() => registration.update().catch(() => { }), UPDATE_CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => { });
+            }
+        });
+    }
+}